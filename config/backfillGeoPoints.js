@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const Vehicle = require('../models/Vehicle');
+require('dotenv').config();
+
+// Filter and pipeline update setting `<field>.point` from `<field>.coords` on
+// every document whose point is missing or no longer matches its coordinates
+const pointUpdate = (field) => {
+  const coordinates = [`$${field}.coords.lng`, `$${field}.coords.lat`];
+
+  return [
+    {
+      [`${field}.coords.lat`]: { $type: 'number' },
+      [`${field}.coords.lng`]: { $type: 'number' },
+      $expr: { $ne: [`$${field}.point.coordinates`, coordinates] }
+    },
+    [{ $set: { [`${field}.point`]: { type: 'Point', coordinates } } }]
+  ];
+};
+
+// GeoJSON points for the properties and vehicles saved before searches by
+// distance existed (or whose coords were changed without the model hooks).
+// Safe to run again: documents already in sync are left alone.
+const backfillGeoPoints = async () => {
+  const [properties, vehicles] = await Promise.all([
+    Property.updateMany(...pointUpdate('address')),
+    Vehicle.updateMany(...pointUpdate('location'))
+  ]);
+
+  return { properties: properties.modifiedCount, vehicles: vehicles.modifiedCount };
+};
+
+const runBackfill = async () => {
+  try {
+    const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/reservations_db';
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const updated = await backfillGeoPoints();
+    console.log(`📍 Points updated: ${updated.properties} properties, ${updated.vehicles} vehicles`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill error:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  runBackfill();
+}
+
+module.exports = { backfillGeoPoints };
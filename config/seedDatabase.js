@@ -3,6 +3,10 @@ const User = require('../models/User');
 const Property = require('../models/Property');
 const Vehicle = require('../models/Vehicle');
 const Reservation = require('../models/Reservation');
+const ExchangeRate = require('../models/ExchangeRate');
+const ChargeRule = require('../models/ChargeRule');
+const PromoCode = require('../models/PromoCode');
+const PromoCodeUsage = require('../models/PromoCodeUsage');
 require('dotenv').config();
 
 const seedUsers = [
@@ -47,7 +51,12 @@ const seedProperties = [
       country: 'USA',
       coords: { lat: 25.7617, lng: -80.1918 }
     },
+    timezone: 'America/New_York',
     amenities: ['pool', 'wifi', 'gym', 'spa', 'restaurant', 'bar'],
+    charges: [
+      { name: 'Resort fee', kind: 'fee', calculation: 'per_night', amount: 25 },
+      { name: 'Cleaning fee', kind: 'fee', calculation: 'flat', amount: 40 }
+    ],
     rooms: [
       {
         roomId: 'BEACH001',
@@ -68,8 +77,8 @@ const seedProperties = [
     ],
     policies: {
       cancellation: 'moderate',
-      checkIn: '3:00 PM',
-      checkOut: '11:00 AM'
+      checkIn: '15:00',
+      checkOut: '11:00'
     }
   },
   {
@@ -82,6 +91,7 @@ const seedProperties = [
       country: 'USA',
       coords: { lat: 39.7392, lng: -104.9903 }
     },
+    timezone: 'America/Denver',
     amenities: ['wifi', 'parking', 'breakfast', 'hot tub'],
     rooms: [
       {
@@ -103,8 +113,8 @@ const seedProperties = [
     ],
     policies: {
       cancellation: 'flexible',
-      checkIn: '4:00 PM',
-      checkOut: '10:00 AM'
+      checkIn: '16:00',
+      checkOut: '10:00'
     }
   }
 ];
@@ -122,7 +132,8 @@ const seedVehicles = [
     fuelType: 'gasoline',
     location: {
       city: 'Miami',
-      airportCode: 'MIA'
+      airportCode: 'MIA',
+      coords: { lat: 25.7959, lng: -80.2870 }
     },
     features: ['GPS', 'Bluetooth', 'Backup Camera'],
     isAvailable: true,
@@ -141,7 +152,8 @@ const seedVehicles = [
     fuelType: 'gasoline',
     location: {
       city: 'Miami',
-      airportCode: 'MIA'
+      airportCode: 'MIA',
+      coords: { lat: 25.7959, lng: -80.2870 }
     },
     features: ['Sunroof', 'Leather Seats', 'Third Row'],
     isAvailable: true,
@@ -160,7 +172,8 @@ const seedVehicles = [
     fuelType: 'electric',
     location: {
       city: 'Denver',
-      airportCode: 'DEN'
+      airportCode: 'DEN',
+      coords: { lat: 39.8561, lng: -104.6737 }
     },
     features: ['Autopilot', 'Premium Sound', 'Glass Roof'],
     isAvailable: true,
@@ -208,6 +221,27 @@ const seedReservations = [
   }
 ];
 
+// Units per 1 USD, to show prices in other currencies
+const seedExchangeRates = [
+  { currency: 'EUR', rate: 0.92 },
+  { currency: 'GBP', rate: 0.79 },
+  { currency: 'MXN', rate: 17.2 },
+  { currency: 'CAD', rate: 1.36 }
+];
+
+// Taxes and fees of the seeded properties' locations
+const seedChargeRules = [
+  { name: 'Sales tax', kind: 'tax', calculation: 'percentage', amount: 6, country: 'USA' },
+  { name: 'Tourist development tax', kind: 'tax', calculation: 'percentage', amount: 6, country: 'USA', city: 'Miami' },
+  { name: 'Lodging tax', kind: 'tax', calculation: 'per_night', amount: 2, country: 'USA', city: 'Denver' }
+];
+
+// Sample campaigns to try promo codes with
+const seedPromoCodes = [
+  { code: 'WELCOME10', description: '10% off any booking', discountType: 'percentage', amount: 10, maxRedemptionsPerUser: 1 },
+  { code: 'MIAMI50', description: '$50 off stays of 3 nights or more in Miami', discountType: 'fixed', amount: 50, minNights: 3, cities: ['Miami'], maxRedemptions: 100 }
+];
+
 const seedDatabase = async () => {
   try {
     const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/reservations_db';
@@ -219,6 +253,10 @@ const seedDatabase = async () => {
     await Property.deleteMany({});
     await Vehicle.deleteMany({});
     await Reservation.deleteMany({});
+    await ExchangeRate.deleteMany({});
+    await ChargeRule.deleteMany({});
+    await PromoCode.deleteMany({});
+    await PromoCodeUsage.deleteMany({});
     console.log('🗑️  Cleared existing data');
 
     // Create users
@@ -251,12 +289,24 @@ const seedDatabase = async () => {
     const createdReservations = await Reservation.insertMany(seedReservations);
     console.log(`📅 Created ${createdReservations.length} reservations`);
 
+    const createdExchangeRates = await ExchangeRate.insertMany(seedExchangeRates);
+    console.log(`💱 Created ${createdExchangeRates.length} exchange rates`);
+
+    const createdChargeRules = await ChargeRule.insertMany(seedChargeRules);
+    console.log(`🧾 Created ${createdChargeRules.length} tax and fee rules`);
+
+    const createdPromoCodes = await PromoCode.insertMany(seedPromoCodes);
+    console.log(`🏷️  Created ${createdPromoCodes.length} promo codes`);
+
     console.log('🎉 Database seeded successfully!');
     console.log('\n📊 Sample Data Created:');
     console.log(`   - Users: ${createdUsers.length}`);
     console.log(`   - Properties: ${createdProperties.length}`);
     console.log(`   - Vehicles: ${createdVehicles.length}`);
     console.log(`   - Reservations: ${createdReservations.length}`);
+    console.log(`   - Exchange rates: ${createdExchangeRates.length}`);
+    console.log(`   - Tax and fee rules: ${createdChargeRules.length}`);
+    console.log(`   - Promo codes: ${createdPromoCodes.length}`);
     
     await mongoose.connection.close();
     console.log('🔒 Connection closed');
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const Vehicle = require('../models/Vehicle');
+
+// Room of a property the user owns, as the filter its blocks and reservations share
+const findOwnedRoom = async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property || !property.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && property.ownerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage the blocks of this property'
+    });
+    return null;
+  }
+
+  const room = property.rooms.find(r => r.roomId === req.params.roomId.toUpperCase());
+
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: 'Room not found'
+    });
+    return null;
+  }
+
+  return { propertyId: property._id, roomId: room.roomId };
+};
+
+// Vehicle the user provides, as the filter its blocks and reservations share
+const findOwnedVehicle = async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id);
+
+  if (!vehicle) {
+    res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && vehicle.providerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage the blocks of this vehicle'
+    });
+    return null;
+  }
+
+  return { vehicleId: vehicle._id };
+};
+
+// Blocks of a room or vehicle; ended blocks only when asked for
+const listBlocks = async (req, res, target) => {
+  const filter = { ...target };
+  if (req.query.includePast !== 'true') {
+    filter.endDate = { $gt: new Date() };
+  }
+
+  const blocks = await AvailabilityBlock.find(filter)
+    .populate('createdBy', 'name')
+    .sort({ startDate: 1 });
+
+  res.json({
+    success: true,
+    count: blocks.length,
+    data: blocks
+  });
+};
+
+// Block the dates of a room or vehicle; dates already reserved cannot be blocked
+const createBlock = async (req, res, target) => {
+  const startDate = new Date(req.body.startDate);
+  const endDate = new Date(req.body.endDate);
+
+  if (endDate <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Block must end in the future'
+    });
+  }
+
+  const conflictingReservation = await Reservation.findOverlapping({ ...target, startDate, endDate });
+
+  if (conflictingReservation) {
+    return res.status(409).json({
+      success: false,
+      message: 'Dates are already reserved, cancel or move the reservation first',
+      conflictingDates: {
+        start: conflictingReservation.startDate,
+        end: conflictingReservation.endDate
+      }
+    });
+  }
+
+  const block = await AvailabilityBlock.create({
+    ...target,
+    startDate,
+    endDate,
+    source: 'blackout',
+    reason: req.body.reason,
+    note: req.body.note,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dates blocked',
+    data: block
+  });
+};
+
+// Remove a blackout of a room or vehicle
+const deleteBlock = async (req, res, target) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.blockId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+
+  const block = await AvailabilityBlock.findOne({ _id: req.params.blockId, ...target });
+
+  if (!block) {
+    return res.status(404).json({
+      success: false,
+      message: 'Block not found'
+    });
+  }
+
+  if (block.source !== 'blackout') {
+    return res.status(409).json({
+      success: false,
+      message: 'Imported blocks are removed from their calendar source'
+    });
+  }
+
+  await block.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Block removed',
+    data: block
+  });
+};
+
+// GET blocks of a room
+const getRoomBlocks = async (req, res, next) => {
+  try {
+    const target = await findOwnedRoom(req, res);
+    if (!target) return;
+
+    await listBlocks(req, res, target);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST block dates of a room
+const createRoomBlock = async (req, res, next) => {
+  try {
+    const target = await findOwnedRoom(req, res);
+    if (!target) return;
+
+    await createBlock(req, res, target);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// DELETE remove a blackout of a room
+const deleteRoomBlock = async (req, res, next) => {
+  try {
+    const target = await findOwnedRoom(req, res);
+    if (!target) return;
+
+    await deleteBlock(req, res, target);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET blocks of a vehicle
+const getVehicleBlocks = async (req, res, next) => {
+  try {
+    const target = await findOwnedVehicle(req, res);
+    if (!target) return;
+
+    await listBlocks(req, res, target);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST block dates of a vehicle
+const createVehicleBlock = async (req, res, next) => {
+  try {
+    const target = await findOwnedVehicle(req, res);
+    if (!target) return;
+
+    await createBlock(req, res, target);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// DELETE remove a blackout of a vehicle
+const deleteVehicleBlock = async (req, res, next) => {
+  try {
+    const target = await findOwnedVehicle(req, res);
+    if (!target) return;
+
+    await deleteBlock(req, res, target);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRoomBlocks,
+  createRoomBlock,
+  deleteRoomBlock,
+  getVehicleBlocks,
+  createVehicleBlock,
+  deleteVehicleBlock
+};
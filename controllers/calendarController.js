@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const {
+  generateCalendarToken,
+  isCalendarToken,
+  userCalendar,
+  propertyCalendar
+} = require('../services/calendar');
+const { checkCalendarUrl, syncCalendarSource } = require('../services/calendarImport');
+
+// Subscription URLs for a feed token (https for downloads, webcal for calendar apps)
+const feedUrls = (req, kind, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/${kind}/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+// Give a user or property a feed token the first time its feed is requested
+const ensureCalendarToken = async (Model, id) => {
+  const doc = await Model.findById(id).select('+calendarToken');
+  if (!doc || doc.calendarToken) return doc;
+
+  const updated = await Model.findOneAndUpdate(
+    { _id: id, calendarToken: { $exists: false } },
+    { calendarToken: generateCalendarToken() },
+    { new: true }
+  ).select('+calendarToken');
+
+  // Another request set the token first
+  return updated || Model.findById(id).select('+calendarToken');
+};
+
+const rotateCalendarToken = (Model, id) => Model.findByIdAndUpdate(
+  id,
+  { calendarToken: generateCalendarToken() },
+  { new: true }
+).select('+calendarToken');
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(calendar);
+};
+
+// Feeds are managed by the property owner and by admins
+const findOwnedProperty = async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property || !property.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && property.ownerId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access the calendar of this property'
+    });
+    return null;
+  }
+
+  return property;
+};
+
+// Room of a property the user owns, and optionally one of its calendar sources
+const findOwnedRoom = async (req, res, { withSource = false } = {}) => {
+  const property = await findOwnedProperty(req, res);
+  if (!property) return null;
+
+  const room = property.rooms.find(r => r.roomId === req.params.roomId.toUpperCase());
+
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: 'Room not found'
+    });
+    return null;
+  }
+
+  if (!withSource) return { property, room };
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.sourceId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+    return null;
+  }
+
+  const source = room.calendarSources.id(req.params.sourceId);
+
+  if (!source) {
+    res.status(404).json({
+      success: false,
+      message: 'Calendar source not found'
+    });
+    return null;
+  }
+
+  return { property, room, source };
+};
+
+// GET subscription URL of the authenticated user's feed
+const getMyCalendarFeed = async (req, res, next) => {
+  try {
+    const user = await ensureCalendarToken(User, req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: feedUrls(req, 'users', user.calendarToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST replace the authenticated user's feed URL (the old one stops working)
+const resetMyCalendarFeed = async (req, res, next) => {
+  try {
+    const user = await rotateCalendarToken(User, req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL replaced',
+      data: feedUrls(req, 'users', user.calendarToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET the authenticated user's reservations as an .ics file
+const exportMyCalendar = async (req, res, next) => {
+  try {
+    sendCalendar(res, 'reservations.ics', await userCalendar(req.user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET subscription URL of a property's feed
+const getPropertyCalendarFeed = async (req, res, next) => {
+  try {
+    const owned = await findOwnedProperty(req, res);
+    if (!owned) return;
+
+    const property = await ensureCalendarToken(Property, owned._id);
+
+    res.json({
+      success: true,
+      data: feedUrls(req, 'properties', property.calendarToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST replace a property's feed URL (the old one stops working)
+const resetPropertyCalendarFeed = async (req, res, next) => {
+  try {
+    const owned = await findOwnedProperty(req, res);
+    if (!owned) return;
+
+    const property = await rotateCalendarToken(Property, owned._id);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL replaced',
+      data: feedUrls(req, 'properties', property.calendarToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET a user's feed by its secret token (no session needed)
+const getUserFeed = async (req, res, next) => {
+  try {
+    const user = isCalendarToken(req.params.token)
+      ? await User.findOne({ calendarToken: req.params.token })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    sendCalendar(res, 'reservations.ics', await userCalendar(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET a property's feed by its secret token (no session needed)
+const getPropertyFeed = async (req, res, next) => {
+  try {
+    const property = isCalendarToken(req.params.token)
+      ? await Property.findOne({ calendarToken: req.params.token, isActive: true })
+      : null;
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    sendCalendar(res, `property-${property._id}.ics`, await propertyCalendar(property));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET calendar sources of a room with their last sync report and the dates they block
+const getCalendarSources = async (req, res, next) => {
+  try {
+    const owned = await findOwnedRoom(req, res);
+    if (!owned) return;
+
+    const { room } = owned;
+    const blocks = await AvailabilityBlock.find({
+      calendarSourceId: { $in: room.calendarSources.map(source => source._id) },
+      endDate: { $gt: new Date() }
+    })
+      .select('calendarSourceId startDate endDate summary')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      count: room.calendarSources.length,
+      data: room.calendarSources.map(source => ({
+        ...source.toObject(),
+        blocks: blocks.filter(block => block.calendarSourceId.equals(source._id))
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST add an external calendar to a room (URL sources are imported right away)
+const addCalendarSource = async (req, res, next) => {
+  try {
+    const owned = await findOwnedRoom(req, res);
+    if (!owned) return;
+
+    const { property, room } = owned;
+    const url = req.body.url && req.body.url.replace(/^webcal:/i, 'https:');
+    if (url) await checkCalendarUrl(url);
+
+    const source = room.calendarSources.create({
+      name: req.body.name,
+      kind: url ? 'url' : 'file',
+      url
+    });
+
+    await Property.updateOne(
+      { _id: property._id, 'rooms.roomId': room.roomId },
+      { $push: { 'rooms.$.calendarSources': source } }
+    );
+
+    const lastSync = url ? await syncCalendarSource(property, room.roomId, source) : undefined;
+
+    res.status(201).json({
+      success: true,
+      message: url ? 'Calendar source added and imported' : 'Calendar source added, upload its .ics file to import it',
+      data: { ...source.toObject(), lastSync }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT upload the .ics file of a file source, replacing what it blocked before
+const uploadCalendarFile = async (req, res, next) => {
+  try {
+    const owned = await findOwnedRoom(req, res, { withSource: true });
+    if (!owned) return;
+
+    const { property, room, source } = owned;
+
+    if (source.kind !== 'file') {
+      return res.status(409).json({
+        success: false,
+        message: 'URL sources are imported from their URL'
+      });
+    }
+
+    if (typeof req.body !== 'string' || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the .ics file as the request body with Content-Type text/calendar'
+      });
+    }
+
+    const report = await syncCalendarSource(property, room.roomId, source, { ics: req.body });
+
+    if (report.status === 'error') {
+      return res.status(400).json({
+        success: false,
+        message: report.error,
+        data: report
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar imported',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST fetch and import a URL source now
+const syncCalendarSourceNow = async (req, res, next) => {
+  try {
+    const owned = await findOwnedRoom(req, res, { withSource: true });
+    if (!owned) return;
+
+    const { property, room, source } = owned;
+
+    if (source.kind !== 'url') {
+      return res.status(409).json({
+        success: false,
+        message: 'File sources are imported by uploading a new file'
+      });
+    }
+
+    const report = await syncCalendarSource(property, room.roomId, source);
+
+    if (report.status === 'error') {
+      return res.status(502).json({
+        success: false,
+        message: report.error,
+        data: report
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar imported',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// DELETE remove a calendar source and free the dates it blocked
+const removeCalendarSource = async (req, res, next) => {
+  try {
+    const owned = await findOwnedRoom(req, res, { withSource: true });
+    if (!owned) return;
+
+    const { property, room, source } = owned;
+
+    await Property.updateOne(
+      { _id: property._id, 'rooms.roomId': room.roomId },
+      { $pull: { 'rooms.$.calendarSources': { _id: source._id } } }
+    );
+    const { deletedCount } = await AvailabilityBlock.deleteMany({ calendarSourceId: source._id });
+
+    res.json({
+      success: true,
+      message: 'Calendar source removed',
+      data: {
+        sourceId: source._id,
+        blocksRemoved: deletedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyCalendarFeed,
+  resetMyCalendarFeed,
+  exportMyCalendar,
+  getPropertyCalendarFeed,
+  resetPropertyCalendarFeed,
+  getUserFeed,
+  getPropertyFeed,
+  getCalendarSources,
+  addCalendarSource,
+  uploadCalendarFile,
+  syncCalendarSourceNow,
+  removeCalendarSource
+};
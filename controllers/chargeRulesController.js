@@ -0,0 +1,94 @@
+const ChargeRule = require('../models/ChargeRule');
+
+const findChargeRule = async (req, res) => {
+  const chargeRule = await ChargeRule.findById(req.params.id);
+
+  if (!chargeRule) {
+    res.status(404).json({
+      success: false,
+      message: 'Charge rule not found'
+    });
+    return null;
+  }
+
+  return chargeRule;
+};
+
+// GET tax and fee rules, optionally of one country or city
+const getChargeRules = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.country) filter.country = req.query.country;
+    if (req.query.city) filter.city = req.query.city;
+
+    const chargeRules = await ChargeRule.find(filter)
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ country: 1, city: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: chargeRules.length,
+      data: chargeRules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST create a tax or fee rule for a country or city
+const createChargeRule = async (req, res, next) => {
+  try {
+    const chargeRule = await ChargeRule.create({ ...req.body, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Charge rule created successfully',
+      data: chargeRule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT replace a tax or fee rule; reservations already priced keep what they were charged
+const updateChargeRule = async (req, res, next) => {
+  try {
+    const chargeRule = await findChargeRule(req, res);
+    if (!chargeRule) return;
+
+    chargeRule.set({ city: undefined, ...req.body });
+    await chargeRule.save();
+
+    res.json({
+      success: true,
+      message: 'Charge rule updated successfully',
+      data: chargeRule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// DELETE tax or fee rule
+const deleteChargeRule = async (req, res, next) => {
+  try {
+    const chargeRule = await findChargeRule(req, res);
+    if (!chargeRule) return;
+
+    await chargeRule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Charge rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getChargeRules,
+  createChargeRule,
+  updateChargeRule,
+  deleteChargeRule
+};
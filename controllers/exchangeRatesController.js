@@ -0,0 +1,72 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+// GET every rate of the table, by currency
+const getExchangeRates = async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.json({
+      success: true,
+      base: ExchangeRate.BASE_CURRENCY,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT set the rate of a currency, adding it to the table when missing
+const setExchangeRate = async (req, res, next) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+
+    if (currency === ExchangeRate.BASE_CURRENCY) {
+      return res.status(400).json({
+        success: false,
+        message: `${ExchangeRate.BASE_CURRENCY} is the base currency and has no rate`
+      });
+    }
+
+    const existing = await ExchangeRate.findOne({ currency });
+    const exchangeRate = existing || new ExchangeRate({ currency });
+    exchangeRate.rate = req.body.rate;
+    exchangeRate.updatedBy = req.user._id;
+    await exchangeRate.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Exchange rate updated successfully' : 'Exchange rate created successfully',
+      data: exchangeRate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// DELETE remove a currency from the table; prices can no longer be shown in it
+const deleteExchangeRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toUpperCase() });
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate
+};
@@ -0,0 +1,117 @@
+const Reservation = require('../models/Reservation');
+const {
+  syncInvoices,
+  getReservationInvoices,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('../services/invoices');
+
+// Invoices are for the guest and for admins (accounting); sends the error response otherwise
+const findInvoicedReservation = async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id);
+
+  if (!reservation) {
+    res.status(404).json({
+      success: false,
+      message: 'Reservation not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && reservation.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access the invoices of this reservation'
+    });
+    return null;
+  }
+
+  return reservation;
+};
+
+const sendInvoice = (res, document, format) => {
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: document
+    });
+  }
+
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${document.number}.pdf"`);
+    return res.send(renderInvoicePdf(document));
+  }
+
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${document.number}.html"`);
+  res.send(renderInvoiceHtml(document));
+};
+
+// GET latest invoice (or credit note) of a reservation, issued on first request
+const getReservationInvoice = async (req, res, next) => {
+  try {
+    const reservation = await findInvoicedReservation(req, res);
+    if (!reservation) return;
+
+    const document = await syncInvoices(reservation);
+
+    if (!document) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoices are issued once the reservation is paid'
+      });
+    }
+
+    sendInvoice(res, document, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET every invoice and credit note of a reservation, oldest first
+const getReservationInvoiceList = async (req, res, next) => {
+  try {
+    const reservation = await findInvoicedReservation(req, res);
+    if (!reservation) return;
+
+    await syncInvoices(reservation);
+    const documents = await getReservationInvoices(reservation._id);
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET one invoice or credit note of a reservation by its number
+const getReservationInvoiceByNumber = async (req, res, next) => {
+  try {
+    const reservation = await findInvoicedReservation(req, res);
+    if (!reservation) return;
+
+    const documents = await getReservationInvoices(reservation._id);
+    const document = documents.find(doc => doc.number === req.params.number);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    sendInvoice(res, document, req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReservationInvoice,
+  getReservationInvoiceList,
+  getReservationInvoiceByNumber
+};
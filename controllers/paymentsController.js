@@ -0,0 +1,213 @@
+const Payment = require('../models/Payment');
+const Reservation = require('../models/Reservation');
+const payments = require('../services/payments');
+const { formatMoney } = require('../services/currency');
+
+const canAccess = (user, ownerId) => user.role === 'admin' || ownerId.toString() === user._id.toString();
+
+// Reservation the user may pay or see the payments of; sends the error response otherwise
+const findPayableReservation = async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id);
+
+  if (!reservation) {
+    res.status(404).json({
+      success: false,
+      message: 'Reservation not found'
+    });
+    return null;
+  }
+
+  if (!canAccess(req.user, reservation.userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access the payments of this reservation'
+    });
+    return null;
+  }
+
+  return reservation;
+};
+
+// Payment by ID; only its payer and admins can see it
+const findPayment = async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return null;
+  }
+
+  if (!canAccess(req.user, payment.userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this payment'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+// POST authorize the total of a reservation with the guest's payment method
+const authorizeReservationPayment = async (req, res, next) => {
+  try {
+    const reservation = await findPayableReservation(req, res);
+    if (!reservation) return;
+
+    const payment = await payments.authorizeReservationPayment(reservation, {
+      paymentMethod: req.body.paymentMethod,
+      actor: req.user._id
+    });
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: `Payment declined: ${payment.failureReason}`,
+        data: payment
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment authorized, the reservation can be confirmed',
+      data: payment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET payments of a reservation, newest first
+const getReservationPayments = async (req, res, next) => {
+  try {
+    const reservation = await findPayableReservation(req, res);
+    if (!reservation) return;
+
+    const reservationPayments = await Payment.find({ reservationId: reservation._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: reservationPayments.length,
+      data: {
+        reservationId: reservation._id,
+        paymentStatus: reservation.paymentStatus,
+        payments: reservationPayments
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET payment by ID
+const getPaymentById = async (req, res, next) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST capture an authorized payment
+const capturePayment = async (req, res, next) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    const captured = await payments.capturePayment(payment, { amount: req.body.amount, actor: req.user._id });
+
+    res.json({
+      success: true,
+      message: `Captured ${formatMoney(captured.amountCaptured, payment.currency)}`,
+      data: captured
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST refund a captured payment (all that is left by default)
+const refundPayment = async (req, res, next) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    const amount = req.body.amount !== undefined
+      ? req.body.amount
+      : payment.amountCaptured - payment.amountRefunded;
+    const refunded = await payments.refundPayment(payment, amount, {
+      actor: req.user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: `Refunded ${formatMoney(amount, payment.currency)}`,
+      data: refunded
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST release an authorization without capturing it
+const voidPayment = async (req, res, next) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    const voided = await payments.voidPayment(payment, { actor: req.user._id, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Payment authorization released',
+      data: voided
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST event sent by a payment provider (no session; the provider signs it)
+const receiveWebhook = async (req, res, next) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook body must be JSON'
+      });
+    }
+
+    const payment = await payments.handleWebhook(req.params.provider, req.headers, req.rawBody);
+
+    res.json({
+      success: true,
+      received: true,
+      data: {
+        paymentId: payment._id,
+        status: payment.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authorizeReservationPayment,
+  getReservationPayments,
+  getPaymentById,
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  receiveWebhook
+};
@@ -0,0 +1,106 @@
+const PromoCode = require('../models/PromoCode');
+const PromoCodeUsage = require('../models/PromoCodeUsage');
+
+// Restrictions a replacement leaves out are lifted
+const OPTIONAL_FIELDS = {
+  description: undefined,
+  validFrom: undefined,
+  validUntil: undefined,
+  minNights: undefined,
+  propertyIds: [],
+  vehicleTypes: [],
+  cities: [],
+  maxRedemptions: undefined,
+  maxRedemptionsPerUser: undefined
+};
+
+const findPromoCode = async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.id);
+
+  if (!promoCode) {
+    res.status(404).json({
+      success: false,
+      message: 'Promo code not found'
+    });
+    return null;
+  }
+
+  return promoCode;
+};
+
+// GET promo codes, optionally only the active ones
+const getPromoCodes = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const promoCodes = await PromoCode.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: promoCodes.length,
+      data: promoCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST create a promo code
+const createPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.create({ ...req.body, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT replace a promo code; its redemptions so far still count
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await findPromoCode(req, res);
+    if (!promoCode) return;
+
+    promoCode.set({ ...OPTIONAL_FIELDS, ...req.body });
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: promoCode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// DELETE promo code; reservations keep the discount they were given
+const deletePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await findPromoCode(req, res);
+    if (!promoCode) return;
+
+    await promoCode.deleteOne();
+    await PromoCodeUsage.deleteMany({ promoCodeId: promoCode._id });
+
+    res.json({
+      success: true,
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
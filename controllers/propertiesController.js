@@ -1,14 +1,61 @@
 const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const { DAY_MS, toDateKey, fromDateKey, eachNight } = require('../utils/dates');
+const { averageNightlyRate } = require('../services/pricing');
+const { getStayRules, canArriveOn } = require('../services/stayRules');
+const { getPropertyClock, localToday } = require('../services/stayTimes');
+const { BASE_CURRENCY, currencyOf, convertAmount, exchangeRatesFor, displayInfo } = require('../services/currency');
+const { geoFilter, geoNearStages } = require('../utils/geo');
 
 // controllers/propertiesController.js - Corregir getAllProperties
 
+// Punto GeoJSON de las búsquedas por distancia (near=) y por zona del mapa (bbox=)
+const GEO_FIELD = 'address.point';
+
+// Precios de la propiedad en la moneda pedida; los precios propios no cambian
+const withDisplayPrices = (property, exchangeRate) => ({
+  ...property,
+  display: displayInfo(exchangeRate),
+  rooms: (property.rooms || []).map(room => ({
+    ...room,
+    displayPricePerNight: convertAmount(room.pricePerNight, exchangeRate)
+  }))
+});
+
+// Condiciones de Mongo que dejan solo propiedades con alguna habitación que
+// puede entrar en el rango de precio: la media de una estancia queda entre la
+// tarifa más baja y la más alta de la habitación (base, por día de la semana o
+// de temporada durante la estancia). Los límites van en la moneda de la propiedad.
+const priceRangeConditions = ({ min, max }, stayStart, stayEnd) => {
+  const anyRate = (operator, bound) => ({
+    $or: [
+      { 'rooms.pricePerNight': { [operator]: bound } },
+      { 'rooms.weekdayRates.pricePerNight': { [operator]: bound } },
+      {
+        'rooms.rateOverrides': {
+          $elemMatch: { pricePerNight: { [operator]: bound }, startDate: { $lt: stayEnd }, endDate: { $gte: stayStart } }
+        }
+      }
+    ]
+  });
+
+  return [
+    ...(min !== undefined ? [anyRate('$gte', min)] : []),
+    ...(max !== undefined ? [anyRate('$lte', max)] : [])
+  ];
+};
+
 const getAllProperties = async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const { city, country, minPrice, maxPrice, minCapacity } = req.query;
+    const { city, country, minPrice, maxPrice, minCapacity, checkIn, checkOut, near, radiusKm, bbox } = req.query;
+
+    // Búsqueda geográfica: cerca de un punto o dentro de la zona del mapa, la más cercana primero
+    const geo = near || bbox ? { near, radiusKm, bbox } : null;
 
     // Construir filtro base
     let filter = { isActive: true };
@@ -21,44 +68,84 @@ const getAllProperties = async (req, res, next) => {
       filter['rooms.capacity'] = { $gte: parseInt(minCapacity) };
     }
 
-    // Filtro para precio - versión simplificada
-    let priceFilter = {};
-    if (minPrice || maxPrice) {
-      priceFilter = {
-        'rooms.pricePerNight': {
-          ...(minPrice && { $gte: parseFloat(minPrice) }),
-          ...(maxPrice && { $lte: parseFloat(maxPrice) })
+    // Filtro para precio - cada noche se cotiza con las tarifas de la habitación
+    // (temporadas, días de la semana). Sin fechas se usa la tarifa de esta noche.
+    const hasPriceFilter = Boolean(minPrice || maxPrice);
+    let total;
+    let pageItems = [];
+
+    if (hasPriceFilter) {
+      const stayStart = fromDateKey(toDateKey(checkIn || new Date()));
+      const stayEnd = checkOut
+        ? fromDateKey(toDateKey(checkOut))
+        : new Date(stayStart.getTime() + DAY_MS);
+
+      const bounds = {
+        min: minPrice ? parseFloat(minPrice) : undefined,
+        max: maxPrice ? parseFloat(maxPrice) : undefined
+      };
+
+      // Con ?currency= los límites se comparan con los precios que ve el cliente,
+      // convertidos desde la moneda de cada propiedad
+      const currencies = req.query.currency
+        ? [...new Set([BASE_CURRENCY, ...(await Property.distinct('currency', filter))])]
+        : [];
+      const rates = req.query.currency
+        ? await exchangeRatesFor(currencies.map(currency => ({ currency })), req.query.currency)
+        : null;
+
+      // Primero se descartan en Mongo las propiedades que no pueden entrar en
+      // el rango; solo las demás se cotizan noche a noche. Con otra moneda los
+      // límites se pasan a la de cada propiedad, con margen por el redondeo.
+      const priceFilter = rates
+        ? {
+          $or: [...rates].map(([code, exchangeRate]) => ({
+            // Las propiedades guardadas antes de las monedas están en la moneda base
+            currency: code === BASE_CURRENCY ? { $in: [code, null] } : code,
+            $and: priceRangeConditions({
+              min: bounds.min !== undefined ? (bounds.min - 0.005) / exchangeRate.rate : undefined,
+              max: bounds.max !== undefined ? (bounds.max + 0.005) / exchangeRate.rate : undefined
+            }, stayStart, stayEnd)
+          }))
         }
+        : { $and: priceRangeConditions(bounds, stayStart, stayEnd) };
+      const candidateFilter = { ...filter, ...priceFilter };
+
+      const candidates = geo
+        ? await Property.aggregate([...geoNearStages(GEO_FIELD, geo, candidateFilter), { $project: { rooms: 1, currency: 1, distanceKm: 1 } }])
+        : await Property.find(candidateFilter).select('rooms currency').lean();
+
+      const inPriceRange = (property, rate) => {
+        const price = rates ? convertAmount(rate, rates.get(currencyOf(property))) : rate;
+        return (bounds.min === undefined || price >= bounds.min) && (bounds.max === undefined || price <= bounds.max);
       };
+
+      const matching = candidates
+        .map(property => ({
+          _id: property._id,
+          distanceKm: property.distanceKm,
+          rooms: property.rooms
+            .map(({ calendarSources, ...room }) => ({ ...room, averageNightlyRate: averageNightlyRate(room, stayStart, stayEnd) }))
+            .filter(room => inPriceRange(property, room.averageNightlyRate))
+        }))
+        .filter(property => property.rooms.length > 0);
+
+      total = matching.length;
+      pageItems = matching.slice(skip, skip + limit);
+    } else {
+      total = await Property.countDocuments(geo ? { ...filter, ...geoFilter(GEO_FIELD, geo) } : filter);
     }
 
-    // Pipeline de agregación corregido
+    // Pipeline de agregación
     const aggregationPipeline = [
-      { $match: filter },
-      
-      // Solo desenrollar si hay filtros de precio
-      ...(Object.keys(priceFilter).length > 0 ? [
-        { $unwind: '$rooms' },
-        { $match: priceFilter },
-        {
-          $group: {
-            _id: '$_id',
-            doc: { $first: '$$ROOT' },
-            matchingRooms: { $push: '$rooms' }
-          }
-        },
-        {
-          $replaceRoot: {
-            newRoot: {
-              $mergeObjects: ['$doc', { rooms: '$matchingRooms' }]
-            }
-          }
-        }
-      ] : []),
-      
-      // Paginación
-      { $skip: skip },
-      { $limit: limit },
+      // Con filtro de precio la página ya está calculada
+      ...(hasPriceFilter ? [
+        { $match: { _id: { $in: pageItems.map(item => item._id) } } }
+      ] : [
+        ...(geo ? geoNearStages(GEO_FIELD, geo, filter) : [{ $match: filter }]),
+        { $skip: skip },
+        { $limit: limit }
+      ]),
       
       // Populate del owner
       {
@@ -74,28 +161,36 @@ const getAllProperties = async (req, res, next) => {
           ownerDetails: { $arrayElemAt: ['$ownerInfo', 0] }
         }
       },
-      { $project: { ownerInfo: 0 } }
+      // Solo los datos públicos del owner: un aggregate no aplica select: false
+      // y devolvería los tokens de los feeds iCal. Los calendarios externos
+      // (enlaces secretos de otras plataformas) tampoco son públicos.
+      {
+        $addFields: {
+          ownerDetails: { name: '$ownerDetails.name', email: '$ownerDetails.email' }
+        }
+      },
+      { $project: { ownerInfo: 0, calendarToken: 0, 'rooms.calendarSources': 0 } }
     ];
 
-    // Para contar el total correctamente
-    let countFilter = { ...filter };
-    if (Object.keys(priceFilter).length > 0) {
-      // Si hay filtro de precio, necesitamos contar después de aplicar el filtro
-      const countPipeline = [
-        { $match: filter },
-        { $unwind: '$rooms' },
-        { $match: priceFilter },
-        { $group: { _id: '$_id' } },
-        { $count: 'total' }
-      ];
-      
-      const countResult = await Property.aggregate(countPipeline);
-      var total = countResult[0] ? countResult[0].total : 0;
-    } else {
-      var total = await Property.countDocuments(filter);
+    let properties = await Property.aggregate(aggregationPipeline);
+
+    // Mantener el orden de la página y devolver solo las habitaciones que cumplen el precio
+    if (hasPriceFilter) {
+      const byId = new Map(properties.map(property => [property._id.toString(), property]));
+      properties = pageItems
+        .filter(item => byId.has(item._id.toString()))
+        .map(item => ({
+          ...byId.get(item._id.toString()),
+          rooms: item.rooms,
+          ...(geo && { distanceKm: item.distanceKm })
+        }));
     }
 
-    const properties = await Property.aggregate(aggregationPipeline);
+    // Precios en la moneda pedida (?currency=), con la tabla de tipos de cambio
+    if (req.query.currency) {
+      const rates = await exchangeRatesFor(properties, req.query.currency);
+      properties = properties.map(property => withDisplayPrices(property, rates.get(currencyOf(property))));
+    }
 
     res.json({
       success: true,
@@ -116,7 +211,9 @@ const getAllProperties = async (req, res, next) => {
 
 const getPropertyById = async (req, res, next) => {
   try {
+    // Calendar sources are managed by the owner at /rooms/{roomId}/calendar-sources
     const property = await Property.findById(req.params.id)
+      .select('-rooms.calendarSources')
       .populate('ownerId', 'name email');
 
     if (!property)
@@ -125,6 +222,11 @@ const getPropertyById = async (req, res, next) => {
     if (!property.isActive)
       return res.status(404).json({ success: false, message: 'Property is not active' });
 
+    if (req.query.currency) {
+      const [exchangeRate] = (await exchangeRatesFor([property], req.query.currency)).values();
+      return res.json({ success: true, data: withDisplayPrices(property.toObject(), exchangeRate) });
+    }
+
     res.json({ success: true, data: property });
 
   } catch (error) {
@@ -132,6 +234,89 @@ const getPropertyById = async (req, res, next) => {
   }
 };
 
+// GET nightly availability calendar for every room of a property
+const getPropertyAvailability = async (req, res, next) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property || !property.isActive)
+      return res.status(404).json({ success: false, message: 'Property not found' });
+
+    const from = fromDateKey(req.query.from ? toDateKey(req.query.from) : localToday(property));
+    const to = req.query.to
+      ? fromDateKey(toDateKey(req.query.to))
+      : new Date(from.getTime() + 30 * DAY_MS);
+    const nights = eachNight(from, to);
+
+    // Pending and confirmed reservations overlapping the requested range
+    const reservations = await Reservation.find({
+      propertyId: property._id,
+      status: { $in: ['confirmed', 'pending'] },
+      startDate: { $lt: to },
+      endDate: { $gt: from }
+    }).select('reservationType roomId roomLines startDate endDate');
+
+    const bookedNights = {};
+    reservations.forEach(reservation => {
+      reservation.bookedRoomIds().forEach(roomId => {
+        const booked = bookedNights[roomId] || (bookedNights[roomId] = new Set());
+        eachNight(reservation.startDate, reservation.endDate).forEach(night => booked.add(night));
+      });
+    });
+
+    // Dates blocked by imported calendars
+    const blocks = await AvailabilityBlock.find({
+      propertyId: property._id,
+      startDate: { $lt: to },
+      endDate: { $gt: from }
+    }).select('roomId startDate endDate');
+
+    const blockedNights = {};
+    blocks.forEach(block => {
+      const blocked = blockedNights[block.roomId] || (blockedNights[block.roomId] = new Set());
+      eachNight(block.startDate, block.endDate).forEach(night => blocked.add(night));
+    });
+
+    const rooms = property.rooms.map(room => {
+      const booked = bookedNights[room.roomId] || new Set();
+      const blocked = blockedNights[room.roomId] || new Set();
+
+      return {
+        roomId: room.roomId,
+        type: room.type,
+        capacity: room.capacity,
+        pricePerNight: room.pricePerNight,
+        nights: nights.map(date => ({
+          date,
+          status: !room.isAvailable ? 'blocked'
+            : booked.has(date) ? 'booked'
+              : blocked.has(date) ? 'blocked' : 'free'
+        }))
+      };
+    });
+
+    // Stay rules, and the nights a stay cannot start on, so clients can grey them out
+    const stayRules = getStayRules(property);
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: {
+        propertyId: property._id,
+        from: toDateKey(from),
+        to: toDateKey(to),
+        stayRules,
+        clock: getPropertyClock(property),
+        closedToArrival: nights.filter(date => !canArriveOn(property, stayRules, fromDateKey(date), now)),
+        rooms
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 const createProperty = async (req, res, next) => {
   try {
     const property = new Property(req.body);
@@ -150,17 +335,50 @@ const createProperty = async (req, res, next) => {
   }
 };
 
+// Rooms sent in an update replace the stored ones, but calendar sources are
+// managed apart (/rooms/{roomId}/calendar-sources): each room keeps its own.
+// Returns the rooms to store and the sources of the rooms left out.
+const keepCalendarSources = async (propertyId, rooms) => {
+  const property = await Property.findById(propertyId).select('rooms.roomId rooms.calendarSources');
+  if (!property) return { rooms, removedSources: [] };
+
+  const roomIds = new Set(rooms.map(room => String(room.roomId).trim().toUpperCase()));
+  const sourcesByRoom = new Map(property.rooms.map(room => [room.roomId, room.calendarSources]));
+
+  return {
+    rooms: rooms.map(room => {
+      const sources = sourcesByRoom.get(String(room.roomId).trim().toUpperCase());
+      return sources && sources.length > 0 ? { ...room, calendarSources: sources.map(source => source.toObject()) } : room;
+    }),
+    removedSources: property.rooms
+      .filter(room => !roomIds.has(room.roomId))
+      .flatMap(room => room.calendarSources.map(source => source._id))
+  };
+};
+
 const updateProperty = async (req, res, next) => {
   try {
+    const update = { ...req.body };
+    let removedSources = [];
+
+    if (req.body.rooms) {
+      ({ rooms: update.rooms, removedSources } = await keepCalendarSources(req.params.id, req.body.rooms));
+    }
+
     const updated = await Property.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true, context: 'query' }
     ).populate('ownerId', 'name email');
 
     if (!updated)
       return res.status(404).json({ success: false, message: 'Property not found' });
 
+    // Dates imported for rooms that are gone no longer block anything
+    if (removedSources.length > 0) {
+      await AvailabilityBlock.deleteMany({ calendarSourceId: { $in: removedSources } });
+    }
+
     res.json({
       success: true,
       message: 'Property updated successfully',
@@ -201,6 +419,7 @@ const deleteProperty = async (req, res, next) => {
 module.exports = {
   getAllProperties,
   getPropertyById,
+  getPropertyAvailability,
   createProperty,
   updateProperty,
   deleteProperty
@@ -1,5 +1,21 @@
 const Reservation = require('../models/Reservation');
 const Property = require('../models/Property');
+const Vehicle = require('../models/Vehicle');
+const RoomNight = require('../models/RoomNight');
+const VehicleDay = require('../models/VehicleDay');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const { quoteRoomStay, quoteGroupStay, quoteVehicleRental, matchesQuote } = require('../services/pricing');
+const { exchangeRateFor, formatMoney } = require('../services/currency');
+const { chargesFor } = require('../services/charges');
+const { applyPromoCode, redeemPromoCode, releasePromoCode } = require('../services/promoCodes');
+const { previewCancellation, cancelReservation, cancelRoomLine } = require('../services/cancellation');
+const { holdExpiresAt } = require('../services/reservationLifecycle');
+const { settleCancellationPayment } = require('../services/payments');
+const { offerFreedRoom } = require('../services/waitlist');
+const { quoteDateChange, applyDateChange } = require('../services/dateChanges');
+const { stayRuleViolations } = require('../services/stayRules');
+const { toStayDate, localToday, hasReservationStarted } = require('../services/stayTimes');
+const { toDateKey } = require('../utils/dates');
 
 // GET all reservations with filters
 const getAllReservations = async (req, res, next) => {
@@ -7,7 +23,7 @@ const getAllReservations = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { status, startDate, endDate, propertyId, userId } = req.query;
+    const { status, startDate, endDate, propertyId, vehicleId, type, userId } = req.query;
 
     // Build filter object
     let filter = {};
@@ -24,6 +40,8 @@ const getAllReservations = async (req, res, next) => {
     
     // Apply other filters
     if (propertyId) filter.propertyId = propertyId;
+    if (vehicleId) filter.vehicleId = vehicleId;
+    if (type) filter.reservationType = type;
     if (status) filter.status = status;
     
     if (startDate) {
@@ -38,6 +56,7 @@ const getAllReservations = async (req, res, next) => {
     const reservations = await Reservation.find(filter)
       .populate('userId', 'name email')
       .populate('propertyId', 'name address.city address.country')
+      .populate('vehicleId', 'make model year type location')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -67,7 +86,9 @@ const getReservationById = async (req, res, next) => {
   try {
     const reservation = await Reservation.findById(req.params.id)
       .populate('userId', 'name email phone')
-      .populate('propertyId', 'name address rooms');
+      // Rooms without their calendar sources, which are private to the owner
+      .populate('propertyId', 'name address rooms.roomId rooms.type rooms.capacity rooms.pricePerNight rooms.images rooms.isAvailable')
+      .populate('vehicleId', 'make model year type seats pricePerDay location');
 
     if (!reservation) {
       return res.status(404).json({
@@ -98,6 +119,175 @@ const getReservationById = async (req, res, next) => {
   }
 };
 
+// Find an active property and a bookable room in it for the requested guests
+const findBookableRoom = async ({ propertyId, roomId, numGuests }) => {
+  // Verify property exists and is active
+  const property = await Property.findOne({
+    _id: propertyId,
+    isActive: true
+  });
+
+  if (!property) {
+    return { error: { status: 404, message: 'Property not found or not active' } };
+  }
+
+  const { room, error } = checkBookableRoom(property, roomId, numGuests);
+  if (error) {
+    return { error };
+  }
+
+  return { property, room };
+};
+
+// Check that a room of a property can be booked by the requested guests
+const checkBookableRoom = (property, roomId, numGuests) => {
+  // Verify room exists in property
+  const room = property.rooms.find(r => r.roomId === roomId);
+  if (!room) {
+    return { error: { status: 400, message: 'Room not found in this property' } };
+  }
+
+  // Verify room is available
+  if (!room.isAvailable) {
+    return { error: { status: 400, message: 'Room is not available for booking' } };
+  }
+
+  // Verify that the number of guests doesn't exceed capacity
+  if (numGuests > room.capacity) {
+    return { error: { status: 400, message: `Number of guests exceeds room capacity (max: ${room.capacity})` } };
+  }
+
+  return { room };
+};
+
+// Reject a stay that breaks the property's stay rules (minimum and maximum
+// nights, arrival days, booking window). Returns true when the response was sent.
+const rejectStayRuleViolations = (res, property, stay) => {
+  const violations = stayRuleViolations(property, stay);
+  if (violations.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    message: violations.join('; '),
+    errors: violations
+  });
+  return true;
+};
+
+// Reject confirming a reservation whose payment was not authorized; money is
+// only held or taken by the payment provider. Returns true when the response was sent.
+const rejectUnpaidConfirmation = (res, reservation, status) => {
+  if (status !== 'confirmed' || ['authorized', 'paid'].includes(reservation.paymentStatus)) return false;
+
+  res.status(402).json({
+    success: false,
+    message: 'Reservation needs an authorized payment before it can be confirmed'
+  });
+  return true;
+};
+
+// Reject ending one part of a trip on its own: the trip is booked (and
+// discounted) as one, so its parts are cancelled together through the trip.
+// Returns true when the response was sent.
+const rejectTripPartCancellation = (res, reservation, status) => {
+  if (!reservation.tripId || !['cancelled', 'expired'].includes(status)) return false;
+
+  res.status(409).json({
+    success: false,
+    message: 'A trip reservation cannot be cancelled on its own, cancel the trip instead'
+  });
+  return true;
+};
+
+// Reject marking a no-show before the reservation starts: it is only known
+// once the guest did not arrive. Returns true when the response was sent.
+const rejectEarlyNoShow = async (res, reservation, status) => {
+  if (status !== 'no_show' || await hasReservationStarted(reservation)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Cannot mark a no-show before the reservation starts'
+  });
+  return true;
+};
+
+// Move a reservation to another status. Cancellations go through the
+// cancellation policy; a no-show or an expired hold frees the rest of the
+// stay (or rental) as the lifecycle jobs do, and an expired hold gives back
+// its payment and promo code. Returns null when the status changed meanwhile.
+const changeReservationStatus = async (reservation, status, { actor, reason }) => {
+  if (status === 'cancelled') {
+    return cancelReservation(reservation, { actor, reason });
+  }
+
+  const updated = await Reservation.transition(reservation._id, 'status', reservation.status, status, { actor, reason });
+  if (!updated) return null;
+
+  if (['no_show', 'expired'].includes(status)) {
+    await RoomNight.release(updated._id);
+    await VehicleDay.release(updated._id);
+    await offerFreedRoom(updated);
+  }
+
+  if (status === 'expired') {
+    await settleCancellationPayment(updated, { refundAmount: 0, actor, reason });
+    await releasePromoCode(updated);
+  }
+
+  return updated;
+};
+
+// Whether the user hosts the reservation: owns its property, or provides its vehicle
+const isReservationHost = async (user, reservation) => {
+  let hostId;
+
+  if (reservation.vehicleId) {
+    const vehicle = await Vehicle.findById(reservation.vehicleId).select('providerId');
+    hostId = vehicle && vehicle.providerId;
+  } else {
+    const property = await Property.findById(reservation.propertyId).select('ownerId');
+    hostId = property && property.ownerId;
+  }
+
+  return Boolean(hostId) && hostId.toString() === user._id.toString();
+};
+
+// POST price quote for a room stay
+const quoteReservation = async (req, res, next) => {
+  try {
+    const { propertyId, roomId, startDate, endDate, numGuests } = req.body;
+
+    const { property, room, error: lookupError } = await findBookableRoom({ propertyId, roomId, numGuests });
+
+    if (lookupError) {
+      return res.status(lookupError.status).json({
+        success: false,
+        message: lookupError.message
+      });
+    }
+
+    const stay = { startDate: toStayDate(property, startDate), endDate: toStayDate(property, endDate) };
+    if (rejectStayRuleViolations(res, property, stay)) return;
+
+    const [exchangeRate, charges] = await Promise.all([
+      exchangeRateFor(property, req.query.currency),
+      chargesFor(property)
+    ]);
+    const { quote } = await applyPromoCode(
+      req.body.promoCode,
+      quoteRoomStay({ property, room, ...stay, numGuests, charges, exchangeRate }),
+      { property }
+    );
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // POST create reservation
 const createReservation = async (req, res, next) => {
   try {
@@ -110,34 +300,176 @@ const createReservation = async (req, res, next) => {
     }
 
     // Create reservation data with authenticated user's ID
+    const { promoCode, ...body } = req.body;
     const reservationData = {
-      ...req.body,
+      ...body,
       userId: req.user._id,  // Always use authenticated user
-      status: 'pending'      // Default status
+      status: 'pending',     // Default status
+      holdExpiresAt: holdExpiresAt() // Expires unless confirmed in time
     };
 
     // Validate dates
-    const startDate = new Date(reservationData.startDate);
-    const endDate = new Date(reservationData.endDate);
-    
-    if (startDate >= endDate) {
+    if (new Date(reservationData.startDate) >= new Date(reservationData.endDate)) {
       return res.status(400).json({
         success: false,
         message: 'End date must be after start date'
       });
     }
 
-    if (startDate < new Date()) {
+    // Verify property, room and capacity
+    const { property, room, error: lookupError } = await findBookableRoom(reservationData);
+
+    if (lookupError) {
+      return res.status(lookupError.status).json({
+        success: false,
+        message: lookupError.message
+      });
+    }
+
+    // Dates of the stay in the property's time zone; past check-ins are
+    // rejected with the stay rules
+    const startDate = toStayDate(property, reservationData.startDate);
+    const endDate = toStayDate(property, reservationData.endDate);
+    Object.assign(reservationData, { startDate, endDate });
+
+    if (rejectStayRuleViolations(res, property, { startDate, endDate })) return;
+
+    // Check for date conflicts
+    const conflictingReservation = await Reservation.findConflict({
+      propertyId: reservationData.propertyId,
+      roomId: reservationData.roomId,
+      startDate,
+      endDate
+    });
+
+    if (conflictingReservation) {
+      return res.status(409).json({
+        success: false,
+        message: conflictingReservation instanceof AvailabilityBlock
+          ? 'Room is not available for the selected dates'
+          : 'Room is already reserved for the selected dates',
+        conflictingDates: {
+          start: conflictingReservation.startDate,
+          end: conflictingReservation.endDate
+        }
+      });
+    }
+
+    // Price the stay on the server, in the currency asked for; a client
+    // supplied total must match it
+    const [exchangeRate, charges] = await Promise.all([
+      exchangeRateFor(property, req.query.currency),
+      chargesFor(property)
+    ]);
+    const { quote, promotion } = await applyPromoCode(promoCode, quoteRoomStay({
+      property,
+      room,
+      startDate,
+      endDate,
+      numGuests: reservationData.numGuests,
+      charges,
+      exchangeRate
+    }), { property });
+
+    if (reservationData.totalAmount !== undefined && !matchesQuote(quote, reservationData.totalAmount)) {
+      return res.status(400).json({
+        success: false,
+        message: `Total amount does not match expected price (${formatMoney(quote.total, quote.currency)} for ${quote.nights} nights)`
+      });
+    }
+
+    reservationData.totalAmount = quote.total;
+    reservationData.currency = quote.currency;
+    reservationData.exchangeRate = quote.exchangeRate;
+    reservationData.promotion = promotion;
+    reservationData.priceBreakdown = {
+      nights: quote.nights,
+      nightlyRate: quote.nightlyRate,
+      nightlyRates: quote.nightlyRates,
+      subtotal: quote.subtotal,
+      fees: quote.fees,
+      feesTotal: quote.feesTotal,
+      taxes: quote.taxes,
+      taxesTotal: quote.taxesTotal,
+      discounts: quote.discounts,
+      discountsTotal: quote.discountsTotal,
+      total: quote.total
+    };
+
+    // Claim the room nights atomically; loses to a concurrent booking of the same nights
+    const reservation = new Reservation(reservationData);
+    const claimed = await RoomNight.claim({
+      reservationId: reservation._id,
+      propertyId: property._id,
+      roomId: room.roomId,
+      startDate,
+      endDate
+    });
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Room is already reserved for the selected dates'
+      });
+    }
+
+    // Count the promo code; the room goes back when it is out
+    if (promotion) {
+      try {
+        await redeemPromoCode(promotion, req.user._id);
+      } catch (error) {
+        await RoomNight.release(reservation._id);
+        throw error;
+      }
+    }
+
+    // Create reservation
+    let savedReservation;
+    try {
+      savedReservation = await reservation.save();
+    } catch (error) {
+      await RoomNight.release(reservation._id);
+      await releasePromoCode(reservation);
+      throw error;
+    }
+
+    // Populate references for response
+    await savedReservation.populate('userId', 'name email');
+    await savedReservation.populate('propertyId', 'name address.city address.country');
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservation created successfully',
+      data: {
+        ...savedReservation.toObject(),
+        durationDays: quote.nights,
+        roomDetails: {
+          type: room.type,
+          capacity: room.capacity,
+          pricePerNight: room.pricePerNight
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST create group reservation (several rooms of one property, booked as a whole)
+const createGroupReservation = async (req, res, next) => {
+  try {
+    const { propertyId, rooms, totalAmount, specialRequests, promoCode } = req.body;
+
+    if (new Date(req.body.startDate) >= new Date(req.body.endDate)) {
       return res.status(400).json({
         success: false,
-        message: 'Start date cannot be in the past'
+        message: 'End date must be after start date'
       });
     }
 
-    // Verify property exists and is active
-    const property = await Property.findOne({ 
-      _id: reservationData.propertyId,
-      isActive: true 
+    const property = await Property.findOne({
+      _id: propertyId,
+      isActive: true
     });
 
     if (!property) {
@@ -147,56 +479,205 @@ const createReservation = async (req, res, next) => {
       });
     }
 
-    // Verify room exists in property
-    const room = property.rooms.find(r => r.roomId === reservationData.roomId);
-    if (!room) {
+    const startDate = toStayDate(property, req.body.startDate);
+    const endDate = toStayDate(property, req.body.endDate);
+
+    if (rejectStayRuleViolations(res, property, { startDate, endDate })) return;
+
+    // Every room must be bookable; the group is rejected as a whole otherwise
+    const lines = [];
+    for (const { roomId, numGuests } of rooms) {
+      const { room, error: lookupError } = checkBookableRoom(property, roomId, numGuests);
+
+      if (lookupError) {
+        return res.status(lookupError.status).json({
+          success: false,
+          message: `${lookupError.message} (room ${roomId})`
+        });
+      }
+
+      lines.push({ room, numGuests });
+    }
+
+    const conflictingRooms = [];
+    for (const { room } of lines) {
+      const conflictingReservation = await Reservation.findConflict({
+        propertyId: property._id,
+        roomId: room.roomId,
+        startDate,
+        endDate
+      });
+
+      if (conflictingReservation) {
+        conflictingRooms.push(room.roomId);
+      }
+    }
+
+    if (conflictingRooms.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some rooms are already reserved for the selected dates',
+        conflictingRooms
+      });
+    }
+
+    // Price the whole group on the server; a client supplied total must match it
+    const [exchangeRate, charges] = await Promise.all([
+      exchangeRateFor(property, req.query.currency),
+      chargesFor(property)
+    ]);
+    const { quote, promotion } = await applyPromoCode(
+      promoCode,
+      quoteGroupStay({ property, rooms: lines, startDate, endDate, charges, exchangeRate }),
+      { property }
+    );
+
+    if (totalAmount !== undefined && !matchesQuote(quote, totalAmount)) {
+      return res.status(400).json({
+        success: false,
+        message: `Total amount does not match expected price (${formatMoney(quote.total, quote.currency)} for ${quote.nights} nights)`
+      });
+    }
+
+    const reservation = new Reservation({
+      reservationType: 'group',
+      userId: req.user._id,
+      propertyId: property._id,
+      startDate,
+      endDate,
+      numGuests: quote.numGuests,
+      totalAmount: quote.total,
+      currency: quote.currency,
+      exchangeRate: quote.exchangeRate,
+      promotion,
+      priceBreakdown: {
+        nights: quote.nights,
+        subtotal: quote.subtotal,
+        fees: quote.fees,
+        feesTotal: quote.feesTotal,
+        taxes: quote.taxes,
+        taxesTotal: quote.taxesTotal,
+        discounts: quote.discounts,
+        discountsTotal: quote.discountsTotal,
+        total: quote.total
+      },
+      roomLines: quote.lines,
+      specialRequests,
+      status: 'pending',
+      holdExpiresAt: holdExpiresAt()
+    });
+
+    // Claim the nights of every room; losing any room gives all of them back
+    for (const { room } of lines) {
+      const claimed = await RoomNight.claim({
+        reservationId: reservation._id,
+        propertyId: property._id,
+        roomId: room.roomId,
+        startDate,
+        endDate
+      });
+
+      if (!claimed) {
+        await RoomNight.release(reservation._id);
+        return res.status(409).json({
+          success: false,
+          message: 'Some rooms are already reserved for the selected dates',
+          conflictingRooms: [room.roomId]
+        });
+      }
+    }
+
+    if (promotion) {
+      try {
+        await redeemPromoCode(promotion, req.user._id);
+      } catch (error) {
+        await RoomNight.release(reservation._id);
+        throw error;
+      }
+    }
+
+    let savedReservation;
+    try {
+      savedReservation = await reservation.save();
+    } catch (error) {
+      await RoomNight.release(reservation._id);
+      await releasePromoCode(reservation);
+      throw error;
+    }
+
+    await savedReservation.populate('userId', 'name email');
+    await savedReservation.populate('propertyId', 'name address.city address.country');
+
+    res.status(201).json({
+      success: true,
+      message: 'Group reservation created successfully',
+      data: {
+        ...savedReservation.toObject(),
+        durationDays: quote.nights
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST create vehicle rental reservation
+const createVehicleReservation = async (req, res, next) => {
+  try {
+    const startDate = new Date(req.body.startDate);
+    const endDate = new Date(req.body.endDate);
+
+    if (startDate >= endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return date must be after pickup date'
+      });
+    }
+
+    if (startDate < new Date()) {
       return res.status(400).json({
         success: false,
-        message: 'Room not found in this property'
+        message: 'Pickup date cannot be in the past'
       });
     }
 
-    // Verify room is available
-    if (!room.isAvailable) {
+    const vehicle = await Vehicle.findById(req.body.vehicleId);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (!vehicle.isAvailable) {
       return res.status(400).json({
         success: false,
-        message: 'Room is not available for booking'
+        message: 'Vehicle is not available for booking'
       });
     }
 
-    // Verify that the number of guests doesn't exceed capacity
-    if (reservationData.numGuests > room.capacity) {
+    const numGuests = req.body.numGuests || 1;
+    if (numGuests > vehicle.seats) {
       return res.status(400).json({
         success: false,
-        message: `Number of guests exceeds room capacity (max: ${room.capacity})`
+        message: `Number of passengers exceeds vehicle seats (max: ${vehicle.seats})`
       });
     }
 
     // Check for date conflicts
-    const conflictingReservation = await Reservation.findOne({
-      propertyId: reservationData.propertyId,
-      roomId: reservationData.roomId,
-      status: { $in: ['confirmed', 'pending'] }, // Only check confirmed and pending reservations
-      $or: [
-        {
-          // New reservation starts during existing reservation
-          startDate: { $lt: endDate },
-          endDate: { $gt: startDate }
-        },
-        {
-          // Existing reservation starts during new reservation
-          $and: [
-            { startDate: { $gte: startDate } },
-            { startDate: { $lt: endDate } }
-          ]
-        }
-      ]
+    const conflictingReservation = await Reservation.findConflict({
+      vehicleId: vehicle._id,
+      startDate,
+      endDate
     });
 
     if (conflictingReservation) {
       return res.status(409).json({
         success: false,
-        message: 'Room is already reserved for the selected dates',
+        message: conflictingReservation instanceof AvailabilityBlock
+          ? 'Vehicle is not available for the selected dates'
+          : 'Vehicle is already reserved for the selected dates',
         conflictingDates: {
           start: conflictingReservation.startDate,
           end: conflictingReservation.endDate
@@ -204,40 +685,96 @@ const createReservation = async (req, res, next) => {
       });
     }
 
-    // Calculate duration and validate price
-    const durationMs = endDate - startDate;
-    const durationDays = Math.ceil(durationMs / (1000 * 60 * 60 * 24));
-    
-    // Validate total amount matches expected price
-    const expectedAmount = room.pricePerNight * durationDays;
-    const providedAmount = reservationData.totalAmount;
-    
-    // Allow small rounding differences
-    if (Math.abs(expectedAmount - providedAmount) > 0.01) {
+    // Price the rental on the server; a client supplied total must match it
+    const exchangeRate = await exchangeRateFor(vehicle, req.query.currency);
+    const { quote, promotion } = await applyPromoCode(
+      req.body.promoCode,
+      quoteVehicleRental({ vehicle, startDate, endDate, exchangeRate }),
+      { vehicle }
+    );
+
+    if (req.body.totalAmount !== undefined && !matchesQuote(quote, req.body.totalAmount)) {
       return res.status(400).json({
         success: false,
-        message: `Total amount does not match expected price ($${expectedAmount.toFixed(2)} for ${durationDays} nights)`
+        message: `Total amount does not match expected price (${formatMoney(quote.total, quote.currency)} for ${quote.rentalDays} days)`
       });
     }
 
-    // Create reservation
-    const reservation = new Reservation(reservationData);
-    const savedReservation = await reservation.save();
+    const reservation = new Reservation({
+      reservationType: 'vehicle',
+      userId: req.user._id,
+      vehicleId: vehicle._id,
+      startDate,
+      endDate,
+      numGuests,
+      totalAmount: quote.total,
+      currency: quote.currency,
+      exchangeRate: quote.exchangeRate,
+      promotion,
+      priceBreakdown: {
+        rentalDays: quote.rentalDays,
+        dailyRate: quote.dailyRate,
+        subtotal: quote.subtotal,
+        fees: quote.fees,
+        feesTotal: quote.feesTotal,
+        taxes: quote.taxes,
+        taxesTotal: quote.taxesTotal,
+        discounts: quote.discounts,
+        discountsTotal: quote.discountsTotal,
+        total: quote.total
+      },
+      specialRequests: req.body.specialRequests,
+      status: 'pending',
+      holdExpiresAt: holdExpiresAt()
+    });
+
+    // Claim the rental days atomically; loses to a concurrent rental of the same days
+    const claimed = await VehicleDay.claim({
+      reservationId: reservation._id,
+      vehicleId: vehicle._id,
+      startDate,
+      endDate
+    });
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Vehicle is already reserved for the selected dates'
+      });
+    }
+
+    // Count the promo code; the vehicle goes back when it is out
+    if (promotion) {
+      try {
+        await redeemPromoCode(promotion, req.user._id);
+      } catch (error) {
+        await VehicleDay.release(reservation._id);
+        throw error;
+      }
+    }
+
+    let savedReservation;
+    try {
+      savedReservation = await reservation.save();
+    } catch (error) {
+      await VehicleDay.release(reservation._id);
+      await releasePromoCode(reservation);
+      throw error;
+    }
 
-    // Populate references for response
     await savedReservation.populate('userId', 'name email');
-    await savedReservation.populate('propertyId', 'name address.city address.country');
+    await savedReservation.populate('vehicleId', 'make model year type location');
 
     res.status(201).json({
       success: true,
-      message: 'Reservation created successfully',
+      message: 'Vehicle reservation created successfully',
       data: {
         ...savedReservation.toObject(),
-        durationDays,
-        roomDetails: {
-          type: room.type,
-          capacity: room.capacity,
-          pricePerNight: room.pricePerNight
+        rentalDays: quote.rentalDays,
+        vehicleDetails: {
+          displayName: vehicle.displayName,
+          seats: vehicle.seats,
+          pricePerDay: vehicle.pricePerDay
         }
       }
     });
@@ -250,8 +787,7 @@ const createReservation = async (req, res, next) => {
 const updateReservation = async (req, res, next) => {
   try {
     // Get reservation
-    const reservation = await Reservation.findById(req.params.id)
-      .populate('propertyId', 'rooms');
+    let reservation = await Reservation.findById(req.params.id);
 
     if (!reservation) {
       return res.status(404).json({
@@ -270,7 +806,23 @@ const updateReservation = async (req, res, next) => {
     }
 
     // Prepare updates
-    const updates = { ...req.body };
+    const { reason, ...updates } = req.body;
+
+    // Status changes must follow the allowed transitions
+    const ignored = req.user.role !== 'admin' && updates.status !== 'cancelled';
+
+    if (updates.status !== undefined && updates.status !== reservation.status && !ignored) {
+      if (!Reservation.canTransition('status', reservation.status, updates.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot change reservation status from ${reservation.status} to ${updates.status}`
+        });
+      }
+
+      if (rejectUnpaidConfirmation(res, reservation, updates.status)) return;
+      if (rejectTripPartCancellation(res, reservation, updates.status)) return;
+      if (await rejectEarlyNoShow(res, reservation, updates.status)) return;
+    }
 
     // If not admin, restrict what can be updated
     if (req.user.role !== 'admin') {
@@ -290,17 +842,34 @@ const updateReservation = async (req, res, next) => {
       }
       
       if (updates.numGuests !== undefined) {
-        // Check room capacity if changing numGuests
-        const property = await Property.findById(reservation.propertyId);
-        const room = property.rooms.find(r => r.roomId === reservation.roomId);
-        
-        if (updates.numGuests > room.capacity) {
+        if (reservation.reservationType === 'group') {
           return res.status(400).json({
             success: false,
-            message: `Number of guests exceeds room capacity (max: ${room.capacity})`
+            message: 'Guests of a group reservation are set per room'
           });
+        } else if (reservation.reservationType === 'vehicle') {
+          // Check vehicle seats if changing numGuests on a rental
+          const vehicle = await Vehicle.findById(reservation.vehicleId);
+
+          if (updates.numGuests > vehicle.seats) {
+            return res.status(400).json({
+              success: false,
+              message: `Number of passengers exceeds vehicle seats (max: ${vehicle.seats})`
+            });
+          }
+        } else {
+          // Check room capacity if changing numGuests
+          const property = await Property.findById(reservation.propertyId);
+          const room = property.rooms.find(r => r.roomId === reservation.roomId);
+
+          if (updates.numGuests > room.capacity) {
+            return res.status(400).json({
+              success: false,
+              message: `Number of guests exceeds room capacity (max: ${room.capacity})`
+            });
+          }
         }
-        
+
         allowedUpdates.numGuests = updates.numGuests;
       }
       
@@ -311,54 +880,68 @@ const updateReservation = async (req, res, next) => {
         }
       });
     } else {
-      // Admin can update everything except userId, propertyId, roomId
+      // Admin can update everything except userId and the booked room or vehicle
       delete updates.userId;
       delete updates.propertyId;
       delete updates.roomId;
-      
-      // If admin is changing dates, check for conflicts
-      if (updates.startDate || updates.endDate) {
-        const newStartDate = updates.startDate ? new Date(updates.startDate) : reservation.startDate;
-        const newEndDate = updates.endDate ? new Date(updates.endDate) : reservation.endDate;
-        
-        if (newStartDate >= newEndDate) {
-          return res.status(400).json({
-            success: false,
-            message: 'End date must be after start date'
-          });
-        }
-        
-        // Check for conflicts (excluding current reservation)
-        const conflictingReservation = await Reservation.findOne({
-          _id: { $ne: reservation._id },
-          propertyId: reservation.propertyId,
-          roomId: reservation.roomId,
-          status: { $in: ['confirmed', 'pending'] },
-          $or: [
-            {
-              startDate: { $lt: newEndDate },
-              endDate: { $gt: newStartDate }
-            }
-          ]
+      delete updates.vehicleId;
+      delete updates.reservationType;
+      delete updates.startDate;
+      delete updates.endDate;
+
+      // Date changes are repriced and recorded like the guest's own; a
+      // missing date keeps the current one
+      if (req.body.startDate || req.body.endDate) {
+        const currentDate = date => (
+          reservation.reservationType === 'vehicle' ? date : toDateKey(date)
+        );
+
+        const movedReservation = await applyDateChange(reservation, {
+          startDate: req.body.startDate || currentDate(reservation.startDate),
+          endDate: req.body.endDate || currentDate(reservation.endDate),
+          actor: req.user._id
         });
 
-        if (conflictingReservation) {
+        if (!movedReservation) {
           return res.status(409).json({
             success: false,
-            message: 'Room is already reserved for the selected dates'
+            message: 'Reservation was changed by another request, please retry'
           });
         }
+
+        reservation = movedReservation;
       }
     }
 
-    // Update reservation
-    const updatedReservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
+    // Status changes go through the same transition as PATCH /status once
+    // the other changes are saved
+    const status = updates.status !== reservation.status ? updates.status : undefined;
+    delete updates.status;
+
+    // Update reservation; the update only applies if the status was not
+    // changed by someone else in the meantime
+    let updatedReservation = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: reservation.status },
       updates,
       { new: true, runValidators: true }
-    )
-    .populate('userId', 'name email')
-    .populate('propertyId', 'name address.city');
+    );
+
+    if (updatedReservation && status !== undefined) {
+      updatedReservation = await changeReservationStatus(updatedReservation, status, { actor: req.user._id, reason });
+    }
+
+    if (!updatedReservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reservation status was changed by another request, please retry'
+      });
+    }
+
+    await updatedReservation.populate([
+      { path: 'userId', select: 'name email' },
+      { path: 'propertyId', select: 'name address.city' },
+      { path: 'vehicleId', select: 'make model year' }
+    ]);
 
     res.json({
       success: true,
@@ -402,7 +985,7 @@ const deleteReservation = async (req, res, next) => {
       }
       
       // Non-admin can only delete reservations that haven't started yet
-      if (reservation.startDate <= new Date()) {
+      if (await hasReservationStarted(reservation)) {
         return res.status(403).json({
           success: false,
           message: 'Cannot delete reservation that has already started'
@@ -410,7 +993,32 @@ const deleteReservation = async (req, res, next) => {
       }
     }
 
+    // A trip keeps both of its parts; the trip is cancelled instead
+    if (reservation.tripId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A trip reservation cannot be deleted on its own, cancel the trip instead'
+      });
+    }
+
+    // Money held or taken for the reservation goes back to the guest first:
+    // the payment events update the reservation
+    await settleCancellationPayment(reservation, {
+      refundAmount: reservation.totalAmount,
+      actor: req.user._id,
+      reason: 'Reservation deleted'
+    });
+
     await Reservation.findByIdAndDelete(req.params.id);
+    await RoomNight.release(reservation._id);
+    await VehicleDay.release(reservation._id);
+
+    // The freed room goes to the next guest on the waitlist, and the promo
+    // code can be used again (cancelled and expired reservations gave it back)
+    if (['pending', 'confirmed'].includes(reservation.status)) {
+      await offerFreedRoom(reservation);
+      await releasePromoCode(reservation);
+    }
 
     res.json({
       success: true,
@@ -419,6 +1027,7 @@ const deleteReservation = async (req, res, next) => {
         id: reservation._id,
         propertyId: reservation.propertyId,
         roomId: reservation.roomId,
+        vehicleId: reservation.vehicleId,
         status: reservation.status,
         startDate: reservation.startDate,
         endDate: reservation.endDate
@@ -442,6 +1051,7 @@ const getMyReservations = async (req, res, next) => {
 
     const reservations = await Reservation.find(filter)
       .populate('propertyId', 'name address.city address.country')
+      .populate('vehicleId', 'make model year type location')
       .sort({ startDate: 1 })
       .skip(skip)
       .limit(limit);
@@ -483,8 +1093,8 @@ const getMyReservations = async (req, res, next) => {
 // PATCH update reservation status
 const updateReservationStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
+    const { status, reason } = req.body;
+    const validStatuses = Object.keys(Reservation.STATUS_TRANSITIONS.status);
     
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
@@ -502,8 +1112,18 @@ const updateReservationStatus = async (req, res, next) => {
       });
     }
 
-    // Only admin can change status (except user cancelling their own)
-    if (req.user.role !== 'admin') {
+    if (await rejectEarlyNoShow(res, reservation, status)) return;
+
+    // Only admin can change status (except user cancelling their own, and
+    // the host marking a no-show)
+    if (req.user.role !== 'admin' && status === 'no_show') {
+      if (!(await isReservationHost(req.user, reservation))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the host or an administrator can mark a no-show'
+        });
+      }
+    } else if (req.user.role !== 'admin') {
       if (status !== 'cancelled') {
         return res.status(403).json({
           success: false,
@@ -520,7 +1140,7 @@ const updateReservationStatus = async (req, res, next) => {
       }
       
       // User can only cancel if it hasn't started yet
-      if (reservation.startDate <= new Date()) {
+      if (await hasReservationStarted(reservation)) {
         return res.status(400).json({
           success: false,
           message: 'Cannot cancel reservation that has already started'
@@ -528,11 +1148,26 @@ const updateReservationStatus = async (req, res, next) => {
       }
     }
 
-    const updatedReservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate('userId', 'name email');
+    if (!Reservation.canTransition('status', reservation.status, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change reservation status from ${reservation.status} to ${status}`
+      });
+    }
+
+    if (rejectUnpaidConfirmation(res, reservation, status)) return;
+    if (rejectTripPartCancellation(res, reservation, status)) return;
+
+    const updatedReservation = await changeReservationStatus(reservation, status, { actor: req.user._id, reason });
+
+    if (!updatedReservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reservation status was changed by another request, please retry'
+      });
+    }
+
+    await updatedReservation.populate('userId', 'name email');
 
     res.json({
       success: true,
@@ -544,12 +1179,308 @@ const updateReservationStatus = async (req, res, next) => {
   }
 };
 
+// PATCH cancel one room of a group reservation
+const cancelReservationRoom = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    if (reservation.reservationType !== 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only group reservations can cancel single rooms'
+      });
+    }
+
+    // Same rules as cancelling the whole reservation
+    if (req.user.role !== 'admin') {
+      if (reservation.userId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this reservation'
+        });
+      }
+
+      if (await hasReservationStarted(reservation)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot cancel reservation that has already started'
+        });
+      }
+    }
+
+    const updatedReservation = await cancelRoomLine(reservation, req.params.roomId, {
+      actor: req.user._id,
+      reason: req.body.reason
+    });
+
+    if (!updatedReservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reservation was changed by another request, please retry'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: updatedReservation.status === 'cancelled'
+        ? 'Last room cancelled, reservation cancelled'
+        : `Room ${req.params.roomId} cancelled`,
+      data: updatedReservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a reservation the user may move to other dates; sends the error response otherwise
+const findMovableReservation = async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id);
+
+  if (!reservation) {
+    res.status(404).json({
+      success: false,
+      message: 'Reservation not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    if (reservation.userId.toString() !== req.user._id.toString()) {
+      res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this reservation'
+      });
+      return null;
+    }
+
+    // Guests can only move stays that have not started
+    if (await hasReservationStarted(reservation)) {
+      res.status(400).json({
+        success: false,
+        message: 'Cannot change reservation that has already started'
+      });
+      return null;
+    }
+  }
+
+  return reservation;
+};
+
+// POST quote moving a reservation to new dates
+const quoteReservationDateChange = async (req, res, next) => {
+  try {
+    const reservation = await findMovableReservation(req, res);
+    if (!reservation) return;
+
+    const quote = await quoteDateChange(reservation, req.body);
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PATCH move a reservation to new dates at the new price
+const changeReservationDates = async (req, res, next) => {
+  try {
+    const reservation = await findMovableReservation(req, res);
+    if (!reservation) return;
+
+    const updatedReservation = await applyDateChange(reservation, {
+      ...req.body,
+      actor: req.user._id
+    });
+
+    if (!updatedReservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reservation was changed by another request, please retry'
+      });
+    }
+
+    const [dateChange] = updatedReservation.dateChanges.slice(-1);
+
+    res.json({
+      success: true,
+      message: dateChange.settlement === 'charge'
+        ? `Dates changed, extra charge of ${formatMoney(dateChange.difference, updatedReservation.currency)}`
+        : dateChange.settlement === 'refund'
+          ? `Dates changed, refund of ${formatMoney(-dateChange.difference, updatedReservation.currency)}`
+          : 'Dates changed, no price difference',
+      data: updatedReservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PATCH check in a guest (or vehicle pick-up)
+const checkInReservation = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !(await isReservationHost(req.user, reservation))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host or an administrator can check in this reservation'
+      });
+    }
+
+    if (reservation.status !== 'confirmed') {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot check in a ${reservation.status} reservation`
+      });
+    }
+
+    if (reservation.checkedInAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reservation is already checked in'
+      });
+    }
+
+    // Check-in opens on the start date, in the property's time zone for stays
+    const property = reservation.propertyId && await Property.findById(reservation.propertyId).select('timezone');
+    if (localToday(property) < toDateKey(reservation.startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot check in before the start date'
+      });
+    }
+
+    const updatedReservation = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'confirmed', checkedInAt: null },
+      { checkedInAt: new Date() },
+      { new: true }
+    );
+
+    if (!updatedReservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reservation status was changed by another request, please retry'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reservation checked in',
+      data: updatedReservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET cancellation preview (refund if the reservation were cancelled now)
+const getCancellationPreview = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    // Check authorization
+    if (req.user.role !== 'admin' &&
+        reservation.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this reservation'
+      });
+    }
+
+    // A group reservation can be previewed for a single room
+    const { roomId } = req.query;
+    if (roomId && !(reservation.roomLines || []).some(line => line.roomId === roomId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found in this reservation'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await previewCancellation(reservation, new Date(), { roomId })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET status history of a reservation
+const getReservationHistory = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id)
+      .select('userId status paymentStatus history')
+      .populate('history.actor', 'name email role');
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    // Check authorization
+    if (req.user.role !== 'admin' &&
+        reservation.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this reservation'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: reservation.history.length,
+      data: {
+        reservationId: reservation._id,
+        status: reservation.status,
+        paymentStatus: reservation.paymentStatus,
+        history: reservation.history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllReservations,
   getReservationById,
+  quoteReservation,
   createReservation,
+  createGroupReservation,
+  createVehicleReservation,
   updateReservation,
   deleteReservation,
   getMyReservations,
-  updateReservationStatus
+  updateReservationStatus,
+  cancelReservationRoom,
+  quoteReservationDateChange,
+  changeReservationDates,
+  checkInReservation,
+  getCancellationPreview,
+  getReservationHistory
 };
\ No newline at end of file
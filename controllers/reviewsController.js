@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Property = require('../models/Property');
+const Vehicle = require('../models/Vehicle');
+const Reservation = require('../models/Reservation');
+const { summarizeReviews, refreshPropertyRating, refreshRentalRatings } = require('../services/reviews');
+
+const findActiveProperty = async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property || !property.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+    return null;
+  }
+
+  return property;
+};
+
+const findVehicle = async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id);
+
+  if (!vehicle) {
+    res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+    return null;
+  }
+
+  return vehicle;
+};
+
+// Reservation of req.body the user can review: theirs, of the reviewed
+// property or vehicle (`belongs`), and completed
+const findReviewableReservation = async (req, res, { belongs, subject, booking }) => {
+  const reservation = await Reservation.findById(req.body.reservationId);
+
+  if (!reservation || !belongs(reservation)) {
+    res.status(404).json({
+      success: false,
+      message: `Reservation not found for this ${subject}`
+    });
+    return null;
+  }
+
+  if (reservation.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: `Only the guest who booked the ${booking} can review it`
+    });
+    return null;
+  }
+
+  if (reservation.status !== 'completed') {
+    res.status(400).json({
+      success: false,
+      message: `Only completed ${booking}s can be reviewed; this reservation is ${reservation.status}`
+    });
+    return null;
+  }
+
+  return reservation;
+};
+
+// Save a review; a reservation already reviewed is answered with 409
+const saveReview = async (res, fields, booking) => {
+  try {
+    return await Review.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({
+        success: false,
+        message: `This ${booking} has already been reviewed`
+      });
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Page of reviews matching `filter`, newest first, with their average scores
+const sendReviews = async (req, res, filter, summaryOptions) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const [reviews, summary] = await Promise.all([
+    Review.find(filter)
+      .populate('userId', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    summarizeReviews(filter, summaryOptions)
+  ]);
+
+  res.json({
+    success: true,
+    count: reviews.length,
+    pagination: {
+      page,
+      pages: Math.ceil(summary.reviewCount / limit),
+      total: summary.reviewCount
+    },
+    summary,
+    data: reviews
+  });
+};
+
+// Store the reply of the host or provider (`ownerId`) to a review matching `filter`
+const sendReply = async (req, res, { ownerId, filter, subject }) => {
+  if (req.user.role !== 'admin' && ownerId.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: `Only the ${subject === 'property' ? 'host' : 'provider'} can reply to the reviews of this ${subject}`
+    });
+  }
+
+  const review = mongoose.Types.ObjectId.isValid(req.params.reviewId)
+    ? await Review.findOne({ _id: req.params.reviewId, ...filter })
+    : null;
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  review.reply = { text: req.body.text, repliedBy: req.user._id, repliedAt: new Date() };
+  await review.save();
+  await review.populate('userId', 'name');
+
+  res.json({
+    success: true,
+    message: 'Reply saved successfully',
+    data: review
+  });
+};
+
+// GET reviews of a property, newest first, with its average scores
+const getPropertyReviews = async (req, res, next) => {
+  try {
+    const property = await findActiveProperty(req, res);
+    if (!property) return;
+
+    await sendReviews(req, res, { propertyId: property._id });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST review a completed stay at the property (once per reservation, by its guest)
+const createPropertyReview = async (req, res, next) => {
+  try {
+    const property = await findActiveProperty(req, res);
+    if (!property) return;
+
+    const reservation = await findReviewableReservation(req, res, {
+      belongs: reservation => property._id.equals(reservation.propertyId),
+      subject: 'property',
+      booking: 'stay'
+    });
+    if (!reservation) return;
+
+    const review = await saveReview(res, {
+      kind: 'stay',
+      reservationId: reservation._id,
+      propertyId: property._id,
+      userId: req.user._id,
+      scores: req.body.scores,
+      comment: req.body.comment
+    }, 'stay');
+    if (!review) return;
+
+    const { rating, reviewCount } = await refreshPropertyRating(property._id);
+    await review.populate('userId', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review,
+      property: { rating, reviewCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT host's reply to a review of their property (replaces an earlier reply)
+const replyToReview = async (req, res, next) => {
+  try {
+    const property = await findActiveProperty(req, res);
+    if (!property) return;
+
+    await sendReply(req, res, {
+      ownerId: property.ownerId,
+      filter: { propertyId: property._id },
+      subject: 'property'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET reviews of a vehicle, newest first, with its average scores
+const getVehicleReviews = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+
+    await sendReviews(req, res, { kind: 'rental', vehicleId: vehicle._id }, { kind: 'rental' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST review a completed rental: the car and, apart, its provider
+const createVehicleReview = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+
+    const reservation = await findReviewableReservation(req, res, {
+      belongs: reservation => vehicle._id.equals(reservation.vehicleId),
+      subject: 'vehicle',
+      booking: 'rental'
+    });
+    if (!reservation) return;
+
+    const review = await saveReview(res, {
+      kind: 'rental',
+      reservationId: reservation._id,
+      vehicleId: vehicle._id,
+      providerId: vehicle.providerId,
+      userId: req.user._id,
+      scores: req.body.scores,
+      providerScores: req.body.providerScores,
+      comment: req.body.comment
+    }, 'rental');
+    if (!review) return;
+
+    const ratings = await refreshRentalRatings(review);
+    await review.populate('userId', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review,
+      ...ratings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT provider's reply to a review of their vehicle (replaces an earlier reply)
+const replyToVehicleReview = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle(req, res);
+    if (!vehicle) return;
+
+    await sendReply(req, res, {
+      ownerId: vehicle.providerId,
+      filter: { kind: 'rental', vehicleId: vehicle._id },
+      subject: 'vehicle'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPropertyReviews,
+  createPropertyReview,
+  replyToReview,
+  getVehicleReviews,
+  createVehicleReview,
+  replyToVehicleReview
+};
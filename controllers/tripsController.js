@@ -0,0 +1,210 @@
+const Trip = require('../models/Trip');
+const tripService = require('../services/trips');
+
+// Booking errors raised by the trip service carry their HTTP status
+const sendTripError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...(error.conflicts && { conflicts: error.conflicts })
+});
+
+// Trips are visible to their owner and to admins
+const canAccessTrip = (user, trip) =>
+  user.role === 'admin' || trip.userId.toString() === user._id.toString();
+
+const populateParts = (query) => query
+  .populate({
+    path: 'stayReservationId',
+    select: 'propertyId roomId status paymentStatus totalAmount priceBreakdown cancellation',
+    populate: { path: 'propertyId', select: 'name address.city' }
+  })
+  .populate({
+    path: 'rentalReservationId',
+    select: 'vehicleId status paymentStatus totalAmount priceBreakdown cancellation',
+    populate: { path: 'vehicleId', select: 'make model year' }
+  });
+
+// POST price quote for a trip
+const quoteTrip = async (req, res, next) => {
+  try {
+    const { property, room, vehicle, stay, rental, pricing } = await tripService.quoteTrip({ ...req.body, currency: req.query.currency });
+
+    res.json({
+      success: true,
+      data: {
+        propertyId: property._id,
+        roomId: room.roomId,
+        vehicleId: vehicle._id,
+        stay,
+        rental,
+        pricing
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) return sendTripError(res, error);
+    next(error);
+  }
+};
+
+// POST create trip (stay + vehicle rental)
+const createTrip = async (req, res, next) => {
+  try {
+    const { trip } = await tripService.createTrip({ ...req.body, currency: req.query.currency, userId: req.user._id });
+    const savedTrip = await populateParts(Trip.findById(trip._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip created successfully',
+      data: savedTrip
+    });
+  } catch (error) {
+    if (error.statusCode) return sendTripError(res, error);
+    next(error);
+  }
+};
+
+// GET trips of the authenticated user (every trip for admins)
+const getTrips = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = req.user.role === 'admin' ? {} : { userId: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const trips = await populateParts(Trip.find(filter))
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Trip.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: trips.length,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        total
+      },
+      data: trips
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET single trip
+const getTripById = async (req, res, next) => {
+  try {
+    const trip = await populateParts(Trip.findById(req.params.id));
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (!canAccessTrip(req.user, trip)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this trip'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: trip
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET cancellation preview of a trip
+const getTripCancellationPreview = async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (!canAccessTrip(req.user, trip)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this trip'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await tripService.previewTripCancellation(trip)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PATCH cancel a trip (both parts, each under its own policy)
+const cancelTrip = async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (!canAccessTrip(req.user, trip)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this trip'
+      });
+    }
+
+    // Guests can only cancel before the trip starts
+    if (req.user.role !== 'admin' && await tripService.hasTripStarted(trip)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot cancel a trip that has already started'
+      });
+    }
+
+    const result = await tripService.cancelTrip(trip, { actor: req.user._id, reason: req.body.reason });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'Trip is already cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trip cancelled',
+      data: {
+        ...result.trip.toObject(),
+        parts: result.parts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  quoteTrip,
+  createTrip,
+  getTrips,
+  getTripById,
+  getTripCancellationPreview,
+  cancelTrip
+};
@@ -1,5 +1,45 @@
 const Vehicle = require('../models/Vehicle');
 const User = require('../models/User');
+const { BASE_CURRENCY, currencyOf, convertAmount, exchangeRatesFor, displayInfo } = require('../services/currency');
+const { geoFilter, geoNearStages } = require('../utils/geo');
+
+// GeoJSON pickup point searched by distance (near=) and map area (bbox=)
+const GEO_FIELD = 'location.point';
+
+// Vehicle with its daily price in the currency the client asked for
+const withDisplayPrice = (vehicle, exchangeRate) => ({
+  ...vehicle.toObject(),
+  display: displayInfo(exchangeRate),
+  displayPricePerDay: convertAmount(vehicle.pricePerDay, exchangeRate)
+});
+
+// Condition for a daily price of at most `maxPrice`. With a display currency
+// the limit is converted into the currency of each vehicle, so it matches the
+// displayPricePerDay the client sees.
+const maxPriceFilter = async (maxPrice, currency) => {
+  if (!currency) return { pricePerDay: { $lte: maxPrice } };
+
+  const currencies = new Set([BASE_CURRENCY, ...(await Vehicle.distinct('currency'))]);
+  const rates = await exchangeRatesFor([...currencies].map(code => ({ currency: code })), currency);
+
+  return {
+    $or: [...rates].map(([code, exchangeRate]) => ({
+      // Vehicles saved before currencies existed are priced in the base currency
+      currency: code === BASE_CURRENCY ? { $in: [code, null] } : code,
+      // displayPricePerDay is rounded to cents
+      pricePerDay: { $lt: (maxPrice + 0.005) / exchangeRate.rate }
+    }))
+  };
+};
+
+// Provider fields shown with a vehicle, their rating among them
+const PROVIDER_FIELDS = 'name email providerRating providerReviewCount';
+
+// Orders of the vehicle list (?sort=); best rated first breaks ties by number of reviews
+const SORTS = {
+  price: { pricePerDay: 1 },
+  rating: { rating: -1, reviewCount: -1, pricePerDay: 1 }
+};
 
 // GET all vehicles with filters
 const getAllVehicles = async (req, res, next) => {
@@ -7,22 +47,58 @@ const getAllVehicles = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { type, city, minSeats, maxPrice, available } = req.query;
+    const { type, city, minSeats, maxPrice, minRating, available, near, radiusKm, bbox } = req.query;
+    const geo = near || bbox ? { near, radiusKm, bbox } : null;
 
     let filter = {};
     if (type) filter.type = type;
     if (city) filter['location.city'] = new RegExp(city, 'i');
     if (minSeats) filter.seats = { $gte: parseInt(minSeats) };
-    if (maxPrice) filter.pricePerDay = { $lte: parseFloat(maxPrice) };
+    if (maxPrice) Object.assign(filter, await maxPriceFilter(parseFloat(maxPrice), req.query.currency));
+    if (minRating) filter.rating = { $gte: parseFloat(minRating) };
     if (available !== undefined) filter.isAvailable = available === 'true';
 
-    const vehicles = await Vehicle.find(filter)
-      .populate('providerId', 'name email')
-      .sort({ pricePerDay: 1 })
-      .skip(skip)
-      .limit(limit);
+    let vehicles;
+    let total;
+    const distances = new Map();
+
+    if (geo) {
+      // Nearest pickup first unless another order is asked for
+      const sort = SORTS[req.query.sort];
+      const results = await Vehicle.aggregate([
+        ...geoNearStages(GEO_FIELD, geo, filter),
+        ...(sort ? [{ $sort: sort }] : []),
+        { $skip: skip },
+        { $limit: limit }
+      ]);
+
+      results.forEach(result => distances.set(result._id.toString(), result.distanceKm));
+      vehicles = await Vehicle.populate(results.map(result => Vehicle.hydrate(result)), {
+        path: 'providerId',
+        select: PROVIDER_FIELDS
+      });
+      total = await Vehicle.countDocuments({ ...filter, ...geoFilter(GEO_FIELD, geo) });
+    } else {
+      vehicles = await Vehicle.find(filter)
+        .populate('providerId', PROVIDER_FIELDS)
+        .sort(SORTS[req.query.sort] || SORTS.price)
+        .skip(skip)
+        .limit(limit);
+      total = await Vehicle.countDocuments(filter);
+    }
 
-    const total = await Vehicle.countDocuments(filter);
+    let data = vehicles;
+    if (req.query.currency) {
+      const rates = await exchangeRatesFor(vehicles, req.query.currency);
+      data = vehicles.map(vehicle => withDisplayPrice(vehicle, rates.get(currencyOf(vehicle))));
+    }
+
+    if (geo) {
+      data = data.map(vehicle => ({
+        ...(vehicle.toObject ? vehicle.toObject() : vehicle),
+        distanceKm: distances.get(vehicle._id.toString())
+      }));
+    }
 
     res.json({
       success: true,
@@ -32,7 +108,7 @@ const getAllVehicles = async (req, res, next) => {
         pages: Math.ceil(total / limit),
         total
       },
-      data: vehicles
+      data
     });
   } catch (error) {
     next(error);
@@ -43,7 +119,7 @@ const getAllVehicles = async (req, res, next) => {
 const getVehicleById = async (req, res, next) => {
   try {
     const vehicle = await Vehicle.findById(req.params.id)
-      .populate('providerId', 'name email phone');
+      .populate('providerId', `${PROVIDER_FIELDS} phone`);
 
     if (!vehicle) {
       return res.status(404).json({
@@ -52,9 +128,15 @@ const getVehicleById = async (req, res, next) => {
       });
     }
 
+    let data = vehicle;
+    if (req.query.currency) {
+      const [exchangeRate] = (await exchangeRatesFor([vehicle], req.query.currency)).values();
+      data = withDisplayPrice(vehicle, exchangeRate);
+    }
+
     res.json({
       success: true,
-      data: vehicle
+      data
     });
   } catch (error) {
     next(error);
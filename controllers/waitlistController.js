@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const { stayRuleViolations } = require('../services/stayRules');
+const { toStayDate } = require('../services/stayTimes');
+
+// POST join the waitlist of a fully booked room
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const { numGuests } = req.body;
+    const { id: propertyId, roomId } = req.params;
+
+    const property = await Property.findById(propertyId);
+
+    if (!property || !property.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found or inactive'
+      });
+    }
+
+    const room = property.rooms.find(r => r.roomId === roomId);
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found in this property'
+      });
+    }
+
+    if (numGuests > room.capacity) {
+      return res.status(400).json({
+        success: false,
+        message: `Number of guests exceeds room capacity (max: ${room.capacity})`
+      });
+    }
+
+    const startDate = toStayDate(property, req.body.startDate);
+    const endDate = toStayDate(property, req.body.endDate);
+
+    const violations = stayRuleViolations(property, { startDate, endDate });
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: violations.join('; '),
+        errors: violations
+      });
+    }
+
+    // Only fully booked dates can be waited for
+    const conflictingReservation = await Reservation.findConflict({
+      propertyId: property._id,
+      roomId,
+      startDate,
+      endDate
+    });
+
+    if (!conflictingReservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Room is available for the selected dates, book it instead'
+      });
+    }
+
+    const overlap = {
+      propertyId: property._id,
+      roomId,
+      startDate: { $lt: endDate },
+      endDate: { $gt: startDate }
+    };
+
+    const existingEntry = await WaitlistEntry.findOne({
+      ...overlap,
+      userId: req.user._id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (existingEntry) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on the waitlist for these dates'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      userId: req.user._id,
+      propertyId: property._id,
+      roomId,
+      startDate,
+      endDate,
+      numGuests
+    });
+
+    // Guests ahead in the queue for overlapping dates
+    const ahead = await WaitlistEntry.countDocuments({
+      ...overlap,
+      status: 'waiting',
+      createdAt: { $lt: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist',
+      data: {
+        ...entry.toObject(),
+        position: ahead + 1
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET waitlist entries of the authenticated user
+const getMyWaitlist = async (req, res, next) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('propertyId', 'name address.city')
+      .populate('reservationId', 'status holdExpiresAt totalAmount')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// DELETE leave the waitlist
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, userId: req.user._id });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    // An offered hold is a reservation; it is cancelled like any other
+    const updatedEntry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!updatedEntry) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot leave a waitlist entry that is ${entry.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist',
+      data: updatedEntry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist
+};
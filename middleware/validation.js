@@ -1,5 +1,61 @@
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const { DAY_MS, toDateKey, fromDateKey, isValidTimeZone, parseTimeOfDay } = require('../utils/dates');
+
+// Start of a stay: a calendar date of the property. Whether it is past depends
+// on the property's time zone, so the stay rules check it, not the server clock.
+const stayStartDate = () => Joi.date().required();
+
+// Check-in or check-out time: HH:mm, or the 12-hour '3:00 PM'
+const timeOfDay = () => Joi.string().custom((value, helpers) => (
+  parseTimeOfDay(value) ? value : helpers.message('{{#label}} must be a time such as 15:00 or 3:00 PM')
+));
+
+// ISO 4217 code such as USD or MXN, in either case
+const currencyCode = () => Joi.string().uppercase().pattern(/^[A-Z]{3}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a 3-letter ISO 4217 code such as USD' });
+
+// Promo code a guest enters when booking; looked up ignoring case
+const promoCode = () => Joi.string().trim().max(32);
+
+// Review of a completed booking: a score from 1 to 5 for each category
+const reviewScores = categories => Joi.object(Object.fromEntries(
+  categories.map(category => [category, Joi.number().integer().min(1).max(5).required()])
+)).required();
+
+const reviewFields = () => ({
+  reservationId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({ 'string.pattern.base': 'reservationId must be a valid ID' }),
+  comment: Joi.string().trim().min(1).max(2000).required()
+});
+
+// Comma-separated numbers of a query string (near=lat,lng; bbox=minLng,minLat,maxLng,maxLat)
+const numberList = (count, toValue, format) => Joi.string().custom((value, helpers) => {
+  const numbers = value.split(',').map(part => part.trim() === '' ? NaN : Number(part));
+  if (numbers.length !== count || numbers.some(number => !Number.isFinite(number))) {
+    return helpers.message(`{{#label}} must be ${format}`);
+  }
+  return toValue(numbers, helpers);
+});
+
+// Latitude and longitude, both needed for searches by distance
+const coordinates = () => Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+const validLat = lat => lat >= -90 && lat <= 90;
+const validLng = lng => lng >= -180 && lng <= 180;
+
+// Tax or fee: a percentage (up to 100) or an amount per night or per stay
+const chargeFields = () => ({
+  name: Joi.string().trim().max(100).required(),
+  kind: Joi.string().valid('fee', 'tax').required(),
+  calculation: Joi.string().valid('percentage', 'per_night', 'flat').required(),
+  amount: Joi.number().min(0).precision(4).required()
+    .when('calculation', { is: 'percentage', then: Joi.number().max(100) })
+});
 
 // -----------------------------
 // Validate MongoDB ObjectId
@@ -84,28 +140,48 @@ const validateProperty = (req, res, next) => {
       city: Joi.string().required(),
       state: Joi.string().optional(),
       country: Joi.string().required(),
-      coords: Joi.object({
-        lat: Joi.number().min(-90).max(90),
-        lng: Joi.number().min(-180).max(180)
-      }).optional()
+      coords: coordinates().optional()
     }).required(),
+    currency: currencyCode(),
+    timezone: Joi.string().custom((value, helpers) => (
+      isValidTimeZone(value) ? value : helpers.message('{{#label}} must be an IANA time zone such as Europe/Madrid')
+    )),
     amenities: Joi.array().items(Joi.string()),
     rooms: Joi.array().items(Joi.object({
       roomId: Joi.string().required(),
       type: Joi.string().valid('single', 'double', 'suite', 'deluxe').required(),
       capacity: Joi.number().integer().min(1).max(10).required(),
       pricePerNight: Joi.number().min(0).required(),
+      rateOverrides: Joi.array().items(Joi.object({
+        name: Joi.string().max(100),
+        startDate: Joi.date().required(),
+        endDate: Joi.date().min(Joi.ref('startDate')).required(),
+        pricePerNight: Joi.number().min(0).required()
+      })),
+      weekdayRates: Joi.array().items(Joi.object({
+        dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+        pricePerNight: Joi.number().min(0).required()
+      })).unique('dayOfWeek'),
       images: Joi.array().items(Joi.string()),
       isAvailable: Joi.boolean()
     })).min(1),
+    charges: Joi.array().items(Joi.object(chargeFields())),
     policies: Joi.object({
       cancellation: Joi.string().valid('flexible', 'moderate', 'strict'),
-      checkIn: Joi.string(),
-      checkOut: Joi.string()
+      checkIn: timeOfDay(),
+      checkOut: timeOfDay(),
+      minNights: Joi.number().integer().min(1),
+      maxNights: Joi.number().integer().min(1)
+        .when('minNights', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minNights')) }),
+      closedToArrival: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+      minLeadHours: Joi.number().integer().min(0),
+      maxAdvanceDays: Joi.number().integer().min(1)
     }),
     isActive: Joi.boolean(),
-    rating: Joi.number().min(0).max(5),
-    reviewCount: Joi.number().integer().min(0)
+
+    // Calculados a partir de las reseñas de los huéspedes
+    rating: Joi.forbidden(),
+    reviewCount: Joi.forbidden()
   });
 
   const { error } = schema.validate(req.body, { abortEarly: false });
@@ -128,11 +204,12 @@ const validateReservationCreate = (req, res, next) => {
   const schema = Joi.object({
     propertyId: Joi.string().required(),
     roomId: Joi.string().required(),
-    startDate: Joi.date().greater('now').required(),
+    startDate: stayStartDate(),
     endDate: Joi.date().greater(Joi.ref('startDate')).required(),
     numGuests: Joi.number().integer().min(1).required(),
-    totalAmount: Joi.number().min(0).required(),
+    totalAmount: Joi.number().min(0),
     specialRequests: Joi.string().max(500).allow(''),
+    promoCode: promoCode(),
     
     // userId no se envía, se obtiene del usuario autenticado
     userId: Joi.forbidden()
@@ -151,6 +228,139 @@ const validateReservationCreate = (req, res, next) => {
   next();
 };
 
+// -----------------------------
+// Validate Group Reservation CREATE
+// -----------------------------
+const validateGroupReservationCreate = (req, res, next) => {
+  const schema = Joi.object({
+    propertyId: Joi.string().required(),
+    startDate: stayStartDate(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    rooms: Joi.array().items(Joi.object({
+      roomId: Joi.string().required(),
+      numGuests: Joi.number().integer().min(1).required()
+    })).min(1).max(20).unique('roomId').required(),
+    totalAmount: Joi.number().min(0),
+    specialRequests: Joi.string().max(500).allow(''),
+    promoCode: promoCode(),
+
+    // userId no se envía, se obtiene del usuario autenticado
+    userId: Joi.forbidden()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Reservation DATE CHANGE
+// -----------------------------
+const validateDateChange = (req, res, next) => {
+  const schema = Joi.object({
+    startDate: stayStartDate(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    totalAmount: Joi.number().min(0)
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate CANCELLATION reason
+// -----------------------------
+const validateCancellationReason = (req, res, next) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(500)
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Reservation QUOTE
+// -----------------------------
+const validateReservationQuote = (req, res, next) => {
+  const schema = Joi.object({
+    propertyId: Joi.string().required(),
+    roomId: Joi.string().required(),
+    startDate: stayStartDate(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    numGuests: Joi.number().integer().min(1).required(),
+    promoCode: promoCode()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Vehicle Reservation CREATE
+// -----------------------------
+const validateVehicleReservationCreate = (req, res, next) => {
+  const schema = Joi.object({
+    vehicleId: Joi.string().required(),
+    startDate: Joi.date().greater('now').required(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    numGuests: Joi.number().integer().min(1),
+    totalAmount: Joi.number().min(0),
+    specialRequests: Joi.string().max(500).allow(''),
+    promoCode: promoCode(),
+
+    // userId no se envía, se obtiene del usuario autenticado
+    userId: Joi.forbidden()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
 // -----------------------------
 // Validate Reservation UPDATE
 // -----------------------------
@@ -159,15 +369,21 @@ const validateReservationUpdate = (req, res, next) => {
     startDate: Joi.date(),
     endDate: Joi.date().greater(Joi.ref('startDate')),
     numGuests: Joi.number().integer().min(1),
-    totalAmount: Joi.number().min(0),
-    status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed'),
-    paymentStatus: Joi.string().valid('pending', 'paid', 'refunded', 'failed'),
+    status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed', 'expired', 'no_show'),
     specialRequests: Joi.string().max(500).allow(''),
+    reason: Joi.string().max(500),
     
     // Campos que no se pueden cambiar
     userId: Joi.forbidden(),
     propertyId: Joi.forbidden(),
-    roomId: Joi.forbidden()
+    roomId: Joi.forbidden(),
+    vehicleId: Joi.forbidden(),
+    paymentStatus: Joi.forbidden().messages({
+      'any.unknown': '"paymentStatus" follows the payments of the reservation and cannot be set'
+    }),
+    totalAmount: Joi.forbidden().messages({
+      'any.unknown': '"totalAmount" follows the price of the reservation dates and cannot be set'
+    })
   }).min(1);
 
   const { error } = schema.validate(req.body, { abortEarly: false });
@@ -183,6 +399,28 @@ const validateReservationUpdate = (req, res, next) => {
   next();
 };
 
+// -----------------------------
+// Validate Reservation STATUS change
+// -----------------------------
+const validateReservationStatus = (req, res, next) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('pending', 'confirmed', 'cancelled', 'completed', 'expired', 'no_show').required(),
+    reason: Joi.string().max(500)
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
 // -----------------------------
 // Validate Vehicle CREATE
 // -----------------------------
@@ -196,10 +434,12 @@ const validateVehicleCreate = (req, res, next) => {
     transmission: Joi.string().valid('automatic', 'manual').optional(),
     seats: Joi.number().integer().min(2).max(15).required(),
     pricePerDay: Joi.number().min(0).required(),
+    currency: currencyCode(),
     fuelType: Joi.string().valid('gasoline', 'diesel', 'electric', 'hybrid').optional(),
     location: Joi.object({
       city: Joi.string().required(),
-      airportCode: Joi.string().uppercase().trim().optional()
+      airportCode: Joi.string().uppercase().trim().optional(),
+      coords: coordinates().optional()
     }).required(),
     features: Joi.array().items(Joi.string()).optional(),
     isAvailable: Joi.boolean().optional().default(true),
@@ -232,10 +472,12 @@ const validateVehicleUpdate = (req, res, next) => {
     transmission: Joi.string().valid('automatic', 'manual').optional(),
     seats: Joi.number().integer().min(2).max(15).optional(),
     pricePerDay: Joi.number().min(0).optional(),
+    currency: currencyCode().optional(),
     fuelType: Joi.string().valid('gasoline', 'diesel', 'electric', 'hybrid').optional(),
     location: Joi.object({
       city: Joi.string().optional(),
-      airportCode: Joi.string().uppercase().trim().optional()
+      airportCode: Joi.string().uppercase().trim().optional(),
+      coords: coordinates().optional()
     }).optional(),
     features: Joi.array().items(Joi.string()).optional(),
     isAvailable: Joi.boolean().optional(),
@@ -256,6 +498,90 @@ const validateVehicleUpdate = (req, res, next) => {
   next();
 };
 
+// -----------------------------
+// Validate Availability Query
+// -----------------------------
+const validateAvailabilityQuery = (req, res, next) => {
+  const schema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().greater(Joi.ref('from')).when('from', {
+      not: Joi.exist(),
+      then: Joi.date().greater('now')
+    })
+  }).custom((value, helpers) => {
+    const from = value.from || new Date();
+    if (value.to && value.to - from > 366 * 24 * 60 * 60 * 1000) {
+      return helpers.message('Availability range cannot exceed 366 nights');
+    }
+    return value;
+  });
+
+  const { error } = schema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Trip CREATE / QUOTE
+// -----------------------------
+const validateTrip = (req, res, next) => {
+  const schema = Joi.object({
+    propertyId: Joi.string().required(),
+    roomId: Joi.string().required(),
+    vehicleId: Joi.string().required(),
+    startDate: stayStartDate(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    numGuests: Joi.number().integer().min(1).required(),
+    specialRequests: Joi.string().max(500).allow(''),
+
+    // userId no se envía, se obtiene del usuario autenticado
+    userId: Joi.forbidden()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Waitlist JOIN
+// -----------------------------
+const validateWaitlistJoin = (req, res, next) => {
+  const schema = Joi.object({
+    startDate: stayStartDate(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    numGuests: Joi.number().integer().min(1).required()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
 // -----------------------------
 // Validate Pagination
 // -----------------------------
@@ -284,14 +610,397 @@ const validatePagination = (req, res, next) => {
   next();
 };
 
+// -----------------------------
+// Validate Calendar source CREATE
+// -----------------------------
+const validateCalendarSource = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    // Without a URL the source is a file, uploaded afterwards
+    url: Joi.string().uri({ scheme: ['http', 'https', 'webcal'] })
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Blackout CREATE
+// -----------------------------
+const validateBlackout = (req, res, next) => {
+  const schema = Joi.object({
+    startDate: Joi.date().required(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    reason: Joi.string().valid('maintenance', 'owner_use', 'renovation', 'other').required(),
+    note: Joi.string().trim().max(500).allow('')
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Payment AUTHORIZE
+// -----------------------------
+const validatePaymentAuthorize = (req, res, next) => {
+  const schema = Joi.object({
+    paymentMethod: Joi.string().max(200).required()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Payment CAPTURE / REFUND
+// -----------------------------
+const validatePaymentAmount = (req, res, next) => {
+  const schema = Joi.object({
+    amount: Joi.number().positive().precision(2),
+    reason: Joi.string().max(500)
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Invoice DOWNLOAD
+// -----------------------------
+const validateInvoiceFormat = (req, res, next) => {
+  const schema = Joi.object({
+    format: Joi.string().valid('html', 'pdf', 'json').default('html')
+  });
+
+  const { error, value } = schema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  req.query.format = value.format;
+  next();
+};
+
+// -----------------------------
+// Validate Currency QUERY
+// -----------------------------
+const validateCurrencyQuery = (req, res, next) => {
+  const schema = Joi.object({
+    currency: currencyCode()
+  }).unknown(true);
+
+  const { error, value } = schema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  if (value.currency) req.query.currency = value.currency;
+  next();
+};
+
+// -----------------------------
+// Validate Stay QUERY (dates the price filters are quoted for)
+// -----------------------------
+// Every night of the range is priced for every room, so the range is capped
+const MAX_QUOTED_NIGHTS = 365;
+
+const validateStayQuery = (req, res, next) => {
+  const schema = Joi.object({
+    checkIn: Joi.date().iso(),
+    checkOut: Joi.date().iso()
+  }).unknown(true).custom((value, helpers) => {
+    if (!value.checkOut) return value;
+
+    // Without a check-in the stay starts tonight
+    const start = fromDateKey(toDateKey(value.checkIn || new Date()));
+    const nights = Math.round((fromDateKey(toDateKey(value.checkOut)) - start) / DAY_MS);
+
+    if (nights < 1) return helpers.message('"checkOut" must be after "checkIn"');
+    if (nights > MAX_QUOTED_NIGHTS) return helpers.message(`Stay cannot be longer than ${MAX_QUOTED_NIGHTS} nights`);
+    return value;
+  });
+
+  const { error, value } = schema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  ['checkIn', 'checkOut'].forEach(key => {
+    if (value[key] !== undefined) req.query[key] = value[key];
+  });
+  next();
+};
+
+// -----------------------------
+// Validate Geo QUERY (near me and map area searches)
+// -----------------------------
+const validateGeoQuery = (req, res, next) => {
+  const schema = Joi.object({
+    near: numberList(2, ([lat, lng], helpers) => (
+      validLat(lat) && validLng(lng) ? { lat, lng } : helpers.message('{{#label}} is out of range')
+    ), 'lat,lng'),
+    radiusKm: Joi.number().positive().max(1000)
+      .when('near', { is: Joi.exist(), then: Joi.optional().default(50), otherwise: Joi.forbidden() }),
+    bbox: numberList(4, ([minLng, minLat, maxLng, maxLat], helpers) => {
+      if (![minLat, maxLat].every(validLat) || ![minLng, maxLng].every(validLng)) {
+        return helpers.message('{{#label}} is out of range');
+      }
+      if (minLng >= maxLng || minLat >= maxLat) {
+        return helpers.message('{{#label}} must have its south-west corner first');
+      }
+      return { minLng, minLat, maxLng, maxLat };
+    }, 'minLng,minLat,maxLng,maxLat')
+  })
+    // A search is either around a point or inside a map view
+    .oxor('near', 'bbox')
+    .messages({ 'object.oxor': 'Use either near or bbox, not both' })
+    .unknown(true);
+
+  const { error, value } = schema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  ['near', 'radiusKm', 'bbox'].forEach(key => {
+    if (value[key] !== undefined) req.query[key] = value[key];
+  });
+  next();
+};
+
+// -----------------------------
+// Validate Exchange rate UPDATE
+// -----------------------------
+const validateExchangeRate = (req, res, next) => {
+  const schema = Joi.object({
+    rate: Joi.number().positive().required()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Charge rule CREATE / UPDATE
+// -----------------------------
+const validateChargeRule = (req, res, next) => {
+  const schema = Joi.object({
+    ...chargeFields(),
+    country: Joi.string().trim().required(),
+    city: Joi.string().trim(),
+    isActive: Joi.boolean()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Promo code CREATE / UPDATE
+// -----------------------------
+const validatePromoCode = (req, res, next) => {
+  const schema = Joi.object({
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,32}$/).required()
+      .messages({ 'string.pattern.base': 'Code must be 3 to 32 letters, digits, dashes or underscores' }),
+    description: Joi.string().trim().max(500).allow(''),
+    discountType: Joi.string().valid('percentage', 'fixed').required(),
+    amount: Joi.number().positive().required()
+      .when('discountType', { is: 'percentage', then: Joi.number().max(100) }),
+    currency: currencyCode(),
+    validFrom: Joi.date(),
+    validUntil: Joi.date().when('validFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('validFrom')) }),
+    minNights: Joi.number().integer().min(1),
+    propertyIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).unique(),
+    vehicleTypes: Joi.array().items(Joi.string().valid('sedan', 'suv', 'van', 'luxury', 'economy')).unique(),
+    cities: Joi.array().items(Joi.string().trim()),
+    maxRedemptions: Joi.number().integer().min(1),
+    maxRedemptionsPerUser: Joi.number().integer().min(1),
+    isActive: Joi.boolean()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Review CREATE (stays)
+// -----------------------------
+const validateReview = (req, res, next) => {
+  const schema = Joi.object({
+    ...reviewFields(),
+    scores: reviewScores(Review.CATEGORIES.stay)
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Review CREATE (rentals)
+// -----------------------------
+const validateRentalReview = (req, res, next) => {
+  const schema = Joi.object({
+    ...reviewFields(),
+    scores: reviewScores(Review.CATEGORIES.rental),
+    providerScores: reviewScores(Review.PROVIDER_CATEGORIES)
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
+// -----------------------------
+// Validate Review REPLY
+// -----------------------------
+const validateReviewReply = (req, res, next) => {
+  const schema = Joi.object({
+    text: Joi.string().trim().min(1).max(1000).required()
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.details.map(d => d.message)
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateUser,
   validateUserUpdate,
   validateProperty,
   validateReservationCreate,
+  validateGroupReservationCreate,
+  validateCancellationReason,
+  validateDateChange,
+  validateReservationQuote,
+  validateVehicleReservationCreate,
   validateReservationUpdate,
+  validateReservationStatus,
   validateVehicleCreate,
   validateVehicleUpdate,
   validateObjectId,
-  validatePagination
+  validatePagination,
+  validateAvailabilityQuery,
+  validateWaitlistJoin,
+  validateTrip,
+  validateCalendarSource,
+  validateBlackout,
+  validatePaymentAuthorize,
+  validatePaymentAmount,
+  validateInvoiceFormat,
+  validateCurrencyQuery,
+  validateGeoQuery,
+  validateStayQuery,
+  validateExchangeRate,
+  validateChargeRule,
+  validatePromoCode,
+  validateReview,
+  validateRentalReview,
+  validateReviewReply
 };
\ No newline at end of file
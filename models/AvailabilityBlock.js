@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Period in which a room or vehicle cannot be booked although no reservation
+// holds it: an event imported from the room's calendar on another platform,
+// or a blackout the provider set (maintenance, owner use, renovation).
+// Like a reservation, endDate is the check-out (return) day and is not
+// blocked. A block stops applying once its dates pass.
+const availabilityBlockSchema = new mongoose.Schema({
+  // Room blocks
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [function() { return !this.vehicleId; }, 'Property ID is required']
+  },
+  roomId: {
+    type: String,
+    required: [function() { return !this.vehicleId; }, 'Room ID is required']
+  },
+  // Vehicle blocks
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  source: {
+    type: String,
+    enum: ['ical', 'blackout'],
+    required: [true, 'Block source is required']
+  },
+  // Blackouts: why the provider took the room or vehicle out of service
+  reason: {
+    type: String,
+    enum: {
+      values: ['maintenance', 'owner_use', 'renovation', 'other'],
+      message: 'Reason must be maintenance, owner_use, renovation, or other'
+    },
+    required: [function() { return this.source === 'blackout'; }, 'Blackout reason is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Imported blocks: the calendar source and the event they come from
+  calendarSourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  uid: {
+    type: String
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Summary cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+availabilityBlockSchema.index({ propertyId: 1, roomId: 1, startDate: 1, endDate: 1 });
+availabilityBlockSchema.index({ vehicleId: 1, startDate: 1, endDate: 1 });
+availabilityBlockSchema.index({ calendarSourceId: 1, uid: 1 });
+
+// Static method to find a block overlapping a date range for the same room
+// (propertyId + roomId) or the same vehicle (vehicleId)
+availabilityBlockSchema.statics.findOverlapping = function({ propertyId, roomId, vehicleId, startDate, endDate }) {
+  return this.findOne({
+    ...(vehicleId ? { vehicleId } : { propertyId, roomId }),
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate }
+  });
+};
+
+module.exports = mongoose.model('AvailabilityBlock', availabilityBlockSchema);
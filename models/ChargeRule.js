@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Tax or fee charged on the stays of every property of a country, or of one of
+// its cities. Properties can add their own charges, or replace one of these by
+// using the same name (an amount of 0 waives it).
+const chargeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Charge name is required'],
+    trim: true,
+    maxlength: [100, 'Charge name cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: ['fee', 'tax'],
+      message: 'Charge kind must be fee or tax'
+    },
+    required: [true, 'Charge kind is required']
+  },
+  // percentage of the stay, amount per room and night, or flat amount per room
+  calculation: {
+    type: String,
+    enum: {
+      values: ['percentage', 'per_night', 'flat'],
+      message: 'Charge calculation must be percentage, per_night, or flat'
+    },
+    required: [true, 'Charge calculation is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0, 'Charge amount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.calculation !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage cannot exceed 100'
+    }
+  },
+  // Matched against Property.address, ignoring case
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+chargeRuleSchema.index({ country: 1, city: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('ChargeRule', chargeRuleSchema);
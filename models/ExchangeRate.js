@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Base currency of the rate table: every rate is how many units of its
+// currency one unit of the base buys
+const BASE_CURRENCY = 'USD';
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Exchange rate kept by the admins; prices are converted with this table
+// only, never with a live FX service
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Currency must be a 3-letter ISO 4217 code'],
+    validate: {
+      validator: (value) => value !== BASE_CURRENCY,
+      message: `${BASE_CURRENCY} is the base currency and has no rate`
+    }
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be positive']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+exchangeRateSchema.index({ currency: 1 }, { unique: true });
+
+exchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+exchangeRateSchema.statics.CURRENCY_CODE = CURRENCY_CODE;
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Number prefix of each document type; invoices and credit notes are numbered
+// in two separate sequences
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+const invoiceLineSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['charge', 'fee', 'tax', 'discount', 'adjustment'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unitPrice: Number,
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Money received or given back for the reservation when the document was issued
+const invoicePaymentSchema = new mongoose.Schema({
+  description: String,
+  amount: Number, // negative for refunds
+  at: Date
+}, { _id: false });
+
+// Invoice (or credit note) of a reservation. It is a snapshot: once issued it
+// never changes; a reservation changed later gets a credit note reversing the
+// invoice and a new invoice.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(NUMBER_PREFIXES),
+    default: 'invoice'
+  },
+  // Position in the sequence of its type, with no gaps
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  number: {
+    type: String
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // nth invoice of the reservation; a credit note takes the revision of the invoice it reverses
+  revision: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  creditedInvoice: {
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    number: String
+  },
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  billTo: {
+    name: String,
+    email: String
+  },
+  item: {
+    reservationType: String,
+    name: String,
+    location: String,
+    startDate: Date,
+    endDate: Date
+  },
+  lines: [invoiceLineSchema],
+  subtotal: Number,
+  feesTotal: Number,
+  taxesTotal: Number,
+  discountsTotal: Number,
+  adjustmentsTotal: Number,
+  total: Number,
+  payments: [invoicePaymentSchema],
+  amountPaid: Number,
+  balanceDue: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ type: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ reservationId: 1, type: 1, revision: 1 }, { unique: true });
+invoiceSchema.index({ number: 1 });
+
+invoiceSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    this.number = `${NUMBER_PREFIXES[this.type]}-${String(this.sequence).padStart(6, '0')}`;
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  const error = new Error('Issued invoices cannot be changed, issue a credit note instead');
+  error.statusCode = 409;
+  next(error);
+};
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+invoiceSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+
+// Static method to get the next number of a sequence; two documents that get
+// the same number clash on the unique index and the later one retries
+invoiceSchema.statics.nextSequence = async function(type) {
+  const last = await this.findOne({ type }).sort({ sequence: -1 }).select('sequence');
+  return last ? last.sequence + 1 : 1;
+};
+
+invoiceSchema.statics.NUMBER_PREFIXES = NUMBER_PREFIXES;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
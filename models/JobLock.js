@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Lease on a scheduled job. Only the API instance holding an unexpired lease
+// runs the job; the _id (job name) being unique means two instances cannot
+// both take the lease.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // job name
+  },
+  owner: {
+    type: String,
+    required: [true, 'Lock owner is required']
+  },
+  lockedUntil: {
+    type: Date,
+    required: [true, 'Lock expiry is required']
+  },
+  lastRunAt: Date
+}, {
+  timestamps: true
+});
+
+// Static method to take the lease of a job for `leaseMs` milliseconds.
+// Returns false when another owner holds an unexpired lease.
+jobLockSchema.statics.acquire = async function(name, owner, leaseMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + leaseMs) } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // The lock exists and is held by someone else, so the upsert collided
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to give the lease back once the job has finished
+jobLockSchema.statics.release = function(name, owner) {
+  const now = new Date();
+
+  return this.updateOne(
+    { _id: name, owner },
+    { $set: { lockedUntil: now, lastRunAt: now } }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
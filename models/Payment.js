@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Allowed payment status changes; events that would make any other change are rejected
+const PAYMENT_TRANSITIONS = {
+  pending: ['authorized', 'failed'],
+  authorized: ['captured', 'voided', 'failed'],
+  captured: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded'],
+  failed: [],
+  voided: [],
+  refunded: []
+};
+
+// Event reported by the payment provider, kept once per event ID so a
+// webhook delivered twice is only applied once
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  amount: Number,
+  source: {
+    type: String,
+    enum: ['api', 'webhook'],
+    default: 'api'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  providerRefundId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Money for a reservation handled by a payment provider: authorized when the
+// guest pays, captured later and refunded on cancellation. The reservation's
+// paymentStatus follows the events of its payments.
+const paymentSchema = new mongoose.Schema({
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required']
+  },
+  // ID of the payment at the provider
+  providerPaymentId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(PAYMENT_TRANSITIONS),
+    default: 'pending'
+  },
+  amountCaptured: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  failureReason: {
+    type: String
+  },
+  refunds: [refundSchema],
+  events: [paymentEventSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ reservationId: 1, createdAt: -1 });
+paymentSchema.index(
+  { provider: 1, providerPaymentId: 1 },
+  { unique: true, partialFilterExpression: { providerPaymentId: { $exists: true } } }
+);
+
+// Static method to check whether a payment status change is allowed
+paymentSchema.statics.canTransition = function(from, to) {
+  return Boolean(PAYMENT_TRANSITIONS[from] && PAYMENT_TRANSITIONS[from].includes(to));
+};
+
+paymentSchema.statics.PAYMENT_TRANSITIONS = PAYMENT_TRANSITIONS;
+
+module.exports = mongoose.model('Payment', paymentSchema);
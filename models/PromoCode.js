@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Discount code of a marketing campaign. Restrictions left empty do not
+// restrict: a code with no properties, vehicle types or cities works on any
+// booking, one with properties only on those properties.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3 to 32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  discountType: {
+    type: String,
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Discount type must be percentage or fixed'
+    },
+    required: [true, 'Discount type is required']
+  },
+  // Percentage off, or amount off in `currency`
+  amount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0.01, 'Discount amount must be positive'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage cannot exceed 100'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
+  // When the code can be redeemed (the booking, not the stay)
+  validFrom: Date,
+  validUntil: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.validFrom || value >= this.validFrom;
+      },
+      message: 'Valid until cannot be before valid from'
+    }
+  },
+  // Nights of a stay, or days of a rental
+  minNights: {
+    type: Number,
+    min: [1, 'Minimum nights must be at least 1']
+  },
+  propertyIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  }],
+  vehicleTypes: [{
+    type: String,
+    enum: ['sedan', 'suv', 'van', 'luxury', 'economy']
+  }],
+  // Matched against the property's or the vehicle's city, ignoring case
+  cities: [{
+    type: String,
+    trim: true
+  }],
+  // Redemption caps; none when unset
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Maximum redemptions must be at least 1']
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    min: [1, 'Maximum redemptions per user must be at least 1']
+  },
+  // Reservations holding the code; cancelled and expired ones give it back
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promoCodeSchema.index({ code: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
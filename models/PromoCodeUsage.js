@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Times a user holds a promo code. One document per user and code, so the
+// per-user cap is enforced by a conditional increment: when the user is at the
+// cap the upsert clashes with the unique index instead of counting twice.
+const promoCodeUsageSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promoCodeUsageSchema.index({ promoCodeId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoCodeUsage', promoCodeUsageSchema);
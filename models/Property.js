@@ -1,4 +1,157 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone, parseTimeOfDay } = require('../utils/dates');
+const { toPoint } = require('../utils/geo');
+
+// Check-in and check-out times are stored as HH:mm; the 12-hour '3:00 PM'
+// form older clients send is converted
+const timeOfDay = (label, defaultValue) => ({
+  type: String,
+  default: defaultValue,
+  set: value => parseTimeOfDay(value) || value,
+  match: [/^([01]\d|2[0-3]):[0-5]\d$/, `${label} time must be HH:mm`]
+});
+
+// GeoJSON point, for searches by distance and map area (2dsphere index)
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  // [lng, lat]
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+}, { _id: false });
+
+// Dated rate override (seasons, holidays); startDate and endDate are both included
+const rateOverrideSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Rate name cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Rate start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Rate end date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'Rate end date cannot be before its start date'
+    }
+  },
+  pricePerNight: {
+    type: Number,
+    required: [true, 'Rate price per night is required'],
+    min: [0, 'Price cannot be negative'],
+    set: v => Math.round(v * 100) / 100
+  }
+}, { _id: false });
+
+// Rate for a day of the week (0 = Sunday ... 6 = Saturday)
+const weekdayRateSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  pricePerNight: {
+    type: Number,
+    required: [true, 'Rate price per night is required'],
+    min: [0, 'Price cannot be negative'],
+    set: v => Math.round(v * 100) / 100
+  }
+}, { _id: false });
+
+// Tax or fee of the property's stays, on top of those of its country and city
+// (see ChargeRule); one with the name of those replaces it. Per-night and flat
+// amounts are in the property's currency.
+const chargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Charge name is required'],
+    trim: true,
+    maxlength: [100, 'Charge name cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: ['fee', 'tax'],
+      message: 'Charge kind must be fee or tax'
+    },
+    required: [true, 'Charge kind is required']
+  },
+  calculation: {
+    type: String,
+    enum: {
+      values: ['percentage', 'per_night', 'flat'],
+      message: 'Charge calculation must be percentage, per_night, or flat'
+    },
+    required: [true, 'Charge calculation is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0, 'Charge amount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.calculation !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage cannot exceed 100'
+    }
+  }
+}, { _id: false });
+
+// Result of the last import of a calendar source
+const syncReportSchema = new mongoose.Schema({
+  syncedAt: Date,
+  status: {
+    type: String,
+    enum: ['ok', 'error']
+  },
+  error: String,
+  events: Number,
+  imported: Number,
+  updated: Number,
+  removed: Number,
+  skipped: Number,
+  // Reservations of ours overlapping imported events (double bookings to resolve)
+  conflicts: [{
+    _id: false,
+    reservationId: mongoose.Schema.Types.ObjectId,
+    startDate: Date,
+    endDate: Date
+  }]
+}, { _id: false });
+
+// External iCal calendar of the room (another platform listing it); its
+// events block the room. URL sources are fetched again on a schedule, file
+// sources only change when a new file is uploaded.
+const calendarSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Calendar source name is required'],
+    trim: true,
+    maxlength: [100, 'Calendar source name cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: ['url', 'file'],
+    required: [true, 'Calendar source kind is required']
+  },
+  url: {
+    type: String,
+    trim: true
+  },
+  lastSync: syncReportSchema
+});
 
 const roomSchema = new mongoose.Schema({
   roomId: {
@@ -28,6 +181,9 @@ const roomSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative'],
     set: v => Math.round(v * 100) / 100 // Round to 2 decimal places
   },
+  rateOverrides: [rateOverrideSchema],
+  weekdayRates: [weekdayRateSchema],
+  calendarSources: [calendarSourceSchema],
   images: [{
     type: String,
     trim: true
@@ -82,13 +238,38 @@ const propertySchema = new mongoose.Schema({
         min: -180,
         max: 180
       }
+    },
+    // Copy of coords kept in sync on save and update
+    point: {
+      type: pointSchema,
+      default: undefined
+    }
+  },
+  // IANA time zone of the property: stay dates are its calendar dates and
+  // stays start and end at its local check-in and check-out times
+  timezone: {
+    type: String,
+    default: 'UTC',
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be an IANA time zone such as Europe/Madrid'
     }
   },
+  // Currency of every price of the property (room rates, overrides)
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
   amenities: [{
     type: String,
     trim: true
   }],
   rooms: [roomSchema],
+  charges: [chargeSchema],
   policies: {
     cancellation: {
       type: String,
@@ -98,13 +279,41 @@ const propertySchema = new mongoose.Schema({
       },
       default: 'moderate'
     },
-    checkIn: {
-      type: String,
-      default: '3:00 PM'
+    checkIn: timeOfDay('Check-in', '15:00'),
+    checkOut: timeOfDay('Check-out', '11:00'),
+    // Stay restrictions, enforced when booking
+    minNights: {
+      type: Number,
+      min: [1, 'Minimum nights must be at least 1'],
+      default: 1
     },
-    checkOut: {
-      type: String,
-      default: '11:00 AM'
+    maxNights: {
+      type: Number,
+      min: [1, 'Maximum nights must be at least 1'],
+      validate: {
+        validator: function(value) {
+          const minNights = this.policies ? this.policies.minNights : this.get('policies.minNights');
+          return value == null || !minNights || value >= minNights;
+        },
+        message: 'Maximum nights cannot be less than minimum nights'
+      }
+    },
+    // Weekdays guests cannot check in on (0 = Sunday ... 6 = Saturday)
+    closedToArrival: [{
+      type: Number,
+      min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    }],
+    // Bookings must be made at least this long before check-in...
+    minLeadHours: {
+      type: Number,
+      min: [0, 'Minimum lead time cannot be negative'],
+      default: 0
+    },
+    // ...and at most this far ahead
+    maxAdvanceDays: {
+      type: Number,
+      min: [1, 'Booking horizon must be at least 1 day']
     }
   },
   isActive: {
@@ -120,6 +329,13 @@ const propertySchema = new mongoose.Schema({
   reviewCount: {
     type: Number,
     default: 0
+  },
+  // Secret token of the owner's iCal feed URL (never returned by default)
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
   }
 }, {
   timestamps: true
@@ -131,9 +347,23 @@ propertySchema.index({ 'address.city': 1 });
 propertySchema.index({ 'address.country': 1 });
 propertySchema.index({ isActive: 1 });
 propertySchema.index({ rating: -1 });
+propertySchema.index({ 'address.point': '2dsphere' });
 propertySchema.index({ 'rooms.pricePerNight': 1 });
 propertySchema.index({ 'rooms.capacity': 1 });
 
+// address.point follows address.coords
+propertySchema.pre('validate', function(next) {
+  if (this.address) this.address.point = toPoint(this.address.coords);
+  next();
+});
+
+propertySchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const address = (update.$set && update.$set.address) || update.address;
+  if (address) address.point = toPoint(address.coords);
+  next();
+});
+
 // Virtual for minimum price
 propertySchema.virtual('minPrice').get(function() {
   if (!this.rooms || this.rooms.length === 0) return 0;
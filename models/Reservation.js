@@ -1,4 +1,189 @@
 const mongoose = require('mongoose');
+const AvailabilityBlock = require('./AvailabilityBlock');
+const { countNights } = require('../utils/dates');
+
+// Fee or tax as it was priced: the rate is the percentage, or the amount per
+// room and night or per room in the charged currency
+const chargeItemSchema = new mongoose.Schema({
+  name: String,
+  calculation: String,
+  rate: Number,
+  amount: Number
+}, { _id: false });
+
+const priceBreakdownSchema = new mongoose.Schema({
+  nights: Number,
+  nightlyRate: Number,
+  nightlyRates: [{
+    _id: false,
+    date: String,
+    rate: Number,
+    rule: String
+  }],
+  rentalDays: Number,
+  dailyRate: Number,
+  subtotal: Number,
+  fees: [chargeItemSchema],
+  feesTotal: Number,
+  taxes: [chargeItemSchema],
+  taxesTotal: Number,
+  discounts: [{
+    _id: false,
+    name: String,
+    amount: Number
+  }],
+  discountsTotal: Number,
+  total: Number
+}, { _id: false });
+
+// Rate from the currency of the property or vehicle to the charged one,
+// taken from the rate table when the reservation was priced
+const exchangeRateSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  rate: Number,
+  asOf: Date
+}, { _id: false });
+
+// Promo code the reservation was booked with, with its terms frozen so new
+// dates get the same discount: the percentage, or the amount off in the
+// reservation's currency
+const promotionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  },
+  code: String,
+  discountType: String,
+  value: Number,
+  amount: Number
+}, { _id: false });
+
+// Allowed status changes; any other change is rejected
+const STATUS_TRANSITIONS = {
+  status: {
+    pending: ['confirmed', 'cancelled', 'expired'],
+    confirmed: ['cancelled', 'completed', 'no_show'],
+    cancelled: [],
+    completed: [],
+    expired: [],
+    no_show: []
+  },
+  // Moved only by payment events (see services/payments.js)
+  paymentStatus: {
+    pending: ['authorized', 'failed'],
+    failed: ['authorized'],
+    authorized: ['paid', 'voided', 'failed'],
+    paid: ['partially_refunded', 'refunded'],
+    partially_refunded: ['refunded'],
+    voided: [],
+    refunded: []
+  }
+};
+
+// One entry per status or payment status change
+const historyEntrySchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['status', 'paymentStatus'],
+    required: true
+  },
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // null when the change was made by the system
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Refund decided when the reservation was cancelled
+const cancellationSchema = new mongoose.Schema({
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  policy: String,
+  refundPercent: Number,
+  refundAmount: Number
+}, { _id: false });
+
+// A change of dates and the price difference it caused
+const dateChangeSchema = new mongoose.Schema({
+  previousStartDate: Date,
+  previousEndDate: Date,
+  previousTotal: Number,
+  startDate: Date,
+  endDate: Date,
+  newTotal: Number,
+  difference: Number, // positive: extra charge, negative: refund
+  settlement: {
+    type: String,
+    enum: ['charge', 'refund', 'none']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One room of a group reservation, priced and cancellable on its own
+const roomLineSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: [true, 'Room ID is required']
+  },
+  numGuests: {
+    type: Number,
+    required: [true, 'Number of guests is required'],
+    min: [1, 'At least 1 guest is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'cancelled'],
+      message: 'Room line status must be active or cancelled'
+    },
+    default: 'active'
+  },
+  nightlyRate: Number,
+  nightlyRates: [{
+    _id: false,
+    date: String,
+    rate: Number,
+    rule: String
+  }],
+  subtotal: Number,
+  fees: [chargeItemSchema],
+  feesTotal: Number,
+  taxes: [chargeItemSchema],
+  taxesTotal: Number,
+  total: {
+    type: Number,
+    required: [true, 'Room line total is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  cancellation: cancellationSchema
+}, { _id: false });
 
 const reservationSchema = new mongoose.Schema({
   userId: {
@@ -6,14 +191,46 @@ const reservationSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'User ID is required']
   },
+  reservationType: {
+    type: String,
+    enum: {
+      values: ['property', 'vehicle', 'group'],
+      message: 'Reservation type must be property, vehicle, or group'
+    },
+    default: 'property'
+  },
   propertyId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Property',
-    required: [true, 'Property ID is required']
+    required: [function() { return this.reservationType !== 'vehicle'; }, 'Property ID is required']
   },
   roomId: {
     type: String,
-    required: [true, 'Room ID is required']
+    required: [function() { return this.reservationType === 'property'; }, 'Room ID is required']
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [function() { return this.reservationType === 'vehicle'; }, 'Vehicle ID is required']
+  },
+  roomLines: {
+    type: [roomLineSchema],
+    default: undefined,
+    required: [function() { return this.reservationType === 'group'; }, 'Room lines are required'],
+    validate: {
+      validator: function(lines) {
+        // Update validators run against the query, not the reservation
+        if (!(this instanceof mongoose.Document)) return true;
+        if (this.reservationType !== 'group') return !lines || lines.length === 0;
+        const roomIds = (lines || []).map(line => line.roomId);
+        return roomIds.length > 0 && new Set(roomIds).size === roomIds.length;
+      },
+      message: 'Group reservations need at least one room line, each for a different room'
+    }
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip' // set when the reservation is part of a trip package
   },
   startDate: {
     type: Date,
@@ -33,16 +250,38 @@ const reservationSchema = new mongoose.Schema({
     required: [true, 'Total amount is required'],
     min: [0, 'Amount cannot be negative']
   },
+  priceBreakdown: priceBreakdownSchema,
+  // Currency the amounts are charged in, and the rate that turned the prices
+  // of the property or vehicle into it (1 when they are the same)
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  exchangeRate: exchangeRateSchema,
+  promotion: promotionSchema,
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: Object.keys(STATUS_TRANSITIONS.status),
     default: 'pending'
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'failed'],
+    enum: Object.keys(STATUS_TRANSITIONS.paymentStatus),
     default: 'pending'
   },
+  holdExpiresAt: {
+    type: Date // a pending reservation expires after this time unless confirmed
+  },
+  checkedInAt: {
+    type: Date // guest arrival (or vehicle pick-up); confirmed stays ending without it become no-shows
+  },
+  // Set on reservations made since check-ins are recorded; older ones were
+  // never checked in, so they are completed rather than marked no-show
+  expectsCheckIn: Boolean,
+  history: [historyEntrySchema],
+  dateChanges: [dateChangeSchema],
+  cancellation: cancellationSchema,
   specialRequests: {
     type: String,
     maxlength: [500, 'Special requests cannot exceed 500 characters']
@@ -54,11 +293,23 @@ const reservationSchema = new mongoose.Schema({
 // Indexes for better query performance
 reservationSchema.index({ userId: 1 });
 reservationSchema.index({ propertyId: 1 });
+reservationSchema.index({ vehicleId: 1 });
+reservationSchema.index({ tripId: 1 });
 reservationSchema.index({ status: 1 });
 reservationSchema.index({ startDate: 1, endDate: 1 });
 
-// Virtual for reservation duration in days
+// New reservations expect a check-in. Not a default: older reservations
+// would get it on their next save.
+reservationSchema.pre('validate', function(next) {
+  if (this.isNew && this.expectsCheckIn === undefined) this.expectsCheckIn = true;
+  next();
+});
+
+// Virtual for reservation duration in days: nights for stays (their dates are
+// the property's calendar dates), started 24-hour days for vehicle rentals
 reservationSchema.virtual('durationDays').get(function() {
+  if (this.reservationType !== 'vehicle') return countNights(this.startDate, this.endDate);
+
   const diffTime = Math.abs(this.endDate - this.startDate);
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
@@ -69,4 +320,67 @@ reservationSchema.methods.isActive = function() {
   return this.startDate <= now && this.endDate >= now && this.status === 'confirmed';
 };
 
+// Static method to find a pending/confirmed reservation overlapping a date range
+// for the same room (propertyId + roomId) or the same vehicle (vehicleId)
+reservationSchema.statics.findOverlapping = function({ propertyId, roomId, vehicleId, startDate, endDate, excludeId }) {
+  // A room is taken by single room reservations and by active lines of group ones
+  const filter = vehicleId
+    ? { vehicleId }
+    : { propertyId, $or: [{ roomId }, { roomLines: { $elemMatch: { roomId, status: 'active' } } }] };
+
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return this.findOne({
+    ...filter,
+    status: { $in: ['confirmed', 'pending'] },
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate }
+  });
+};
+
+// Static method to find what keeps a room or vehicle from being booked over a
+// date range: an overlapping reservation or a blocked period
+reservationSchema.statics.findConflict = async function(params) {
+  const reservation = await this.findOverlapping(params);
+  if (reservation) return reservation;
+
+  return AvailabilityBlock.findOverlapping(params);
+};
+
+// Rooms held by the reservation (the active lines of a group reservation)
+reservationSchema.methods.bookedRoomIds = function() {
+  if (this.reservationType === 'group') {
+    return this.roomLines.filter(line => line.status === 'active').map(line => line.roomId);
+  }
+  return this.roomId ? [this.roomId] : [];
+};
+
+// Static method to check whether a status (or paymentStatus) change is allowed
+reservationSchema.statics.canTransition = function(field, from, to) {
+  const allowed = STATUS_TRANSITIONS[field] && STATUS_TRANSITIONS[field][from];
+  return Boolean(allowed && allowed.includes(to));
+};
+
+// Static method to change status (or paymentStatus) and log it in the history.
+// The update only applies if the field still holds `from`, so two concurrent
+// changes cannot both succeed; returns null when the reservation moved on.
+reservationSchema.statics.transition = function(id, field, from, to, { actor, reason, set = {} } = {}) {
+  if (!this.canTransition(field, from, to)) {
+    const error = new Error(`Cannot change ${field} from ${from} to ${to}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: id, [field]: from },
+    {
+      $set: { ...set, [field]: to },
+      $push: { history: { field, from, to, actor, reason, at: new Date() } }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+reservationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Reservation', reservationSchema);
\ No newline at end of file
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// Categories a guest scores on, from 1 to 5: a stay, or the car of a rental
+// and, separately, its provider
+const STAY_CATEGORIES = ['cleanliness', 'accuracy', 'checkIn', 'communication', 'location', 'value'];
+const RENTAL_CATEGORIES = ['condition', 'cleanliness', 'comfort', 'value'];
+const PROVIDER_CATEGORIES = ['communication', 'pickupAndReturn'];
+
+const CATEGORIES = {
+  stay: STAY_CATEGORIES,
+  rental: RENTAL_CATEGORIES
+};
+
+const score = label => ({
+  type: Number,
+  min: [1, `${label} score must be between 1 and 5`],
+  max: [5, `${label} score must be between 1 and 5`]
+});
+
+// Every category of either kind; which ones a review needs depends on its kind
+const scoresSchema = new mongoose.Schema(
+  Object.fromEntries([...new Set([...STAY_CATEGORIES, ...RENTAL_CATEGORIES])].map(category => [category, score(category)])),
+  { _id: false }
+);
+
+const providerScoresSchema = new mongoose.Schema(
+  Object.fromEntries(PROVIDER_CATEGORIES.map(category => [category, score(category)])),
+  { _id: false }
+);
+
+const missingScores = (scores, categories) => (
+  categories.filter(category => !scores || typeof scores[category] !== 'number')
+);
+
+const averageScore = (scores, categories) => (
+  Math.round(categories.reduce((sum, category) => sum + scores[category], 0) / categories.length * 10) / 10
+);
+
+// Host's public answer to a review
+const replySchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Reply text is required'],
+    trim: true,
+    maxlength: [1000, 'Reply cannot exceed 1000 characters']
+  },
+  repliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  repliedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Review of a completed stay or rental, written once by the guest who booked
+// it. The rating and reviewCount of the property, or of the vehicle and its
+// provider, are recalculated from these (see services/reviews.js).
+const reviewSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: {
+      values: Object.keys(CATEGORIES),
+      message: 'Review kind must be stay or rental'
+    },
+    default: 'stay'
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required']
+  },
+  // Stays
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [function() { return this.kind === 'stay'; }, 'Property ID is required']
+  },
+  // Rentals
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [function() { return this.kind === 'rental'; }, 'Vehicle ID is required']
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.kind === 'rental'; }, 'Provider ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  scores: {
+    type: scoresSchema,
+    required: [true, 'Scores are required'],
+    validate: {
+      validator: function(scores) {
+        return missingScores(scores, CATEGORIES[this.kind] || []).length === 0;
+      },
+      message: 'Every category of the review must be scored'
+    }
+  },
+  // Average of the scores, one decimal
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  // The provider of a rental, scored apart from the car
+  providerScores: {
+    type: providerScoresSchema,
+    required: [function() { return this.kind === 'rental'; }, 'Provider scores are required'],
+    validate: {
+      validator: scores => missingScores(scores, PROVIDER_CATEGORIES).length === 0,
+      message: `Provider scores must include ${PROVIDER_CATEGORIES.join(', ')}`
+    }
+  },
+  providerRating: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  reply: replySchema
+}, {
+  timestamps: true
+});
+
+// Indexes
+reviewSchema.index({ reservationId: 1 }, { unique: true });
+reviewSchema.index({ propertyId: 1, createdAt: -1 });
+reviewSchema.index({ vehicleId: 1, createdAt: -1 });
+reviewSchema.index({ providerId: 1 });
+
+reviewSchema.pre('validate', function(next) {
+  const categories = CATEGORIES[this.kind];
+  if (categories && missingScores(this.scores, categories).length === 0) {
+    this.rating = averageScore(this.scores, categories);
+  }
+  if (this.providerScores && missingScores(this.providerScores, PROVIDER_CATEGORIES).length === 0) {
+    this.providerRating = averageScore(this.providerScores, PROVIDER_CATEGORIES);
+  }
+  next();
+});
+
+reviewSchema.statics.CATEGORIES = CATEGORIES;
+reviewSchema.statics.PROVIDER_CATEGORIES = PROVIDER_CATEGORIES;
+
+module.exports = mongoose.model('Review', reviewSchema);
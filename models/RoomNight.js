@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { eachNight } = require('../utils/dates');
+
+// One document per booked room night. The unique index makes the database
+// reject a second reservation claiming the same night of the same room, even
+// when two requests pass the conflict check at the same moment.
+const roomNightSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property ID is required']
+  },
+  roomId: {
+    type: String,
+    required: [true, 'Room ID is required']
+  },
+  night: {
+    type: String,
+    required: [true, 'Night is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Night must be a YYYY-MM-DD date']
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roomNightSchema.index({ propertyId: 1, roomId: 1, night: 1 }, { unique: true });
+roomNightSchema.index({ reservationId: 1 });
+
+// Static method to claim every night of a stay for a reservation.
+// Nights the reservation already holds are kept. Returns false (and rolls back
+// the nights claimed by this call) when another reservation holds any night.
+roomNightSchema.statics.claim = async function({ reservationId, propertyId, roomId, startDate, endDate }) {
+  const held = await this.find({ reservationId, propertyId, roomId }).distinct('night');
+  const nights = eachNight(startDate, endDate).filter(night => !held.includes(night));
+
+  if (nights.length === 0) return true;
+
+  try {
+    await this.insertMany(
+      nights.map(night => ({ propertyId, roomId, night, reservationId })),
+      { ordered: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      await this.deleteMany({ reservationId, propertyId, roomId, night: { $in: nights } });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release the nights of a reservation, optionally only those
+// of one room (a cancelled group line) or keeping the nights of a stay (used
+// when the dates of a reservation change)
+roomNightSchema.statics.release = function(reservationId, { roomId, keepStartDate, keepEndDate } = {}) {
+  const filter = { reservationId };
+
+  if (roomId) {
+    filter.roomId = roomId;
+  }
+
+  if (keepStartDate && keepEndDate) {
+    filter.night = { $nin: eachNight(keepStartDate, keepEndDate) };
+  }
+
+  return this.deleteMany(filter);
+};
+
+module.exports = mongoose.model('RoomNight', roomNightSchema);
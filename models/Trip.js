@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A trip package: a room stay and a vehicle rental over the same dates,
+// booked together and priced as one total
+const tripSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  stayReservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Stay reservation is required']
+  },
+  rentalReservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Rental reservation is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  pricing: {
+    currency: String,
+    stayTotal: Number,
+    rentalTotal: Number,
+    subtotal: Number,
+    discountPercent: Number,
+    discountAmount: Number,
+    total: Number
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'cancelled'],
+      message: 'Trip status must be active or cancelled'
+    },
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+tripSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Trip', tripSchema);
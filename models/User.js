@@ -30,6 +30,24 @@ const userSchema = new mongoose.Schema({
   avatar: {
     type: String,
     default: ''
+  },
+  // As a provider, from renters' reviews of their cars (see services/reviews.js)
+  providerRating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+  providerReviewCount: {
+    type: Number,
+    default: 0
+  },
+  // Secret token of the user's iCal feed URL (never returned by default)
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
   }
 }, {
   timestamps: true
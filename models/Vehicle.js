@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const { toPoint } = require('../utils/geo');
+
+// GeoJSON point, for searches by distance and map area (2dsphere index)
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  // [lng, lat]
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+}, { _id: false });
 
 const vehicleSchema = new mongoose.Schema({
   providerId: {
@@ -46,6 +61,13 @@ const vehicleSchema = new mongoose.Schema({
     required: [true, 'Price per day is required'],
     min: [0, 'Price cannot be negative']
   },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
   fuelType: {
     type: String,
     enum: ['gasoline', 'diesel', 'electric', 'hybrid'],
@@ -60,6 +82,24 @@ const vehicleSchema = new mongoose.Schema({
       type: String,
       uppercase: true,
       trim: true
+    },
+    // Pickup point
+    coords: {
+      lat: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
+    },
+    // Copy of coords kept in sync on save and update
+    point: {
+      type: pointSchema,
+      default: undefined
     }
   },
   features: [{
@@ -80,7 +120,18 @@ const vehicleSchema = new mongoose.Schema({
   images: [{
     type: String,
     trim: true
-  }]
+  }],
+  // Calculated from renters' reviews (see services/reviews.js)
+  rating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true
 });
@@ -91,6 +142,21 @@ vehicleSchema.index({ type: 1 });
 vehicleSchema.index({ location: 1 });
 vehicleSchema.index({ isAvailable: 1 });
 vehicleSchema.index({ pricePerDay: 1 });
+vehicleSchema.index({ rating: -1 });
+vehicleSchema.index({ 'location.point': '2dsphere' });
+
+// location.point follows location.coords
+vehicleSchema.pre('validate', function(next) {
+  if (this.location) this.location.point = toPoint(this.location.coords);
+  next();
+});
+
+vehicleSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const location = (update.$set && update.$set.location) || update.location;
+  if (location) location.point = toPoint(location.coords);
+  next();
+});
 
 // Virtual for display name
 vehicleSchema.virtual('displayName').get(function() {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { eachRentalDay } = require('../utils/dates');
+
+// One document per day a vehicle is rented. The unique index makes the
+// database reject a second rental claiming the same day of the same vehicle,
+// even when two requests pass the conflict check at the same moment. Days
+// are UTC calendar days, so a vehicle returned on a day is not picked up by
+// another rental that same day.
+const vehicleDaySchema = new mongoose.Schema({
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+  day: {
+    type: String,
+    required: [true, 'Day is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be a YYYY-MM-DD date']
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation ID is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+vehicleDaySchema.index({ vehicleId: 1, day: 1 }, { unique: true });
+vehicleDaySchema.index({ reservationId: 1 });
+
+// Static method to claim every day of a rental for a reservation.
+// Days the reservation already holds are kept. Returns false (and rolls back
+// the days claimed by this call) when another reservation holds any day.
+vehicleDaySchema.statics.claim = async function({ reservationId, vehicleId, startDate, endDate }) {
+  const held = await this.find({ reservationId, vehicleId }).distinct('day');
+  const days = eachRentalDay(startDate, endDate).filter(day => !held.includes(day));
+
+  if (days.length === 0) return true;
+
+  try {
+    await this.insertMany(
+      days.map(day => ({ vehicleId, day, reservationId })),
+      { ordered: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      await this.deleteMany({ reservationId, vehicleId, day: { $in: days } });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release the days of a reservation, optionally keeping the
+// days of a rental (used when the dates of a reservation change)
+vehicleDaySchema.statics.release = function(reservationId, { keepStartDate, keepEndDate } = {}) {
+  const filter = { reservationId };
+
+  if (keepStartDate && keepEndDate) {
+    filter.day = { $nin: eachRentalDay(keepStartDate, keepEndDate) };
+  }
+
+  return this.deleteMany(filter);
+};
+
+module.exports = mongoose.model('VehicleDay', vehicleDaySchema);
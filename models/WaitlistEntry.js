@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A guest waiting for a fully booked room. When the room frees up for the
+// requested dates the entry is offered a pending reservation (a hold) that
+// expires unless confirmed in time.
+const waitlistEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property ID is required']
+  },
+  roomId: {
+    type: String,
+    required: [true, 'Room ID is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return value > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  numGuests: {
+    type: Number,
+    required: [true, 'Number of guests is required'],
+    min: [1, 'At least 1 guest is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['waiting', 'offered', 'expired', 'cancelled'],
+      message: 'Waitlist status must be waiting, offered, expired, or cancelled'
+    },
+    default: 'waiting'
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation' // hold offered to the guest
+  },
+  offeredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+waitlistEntrySchema.index({ propertyId: 1, roomId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ userId: 1 });
+waitlistEntrySchema.index({ reservationId: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -35,6 +35,16 @@ if [ -z "$GITHUB_CLIENT_ID" ] || [ -z "$GITHUB_CLIENT_SECRET" ]; then
   echo "   La autenticación con GitHub no funcionará"
 fi
 
+if [ -z "$PAYMENT_PROVIDER" ]; then
+  echo "⚠️  ADVERTENCIA: PAYMENT_PROVIDER no está configurada"
+  echo "   Se usa la pasarela de pago falsa (no se cobran pagos reales)"
+fi
+
+if [ "${PAYMENT_PROVIDER:-fake}" = "fake" ] && [ -z "$FAKE_PAYMENT_WEBHOOK_SECRET" ]; then
+  echo "⚠️  ADVERTENCIA: FAKE_PAYMENT_WEBHOOK_SECRET no está configurada"
+  echo "   Los webhooks de pago se firman con el secreto por defecto"
+fi
+
 echo "✅ Build completado exitosamente!"
 echo ""
 echo "📊 Resumen del build:"
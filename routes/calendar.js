@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { getUserFeed, getPropertyFeed } = require('../controllers/calendarController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar (.ics) feeds for calendar apps, authenticated by a secret token in the URL
+ */
+
+/**
+ * @swagger
+ * /api/calendar/users/{token}.ics:
+ *   get:
+ *     summary: iCal feed of a user's reservations
+ *     tags: [Calendar]
+ *     description: |
+ *       Stays and car rentals of the user as all-day events (pending ones as tentative).
+ *       No session is needed: the token comes from `GET /api/users/me/calendar`.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar in iCalendar format
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or replaced token
+ */
+router.get('/users/:token.ics', getUserFeed);
+
+/**
+ * @swagger
+ * /api/calendar/properties/{token}.ics:
+ *   get:
+ *     summary: iCal feed of every booking of a property's rooms
+ *     tags: [Calendar]
+ *     description: |
+ *       One all-day event per booked room, with the guest name and number of guests.
+ *       No session is needed: the token comes from `GET /api/properties/{id}/calendar`.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar in iCalendar format
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or replaced token
+ */
+router.get('/properties/:token.ics', getPropertyFeed);
+
+module.exports = router;
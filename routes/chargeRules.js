@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getChargeRules,
+  createChargeRule,
+  updateChargeRule,
+  deleteChargeRule
+} = require('../controllers/chargeRulesController');
+const { validateChargeRule, validateObjectId } = require('../middleware/validation');
+
+// Import authentication middleware
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Charge rules
+ *   description: |
+ *     Taxes and fees charged on the stays of every property of a country or city, matched
+ *     against the property's address ignoring case. Country rules apply first, then city
+ *     rules, then the property's own `charges`; a charge with the name of an earlier one
+ *     replaces it (an amount of 0 waives it). Reservations store every charge as it was
+ *     priced, so later changes only affect new bookings.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Charge:
+ *       type: object
+ *       required:
+ *         - name
+ *         - kind
+ *         - calculation
+ *         - amount
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Occupancy tax"
+ *         kind:
+ *           type: string
+ *           enum: [fee, tax]
+ *         calculation:
+ *           type: string
+ *           enum: [percentage, per_night, flat]
+ *           description: |
+ *             percentage: of the nights for fees, of the nights plus fees for taxes.
+ *             per_night: amount per room and night. flat: amount per room booked.
+ *             Amounts are in the property's currency.
+ *         amount:
+ *           type: number
+ *           minimum: 0
+ *           example: 12
+ *     ChargeRule:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Charge'
+ *         - type: object
+ *           required:
+ *             - country
+ *           properties:
+ *             country:
+ *               type: string
+ *               example: "USA"
+ *             city:
+ *               type: string
+ *               example: "Miami"
+ *             isActive:
+ *               type: boolean
+ *               default: true
+ */
+
+/**
+ * @swagger
+ * /api/charge-rules:
+ *   get:
+ *     summary: List tax and fee rules (Admin only)
+ *     tags: [Charge rules]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Charge rules
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a tax or fee rule (Admin only)
+ *     tags: [Charge rules]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChargeRule'
+ *     responses:
+ *       201:
+ *         description: Charge rule created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', requireAuth, requireAdmin, getChargeRules);
+router.post('/', requireAuth, requireAdmin, validateChargeRule, createChargeRule);
+
+/**
+ * @swagger
+ * /api/charge-rules/{id}:
+ *   put:
+ *     summary: Replace a tax or fee rule (Admin only)
+ *     tags: [Charge rules]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChargeRule'
+ *     responses:
+ *       200:
+ *         description: Charge rule updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a tax or fee rule (Admin only)
+ *     tags: [Charge rules]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Charge rule deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id', requireAuth, requireAdmin, validateObjectId, validateChargeRule, updateChargeRule);
+router.delete('/:id', requireAuth, requireAdmin, validateObjectId, deleteChargeRule);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRatesController');
+const { validateExchangeRate } = require('../middleware/validation');
+
+// Import authentication middleware
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exchange rates
+ *   description: |
+ *     Rate table used to show prices in another currency (`?currency=` on listings and quotes)
+ *     and to charge reservations in it. Rates are kept by the administrators; no live FX
+ *     service is queried. Every rate is how many units of its currency one USD buys.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         currency:
+ *           type: string
+ *           example: "MXN"
+ *         rate:
+ *           type: number
+ *           description: Units of the currency per 1 USD
+ *           example: 17.2
+ *         updatedBy:
+ *           type: string
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     Currency:
+ *       in: query
+ *       name: currency
+ *       schema:
+ *         type: string
+ *         pattern: '^[A-Za-z]{3}$'
+ *         example: "EUR"
+ *       description: |
+ *         Currency to show prices in, converted from the listing's own currency with the exchange
+ *         rate table. When booking, the reservation is charged in it at that rate. 400 when the
+ *         table has no rate for it.
+ */
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Get the exchange rate table
+ *     tags: [Exchange rates]
+ *     responses:
+ *       200:
+ *         description: Rates by currency
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 base:
+ *                   type: string
+ *                   example: "USD"
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ */
+router.get('/', getExchangeRates);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{currency}:
+ *   put:
+ *     summary: Set the rate of a currency (Admin only)
+ *     tags: [Exchange rates]
+ *     description: |
+ *       Adds the currency to the table or replaces its rate. Reservations already made keep the
+ *       rate they were charged with.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z]{3}$'
+ *           example: "MXN"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 minimum: 0
+ *                 exclusiveMinimum: true
+ *                 example: 17.2
+ *     responses:
+ *       200:
+ *         description: Rate updated
+ *       201:
+ *         description: Currency added to the table
+ *       400:
+ *         description: Invalid rate or currency code, or the base currency
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Remove a currency from the table (Admin only)
+ *     tags: [Exchange rates]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "MXN"
+ *     responses:
+ *       200:
+ *         description: Rate removed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:currency', requireAuth, requireAdmin, validateExchangeRate, setExchangeRate);
+router.delete('/:currency', requireAuth, requireAdmin, deleteExchangeRate);
+
+module.exports = router;
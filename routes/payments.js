@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPaymentById,
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  receiveWebhook
+} = require('../controllers/paymentsController');
+const { validatePaymentAmount, validateCancellationReason, validateObjectId } = require('../middleware/validation');
+
+// Import authentication middleware
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: |
+ *     Reservation payments through a payment provider. A reservation's payment status
+ *     (pending → authorized → paid → partially_refunded | refunded, or failed / voided)
+ *     only moves with the events of its payments, whether they come from these endpoints or
+ *     from the provider's webhooks.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reservationId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           example: "fake"
+ *         providerPaymentId:
+ *           type: string
+ *           example: "pay_fake_3f2a9c0e1b7d4a5c6e8f9a0b"
+ *         amount:
+ *           type: number
+ *           description: Authorized amount
+ *           example: 300
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         status:
+ *           type: string
+ *           enum: [pending, authorized, captured, partially_refunded, refunded, failed, voided]
+ *         amountCaptured:
+ *           type: number
+ *         amountRefunded:
+ *           type: number
+ *         failureReason:
+ *           type: string
+ *           example: "Card declined"
+ *         refunds:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               providerRefundId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         events:
+ *           type: array
+ *           description: Provider events applied to the payment, each one only once
+ *           items:
+ *             type: object
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 example: "payment.captured"
+ *               amount:
+ *                 type: number
+ *               source:
+ *                 type: string
+ *                 enum: [api, webhook]
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *     PaymentAmountRequest:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: number
+ *           minimum: 0.01
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ */
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Receive an event from a payment provider
+ *     tags: [Payments]
+ *     description: |
+ *       No session is needed: the provider signs the raw body (the fake gateway with an HMAC-SHA256
+ *       of the body in the `x-fake-signature` header, keyed with `FAKE_PAYMENT_WEBHOOK_SECRET`).
+ *       Events already applied are acknowledged without changing anything, so retries are safe.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "fake"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 example: "evt_fake_9b1c2d3e4f5a6b7c8d9e0f1a"
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.failed, payment.captured, payment.voided, payment.refunded]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   paymentId:
+ *                     type: string
+ *                   amount:
+ *                     type: number
+ *                   refundId:
+ *                     type: string
+ *                   failureReason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature or malformed event
+ *       404:
+ *         description: Unknown provider or payment
+ *       409:
+ *         description: The event does not apply to the current payment status
+ */
+router.post('/webhooks/:provider', receiveWebhook);
+
+/**
+ * @swagger
+ * /api/payments/{id}:
+ *   get:
+ *     summary: Get a payment by ID
+ *     tags: [Payments]
+ *     description: Guests can see their own payments; administrators can see any.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the payment
+ *     responses:
+ *       200:
+ *         description: Payment found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', requireAuth, validateObjectId, getPaymentById);
+
+/**
+ * @swagger
+ * /api/payments/{id}/capture:
+ *   post:
+ *     summary: Capture an authorized payment (Admin only)
+ *     tags: [Payments]
+ *     description: |
+ *       Takes the money and moves the reservation to paid. Without an amount it captures the
+ *       reservation's current total (less than authorized when a room was cancelled meanwhile).
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the payment
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentAmountRequest'
+ *     responses:
+ *       200:
+ *         description: Payment captured
+ *       400:
+ *         description: Amount above the authorized amount
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The payment is not authorized
+ */
+router.post('/:id/capture', requireAuth, requireAdmin, validateObjectId, validatePaymentAmount, capturePayment);
+
+/**
+ * @swagger
+ * /api/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a captured payment (Admin only)
+ *     tags: [Payments]
+ *     description: |
+ *       Refunds part of the payment, or all that is left when no amount is given. The reservation
+ *       moves to partially_refunded or refunded. Cancellations refund on their own under the
+ *       cancellation policy; this is for goodwill refunds.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the payment
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PaymentAmountRequest'
+ *     responses:
+ *       200:
+ *         description: Payment refunded
+ *       400:
+ *         description: Amount above what is left to refund
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The payment was not captured
+ */
+router.post('/:id/refund', requireAuth, requireAdmin, validateObjectId, validatePaymentAmount, refundPayment);
+
+/**
+ * @swagger
+ * /api/payments/{id}/void:
+ *   post:
+ *     summary: Release an authorization without capturing it (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the payment
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Authorization released
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The payment is not authorized
+ */
+router.post('/:id/void', requireAuth, requireAdmin, validateObjectId, validateCancellationReason, voidPayment);
+
+module.exports = router;
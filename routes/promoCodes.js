@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} = require('../controllers/promoCodesController');
+const { validatePromoCode, validateObjectId } = require('../middleware/validation');
+
+// Import authentication middleware
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promo codes
+ *   description: |
+ *     Discount codes guests enter as `promoCode` when quoting or booking. The discount is
+ *     taken on the nights or rental days, before percentage fees and taxes (which are charged on the
+ *     discounted price), and shows as its own line in `discounts`. Each
+ *     reservation holding a code counts against `maxRedemptions` and the guest's
+ *     `maxRedemptionsPerUser`; cancelled and expired reservations give the redemption back.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromoCode:
+ *       type: object
+ *       required:
+ *         - code
+ *         - discountType
+ *         - amount
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Stored in upper case; guests may enter it in any case
+ *           example: "SUMMER25"
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         amount:
+ *           type: number
+ *           description: Percentage off (up to 100), or amount off in `currency`
+ *           example: 25
+ *         currency:
+ *           type: string
+ *           default: USD
+ *           description: Currency of a fixed amount, converted to the booking's currency
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         minNights:
+ *           type: integer
+ *           minimum: 1
+ *           description: Nights of a stay, or days of a rental
+ *         propertyIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         vehicleTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [sedan, suv, van, luxury, economy]
+ *         cities:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Matched against the property's or vehicle's city, ignoring case
+ *         maxRedemptions:
+ *           type: integer
+ *           minimum: 1
+ *         maxRedemptionsPerUser:
+ *           type: integer
+ *           minimum: 1
+ *         redemptionCount:
+ *           type: integer
+ *           readOnly: true
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *     Discount:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Promo code SUMMER25"
+ *         amount:
+ *           type: number
+ *           example: 75
+ */
+
+/**
+ * @swagger
+ * /api/promo-codes:
+ *   get:
+ *     summary: List promo codes (Admin only)
+ *     tags: [Promo codes]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Promo codes
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a promo code (Admin only)
+ *     tags: [Promo codes]
+ *     security:
+ *       - sessionAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A promo code with this code already exists
+ */
+router.get('/', requireAuth, requireAdmin, getPromoCodes);
+router.post('/', requireAuth, requireAdmin, validatePromoCode, createPromoCode);
+
+/**
+ * @swagger
+ * /api/promo-codes/{id}:
+ *   put:
+ *     summary: Replace a promo code (Admin only)
+ *     description: Redemptions so far keep counting against the new caps.
+ *     tags: [Promo codes]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a promo code (Admin only)
+ *     description: Reservations already booked keep their discount.
+ *     tags: [Promo codes]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Promo code deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id', requireAuth, requireAdmin, validateObjectId, validatePromoCode, updatePromoCode);
+router.delete('/:id', requireAuth, requireAdmin, validateObjectId, deletePromoCode);
+
+module.exports = router;
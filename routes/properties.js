@@ -3,111 +3,992 @@ const router = express.Router();
 const {
   getAllProperties,
   getPropertyById,
+  getPropertyAvailability,
   createProperty,
   updateProperty,
   deleteProperty
 } = require('../controllers/propertiesController');
-const { validateProperty, validateObjectId } = require('../middleware/validation');
+const { joinWaitlist } = require('../controllers/waitlistController');
+const {
+  getPropertyCalendarFeed,
+  resetPropertyCalendarFeed,
+  getCalendarSources,
+  addCalendarSource,
+  uploadCalendarFile,
+  syncCalendarSourceNow,
+  removeCalendarSource
+} = require('../controllers/calendarController');
+const { getRoomBlocks, createRoomBlock, deleteRoomBlock } = require('../controllers/blocksController');
+const { getPropertyReviews, createPropertyReview, replyToReview } = require('../controllers/reviewsController');
+const { MAX_CALENDAR_BYTES } = require('../services/calendarImport');
+const {
+  validateProperty,
+  validateObjectId,
+  validateCurrencyQuery,
+  validateGeoQuery,
+  validateStayQuery,
+  validateAvailabilityQuery,
+  validateWaitlistJoin,
+  validateCalendarSource,
+  validateBlackout,
+  validateReview,
+  validateReviewReply
+} = require('../middleware/validation');
 const validateOwnerExists = require('../middleware/validateOwnerExists');
 
-// Import authentication middleware
-const { requireAuth, requireProviderOrAdmin, isOwnerOrAdmin } = require('../middleware/auth');
+// Import authentication middleware
+const { requireAuth, requireProviderOrAdmin, isOwnerOrAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Properties
+ *   description: Property management endpoints
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Near:
+ *       in: query
+ *       name: near
+ *       schema:
+ *         type: string
+ *       example: "25.7617,-80.1918"
+ *       description: |
+ *         Search around this point (latitude,longitude), nearest first. Each result gets its
+ *         `distanceKm`. Only listings with coordinates are returned. Cannot be combined with `bbox`.
+ *     RadiusKm:
+ *       in: query
+ *       name: radiusKm
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *         maximum: 1000
+ *         default: 50
+ *       description: Search radius around `near`, in km
+ *     Bbox:
+ *       in: query
+ *       name: bbox
+ *       schema:
+ *         type: string
+ *       example: "-80.32,25.70,-80.12,25.86"
+ *       description: |
+ *         Map view to search in, as minLng,minLat,maxLng,maxLat (south-west corner first).
+ *         `distanceKm` is measured from the centre of the box. Cannot be combined with `near`.
+ */
+
+/**
+ * @swagger
+ * /api/properties:
+ *   get:
+ *     summary: Get all properties with pagination and filters
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of properties per page
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Filter by city
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Filter by country
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Minimum average nightly rate, priced from the room rate rules for the checkIn/checkOut stay (tonight by default); in `currency` when given, else in each property's own currency
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Maximum average nightly rate, priced from the room rate rules for the checkIn/checkOut stay (tonight by default); in `currency` when given, else in each property's own currency
+ *       - in: query
+ *         name: checkIn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Check-in date used to price rooms for the price filters
+ *       - in: query
+ *         name: checkOut
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Check-out date used to price rooms for the price filters; after checkIn and at most 365 nights later
+ *       - in: query
+ *         name: minCapacity
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Minimum room capacity
+ *       - $ref: '#/components/parameters/Near'
+ *       - $ref: '#/components/parameters/RadiusKm'
+ *       - $ref: '#/components/parameters/Bbox'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: List of properties retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   description: Number of properties in current page
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Property'
+ *       500:
+ *         description: Server error
+ */
+router.get('/', validateCurrencyQuery, validateGeoQuery, validateStayQuery, getAllProperties);
+
+/**
+ * @swagger
+ * /api/properties/{id}:
+ *   get:
+ *     summary: Get property by ID
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: Property details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Property'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Property not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validateObjectId, validateCurrencyQuery, getPropertyById);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StayRules:
+ *       type: object
+ *       properties:
+ *         minNights:
+ *           type: integer
+ *           example: 2
+ *         maxNights:
+ *           type: integer
+ *           nullable: true
+ *           example: 14
+ *         closedToArrival:
+ *           type: array
+ *           description: Weekdays check-in is not allowed on (0 = Sunday ... 6 = Saturday)
+ *           items:
+ *             type: integer
+ *           example: [0]
+ *         minLeadHours:
+ *           type: integer
+ *           example: 24
+ *         maxAdvanceDays:
+ *           type: integer
+ *           nullable: true
+ *           example: 365
+ */
+
+/**
+ * @swagger
+ * /api/properties/{id}/availability:
+ *   get:
+ *     summary: Get the nightly availability calendar of every room
+ *     tags: [Properties]
+ *     description: Returns one entry per night and room. A night is `booked` when a pending or confirmed reservation covers it, `blocked` when the room is not available for booking or an imported calendar or blackout blocks the date, and `free` otherwise. `closedToArrival` lists the nights a stay cannot start on under the property's stay rules. The range covers the nights from `from` up to (not including) `to`, at most 366 nights.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First night (YYYY-MM-DD, defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Check-out day, not included (YYYY-MM-DD, defaults to 30 nights after from)
+ *     responses:
+ *       200:
+ *         description: Availability calendar retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     propertyId:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       example: "2024-12-01"
+ *                     to:
+ *                       type: string
+ *                       example: "2024-12-31"
+ *                     stayRules:
+ *                       $ref: '#/components/schemas/StayRules'
+ *                     clock:
+ *                       type: object
+ *                       description: Time zone and local check-in/check-out times of the property
+ *                       properties:
+ *                         timeZone:
+ *                           type: string
+ *                           example: "America/New_York"
+ *                         checkIn:
+ *                           type: string
+ *                           example: "15:00"
+ *                         checkOut:
+ *                           type: string
+ *                           example: "11:00"
+ *                     closedToArrival:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["2024-12-01", "2024-12-08"]
+ *                     rooms:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           roomId:
+ *                             type: string
+ *                             example: "BEACH001"
+ *                           nights:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 date:
+ *                                   type: string
+ *                                   example: "2024-12-01"
+ *                                 status:
+ *                                   type: string
+ *                                   enum: [free, booked, blocked]
+ *       400:
+ *         description: Invalid ID format or date range
+ *       404:
+ *         description: Property not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/availability', validateObjectId, validateAvailabilityQuery, getPropertyAvailability);
+
+/**
+ * @swagger
+ * /api/properties/{id}/rooms/{roomId}/waitlist:
+ *   post:
+ *     summary: Join the waitlist of a fully booked room
+ *     tags: [Properties]
+ *     description: |
+ *       Only dates already reserved can be waited for. When an overlapping reservation is cancelled, deleted or expires,
+ *       the first guest on the waitlist whose dates are free gets a pending reservation holding the room.
+ *       The hold expires after WAITLIST_HOLD_MINUTES (default 120) unless it is confirmed.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *               - numGuests
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-12-20"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-12-27"
+ *               numGuests:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist, with the position in the queue
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Property or room not found
+ *       409:
+ *         description: Room is free for the dates, or the user is already waiting for them
+ */
+router.post('/:id/rooms/:roomId/waitlist', requireAuth, validateObjectId, validateWaitlistJoin, joinWaitlist);
+
+/**
+ * @swagger
+ * /api/properties/{id}/calendar:
+ *   get:
+ *     summary: Get the subscription URL of a property's iCal feed (owner or admin)
+ *     tags: [Properties]
+ *     description: |
+ *       The feed lists every booking of the property's rooms. The URL contains a secret token, so calendar apps
+ *       can subscribe to it without logging in; replace it with `POST /api/properties/{id}/calendar/reset` if it leaks.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: Feed URL (https and webcal)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/calendar', requireAuth, validateObjectId, getPropertyCalendarFeed);
+
+/**
+ * @swagger
+ * /api/properties/{id}/calendar/reset:
+ *   post:
+ *     summary: Replace a property's iCal feed URL (owner or admin)
+ *     tags: [Properties]
+ *     description: The previous URL stops working.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: New feed URL
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/calendar/reset', requireAuth, validateObjectId, resetPropertyCalendarFeed);
+
+/**
+ * @swagger
+ * /api/properties/{id}/rooms/{roomId}/calendar-sources:
+ *   get:
+ *     summary: Get the external calendars of a room (owner or admin)
+ *     tags: [Properties]
+ *     description: |
+ *       Each source includes the report of its last import (events read, blocks imported, updated and removed,
+ *       events skipped, and reservations overlapping imported events) and the upcoming dates it blocks.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *     responses:
+ *       200:
+ *         description: Calendar sources with their sync report and blocked dates
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Property, room or calendar source not found
+ */
+router.get('/:id/rooms/:roomId/calendar-sources', requireAuth, validateObjectId, getCalendarSources);
+
+/**
+ * @swagger
+ * /api/properties/{id}/rooms/{roomId}/calendar-sources:
+ *   post:
+ *     summary: Add an external iCal calendar to a room (owner or admin)
+ *     tags: [Properties]
+ *     description: |
+ *       Events of the calendar block the room: they cannot be booked and show as blocked in the availability calendar.
+ *       With a `url` the calendar is imported right away and again every ICAL_SYNC_INTERVAL_MINUTES (default 60).
+ *       The URL must be http(s) (`webcal:` is read as `https:`) on a public host; calendars over 2 MB are rejected.
+ *       Without one the source takes an uploaded file (see `PUT .../calendar-sources/{sourceId}/file`).
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Other platform"
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: "https://calendar.example.com/listing/123.ics"
+ *     responses:
+ *       201:
+ *         description: Calendar source added, with the report of its first import for URL sources
+ *       400:
+ *         description: Validation failed, or the URL does not point to a public host
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Property, room or calendar source not found
+ */
+router.post('/:id/rooms/:roomId/calendar-sources', requireAuth, validateObjectId, validateCalendarSource, addCalendarSource);
+
+/**
+ * @swagger
+ * /api/properties/{id}/rooms/{roomId}/calendar-sources/{sourceId}/file:
+ *   put:
+ *     summary: Upload the .ics file of a file calendar source (owner or admin)
+ *     tags: [Properties]
+ *     description: The events of the file replace those of the previous upload. An unreadable file keeps the current blocks.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Sync report of the import
+ *       400:
+ *         description: Missing or unreadable calendar file
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Property, room or calendar source not found
+ *       409:
+ *         description: The source is a URL source
+ *       413:
+ *         description: File larger than 2 MB
+ */
+router.put(
+  '/:id/rooms/:roomId/calendar-sources/:sourceId/file',
+  requireAuth,
+  validateObjectId,
+  express.text({ type: 'text/calendar', limit: MAX_CALENDAR_BYTES }),
+  uploadCalendarFile
+);
+
+/**
+ * @swagger
+ * /api/properties/{id}/rooms/{roomId}/calendar-sources/{sourceId}/sync:
+ *   post:
+ *     summary: Fetch and import a URL calendar source now (owner or admin)
+ *     tags: [Properties]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Sync report of the import
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Property, room or calendar source not found
+ *       409:
+ *         description: The source is a file source
+ *       502:
+ *         description: The calendar could not be fetched or read (current blocks are kept)
+ */
+router.post('/:id/rooms/:roomId/calendar-sources/:sourceId/sync', requireAuth, validateObjectId, syncCalendarSourceNow);
+
+/**
+ * @swagger
+ * /api/properties/{id}/rooms/{roomId}/calendar-sources/{sourceId}:
+ *   delete:
+ *     summary: Remove an external calendar from a room (owner or admin)
+ *     tags: [Properties]
+ *     description: The dates it blocked become bookable again.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Calendar source removed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Property, room or calendar source not found
+ */
+router.delete('/:id/rooms/:roomId/calendar-sources/:sourceId', requireAuth, validateObjectId, removeCalendarSource);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BlackoutRequest:
+ *       type: object
+ *       required:
+ *         - startDate
+ *         - endDate
+ *         - reason
+ *       properties:
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           example: "2024-03-01"
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: First day available again (not blocked)
+ *           example: "2024-03-08"
+ *         reason:
+ *           type: string
+ *           enum: [maintenance, owner_use, renovation, other]
+ *         note:
+ *           type: string
+ *           example: "Repainting"
+ */
+
+/**
+ * @swagger
+ * /api/properties/{id}/rooms/{roomId}/blocks:
+ *   get:
+ *     summary: Get the blocked dates of a room (owner or admin)
+ *     tags: [Properties]
+ *     description: |
+ *       Includes dates blocked by imported calendars (`source: ical`) and blackouts (`source: blackout`).
+ *       Blocks whose dates have passed no longer apply and are left out unless `includePast` is set.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *       - in: query
+ *         name: includePast
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include blocks whose dates have passed
+ *     responses:
+ *       200:
+ *         description: Blocks, by start date
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/rooms/:roomId/blocks', requireAuth, validateObjectId, getRoomBlocks);
 
 /**
  * @swagger
- * tags:
- *   name: Properties
- *   description: Property management endpoints
+ * /api/properties/{id}/rooms/{roomId}/blocks:
+ *   post:
+ *     summary: Take a room out of service for some dates (owner or admin)
+ *     tags: [Properties]
+ *     description: |
+ *       Bookings overlapping the blocked dates are rejected. The block ends by itself when its dates pass.
+ *       Dates already reserved cannot be blocked.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BlackoutRequest'
+ *     responses:
+ *       201:
+ *         description: Dates blocked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: A reservation overlaps the dates
  */
+router.post('/:id/rooms/:roomId/blocks', requireAuth, validateObjectId, validateBlackout, createRoomBlock);
 
 /**
  * @swagger
- * /api/properties:
+ * /api/properties/{id}/rooms/{roomId}/blocks/{blockId}:
+ *   delete:
+ *     summary: Remove a blackout of a room (owner or admin)
+ *     tags: [Properties]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *       - in: path
+ *         name: blockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Block removed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The block was imported from a calendar source
+ */
+router.delete('/:id/rooms/:roomId/blocks/:blockId', requireAuth, validateObjectId, deleteRoomBlock);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StayScores:
+ *       type: object
+ *       description: Scores from 1 to 5
+ *       required:
+ *         - cleanliness
+ *         - accuracy
+ *         - checkIn
+ *         - communication
+ *         - location
+ *         - value
+ *       properties:
+ *         cleanliness:
+ *           type: integer
+ *           example: 5
+ *         accuracy:
+ *           type: integer
+ *           example: 4
+ *         checkIn:
+ *           type: integer
+ *           example: 5
+ *         communication:
+ *           type: integer
+ *           example: 5
+ *         location:
+ *           type: integer
+ *           example: 4
+ *         value:
+ *           type: integer
+ *           example: 4
+ */
+
+/**
+ * @swagger
+ * /api/properties/{id}/reviews:
  *   get:
- *     summary: Get all properties with pagination and filters
+ *     summary: Reviews of a property, newest first
  *     tags: [Properties]
+ *     description: |
+ *       `summary` holds the property's average rating, its number of reviews and the average of
+ *       each category. The property's `rating` and `reviewCount` are kept equal to these.
  *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *           minimum: 1
  *           default: 1
- *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           minimum: 1
- *           maximum: 100
  *           default: 10
- *         description: Number of properties per page
- *       - in: query
- *         name: city
- *         schema:
- *           type: string
- *         description: Filter by city
- *       - in: query
- *         name: country
+ *     responses:
+ *       200:
+ *         description: Reviews with the host's replies
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   post:
+ *     summary: Review a completed stay
+ *     tags: [Properties]
+ *     description: |
+ *       Only the guest who booked the reservation can review it, once its status is `completed`,
+ *       and only once. The review's `rating` is the average of its scores.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *         description: Filter by country
- *       - in: query
- *         name: minPrice
- *         schema:
- *           type: number
- *           minimum: 0
- *         description: Minimum price per night
- *       - in: query
- *         name: maxPrice
- *         schema:
- *           type: number
- *           minimum: 0
- *         description: Maximum price per night
- *       - in: query
- *         name: minCapacity
- *         schema:
- *           type: integer
- *           minimum: 1
- *         description: Minimum room capacity
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Valid MongoDB ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservationId
+ *               - scores
+ *               - comment
+ *             properties:
+ *               reservationId:
+ *                 type: string
+ *                 example: "650a1b2c3d4e5f0012345690"
+ *               scores:
+ *                 $ref: '#/components/schemas/StayScores'
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Great location and a very helpful host"
  *     responses:
- *       200:
- *         description: List of properties retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 count:
- *                   type: integer
- *                   description: Number of properties in current page
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     pages:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Property'
- *       500:
- *         description: Server error
+ *       201:
+ *         description: Review created; `property` holds the recalculated rating and reviewCount
+ *       400:
+ *         description: Validation failed, or the stay is not completed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The reservation belongs to another guest
+ *       404:
+ *         description: Property not found, or the reservation is not one of its stays
+ *       409:
+ *         description: The stay has already been reviewed
  */
-router.get('/', getAllProperties);
+router.get('/:id/reviews', validateObjectId, getPropertyReviews);
+router.post('/:id/reviews', requireAuth, validateObjectId, validateReview, createPropertyReview);
 
 /**
  * @swagger
- * /api/properties/{id}:
- *   get:
- *     summary: Get property by ID
+ * /api/properties/{id}/reviews/{reviewId}/reply:
+ *   put:
+ *     summary: Reply to a review of the property (owner or admin)
  *     tags: [Properties]
+ *     description: A new reply replaces the previous one.
+ *     security:
+ *       - sessionAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -116,27 +997,38 @@ router.get('/', getAllProperties);
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *         description: Valid MongoDB ObjectId
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Thank you, we hope to see you again!"
  *     responses:
  *       200:
- *         description: Property details retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   $ref: '#/components/schemas/Property'
+ *         description: Reply saved
  *       400:
- *         description: Invalid ID format
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Property not found
- *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/NotFound'
  */
-router.get('/:id', validateObjectId, getPropertyById);
+router.put('/:id/reviews/:reviewId/reply', requireAuth, validateObjectId, validateReviewReply, replyToReview);
 
 /**
  * @swagger
@@ -191,6 +1083,22 @@ router.get('/:id', validateObjectId, getPropertyById);
  *                       lng:
  *                         type: number
  *                         example: -80.1918
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency of the room prices
+ *                 default: USD
+ *                 example: "USD"
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone; stay dates are calendar dates here and check-in/check-out times are local
+ *                 default: UTC
+ *                 example: "America/New_York"
+ *               charges:
+ *                 type: array
+ *                 description: Taxes and fees of the property, added to those of its country and city (see Charge rules)
+ *                 items:
+ *                   $ref: '#/components/schemas/Charge'
+ *                 example: [{ name: "Cleaning fee", kind: "fee", calculation: "flat", amount: 40 }]
  *               amenities:
  *                 type: array
  *                 items:
@@ -219,6 +1127,40 @@ router.get('/:id', validateObjectId, getPropertyById);
  *                     pricePerNight:
  *                       type: number
  *                       example: 199.99
+ *                     rateOverrides:
+ *                       type: array
+ *                       description: Dated rates (seasons, holidays). Both dates are included; the shortest matching range wins.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: "High season"
+ *                           startDate:
+ *                             type: string
+ *                             format: date
+ *                             example: "2024-07-01"
+ *                           endDate:
+ *                             type: string
+ *                             format: date
+ *                             example: "2024-08-31"
+ *                           pricePerNight:
+ *                             type: number
+ *                             example: 259.99
+ *                     weekdayRates:
+ *                       type: array
+ *                       description: Rates per day of the week (0 = Sunday), used when no dated rate applies
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           dayOfWeek:
+ *                             type: integer
+ *                             minimum: 0
+ *                             maximum: 6
+ *                             example: 5
+ *                           pricePerNight:
+ *                             type: number
+ *                             example: 229.99
  *                     images:
  *                       type: array
  *                       items:
@@ -236,10 +1178,34 @@ router.get('/:id', validateObjectId, getPropertyById);
  *                     example: "moderate"
  *                   checkIn:
  *                     type: string
- *                     example: "3:00 PM"
+ *                     description: Local check-in time (HH:mm; '3:00 PM' is also accepted)
+ *                     default: "15:00"
+ *                     example: "15:00"
  *                   checkOut:
  *                     type: string
- *                     example: "11:00 AM"
+ *                     description: Local check-out time (HH:mm; '11:00 AM' is also accepted)
+ *                     default: "11:00"
+ *                     example: "11:00"
+ *                   minNights:
+ *                     type: integer
+ *                     example: 2
+ *                   maxNights:
+ *                     type: integer
+ *                     example: 14
+ *                   closedToArrival:
+ *                     type: array
+ *                     description: Weekdays check-in is not allowed on (0 = Sunday ... 6 = Saturday)
+ *                     items:
+ *                       type: integer
+ *                     example: [0]
+ *                   minLeadHours:
+ *                     type: integer
+ *                     description: Bookings must be made at least this many hours before check-in
+ *                     example: 24
+ *                   maxAdvanceDays:
+ *                     type: integer
+ *                     description: Bookings cannot be made more than this many days ahead
+ *                     example: 365
  *               isActive:
  *                 type: boolean
  *                 example: true
@@ -276,6 +1242,10 @@ router.post('/', requireAuth, requireProviderOrAdmin, validateProperty, validate
  *   put:
  *     summary: Update property
  *     tags: [Properties]
+ *     description: |
+ *       `rating` and `reviewCount` are calculated from guest reviews and cannot be set.
+ *       `rooms` replaces the rooms of the property; each room keeps its calendar sources (managed at
+ *       `/api/properties/{id}/rooms/{roomId}/calendar-sources`), and the dates imported for a room left out are freed.
  *     security:
  *       - sessionAuth: []
  *     parameters:
@@ -323,6 +1293,22 @@ router.post('/', requireAuth, requireProviderOrAdmin, validateProperty, validate
  *                       lng:
  *                         type: number
  *                         example: -80.1918
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency of the room prices
+ *                 default: USD
+ *                 example: "USD"
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone; stay dates are calendar dates here and check-in/check-out times are local
+ *                 default: UTC
+ *                 example: "America/New_York"
+ *               charges:
+ *                 type: array
+ *                 description: Taxes and fees of the property, added to those of its country and city (see Charge rules)
+ *                 items:
+ *                   $ref: '#/components/schemas/Charge'
+ *                 example: [{ name: "Cleaning fee", kind: "fee", calculation: "flat", amount: 40 }]
  *               amenities:
  *                 type: array
  *                 items:
@@ -345,6 +1331,40 @@ router.post('/', requireAuth, requireProviderOrAdmin, validateProperty, validate
  *                     pricePerNight:
  *                       type: number
  *                       example: 199.99
+ *                     rateOverrides:
+ *                       type: array
+ *                       description: Dated rates (seasons, holidays). Both dates are included; the shortest matching range wins.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: "High season"
+ *                           startDate:
+ *                             type: string
+ *                             format: date
+ *                             example: "2024-07-01"
+ *                           endDate:
+ *                             type: string
+ *                             format: date
+ *                             example: "2024-08-31"
+ *                           pricePerNight:
+ *                             type: number
+ *                             example: 259.99
+ *                     weekdayRates:
+ *                       type: array
+ *                       description: Rates per day of the week (0 = Sunday), used when no dated rate applies
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           dayOfWeek:
+ *                             type: integer
+ *                             minimum: 0
+ *                             maximum: 6
+ *                             example: 5
+ *                           pricePerNight:
+ *                             type: number
+ *                             example: 229.99
  *                     images:
  *                       type: array
  *                       items:
@@ -361,10 +1381,34 @@ router.post('/', requireAuth, requireProviderOrAdmin, validateProperty, validate
  *                     example: "moderate"
  *                   checkIn:
  *                     type: string
- *                     example: "3:00 PM"
+ *                     description: Local check-in time (HH:mm; '3:00 PM' is also accepted)
+ *                     default: "15:00"
+ *                     example: "15:00"
  *                   checkOut:
  *                     type: string
- *                     example: "11:00 AM"
+ *                     description: Local check-out time (HH:mm; '11:00 AM' is also accepted)
+ *                     default: "11:00"
+ *                     example: "11:00"
+ *                   minNights:
+ *                     type: integer
+ *                     example: 2
+ *                   maxNights:
+ *                     type: integer
+ *                     example: 14
+ *                   closedToArrival:
+ *                     type: array
+ *                     description: Weekdays check-in is not allowed on (0 = Sunday ... 6 = Saturday)
+ *                     items:
+ *                       type: integer
+ *                     example: [0]
+ *                   minLeadHours:
+ *                     type: integer
+ *                     description: Bookings must be made at least this many hours before check-in
+ *                     example: 24
+ *                   maxAdvanceDays:
+ *                     type: integer
+ *                     description: Bookings cannot be made more than this many days ahead
+ *                     example: 365
  *               isActive:
  *                 type: boolean
  *                 example: true
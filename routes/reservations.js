@@ -3,11 +3,40 @@ const router = express.Router();
 const {
   getAllReservations,
   getReservationById,
+  quoteReservation,
   createReservation,
+  createGroupReservation,
+  createVehicleReservation,
   updateReservation,
-  deleteReservation
+  deleteReservation,
+  updateReservationStatus,
+  cancelReservationRoom,
+  quoteReservationDateChange,
+  changeReservationDates,
+  checkInReservation,
+  getCancellationPreview,
+  getReservationHistory
 } = require('../controllers/reservationsController');
-const { validateReservationCreate, validateReservationUpdate, validateObjectId } = require('../middleware/validation');
+const { authorizeReservationPayment, getReservationPayments } = require('../controllers/paymentsController');
+const {
+  getReservationInvoice,
+  getReservationInvoiceList,
+  getReservationInvoiceByNumber
+} = require('../controllers/invoicesController');
+const {
+  validateReservationCreate,
+  validateGroupReservationCreate,
+  validateCancellationReason,
+  validateDateChange,
+  validateReservationQuote,
+  validateVehicleReservationCreate,
+  validateReservationUpdate,
+  validateReservationStatus,
+  validatePaymentAuthorize,
+  validateInvoiceFormat,
+  validateCurrencyQuery,
+  validateObjectId
+} = require('../middleware/validation');
 
 // Import authentication middleware
 const { requireAuth, isOwnerOrAdmin } = require('../middleware/auth');
@@ -45,7 +74,7 @@ const { requireAuth, isOwnerOrAdmin } = require('../middleware/auth');
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, cancelled, completed]
+ *           enum: [pending, confirmed, cancelled, completed, expired, no_show]
  *         description: Filter by reservation status
  *       - in: query
  *         name: startDate
@@ -59,6 +88,17 @@ const { requireAuth, isOwnerOrAdmin } = require('../middleware/auth');
  *           type: string
  *           format: date
  *         description: Filter by end date (YYYY-MM-DD)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [property, vehicle, group]
+ *         description: Filter by reservation type (room stays, vehicle rentals or multi-room group stays)
+ *       - in: query
+ *         name: vehicleId
+ *         schema:
+ *           type: string
+ *         description: Filter by rented vehicle
  *     responses:
  *       200:
  *         description: List of reservations
@@ -117,15 +157,157 @@ router.get('/', requireAuth, getAllReservations);
  */
 router.get('/:id', requireAuth, validateObjectId, getReservationById);
 
+/**
+ * @swagger
+ * /api/reservations/quote:
+ *   post:
+ *     summary: Get an itemized price quote for a room stay
+ *     tags: [Reservations]
+ *     description: |
+ *       Prices a stay with the same rules used when the reservation is created, so clients don't need to compute totals themselves.
+ *       The total includes the taxes and fees of the property's country, city and its own (see Charge rules), itemized in `fees` and `taxes`.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyId
+ *               - roomId
+ *               - startDate
+ *               - endDate
+ *               - numGuests
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *                 example: "650a1b2c3d4e5f0012345679"
+ *               roomId:
+ *                 type: string
+ *                 example: "BEACH001"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Check-in date, a calendar date of the property (a date-time is taken on its date in the property's time zone)
+ *                 example: "2023-12-01"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2023-12-05"
+ *               numGuests:
+ *                 type: integer
+ *                 example: 2
+ *                 minimum: 1
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to discount the booking with (see Promo codes)
+ *                 example: "SUMMER25"
+ *     responses:
+ *       200:
+ *         description: Price quote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     nights:
+ *                       type: integer
+ *                       example: 4
+ *                     nightlyRate:
+ *                       type: number
+ *                       example: 199.99
+ *                     subtotal:
+ *                       type: number
+ *                       example: 799.96
+ *                     fees:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           calculation:
+ *                             type: string
+ *                           rate:
+ *                             type: number
+ *                           amount:
+ *                             type: number
+ *                     feesTotal:
+ *                       type: number
+ *                       example: 0
+ *                     taxes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           calculation:
+ *                             type: string
+ *                             enum: [percentage, per_night, flat]
+ *                           rate:
+ *                             type: number
+ *                             description: Percentage, or amount per room and night or per room
+ *                           amount:
+ *                             type: number
+ *                     taxesTotal:
+ *                       type: number
+ *                       example: 0
+ *                     discounts:
+ *                       type: array
+ *                       description: The promo code discount, taken on the nights before percentage fees and taxes
+ *                       items:
+ *                         $ref: '#/components/schemas/Discount'
+ *                     discountsTotal:
+ *                       type: number
+ *                       example: 0
+ *                     total:
+ *                       type: number
+ *                       example: 799.96
+ *                     currency:
+ *                       type: string
+ *                       example: "USD"
+ *                     exchangeRate:
+ *                       type: object
+ *                       description: Rate from the property's currency to the quoted one
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                         to:
+ *                           type: string
+ *                         rate:
+ *                           type: number
+ *                         asOf:
+ *                           type: string
+ *                           format: date-time
+ *       400:
+ *         description: Validation failed, or the stay breaks the property's stay rules (minimum or maximum nights, check-in weekday, lead time, booking horizon); `errors` lists every broken rule
+ *       404:
+ *         description: Property or promo code not found, or property not active
+ *       409:
+ *         description: Promo code has reached its redemption limit
+ */
+router.post('/quote', validateCurrencyQuery, validateReservationQuote, quoteReservation);
+
 /**
  * @swagger
  * /api/reservations:
  *   post:
  *     summary: Create a new reservation
  *     tags: [Reservations]
- *     description: Create a new reservation. Requires GitHub authentication.
+ *     description: Create a new reservation. Requires GitHub authentication. The total is computed on the server (see /api/reservations/quote) and stored with its price breakdown.
  *     security:
  *       - sessionAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *     requestBody:
  *       required: true
  *       content:
@@ -138,7 +320,6 @@ router.get('/:id', requireAuth, validateObjectId, getReservationById);
  *               - startDate
  *               - endDate
  *               - numGuests
- *               - totalAmount
  *             properties:
  *               propertyId:
  *                 type: string
@@ -160,11 +341,16 @@ router.get('/:id', requireAuth, validateObjectId, getReservationById);
  *                 minimum: 1
  *               totalAmount:
  *                 type: number
+ *                 description: Optional. The server prices the stay; when sent, it must match the quoted total
  *                 example: 799.96
  *                 minimum: 0
  *               specialRequests:
  *                 type: string
  *                 example: "Early check-in if possible"
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to discount the booking with (see Promo codes)
+ *                 example: "SUMMER25"
  *     responses:
  *       201:
  *         description: Reservation created successfully
@@ -173,13 +359,165 @@ router.get('/:id', requireAuth, validateObjectId, getReservationById);
  *             schema:
  *               $ref: '#/components/schemas/SuccessResponse'
  *       400:
+ *         description: Validation failed, or the stay breaks the property's stay rules (minimum or maximum nights, check-in weekday, lead time, booking horizon); `errors` lists every broken rule
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Conflict - Room already reserved for selected dates, or the promo code has reached its redemption limit (overall or for this user)
+ */
+router.post('/', requireAuth, validateCurrencyQuery, validateReservationCreate, createReservation);
+
+/**
+ * @swagger
+ * /api/reservations/vehicles:
+ *   post:
+ *     summary: Create a vehicle rental reservation
+ *     tags: [Reservations]
+ *     description: |
+ *       Book a vehicle for a pickup/return datetime range. The total is priced from the vehicle's pricePerDay, charging every started 24h period as a full day.
+ *       A rental holds every calendar day (UTC) it covers part of, so a vehicle returned on a day cannot be picked up by another rental that same day.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vehicleId
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               vehicleId:
+ *                 type: string
+ *                 example: "650a1b2c3d4e5f0012345681"
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Pickup datetime
+ *                 example: "2023-12-01T10:00:00Z"
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Return datetime
+ *                 example: "2023-12-04T10:00:00Z"
+ *               numGuests:
+ *                 type: integer
+ *                 description: Number of passengers (defaults to 1)
+ *                 example: 2
+ *                 minimum: 1
+ *               totalAmount:
+ *                 type: number
+ *                 description: Optional, checked against the computed price when sent
+ *                 example: 149.97
+ *               specialRequests:
+ *                 type: string
+ *                 example: "Child seat please"
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to discount the booking with (see Promo codes)
+ *                 example: "SUMMER25"
+ *     responses:
+ *       201:
+ *         description: Vehicle reservation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Vehicle not found
+ *       409:
+ *         description: Conflict - Vehicle already reserved for selected dates, or the promo code has reached its redemption limit (overall or for this user)
+ */
+router.post('/vehicles', requireAuth, validateCurrencyQuery, validateVehicleReservationCreate, createVehicleReservation);
+
+/**
+ * @swagger
+ * /api/reservations/group:
+ *   post:
+ *     summary: Create a group reservation for several rooms of one property
+ *     tags: [Reservations]
+ *     description: |
+ *       Books every room for the same dates under one reservation, priced as one total.
+ *       The booking succeeds or fails as a whole: if any room is unavailable or already reserved, nothing is booked.
+ *       Rooms can later be cancelled one at a time or the whole reservation at once.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - propertyId
+ *               - startDate
+ *               - endDate
+ *               - rooms
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *                 example: "650a1b2c3d4e5f0012345679"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2023-12-01"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2023-12-05"
+ *               rooms:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - roomId
+ *                     - numGuests
+ *                   properties:
+ *                     roomId:
+ *                       type: string
+ *                       example: "BEACH001"
+ *                     numGuests:
+ *                       type: integer
+ *                       example: 2
+ *               totalAmount:
+ *                 type: number
+ *                 description: Optional, checked against the computed price when sent
+ *               specialRequests:
+ *                 type: string
+ *                 example: "Adjacent rooms if possible"
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to discount the booking with (see Promo codes)
+ *                 example: "SUMMER25"
+ *     responses:
+ *       201:
+ *         description: Group reservation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation failed, or the stay breaks the property's stay rules (minimum or maximum nights, check-in weekday, lead time, booking horizon); `errors` lists every broken rule
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Property not found
  *       409:
- *         description: Conflict - Room already reserved for selected dates
+ *         description: Conflict - Some rooms already reserved for selected dates (listed in conflictingRooms), or the promo code has reached its redemption limit (overall or for this user)
  */
-router.post('/', requireAuth, validateReservationCreate, createReservation);
+router.post('/group', requireAuth, validateCurrencyQuery, validateGroupReservationCreate, createGroupReservation);
 
 /**
  * @swagger
@@ -187,6 +525,10 @@ router.post('/', requireAuth, validateReservationCreate, createReservation);
  *   put:
  *     summary: Update a reservation
  *     tags: [Reservations]
+ *     description: |
+ *       The payment status cannot be set here: it follows the payments of the reservation.
+ *       The total is not set either: admin date changes are repriced and recorded like
+ *       PATCH /api/reservations/{id}/dates.
  *     security:
  *       - sessionAuth: []
  *     parameters:
@@ -207,20 +549,23 @@ router.post('/', requireAuth, validateReservationCreate, createReservation);
  *               startDate:
  *                 type: string
  *                 format: date
+ *                 description: Admins only; a missing date keeps the current one
  *               endDate:
  *                 type: string
  *                 format: date
+ *                 description: Admins only; a missing date keeps the current one
  *               numGuests:
  *                 type: integer
  *                 minimum: 1
- *               totalAmount:
- *                 type: number
- *                 minimum: 0
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, cancelled, completed]
+ *                 enum: [pending, confirmed, cancelled, completed, expired, no_show]
+ *                 description: Must follow the allowed status transitions; applied like PATCH /api/reservations/{id}/status
  *               specialRequests:
  *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Reason recorded in the history for status changes
  *     responses:
  *       200:
  *         description: Reservation updated successfully
@@ -234,17 +579,31 @@ router.post('/', requireAuth, validateReservationCreate, createReservation);
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         $ref: '#/components/responses/Forbidden'
+ *       402:
+ *         description: Confirming needs an authorized payment
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Status change not allowed, cancelling one part of a trip, or dates already reserved
  */
 router.put('/:id', requireAuth, validateObjectId, isOwnerOrAdmin, validateReservationUpdate, updateReservation);
 
 /**
  * @swagger
- * /api/reservations/{id}:
- *   delete:
- *     summary: Delete a reservation
+ * /api/reservations/{id}/status:
+ *   patch:
+ *     summary: Change the status of a reservation
  *     tags: [Reservations]
+ *     description: |
+ *       Administrators can make any allowed transition; guests can only cancel their own reservation before it starts.
+ *       The property owner (or vehicle provider) can mark a started reservation no_show, which frees the rest of its room nights.
+ *       Allowed status transitions: pending → confirmed | cancelled | expired, confirmed → cancelled | completed | no_show.
+ *       Expiring a pending hold by hand frees its room nights and releases its payment and promo code, like the scheduler,
+ *       which also expires pending holds, marks no-shows and completes finished stays on its own.
+ *       Every change is recorded in the reservation history with its actor, timestamp and reason.
+ *       Confirming needs an authorized (or captured) payment, see `POST /api/reservations/{id}/payments`.
+ *       Cancelling records the refund due under the cancellation policy and refunds it through the payment provider
+ *       (an authorization not yet captured is released).
  *     security:
  *       - sessionAuth: []
  *     parameters:
@@ -254,20 +613,740 @@ router.put('/:id', requireAuth, validateObjectId, isOwnerOrAdmin, validateReserv
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: MongoDB ObjectId of the reservation to delete
+ *         description: MongoDB ObjectId of the reservation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, confirmed, cancelled, completed, expired, no_show]
+ *                 example: "confirmed"
+ *               reason:
+ *                 type: string
+ *                 example: "Payment verified"
  *     responses:
  *       200:
- *         description: Reservation deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
+ *         description: Reservation status updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       402:
+ *         description: Confirming needs an authorized payment
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Status change not allowed from the current status, or cancelling one part of a trip
+ */
+router.patch('/:id/status', requireAuth, validateObjectId, validateReservationStatus, updateReservationStatus);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/rooms/{roomId}/cancel:
+ *   patch:
+ *     summary: Cancel one room of a group reservation
+ *     tags: [Reservations]
+ *     description: |
+ *       The room's price is taken off the reservation total and its refund, under the cancellation policy of the property,
+ *       is recorded on the room line. Cancelling the last active room cancels the whole reservation.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BEACH001"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Two guests can no longer come"
+ *     responses:
+ *       200:
+ *         description: Room cancelled
+ *       400:
+ *         description: Not a group reservation, or the stay has already started
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
  *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Room already cancelled or reservation no longer cancellable
+ */
+router.patch('/:id/rooms/:roomId/cancel', requireAuth, validateObjectId, validateCancellationReason, cancelReservationRoom);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DateChangeRequest:
+ *       type: object
+ *       required:
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           example: "2023-12-03"
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           example: "2023-12-07"
+ *         totalAmount:
+ *           type: number
+ *           description: Optional, the quoted new total; the change is rejected if the price moved since the quote
+ *           example: 420
+ */
+
+/**
+ * @swagger
+ * /api/reservations/{id}/date-change/quote:
+ *   post:
+ *     summary: Quote moving a reservation to new dates
+ *     tags: [Reservations]
+ *     description: |
+ *       Checks availability for the new dates and reprices the reservation without changing it.
+ *       `difference` is the extra charge (positive) or refund (negative) the change would cause.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DateChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Availability, new total and price difference
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Reservation checked in, not active, or part of a trip
+ */
+router.post('/:id/date-change/quote', requireAuth, validateObjectId, validateDateChange, quoteReservationDateChange);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/dates:
+ *   patch:
+ *     summary: Move a reservation to new dates
+ *     tags: [Reservations]
+ *     description: |
+ *       Guests can move their own stays and rentals that have not started; administrators can move any active reservation.
+ *       Runs the same conflict check as a new booking, reprices the reservation and records the change with the
+ *       price difference (extra charge or refund) in `dateChanges`. Changes after check-in are rejected.
+ *       Once a payment is authorized or captured, dearer dates are rejected; a cheaper stay has the
+ *       difference refunded from the captured money (an authorization captures the new total).
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DateChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Dates changed
+ *       400:
+ *         description: Invalid dates, stay already started, or total does not match the new price
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Dates already reserved, dearer than the payment, reservation checked in, not active, or part of a trip
+ */
+router.patch('/:id/dates', requireAuth, validateObjectId, validateDateChange, changeReservationDates);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/check-in:
+ *   patch:
+ *     summary: Check in the guest of a confirmed reservation (property owner, vehicle provider or admin)
+ *     tags: [Reservations]
+ *     description: |
+ *       Records the arrival of the guest (or the pick-up of a rental vehicle) from the start date on.
+ *       Confirmed reservations that end without a check-in are marked no_show by the scheduler; their nights are not freed.
+ *       Reservations made before check-ins were recorded are completed instead.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *     responses:
+ *       200:
+ *         description: Reservation checked in
+ *       400:
+ *         description: The stay has not started yet
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Reservation is not confirmed or already checked in
+ */
+router.patch('/:id/check-in', requireAuth, validateObjectId, checkInReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/cancellation:
+ *   get:
+ *     summary: Preview the refund for cancelling a reservation now
+ *     tags: [Reservations]
+ *     description: |
+ *       Applies the cancellation policy of the property (vehicle rentals use the flexible policy) without changing the reservation.
+ *       - flexible: 100% refund until 24 hours before the start
+ *       - moderate: 100% refund until 5 days before the start, 50% until 24 hours before
+ *       - strict: 100% refund until 14 days before the start, 50% until 7 days before
+ *       Later cancellations are not refunded. Only paid reservations have money to refund.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *       - in: query
+ *         name: roomId
+ *         schema:
+ *           type: string
+ *         description: Preview cancelling only this room of a group reservation
+ *     responses:
+ *       200:
+ *         description: Refund the guest would get
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cancellable:
+ *                       type: boolean
+ *                       example: true
+ *                     policy:
+ *                       type: string
+ *                       enum: [flexible, moderate, strict]
+ *                     tiers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           hoursBeforeStart:
+ *                             type: number
+ *                             example: 120
+ *                           refundPercent:
+ *                             type: number
+ *                             example: 100
+ *                           deadline:
+ *                             type: string
+ *                             format: date-time
+ *                     hoursBeforeStart:
+ *                       type: number
+ *                       example: 72
+ *                     refundPercent:
+ *                       type: number
+ *                       example: 50
+ *                     amountPaid:
+ *                       type: number
+ *                       example: 300
+ *                     refundAmount:
+ *                       type: number
+ *                       example: 150
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/cancellation', requireAuth, validateObjectId, getCancellationPreview);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/payments:
+ *   post:
+ *     summary: Pay a pending reservation
+ *     tags: [Reservations, Payments]
+ *     description: |
+ *       Authorizes the reservation total on the guest's payment method through the payment provider
+ *       (`PAYMENT_PROVIDER`, the fake gateway by default; a warning is logged at startup when it is used outside development and tests). Once authorized the reservation can be confirmed;
+ *       the money is taken with `POST /api/payments/{id}/capture`. A declined payment is recorded too and
+ *       the guest can try again with another payment method.
+ *       Fake gateway payment methods: `pm_fake_visa` and `pm_fake_mastercard` authorize,
+ *       `pm_fake_declined` and `pm_fake_insufficient_funds` are declined.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment method token from the provider
+ *                 example: "pm_fake_visa"
+ *     responses:
+ *       201:
+ *         description: Payment authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       402:
+ *         description: Payment declined; the failed payment is returned in data
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The reservation is not pending or is already paid
+ *   get:
+ *     summary: Payments of a reservation
+ *     tags: [Reservations, Payments]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *     responses:
+ *       200:
+ *         description: Payment status of the reservation and its payments, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reservationId:
+ *                       type: string
+ *                     paymentStatus:
+ *                       type: string
+ *                       enum: [pending, authorized, paid, partially_refunded, refunded, failed, voided]
+ *                     payments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payment'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/payments', requireAuth, validateObjectId, validatePaymentAuthorize, authorizeReservationPayment);
+router.get('/:id/payments', requireAuth, validateObjectId, getReservationPayments);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       description: Snapshot issued for a paid reservation; it never changes once issued
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *         number:
+ *           type: string
+ *           description: Sequential with no gaps, one sequence per type
+ *           example: "INV-000042"
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         creditedInvoice:
+ *           type: object
+ *           description: Invoice a credit note reverses
+ *           properties:
+ *             number:
+ *               type: string
+ *               example: "INV-000042"
+ *         reason:
+ *           type: string
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [charge, fee, tax, discount, adjustment]
+ *               description:
+ *                 type: string
+ *                 example: "Room TEST001, night of 2030-04-01"
+ *               quantity:
+ *                 type: number
+ *               unitPrice:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         subtotal:
+ *           type: number
+ *         feesTotal:
+ *           type: number
+ *         taxesTotal:
+ *           type: number
+ *         discountsTotal:
+ *           type: number
+ *         adjustmentsTotal:
+ *           type: number
+ *         total:
+ *           type: number
+ *         payments:
+ *           type: array
+ *           description: Payments and refunds (negative) when the invoice was issued
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         amountPaid:
+ *           type: number
+ *         balanceDue:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /api/reservations/{id}/invoice:
+ *   get:
+ *     summary: Download the invoice of a paid reservation
+ *     tags: [Reservations]
+ *     description: |
+ *       Itemized invoice (a line per night, discounts, fees, taxes, payments and refunds). Discounts come
+ *       before fees and taxes, which are charged on the discounted price.
+ *       It is issued when the payment is captured, or on the first request for reservations paid before.
+ *       Issued invoices never change: when the reservation changed since, a credit note reversing the
+ *       invoice is issued together with a new invoice, and the newest document is returned
+ *       (a credit note when nothing is owed any more).
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf, json]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: The invoice
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The reservation was never paid
+ */
+router.get('/:id/invoice', requireAuth, validateObjectId, validateInvoiceFormat, getReservationInvoice);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/invoices:
+ *   get:
+ *     summary: Invoices and credit notes of a reservation
+ *     tags: [Reservations]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *     responses:
+ *       200:
+ *         description: Documents in the order they were issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/invoices', requireAuth, validateObjectId, getReservationInvoiceList);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/invoices/{number}:
+ *   get:
+ *     summary: Download one invoice or credit note of a reservation
+ *     tags: [Reservations]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "CN-000007"
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf, json]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: The invoice or credit note
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/invoices/:number', requireAuth, validateObjectId, validateInvoiceFormat, getReservationInvoiceByNumber);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/history:
+ *   get:
+ *     summary: Get the status history of a reservation
+ *     tags: [Reservations]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation
+ *     responses:
+ *       200:
+ *         description: Status and payment status changes, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           field:
+ *                             type: string
+ *                             enum: [status, paymentStatus]
+ *                           from:
+ *                             type: string
+ *                             example: "pending"
+ *                           to:
+ *                             type: string
+ *                             example: "confirmed"
+ *                           actor:
+ *                             type: object
+ *                             description: User who made the change (null for system changes)
+ *                           reason:
+ *                             type: string
+ *                           at:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/history', requireAuth, validateObjectId, getReservationHistory);
+
+/**
+ * @swagger
+ * /api/reservations/{id}:
+ *   delete:
+ *     summary: Delete a reservation
+ *     tags: [Reservations]
+ *     description: |
+ *       A payment not yet captured is released and captured money is refunded before the reservation is deleted.
+ *       Reservations of a trip are not deleted on their own: cancel the trip instead.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the reservation to delete
+ *     responses:
+ *       200:
+ *         description: Reservation deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Reservation is part of a trip
  */
 router.delete('/:id', requireAuth, validateObjectId, isOwnerOrAdmin, deleteReservation);
 
@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const {
+  quoteTrip,
+  createTrip,
+  getTrips,
+  getTripById,
+  getTripCancellationPreview,
+  cancelTrip
+} = require('../controllers/tripsController');
+const {
+  validateTrip,
+  validateCurrencyQuery,
+  validateCancellationReason,
+  validateObjectId
+} = require('../middleware/validation');
+
+// Import authentication middleware
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trips
+ *   description: Trip packages combining a room stay and a vehicle rental
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TripRequest:
+ *       type: object
+ *       required:
+ *         - propertyId
+ *         - roomId
+ *         - vehicleId
+ *         - startDate
+ *         - endDate
+ *         - numGuests
+ *       properties:
+ *         propertyId:
+ *           type: string
+ *           example: "650a1b2c3d4e5f0012345679"
+ *         roomId:
+ *           type: string
+ *           example: "BEACH001"
+ *         vehicleId:
+ *           type: string
+ *           example: "650a1b2c3d4e5f0012345681"
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: Check-in and vehicle pickup
+ *           example: "2023-12-01"
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Check-out and vehicle return
+ *           example: "2023-12-05"
+ *         numGuests:
+ *           type: integer
+ *           description: Guests in the room and passengers in the vehicle
+ *           example: 2
+ *         specialRequests:
+ *           type: string
+ *           example: "Late check-in"
+ */
+
+/**
+ * @swagger
+ * /api/trips:
+ *   get:
+ *     summary: Get the trips of the authenticated user (every trip for admins)
+ *     tags: [Trips]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled]
+ *     responses:
+ *       200:
+ *         description: Trips with their stay and rental reservations
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/', requireAuth, getTrips);
+
+/**
+ * @swagger
+ * /api/trips/quote:
+ *   post:
+ *     summary: Price a trip without booking it
+ *     tags: [Trips]
+ *     description: |
+ *       Prices the stay and the rental separately and as one total.
+ *       When TRIP_BUNDLE_DISCOUNT_PERCENT is set, that percentage is taken off the nights and rental days of both
+ *       parts, before percentage fees and taxes; `discountAmount` is the whole saving, taxes included.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TripRequest'
+ *     responses:
+ *       200:
+ *         description: Trip quote with stay, rental and total pricing
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Property or vehicle not found
+ */
+router.post('/quote', validateCurrencyQuery, validateTrip, quoteTrip);
+
+/**
+ * @swagger
+ * /api/trips:
+ *   post:
+ *     summary: Book a trip (room stay and vehicle rental over the same dates)
+ *     tags: [Trips]
+ *     description: |
+ *       Creates a property reservation and a vehicle reservation linked to the trip.
+ *       The booking is all-or-nothing: if either part cannot be booked, nothing is booked.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TripRequest'
+ *     responses:
+ *       201:
+ *         description: Trip created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Property or vehicle not found
+ *       409:
+ *         description: Room or vehicle already reserved for the selected dates (see conflicts)
+ */
+router.post('/', requireAuth, validateCurrencyQuery, validateTrip, createTrip);
+
+/**
+ * @swagger
+ * /api/trips/{id}:
+ *   get:
+ *     summary: Get a trip by ID
+ *     tags: [Trips]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the trip
+ *     responses:
+ *       200:
+ *         description: Trip with its stay and rental reservations
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', requireAuth, validateObjectId, getTripById);
+
+/**
+ * @swagger
+ * /api/trips/{id}/cancellation:
+ *   get:
+ *     summary: Preview the refund for cancelling a trip now
+ *     tags: [Trips]
+ *     description: Each part is refunded under its own cancellation policy (the property's policy for the stay, flexible for the rental).
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the trip
+ *     responses:
+ *       200:
+ *         description: Refund preview of each part and in total
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/cancellation', requireAuth, validateObjectId, getTripCancellationPreview);
+
+/**
+ * @swagger
+ * /api/trips/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a trip
+ *     tags: [Trips]
+ *     description: Cancels the stay and the rental, each under its own cancellation policy. Parts already cancelled or finished are left as they are.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the trip
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Flight cancelled"
+ *     responses:
+ *       200:
+ *         description: Trip cancelled
+ *       400:
+ *         description: Trip has already started
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Trip is already cancelled
+ */
+router.patch('/:id/cancel', requireAuth, validateObjectId, validateCancellationReason, cancelTrip);
+
+module.exports = router;
@@ -7,6 +7,12 @@ const {
   updateUser,
   deleteUser
 } = require('../controllers/usersController');
+const { getMyWaitlist, leaveWaitlist } = require('../controllers/waitlistController');
+const {
+  getMyCalendarFeed,
+  resetMyCalendarFeed,
+  exportMyCalendar
+} = require('../controllers/calendarController');
 const { 
   validateUser, 
   validateUserUpdate,
@@ -63,6 +69,112 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  */
 router.get('/', requireAuth, requireAdmin, getAllUsers);
 
+/**
+ * @swagger
+ * /api/users/me/waitlist:
+ *   get:
+ *     summary: Get the waitlist entries of the authenticated user
+ *     tags: [Users]
+ *     description: Entries that were offered a hold include the held reservation and when the hold expires.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: Waitlist entries, newest first
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/me/waitlist', requireAuth, getMyWaitlist);
+
+/**
+ * @swagger
+ * /api/users/me/waitlist/{entryId}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Removed from the waitlist
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The entry was already offered a hold or is closed
+ */
+router.delete('/me/waitlist/:entryId', requireAuth, leaveWaitlist);
+
+/**
+ * @swagger
+ * /api/users/me/calendar:
+ *   get:
+ *     summary: Get the subscription URL of the authenticated user's iCal feed
+ *     tags: [Users]
+ *     description: |
+ *       The URL contains a secret token, so calendar apps (Google, Outlook) can subscribe to it without logging in.
+ *       Anyone with the URL can read the feed; replace it with `POST /api/users/me/calendar/reset` if it leaks.
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed URL (https and webcal)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/me/calendar', requireAuth, getMyCalendarFeed);
+
+/**
+ * @swagger
+ * /api/users/me/calendar/reset:
+ *   post:
+ *     summary: Replace the authenticated user's iCal feed URL
+ *     tags: [Users]
+ *     description: The previous URL stops working.
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: New feed URL
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/me/calendar/reset', requireAuth, resetMyCalendarFeed);
+
+/**
+ * @swagger
+ * /api/users/me/calendar.ics:
+ *   get:
+ *     summary: Download the authenticated user's reservations as an .ics file
+ *     tags: [Users]
+ *     security:
+ *       - sessionAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar in iCalendar format
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/me/calendar.ics', requireAuth, exportMyCalendar);
+
 /**
  * @swagger
  * /api/users/{id}:
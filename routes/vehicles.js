@@ -7,7 +7,18 @@ const {
   updateVehicle,
   deleteVehicle
 } = require('../controllers/vehiclesController');
-const { validateVehicleCreate, validateVehicleUpdate, validateObjectId } = require('../middleware/validation');
+const { getVehicleBlocks, createVehicleBlock, deleteVehicleBlock } = require('../controllers/blocksController');
+const { getVehicleReviews, createVehicleReview, replyToVehicleReview } = require('../controllers/reviewsController');
+const {
+  validateVehicleCreate,
+  validateVehicleUpdate,
+  validateObjectId,
+  validateCurrencyQuery,
+  validateGeoQuery,
+  validateBlackout,
+  validateRentalReview,
+  validateReviewReply
+} = require('../middleware/validation');
 
 // Import authentication middleware
 const { requireAuth, requireProviderOrAdmin, isOwnerOrAdmin } = require('../middleware/auth');
@@ -58,12 +69,29 @@ const { requireAuth, requireProviderOrAdmin, isOwnerOrAdmin } = require('../midd
  *         name: maxPrice
  *         schema:
  *           type: number
- *         description: Maximum price per day
+ *         description: Maximum price per day, in `currency` when given, else in each vehicle's own currency
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average rating from renters' reviews
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, rating]
+ *         description: Cheapest first (default), or best rated first (ties by number of reviews); searches with `near` or `bbox` are nearest pickup first unless set
  *       - in: query
  *         name: available
  *         schema:
  *           type: boolean
  *         description: Filter by availability
+ *       - $ref: '#/components/parameters/Near'
+ *       - $ref: '#/components/parameters/RadiusKm'
+ *       - $ref: '#/components/parameters/Bbox'
+ *       - $ref: '#/components/parameters/Currency'
  *     responses:
  *       200:
  *         description: List of vehicles
@@ -80,7 +108,7 @@ const { requireAuth, requireProviderOrAdmin, isOwnerOrAdmin } = require('../midd
  *                   items:
  *                     $ref: '#/components/schemas/Vehicle'
  */
-router.get('/', getAllVehicles);
+router.get('/', validateCurrencyQuery, validateGeoQuery, getAllVehicles);
 
 /**
  * @swagger
@@ -96,6 +124,7 @@ router.get('/', getAllVehicles);
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *         description: MongoDB ObjectId of the vehicle
+ *       - $ref: '#/components/parameters/Currency'
  *     responses:
  *       200:
  *         description: Vehicle details
@@ -112,7 +141,7 @@ router.get('/', getAllVehicles);
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-router.get('/:id', validateObjectId, getVehicleById);
+router.get('/:id', validateObjectId, validateCurrencyQuery, getVehicleById);
 
 /**
  * @swagger
@@ -165,6 +194,11 @@ router.get('/:id', validateObjectId, getVehicleById);
  *                 type: number
  *                 example: 49.99
  *                 minimum: 0
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency of pricePerDay
+ *                 default: USD
+ *                 example: "USD"
  *               licensePlate:
  *                 type: string
  *                 example: "ABC123"
@@ -174,6 +208,16 @@ router.get('/:id', validateObjectId, getVehicleById);
  *                   city:
  *                     type: string
  *                     example: "Miami"
+ *                   coords:
+ *                     type: object
+ *                     description: Pickup point, for searches by distance and map area
+ *                     properties:
+ *                       lat:
+ *                         type: number
+ *                         example: 25.7959
+ *                       lng:
+ *                         type: number
+ *                         example: -80.2870
  *               isAvailable:
  *                 type: boolean
  *                 example: true
@@ -226,6 +270,9 @@ router.post('/', requireAuth, requireProviderOrAdmin, validateVehicleCreate, cre
  *               pricePerDay:
  *                 type: number
  *                 minimum: 0
+ *               currency:
+ *                 type: string
+ *                 example: "USD"
  *               isAvailable:
  *                 type: boolean
  *               location:
@@ -283,4 +330,295 @@ router.put('/:id', requireAuth, validateObjectId, isOwnerOrAdmin, validateVehicl
  */
 router.delete('/:id', requireAuth, validateObjectId, isOwnerOrAdmin, deleteVehicle);
 
+/**
+ * @swagger
+ * /api/vehicles/{id}/blocks:
+ *   get:
+ *     summary: Get the blocked dates of a vehicle (provider or admin)
+ *     tags: [Vehicles]
+ *     description: Blocks whose dates have passed no longer apply and are left out unless `includePast` is set.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the vehicle
+ *       - in: query
+ *         name: includePast
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include blocks whose dates have passed
+ *     responses:
+ *       200:
+ *         description: Blocks, by start date
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/blocks', requireAuth, validateObjectId, getVehicleBlocks);
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/blocks:
+ *   post:
+ *     summary: Take a vehicle out of service for some dates (provider or admin)
+ *     tags: [Vehicles]
+ *     description: |
+ *       Bookings overlapping the blocked dates are rejected. The block ends by itself when its dates pass.
+ *       Dates already reserved cannot be blocked.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the vehicle
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BlackoutRequest'
+ *     responses:
+ *       201:
+ *         description: Dates blocked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: A reservation overlaps the dates
+ */
+router.post('/:id/blocks', requireAuth, validateObjectId, validateBlackout, createVehicleBlock);
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/blocks/{blockId}:
+ *   delete:
+ *     summary: Remove a blackout of a vehicle (provider or admin)
+ *     tags: [Vehicles]
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the vehicle
+ *       - in: path
+ *         name: blockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     responses:
+ *       200:
+ *         description: Block removed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The block was imported from a calendar source
+ */
+router.delete('/:id/blocks/:blockId', requireAuth, validateObjectId, deleteVehicleBlock);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RentalScores:
+ *       type: object
+ *       description: Scores of the car, from 1 to 5
+ *       required:
+ *         - condition
+ *         - cleanliness
+ *         - comfort
+ *         - value
+ *       properties:
+ *         condition:
+ *           type: integer
+ *           example: 5
+ *         cleanliness:
+ *           type: integer
+ *           example: 4
+ *         comfort:
+ *           type: integer
+ *           example: 4
+ *         value:
+ *           type: integer
+ *           example: 5
+ *     ProviderScores:
+ *       type: object
+ *       description: Scores of the provider, from 1 to 5
+ *       required:
+ *         - communication
+ *         - pickupAndReturn
+ *       properties:
+ *         communication:
+ *           type: integer
+ *           example: 5
+ *         pickupAndReturn:
+ *           type: integer
+ *           example: 4
+ */
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/reviews:
+ *   get:
+ *     summary: Reviews of a vehicle, newest first
+ *     tags: [Vehicles]
+ *     description: |
+ *       `summary` holds the car's average rating, its number of reviews and the average of each
+ *       category. The vehicle's `rating` and `reviewCount` are kept equal to these; the provider's
+ *       `providerRating` and `providerReviewCount` cover the reviews of all their cars.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the vehicle
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reviews with the provider's replies
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   post:
+ *     summary: Review a completed rental
+ *     tags: [Vehicles]
+ *     description: |
+ *       Only the renter who booked the reservation can review it, once its status is `completed`,
+ *       and only once. The car and the provider are scored apart.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the vehicle
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservationId
+ *               - scores
+ *               - providerScores
+ *               - comment
+ *             properties:
+ *               reservationId:
+ *                 type: string
+ *                 example: "650a1b2c3d4e5f0012345690"
+ *               scores:
+ *                 $ref: '#/components/schemas/RentalScores'
+ *               providerScores:
+ *                 $ref: '#/components/schemas/ProviderScores'
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Clean car and a quick handover at the airport"
+ *     responses:
+ *       201:
+ *         description: Review created; `vehicle` and `provider` hold their recalculated rating and reviewCount
+ *       400:
+ *         description: Validation failed, or the rental is not completed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The reservation belongs to another renter
+ *       404:
+ *         description: Vehicle not found, or the reservation is not one of its rentals
+ *       409:
+ *         description: The rental has already been reviewed
+ */
+router.get('/:id/reviews', validateObjectId, getVehicleReviews);
+router.post('/:id/reviews', requireAuth, validateObjectId, validateRentalReview, createVehicleReview);
+
+/**
+ * @swagger
+ * /api/vehicles/{id}/reviews/{reviewId}/reply:
+ *   put:
+ *     summary: Reply to a review of the vehicle (provider or admin)
+ *     tags: [Vehicles]
+ *     description: A new reply replaces the previous one.
+ *     security:
+ *       - sessionAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the vehicle
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Thanks, glad the car suited you!"
+ *     responses:
+ *       200:
+ *         description: Reply saved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id/reviews/:reviewId/reply', requireAuth, validateObjectId, validateReviewReply, replyToVehicleReview);
+
 module.exports = router;
\ No newline at end of file
@@ -33,7 +33,12 @@ if (isProduction) {
 // ========================
 // MIDDLEWARE
 // ========================
-app.use(express.json());
+// Payment webhooks are signed over the raw body, so keep it for them
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks')) req.rawBody = buf;
+  }
+}));
 
 // CORS CONFIGURADO COMO EL PROYECTO DE LIBROS
 const corsOptions = {
@@ -341,11 +346,23 @@ const usersRoutes = require('./routes/users');
 const propertiesRoutes = require('./routes/properties');
 const reservationsRoutes = require('./routes/reservations');
 const vehiclesRoutes = require('./routes/vehicles');
+const tripsRoutes = require('./routes/trips');
+const calendarRoutes = require('./routes/calendar');
+const paymentsRoutes = require('./routes/payments');
+const exchangeRatesRoutes = require('./routes/exchangeRates');
+const chargeRulesRoutes = require('./routes/chargeRules');
+const promoCodesRoutes = require('./routes/promoCodes');
 
 app.use('/api/users', usersRoutes);
 app.use('/api/properties', propertiesRoutes);
 app.use('/api/reservations', reservationsRoutes);
 app.use('/api/vehicles', vehiclesRoutes);
+app.use('/api/trips', tripsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/exchange-rates', exchangeRatesRoutes);
+app.use('/api/charge-rules', chargeRulesRoutes);
+app.use('/api/promo-codes', promoCodesRoutes);
 
 // ========================
 // SWAGGER DOCUMENTATION
@@ -541,6 +558,12 @@ app.get('/panel', (req, res) => {
         <button onclick="fetchData('/api/reservations')" ${!isAuthenticated ? 'disabled' : ''}>My Reservations</button>
         <button onclick="createReservation()" ${!isAuthenticated ? 'disabled' : ''}>Create Reservation</button>
         <button onclick="updateReservation()" ${!isAuthenticated ? 'disabled' : ''}>Update Reservation</button>
+        <button onclick="fetchData('/api/users/me/calendar')" ${!isAuthenticated ? 'disabled' : ''}>Calendar Feed URL</button>
+      </div>
+
+      <div class="endpoint">
+        <h3>🧳 Trips ${isAuthenticated ? '' : '(Login Required)'}</h3>
+        <button onclick="fetchData('/api/trips')" ${!isAuthenticated ? 'disabled' : ''}>My Trips</button>
       </div>
       
       <div class="endpoint">
@@ -591,7 +614,6 @@ app.get('/panel', (req, res) => {
           startDate: "${new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]}",
           endDate: "${new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]}",
           numGuests: 2,
-          totalAmount: 399.99,
           specialRequests: "Early check-in please"
         };
         
@@ -699,6 +721,18 @@ app.use('*', (req, res) => {
 const errorHandler = require('./middleware/errorHandler');
 app.use(errorHandler);
 
+const { startScheduler } = require('./services/scheduler');
+const { checkPaymentConfig } = require('./services/payments');
+const { backfillGeoPoints } = require('./config/backfillGeoPoints');
+
+// Proveedor de pagos: la pasarela falsa por defecto, con aviso fuera de desarrollo y tests
+try {
+  checkPaymentConfig().forEach(warning => console.warn('⚠️  ADVERTENCIA pagos:', warning));
+} catch (err) {
+  console.error('❌ Configuración de pagos:', err.message);
+  process.exit(1);
+}
+
 // ========================
 // DATABASE CONNECTION
 // ========================
@@ -706,6 +740,21 @@ mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ MongoDB conectado');
     console.log('   Base de datos:', mongoose.connection.db?.databaseName);
+
+    // Puntos GeoJSON de propiedades y vehículos guardados antes de las búsquedas por distancia
+    backfillGeoPoints()
+      .then(updated => {
+        if (updated.properties > 0 || updated.vehicles > 0) {
+          console.log('   Puntos geográficos actualizados:', updated);
+        }
+      })
+      .catch(err => console.error('❌ Error actualizando puntos geográficos:', err));
+
+    // Tareas automáticas de reservas (completar, expirar, no-shows)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      startScheduler();
+      console.log('   Tareas programadas: activas');
+    }
   })
   .catch(err => {
     console.error('❌ Error MongoDB:', err);
@@ -28,7 +28,12 @@ const CURRENT_URL = LOCAL_URL;
 // ========================
 // MIDDLEWARE
 // ========================
-app.use(express.json());
+// Payment webhooks are signed over the raw body, so keep it for them
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks')) req.rawBody = buf;
+  }
+}));
 
 // CORS CONFIGURADO
 const corsOptions = {
@@ -171,6 +176,12 @@ const usersRoutes = require('./routes/users');
 const propertiesRoutes = require('./routes/properties');
 const reservationsRoutes = require('./routes/reservations');
 const vehiclesRoutes = require('./routes/vehicles');
+const tripsRoutes = require('./routes/trips');
+const calendarRoutes = require('./routes/calendar');
+const paymentsRoutes = require('./routes/payments');
+const exchangeRatesRoutes = require('./routes/exchangeRates');
+const chargeRulesRoutes = require('./routes/chargeRules');
+const promoCodesRoutes = require('./routes/promoCodes');
 
 // Create patched versions of auth middleware
 const auth = {
@@ -202,6 +213,12 @@ app.use('/api/users', usersRoutes);
 app.use('/api/properties', propertiesRoutes);
 app.use('/api/reservations', reservationsRoutes);
 app.use('/api/vehicles', vehiclesRoutes);
+app.use('/api/trips', tripsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/exchange-rates', exchangeRatesRoutes);
+app.use('/api/charge-rules', chargeRulesRoutes);
+app.use('/api/promo-codes', promoCodesRoutes);
 
 // ========================
 // 404 HANDLER
@@ -0,0 +1,168 @@
+// services/calendar.js - Exportación de reservas en formato iCalendar (.ics)
+const crypto = require('crypto');
+const Reservation = require('../models/Reservation');
+const { DAY_MS, toDateKey } = require('../utils/dates');
+
+// Reservations shown in feeds; cancelled and expired ones drop out
+const FEED_STATUSES = ['pending', 'confirmed', 'completed'];
+
+// How far back feeds go, so they stay small for long-time users
+const FEED_HISTORY_DAYS = 365;
+
+const ICAL_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED'
+};
+
+// Random secret for a feed URL
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+const isCalendarToken = (token) => /^[0-9a-f]{48}$/.test(token);
+
+// Escape TEXT values (RFC 5545, 3.3.11)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545, 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatDate = (date) => toDateKey(date).replace(/-/g, '');
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// VEVENT lines for an all-day event; check-out day is the (exclusive) end
+const eventLines = ({ uid, startDate, endDate, summary, location, description, status, updatedAt }) => {
+  const end = formatDate(endDate) > formatDate(startDate)
+    ? endDate
+    : new Date(new Date(startDate).getTime() + DAY_MS);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(updatedAt || new Date())}`,
+    `DTSTART;VALUE=DATE:${formatDate(startDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    `STATUS:${status}`,
+    'END:VEVENT'
+  ];
+};
+
+// Full calendar document with CRLF line endings
+const buildCalendar = (name, events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Reservations API//Calendar//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  ...events.flatMap(eventLines),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+const feedFilter = (filter) => ({
+  ...filter,
+  status: { $in: FEED_STATUSES },
+  endDate: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS) }
+});
+
+const placeOf = (property) => property && property.address
+  ? [property.name, property.address.city, property.address.country].filter(Boolean).join(', ')
+  : undefined;
+
+// Calendar of a guest: every stay and rental they booked
+const userCalendar = async (user) => {
+  const reservations = await Reservation.find(feedFilter({ userId: user._id }))
+    .populate('propertyId', 'name address')
+    .populate('vehicleId', 'make model year location')
+    .sort({ startDate: 1 });
+
+  const events = reservations.map(reservation => {
+    const isVehicle = reservation.reservationType === 'vehicle';
+    const vehicle = reservation.vehicleId;
+    const property = reservation.propertyId;
+    const rooms = reservation.bookedRoomIds().join(', ');
+
+    return {
+      uid: `${reservation._id}@reservations-api`,
+      startDate: reservation.startDate,
+      endDate: reservation.endDate,
+      summary: isVehicle
+        ? `Car rental: ${vehicle ? `${vehicle.make} ${vehicle.model}` : 'vehicle'}`
+        : `Stay at ${property ? property.name : 'property'}`,
+      location: isVehicle ? vehicle && vehicle.location && vehicle.location.city : placeOf(property),
+      description: [
+        isVehicle ? null : `Room: ${rooms}`,
+        `Guests: ${reservation.numGuests}`,
+        `Status: ${reservation.status}`,
+        `Reservation: ${reservation._id}`
+      ].filter(Boolean).join('\n'),
+      status: ICAL_STATUS[reservation.status],
+      updatedAt: reservation.updatedAt
+    };
+  });
+
+  return buildCalendar(`${user.name} - Reservations`, events);
+};
+
+// Calendar of a property owner: one event per booked room
+const propertyCalendar = async (property) => {
+  const reservations = await Reservation.find(feedFilter({ propertyId: property._id }))
+    .populate('userId', 'name')
+    .sort({ startDate: 1 });
+
+  const events = reservations.flatMap(reservation => {
+    const guest = reservation.userId ? reservation.userId.name : 'Guest';
+    const lines = reservation.reservationType === 'group'
+      ? reservation.roomLines.filter(line => line.status === 'active')
+      : [{ roomId: reservation.roomId, numGuests: reservation.numGuests }];
+
+    return lines.map(line => ({
+      uid: reservation.reservationType === 'group'
+        ? `${reservation._id}-${line.roomId}@reservations-api`
+        : `${reservation._id}@reservations-api`,
+      startDate: reservation.startDate,
+      endDate: reservation.endDate,
+      summary: `Room ${line.roomId} - ${guest}`,
+      location: placeOf(property),
+      description: [
+        `Guests: ${line.numGuests}`,
+        `Status: ${reservation.status}`,
+        `Reservation: ${reservation._id}`
+      ].join('\n'),
+      status: ICAL_STATUS[reservation.status],
+      updatedAt: reservation.updatedAt
+    }));
+  });
+
+  return buildCalendar(`${property.name} - Bookings`, events);
+};
+
+module.exports = {
+  generateCalendarToken,
+  isCalendarToken,
+  buildCalendar,
+  userCalendar,
+  propertyCalendar
+};
@@ -0,0 +1,349 @@
+// services/calendarImport.js - Importación de calendarios iCal externos como fechas bloqueadas
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const { DAY_MS, toDateKey, fromDateKey } = require('../utils/dates');
+
+// Larger calendars are rejected rather than parsed
+const MAX_CALENDAR_BYTES = 2 * 1024 * 1024;
+
+// Redirects followed when fetching a calendar; each target is checked like the URL
+const MAX_CALENDAR_REDIRECTS = 3;
+
+// Addresses a calendar URL cannot lead to: this host, private networks,
+// link-local ones (cloud metadata services) and other ranges that are not public
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  // IPv4-mapped addresses are checked against the IPv4 ranges; NAT64 ones are blocked whole
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const getCalendarImportConfig = () => ({
+  syncIntervalMinutes: Number(process.env.ICAL_SYNC_INTERVAL_MINUTES) || 60,
+  fetchTimeoutMs: Number(process.env.ICAL_FETCH_TIMEOUT_MS) || 10000
+});
+
+const importError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Undo TEXT escaping (RFC 5545, 3.3.11)
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Split a content line into its name and value; a ':' inside a quoted
+// parameter value does not end the parameters
+const parseLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) return null;
+
+  return {
+    name: line.slice(0, colon).split(';')[0].toUpperCase(),
+    value: line.slice(colon + 1)
+  };
+};
+
+// Calendar day of a DATE or DATE-TIME value. Times are ignored: an event
+// blocks the nights of the days it covers in the listing's own time.
+const parseDay = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const day = fromDateKey(`${match[1]}-${match[2]}-${match[3]}`);
+  return isNaN(day) ? null : day;
+};
+
+// Whole days of a DURATION such as P3D or P1W (shorter parts are ignored)
+const parseDurationDays = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(value.trim());
+  if (!match) return 0;
+  return Number(match[1] || 0) * 7 + Number(match[2] || 0);
+};
+
+// Events of an iCalendar document as blocked periods. Cancelled events and
+// events without a start are skipped; recurring events only block their first
+// occurrence (booking platforms export every stay as its own event).
+const parseCalendar = (text) => {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw importError(400, 'Not an iCalendar file');
+  }
+
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = new Map();
+  let skipped = 0;
+  let event = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    const { name, value } = property;
+    const component = value.trim().toUpperCase();
+
+    if (name === 'BEGIN' && component === 'VEVENT') {
+      event = {};
+    } else if (event && name === 'BEGIN') {
+      // Alarms and other components inside the event
+      nested++;
+    } else if (event && name === 'END' && component !== 'VEVENT') {
+      nested--;
+    } else if (event && name === 'END') {
+      const startDate = event.start;
+      let endDate = event.end || (event.durationDays && new Date(startDate.getTime() + event.durationDays * DAY_MS));
+      if (startDate && (!endDate || endDate <= startDate)) {
+        endDate = new Date(startDate.getTime() + DAY_MS);
+      }
+
+      const key = `${event.uid || `${toDateKey(startDate || 0)}-${event.summary || ''}`}${event.recurrenceId ? `#${event.recurrenceId}` : ''}`;
+
+      if (!startDate || event.status === 'CANCELLED' || events.has(key)) {
+        skipped++;
+      } else {
+        events.set(key, { uid: key, startDate, endDate, summary: event.summary });
+      }
+      event = null;
+    } else if (event && nested === 0) {
+      if (name === 'UID') event.uid = value.trim();
+      if (name === 'SUMMARY') event.summary = unescapeText(value).slice(0, 200);
+      if (name === 'STATUS') event.status = component;
+      if (name === 'RECURRENCE-ID') event.recurrenceId = value.trim();
+      if (name === 'DTSTART') event.start = parseDay(value);
+      if (name === 'DTEND') event.end = parseDay(value);
+      if (name === 'DURATION') event.durationDays = parseDurationDays(value);
+    }
+  }
+
+  return { events: [...events.values()], skipped };
+};
+
+// Reject calendar URLs that are not http(s) or whose host is not public, so
+// owners cannot make the server request internal services. Returns the URL
+// and the checked addresses of its host, which requests are then sent to.
+const checkCalendarUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw importError(400, 'Calendar URL is not valid');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw importError(400, 'Calendar URL must be http or https');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw importError(400, `Calendar host ${hostname} could not be resolved`);
+  }
+
+  if (addresses.length === 0 ||
+      addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw importError(400, 'Calendar URL must point to a public host');
+  }
+
+  return { url: parsed, addresses };
+};
+
+// GET a calendar URL from the addresses checked for its host: the connection
+// does not resolve the host again, so a DNS answer changed since the check
+// (DNS rebinding) cannot lead it to an internal service
+const requestCalendar = (url, addresses, signal) => new Promise((resolve, reject) => {
+  const lookup = (hostname, options, callback) => {
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  };
+
+  const client = url.protocol === 'https:' ? https : http;
+  client.get(url, { signal, lookup }, resolve).on('error', reject);
+});
+
+// Download the calendar of a URL source, following a few redirects (each
+// checked like the URL) and reading no more than MAX_CALENDAR_BYTES of it
+const fetchCalendar = async (url) => {
+  const { fetchTimeoutMs } = getCalendarImportConfig();
+  const signal = AbortSignal.timeout(fetchTimeoutMs);
+  let location = url;
+  let response;
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const target = await checkCalendarUrl(location);
+      response = await requestCalendar(target.url, target.addresses, signal);
+
+      const { statusCode, headers } = response;
+      if (statusCode < 300 || statusCode >= 400 || !headers.location) break;
+
+      response.resume();
+      if (redirects === MAX_CALENDAR_REDIRECTS) {
+        throw importError(502, 'Calendar URL redirected too many times');
+      }
+      location = new URL(headers.location, target.url).toString();
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      throw importError(502, `Calendar URL responded with status ${response.statusCode}`);
+    }
+
+    if (Number(response.headers['content-length']) > MAX_CALENDAR_BYTES) {
+      response.destroy();
+      throw importError(413, 'Calendar is too large');
+    }
+
+    // Leaving the loop early cancels the rest of the download
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > MAX_CALENDAR_BYTES) {
+        throw importError(413, 'Calendar is too large');
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+  } catch (error) {
+    // A request cut by the timeout fails with an AbortError
+    throw signal.aborted ? signal.reason : error;
+  }
+};
+
+// Import a calendar source of a room: new events become blocks, moved events
+// update theirs and events no longer in the calendar free their dates. A
+// calendar that cannot be read leaves the current blocks as they are.
+// The report is saved on the source and returned.
+const syncCalendarSource = async (property, roomId, source, { ics, now = new Date() } = {}) => {
+  const report = { syncedAt: now, events: 0, imported: 0, updated: 0, removed: 0, skipped: 0, conflicts: [] };
+
+  try {
+    const { events, skipped } = parseCalendar(source.kind === 'url' ? await fetchCalendar(source.url) : ics);
+    const today = fromDateKey(toDateKey(now));
+
+    // Events already over are not imported
+    const upcoming = events.filter(event => event.endDate > today);
+    report.events = events.length;
+    report.skipped = skipped + events.length - upcoming.length;
+
+    const existing = await AvailabilityBlock.find({ calendarSourceId: source._id });
+    const blocksByUid = new Map(existing.map(block => [block.uid, block]));
+
+    for (const event of upcoming) {
+      const block = blocksByUid.get(event.uid);
+      blocksByUid.delete(event.uid);
+
+      if (!block) {
+        await AvailabilityBlock.create({
+          propertyId: property._id,
+          roomId,
+          source: 'ical',
+          calendarSourceId: source._id,
+          ...event
+        });
+        report.imported++;
+      } else if (block.startDate.getTime() !== event.startDate.getTime() ||
+                 block.endDate.getTime() !== event.endDate.getTime() ||
+                 block.summary !== event.summary) {
+        block.set({ startDate: event.startDate, endDate: event.endDate, summary: event.summary });
+        await block.save();
+        report.updated++;
+      }
+
+      const overlapping = await Reservation.findOverlapping({
+        propertyId: property._id,
+        roomId,
+        startDate: event.startDate,
+        endDate: event.endDate
+      });
+
+      if (overlapping) {
+        report.conflicts.push({
+          reservationId: overlapping._id,
+          startDate: event.startDate,
+          endDate: event.endDate
+        });
+      }
+    }
+
+    // Blocks left over belong to events removed from the calendar
+    const removed = [...blocksByUid.values()].map(block => block._id);
+    if (removed.length > 0) {
+      await AvailabilityBlock.deleteMany({ _id: { $in: removed } });
+    }
+    report.removed = removed.length;
+    report.status = 'ok';
+  } catch (error) {
+    report.status = 'error';
+    report.error = error.name === 'TimeoutError' ? 'Calendar URL did not respond in time' : error.message;
+  }
+
+  await Property.updateOne(
+    { _id: property._id },
+    { $set: { 'rooms.$[room].calendarSources.$[source].lastSync': report } },
+    { arrayFilters: [{ 'room.roomId': roomId }, { 'source._id': source._id }] }
+  );
+
+  return report;
+};
+
+// Scheduled job: fetch again every URL source not synced within the interval.
+// Returns the number of sources synced.
+const syncDueCalendarSources = async (now = new Date()) => {
+  const { syncIntervalMinutes } = getCalendarImportConfig();
+  const dueBefore = new Date(now.getTime() - syncIntervalMinutes * 60 * 1000);
+
+  const properties = await Property.find({
+    isActive: true,
+    'rooms.calendarSources.kind': 'url'
+  });
+
+  let synced = 0;
+  for (const property of properties) {
+    for (const room of property.rooms) {
+      for (const source of room.calendarSources) {
+        if (source.kind !== 'url') continue;
+        if (source.lastSync && source.lastSync.syncedAt > dueBefore) continue;
+
+        await syncCalendarSource(property, room.roomId, source, { now });
+        synced++;
+      }
+    }
+  }
+
+  return synced;
+};
+
+module.exports = {
+  MAX_CALENDAR_BYTES,
+  getCalendarImportConfig,
+  checkCalendarUrl,
+  parseCalendar,
+  syncCalendarSource,
+  syncDueCalendarSources
+};
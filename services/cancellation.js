@@ -0,0 +1,248 @@
+// services/cancellation.js - Políticas de cancelación y cálculo de reembolsos
+const Reservation = require('../models/Reservation');
+const Property = require('../models/Property');
+const RoomNight = require('../models/RoomNight');
+const VehicleDay = require('../models/VehicleDay');
+const { roundAmount, mergeCharges } = require('./pricing');
+const { offerFreedRoom } = require('./waitlist');
+const { checkInAt } = require('./stayTimes');
+const { settleCancellationPayment } = require('./payments');
+const { withPromotion, releasePromoCode } = require('./promoCodes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Refund tiers per policy, from the earliest deadline to the latest. The first
+// tier cancelled at least `hoursBeforeStart` hours before the start applies;
+// later cancellations (and cancellations after the start) are not refunded.
+const CANCELLATION_POLICIES = {
+  flexible: [
+    { hoursBeforeStart: 24, refundPercent: 100 }
+  ],
+  moderate: [
+    { hoursBeforeStart: 5 * 24, refundPercent: 100 },
+    { hoursBeforeStart: 24, refundPercent: 50 }
+  ],
+  strict: [
+    { hoursBeforeStart: 14 * 24, refundPercent: 100 },
+    { hoursBeforeStart: 7 * 24, refundPercent: 50 }
+  ]
+};
+
+// Vehicles have no policy of their own
+const VEHICLE_CANCELLATION_POLICY = 'flexible';
+
+// Policy that applies to a reservation, and the instant its deadlines count
+// back from: the property's local check-in time, or the vehicle pickup
+const getCancellationTerms = async (reservation) => {
+  if (reservation.reservationType === 'vehicle') {
+    return { policy: VEHICLE_CANCELLATION_POLICY, startsAt: reservation.startDate };
+  }
+
+  const propertyId = reservation.propertyId && (reservation.propertyId._id || reservation.propertyId);
+  const property = await Property.findById(propertyId).select('timezone policies.cancellation policies.checkIn');
+
+  return {
+    policy: (property && property.policies && property.policies.cancellation) || 'moderate',
+    startsAt: checkInAt(property, reservation.startDate)
+  };
+};
+
+// Price of a group reservation without one of its rooms: the other active
+// rooms, with the promo code the reservation was booked with applied to them
+// again. Lines priced before fees and taxes were itemized only have a total.
+const priceWithoutRoom = (reservation, roomId) => {
+  const lines = reservation.roomLines
+    .map(l => (l.toObject ? l.toObject() : l))
+    .filter(l => l.status === 'active' && l.roomId !== roomId);
+  const fees = mergeCharges(lines.flatMap(l => l.fees || []));
+  const taxes = mergeCharges(lines.flatMap(l => l.taxes || []));
+  const quote = {
+    subtotal: roundAmount(lines.reduce((sum, l) => sum + (l.subtotal !== undefined ? l.subtotal : l.total), 0)),
+    fees,
+    feesTotal: roundAmount(fees.reduce((sum, fee) => sum + fee.amount, 0)),
+    taxes,
+    taxesTotal: roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+    discounts: [],
+    discountsTotal: 0,
+    total: roundAmount(lines.reduce((sum, l) => sum + l.total, 0))
+  };
+
+  return reservation.promotion && reservation.promotion.code ? withPromotion(quote, reservation.promotion) : quote;
+};
+
+// What cancelling one room takes off the total (and so what the guest paid
+// for it): the total less the price of the rooms that remain, so a discount
+// the guest had is never refunded
+const roomLineAmount = (reservation, roomId) =>
+  roundAmount(Math.max(0, reservation.totalAmount - priceWithoutRoom(reservation, roomId).total));
+
+// Refund a guest would get by cancelling now (the whole reservation, or one
+// room of a group reservation), without changing anything
+const previewCancellation = async (reservation, now = new Date(), { roomId } = {}) => {
+  const line = roomId && (reservation.roomLines || []).find(l => l.roomId === roomId);
+  const { policy, startsAt } = await getCancellationTerms(reservation);
+  const hoursBeforeStart = (startsAt - now) / HOUR_MS;
+  const tier = CANCELLATION_POLICIES[policy].find(t => hoursBeforeStart >= t.hoursBeforeStart);
+  const refundPercent = tier ? tier.refundPercent : 0;
+  const amount = line ? roomLineAmount(reservation, roomId) : reservation.totalAmount;
+  const amountPaid = ['paid', 'partially_refunded'].includes(reservation.paymentStatus) ? amount : 0;
+
+  return {
+    reservationId: reservation._id,
+    ...(line && { roomId: line.roomId }),
+    cancellable: Reservation.canTransition('status', reservation.status, 'cancelled') &&
+      (!line || line.status === 'active'),
+    policy,
+    tiers: CANCELLATION_POLICIES[policy].map(t => ({
+      ...t,
+      deadline: new Date(startsAt.getTime() - t.hoursBeforeStart * HOUR_MS)
+    })),
+    hoursBeforeStart: Math.max(0, Math.floor(hoursBeforeStart)),
+    refundPercent,
+    amountPaid,
+    refundAmount: roundAmount(amountPaid * refundPercent / 100)
+  };
+};
+
+// Cancel a reservation under its policy: records the refund, returns the money
+// through the payment provider (or releases an authorization not captured yet)
+// and frees the room nights for the waitlist (or the rental days). Returns null when the
+// reservation changed status in the meantime.
+const cancelReservation = async (reservation, { actor, reason, now = new Date() } = {}) => {
+  const preview = await previewCancellation(reservation, now);
+
+  if (!preview.cancellable) {
+    const error = new Error(`Cannot change reservation status from ${reservation.status} to cancelled`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const filter = { _id: reservation._id, status: reservation.status };
+  const set = {
+    status: 'cancelled',
+    cancellation: {
+      cancelledAt: now,
+      cancelledBy: actor,
+      reason,
+      policy: preview.policy,
+      refundPercent: preview.refundPercent,
+      refundAmount: preview.refundAmount
+    }
+  };
+
+  const cancelled = await Reservation.findOneAndUpdate(
+    filter,
+    { $set: set, $push: { history: { field: 'status', from: reservation.status, to: 'cancelled', actor, reason, at: now } } },
+    { new: true, runValidators: true }
+  );
+
+  if (!cancelled) return null;
+
+  await RoomNight.release(cancelled._id);
+  await VehicleDay.release(cancelled._id);
+  await offerFreedRoom(cancelled);
+  await releasePromoCode(cancelled);
+
+  // paymentStatus follows the refund (or the released authorization)
+  await settleCancellationPayment(cancelled, {
+    refundAmount: preview.refundAmount,
+    actor,
+    reason: `Refund of ${preview.refundPercent}% under ${preview.policy} cancellation policy`
+  });
+
+  return Reservation.findById(cancelled._id);
+};
+
+// Cancel one room of a group reservation under the reservation's policy. The
+// room's price leaves the total, its refund is recorded on the room line and
+// its nights go to the waitlist. Cancelling the last room cancels the whole
+// reservation. Returns null when the reservation changed in the meantime.
+const cancelRoomLine = async (reservation, roomId, { actor, reason, now = new Date() } = {}) => {
+  const line = (reservation.roomLines || []).find(l => l.roomId === roomId);
+
+  if (!line) {
+    const error = new Error('Room not found in this reservation');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (line.status !== 'active') {
+    const error = new Error(`Room ${roomId} is already cancelled`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (reservation.bookedRoomIds().length === 1) {
+    return cancelReservation(reservation, { actor, reason, now });
+  }
+
+  const preview = await previewCancellation(reservation, now, { roomId });
+
+  if (!preview.cancellable) {
+    const error = new Error(`Cannot cancel a room of a ${reservation.status} reservation`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // The room's own fees and taxes leave with it, and the promo code is taken
+  // on the rooms that remain
+  const remaining = priceWithoutRoom(reservation, roomId);
+
+  // Conditional on the total too, so two rooms cancelled at once cannot both
+  // subtract from the same old total
+  const cancelled = await Reservation.findOneAndUpdate(
+    {
+      _id: reservation._id,
+      status: reservation.status,
+      totalAmount: reservation.totalAmount,
+      roomLines: { $elemMatch: { roomId, status: 'active' } }
+    },
+    {
+      $set: {
+        'roomLines.$.status': 'cancelled',
+        'roomLines.$.cancellation': {
+          cancelledAt: now,
+          cancelledBy: actor,
+          reason,
+          policy: preview.policy,
+          refundPercent: preview.refundPercent,
+          refundAmount: preview.refundAmount
+        },
+        numGuests: reservation.numGuests - line.numGuests,
+        totalAmount: roundAmount(reservation.totalAmount - roomLineAmount(reservation, roomId)),
+        'priceBreakdown.subtotal': remaining.subtotal,
+        'priceBreakdown.fees': remaining.fees,
+        'priceBreakdown.feesTotal': remaining.feesTotal,
+        'priceBreakdown.taxes': remaining.taxes,
+        'priceBreakdown.taxesTotal': remaining.taxesTotal,
+        'priceBreakdown.discounts': remaining.discounts,
+        'priceBreakdown.discountsTotal': remaining.discountsTotal,
+        'priceBreakdown.total': remaining.total
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!cancelled) return null;
+
+  await RoomNight.release(cancelled._id, { roomId });
+  await offerFreedRoom(cancelled, { roomIds: [roomId], closeOffer: false });
+
+  // The rest of an authorization stays held for the remaining rooms
+  await settleCancellationPayment(cancelled, {
+    refundAmount: preview.refundAmount,
+    releaseAuthorization: false,
+    actor,
+    reason: `Refund of ${preview.refundPercent}% for room ${roomId} under ${preview.policy} cancellation policy`
+  });
+
+  return Reservation.findById(cancelled._id);
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  VEHICLE_CANCELLATION_POLICY,
+  previewCancellation,
+  cancelReservation,
+  cancelRoomLine
+};
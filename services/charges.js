@@ -0,0 +1,36 @@
+// services/charges.js - Impuestos y cargos de las estancias (por país, ciudad o propiedad)
+const ChargeRule = require('../models/ChargeRule');
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Taxes and fees the stays of a property are charged: those of its country,
+// then of its city, then its own. A charge replaces an earlier one with the
+// same name, so a city can raise a national rate and a property can waive a
+// charge with an amount of 0.
+const chargesFor = async (property) => {
+  const address = property.address || {};
+  const rules = address.country
+    ? await ChargeRule.find({ country: address.country, isActive: true })
+      .collation({ locale: 'en', strength: 2 })
+    : [];
+
+  const byName = new Map();
+  [
+    ...rules.filter(rule => !rule.city),
+    ...rules.filter(rule => rule.city && sameName(rule.city, address.city)),
+    ...(property.charges || [])
+  ].forEach(charge => {
+    byName.set(charge.name.trim().toLowerCase(), {
+      name: charge.name,
+      kind: charge.kind,
+      calculation: charge.calculation,
+      amount: charge.amount
+    });
+  });
+
+  return [...byName.values()];
+};
+
+module.exports = {
+  chargesFor
+};
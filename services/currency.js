@@ -0,0 +1,77 @@
+// services/currency.js - Conversión de precios con la tabla de tipos de cambio
+const ExchangeRate = require('../models/ExchangeRate');
+
+const { BASE_CURRENCY } = ExchangeRate;
+
+const currencyError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Currency a property or vehicle is priced in
+const currencyOf = (item) => (item && item.currency) || BASE_CURRENCY;
+
+// Amount for messages: dollars as they always were, other currencies by code
+const formatMoney = (amount, currency = BASE_CURRENCY) => (
+  currency === 'USD' ? `$${Number(amount || 0).toFixed(2)}` : `${Number(amount || 0).toFixed(2)} ${currency}`
+);
+
+// Rate that turns amounts in `from` into amounts in `to`, from the rate table:
+// { from, to, rate, asOf }. Throws a 400 when the table has no rate for one
+// of the currencies.
+const getExchangeRate = async (from, to = from) => {
+  from = from.toUpperCase();
+  to = to.toUpperCase();
+
+  if (from === to) return { from, to, rate: 1 };
+
+  const codes = [from, to].filter(code => code !== BASE_CURRENCY);
+  const rows = await ExchangeRate.find({ currency: { $in: codes } });
+  const perBase = Object.fromEntries(rows.map(row => [row.currency, row.rate]));
+  perBase[BASE_CURRENCY] = 1;
+
+  const missing = [from, to].find(code => !perBase[code]);
+  if (missing) {
+    throw currencyError(400, `No exchange rate for ${missing}`);
+  }
+
+  return {
+    from,
+    to,
+    rate: Math.round(perBase[to] / perBase[from] * 1e6) / 1e6,
+    asOf: rows.reduce((latest, row) => (latest > row.updatedAt ? latest : row.updatedAt), undefined)
+  };
+};
+
+// Rate from the item's currency to the one the client asked for (the item's own when none)
+const exchangeRateFor = (item, currency) => getExchangeRate(currencyOf(item), currency || currencyOf(item));
+
+const convertAmount = (amount, exchangeRate) => Math.round(amount * exchangeRate.rate * 100) / 100;
+
+// Rates from the currency of each item to `currency`, keyed by the item currency
+const exchangeRatesFor = async (items, currency) => {
+  const rates = new Map();
+  for (const code of new Set(items.map(currencyOf))) {
+    rates.set(code, await getExchangeRate(code, currency));
+  }
+  return rates;
+};
+
+// Rate a listing's display prices were converted with, as shown to the client
+const displayInfo = (exchangeRate) => ({
+  currency: exchangeRate.to,
+  rate: exchangeRate.rate,
+  asOf: exchangeRate.asOf
+});
+
+module.exports = {
+  BASE_CURRENCY,
+  currencyOf,
+  formatMoney,
+  getExchangeRate,
+  exchangeRateFor,
+  convertAmount,
+  exchangeRatesFor,
+  displayInfo
+};
@@ -0,0 +1,352 @@
+// services/dateChanges.js - Cambios de fechas de reservas con recálculo de precio
+const Reservation = require('../models/Reservation');
+const Property = require('../models/Property');
+const Vehicle = require('../models/Vehicle');
+const RoomNight = require('../models/RoomNight');
+const VehicleDay = require('../models/VehicleDay');
+const { quoteRoomStay, quoteGroupStay, quoteVehicleRental, roundAmount } = require('./pricing');
+const { offerFreedRoom } = require('./waitlist');
+const { checkStayRules } = require('./stayRules');
+const { toStayDate } = require('./stayTimes');
+const { currencyOf, exchangeRateFor, formatMoney } = require('./currency');
+const { chargesFor } = require('./charges');
+const { withPromotion } = require('./promoCodes');
+const { findActivePayment, settleDateChangePayment } = require('./payments');
+
+const dateChangeError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Rules every date change must follow, whoever asks for it
+const checkDateChangeAllowed = (reservation, startDate, endDate) => {
+  if (!['pending', 'confirmed'].includes(reservation.status)) {
+    throw dateChangeError(409, `Cannot change the dates of a ${reservation.status} reservation`);
+  }
+
+  if (reservation.checkedInAt) {
+    throw dateChangeError(409, 'Cannot change dates after check-in');
+  }
+
+  if (reservation.tripId) {
+    throw dateChangeError(409, 'Dates of a trip reservation cannot be changed on their own');
+  }
+
+  if (startDate >= endDate) {
+    throw dateChangeError(400, 'End date must be after start date');
+  }
+
+  if (startDate.getTime() === reservation.startDate.getTime() &&
+      endDate.getTime() === reservation.endDate.getTime()) {
+    throw dateChangeError(400, 'New dates are the same as the current ones');
+  }
+};
+
+// Requested dates as the reservation keeps them: stay dates of the property
+// for rooms, pickup and return times for vehicles
+const parseNewDates = async (reservation, { startDate, endDate }) => {
+  if (reservation.reservationType === 'vehicle') {
+    return { startDate: new Date(startDate), endDate: new Date(endDate) };
+  }
+
+  const property = await Property.findById(reservation.propertyId._id || reservation.propertyId).select('timezone');
+  return { startDate: toStayDate(property, startDate), endDate: toStayDate(property, endDate) };
+};
+
+// New dates are priced in the currency the reservation is charged in, at the
+// rate it was booked with (unless the item changed currency since)
+const bookedExchangeRate = (reservation, item) => {
+  const booked = reservation.exchangeRate;
+  if (booked && booked.rate && booked.from === currencyOf(item) && booked.to === reservation.currency) {
+    return { from: booked.from, to: booked.to, rate: booked.rate, asOf: booked.asOf };
+  }
+  return exchangeRateFor(item, reservation.currency);
+};
+
+// The promo code the reservation was booked with discounts the new dates too
+const withBookedPromotion = (reservation, quote) => (
+  reservation.promotion && reservation.promotion.code ? withPromotion(quote, reservation.promotion) : quote
+);
+
+// Price the reservation over new dates, returning the new total and breakdown
+const priceForDates = async (reservation, startDate, endDate) => {
+  if (reservation.reservationType === 'vehicle') {
+    const vehicle = await Vehicle.findById(reservation.vehicleId);
+    if (!vehicle) throw dateChangeError(404, 'Vehicle not found');
+
+    if (startDate <= new Date()) {
+      throw dateChangeError(400, 'Pickup date cannot be in the past');
+    }
+
+    const exchangeRate = await bookedExchangeRate(reservation, vehicle);
+    const quote = withBookedPromotion(reservation, quoteVehicleRental({ vehicle, startDate, endDate, exchangeRate }));
+    return {
+      total: quote.total,
+      priceBreakdown: {
+        rentalDays: quote.rentalDays,
+        dailyRate: quote.dailyRate,
+        subtotal: quote.subtotal,
+        fees: quote.fees,
+        feesTotal: quote.feesTotal,
+        taxes: quote.taxes,
+        taxesTotal: quote.taxesTotal,
+        discounts: quote.discounts,
+        discountsTotal: quote.discountsTotal,
+        total: quote.total
+      }
+    };
+  }
+
+  const property = await Property.findById(reservation.propertyId._id || reservation.propertyId);
+  if (!property) throw dateChangeError(404, 'Property not found');
+  checkStayRules(property, { startDate, endDate });
+
+  const findRoom = (roomId) => {
+    const room = property.rooms.find(r => r.roomId === roomId);
+    if (!room) throw dateChangeError(400, `Room ${roomId} no longer exists in this property`);
+    return room;
+  };
+
+  // New dates pay the taxes and fees in force now, like the nightly rates
+  const [exchangeRate, charges] = await Promise.all([
+    bookedExchangeRate(reservation, property),
+    chargesFor(property)
+  ]);
+
+  if (reservation.reservationType === 'group') {
+    const activeLines = reservation.roomLines.filter(line => line.status === 'active');
+    const quote = withBookedPromotion(reservation, quoteGroupStay({
+      property,
+      rooms: activeLines.map(line => ({ room: findRoom(line.roomId), numGuests: line.numGuests })),
+      startDate,
+      endDate,
+      charges,
+      exchangeRate
+    }));
+    const repriced = Object.fromEntries(quote.lines.map(line => [line.roomId, line]));
+
+    return {
+      total: quote.total,
+      priceBreakdown: {
+        nights: quote.nights,
+        subtotal: quote.subtotal,
+        fees: quote.fees,
+        feesTotal: quote.feesTotal,
+        taxes: quote.taxes,
+        taxesTotal: quote.taxesTotal,
+        discounts: quote.discounts,
+        discountsTotal: quote.discountsTotal,
+        total: quote.total
+      },
+      // Cancelled lines keep the price they had when they were cancelled
+      roomLines: reservation.roomLines.map(line => (
+        line.status === 'active'
+          ? { ...line.toObject(), ...repriced[line.roomId] }
+          : line.toObject()
+      ))
+    };
+  }
+
+  const quote = withBookedPromotion(reservation, quoteRoomStay({
+    property,
+    room: findRoom(reservation.roomId),
+    startDate,
+    endDate,
+    numGuests: reservation.numGuests,
+    charges,
+    exchangeRate
+  }));
+
+  return {
+    total: quote.total,
+    priceBreakdown: {
+      nights: quote.nights,
+      nightlyRate: quote.nightlyRate,
+      nightlyRates: quote.nightlyRates,
+      subtotal: quote.subtotal,
+      fees: quote.fees,
+      feesTotal: quote.feesTotal,
+      taxes: quote.taxes,
+      taxesTotal: quote.taxesTotal,
+      discounts: quote.discounts,
+      discountsTotal: quote.discountsTotal,
+      total: quote.total
+    }
+  };
+};
+
+// Vehicle or rooms the reservation holds, as findConflict filters
+const bookedItems = (reservation) => (
+  reservation.reservationType === 'vehicle'
+    ? [{ vehicleId: reservation.vehicleId._id || reservation.vehicleId }]
+    : reservation.bookedRoomIds().map(roomId => ({
+      propertyId: reservation.propertyId._id || reservation.propertyId,
+      roomId
+    }))
+);
+
+// Quote moving a reservation to new dates: availability, new total and the
+// difference to charge (positive) or refund (negative)
+const quoteDateChange = async (reservation, dates) => {
+  const { startDate, endDate } = await parseNewDates(reservation, dates);
+  checkDateChangeAllowed(reservation, startDate, endDate);
+
+  let available = true;
+  for (const item of bookedItems(reservation)) {
+    const conflictingReservation = await Reservation.findConflict({
+      ...item,
+      startDate,
+      endDate,
+      excludeId: reservation._id
+    });
+
+    if (conflictingReservation) {
+      available = false;
+      break;
+    }
+  }
+
+  const pricing = await priceForDates(reservation, startDate, endDate);
+  const difference = roundAmount(pricing.total - reservation.totalAmount);
+
+  return {
+    reservationId: reservation._id,
+    available,
+    previous: {
+      startDate: reservation.startDate,
+      endDate: reservation.endDate,
+      totalAmount: reservation.totalAmount
+    },
+    startDate,
+    endDate,
+    totalAmount: pricing.total,
+    currency: reservation.currency,
+    priceBreakdown: pricing.priceBreakdown,
+    roomLines: pricing.roomLines,
+    difference,
+    settlement: difference > 0 ? 'charge' : difference < 0 ? 'refund' : 'none'
+  };
+};
+
+// Move a reservation to new dates at the new price, recording the change and
+// the price difference. Returns null when the reservation changed meanwhile.
+const applyDateChange = async (reservation, { startDate, endDate, actor, totalAmount }) => {
+  const quote = await quoteDateChange(reservation, { startDate, endDate });
+
+  if (!quote.available) {
+    throw dateChangeError(409, reservation.reservationType === 'vehicle'
+      ? 'Vehicle is already reserved for the selected dates'
+      : 'Room is already reserved for the selected dates');
+  }
+
+  // A total sent by the guest confirms the quote they saw
+  if (totalAmount !== undefined && Math.abs(totalAmount - quote.totalAmount) > 0.01) {
+    throw dateChangeError(400, `Total amount does not match the new price (${formatMoney(quote.totalAmount, quote.currency)})`);
+  }
+
+  // The payment only covers the current total, so a dearer stay cannot be
+  // taken on it; a cheaper one is refunded once the dates changed
+  if (quote.difference > 0 && await findActivePayment(reservation._id)) {
+    throw dateChangeError(409, `The new dates cost ${formatMoney(quote.difference, quote.currency)} more than the payment of the reservation`);
+  }
+
+  // Claim the new nights or rental days (those already held are kept)
+  const isVehicle = reservation.reservationType === 'vehicle';
+  const rooms = isVehicle ? [] : bookedItems(reservation);
+  const oldStay = { keepStartDate: reservation.startDate, keepEndDate: reservation.endDate };
+  const newStay = { keepStartDate: quote.startDate, keepEndDate: quote.endDate };
+  const releaseClaims = (keep) => (isVehicle ? VehicleDay : RoomNight).release(reservation._id, keep);
+
+  if (isVehicle) {
+    const claimed = await VehicleDay.claim({
+      reservationId: reservation._id,
+      vehicleId: reservation.vehicleId._id || reservation.vehicleId,
+      startDate: quote.startDate,
+      endDate: quote.endDate
+    });
+
+    if (!claimed) {
+      await VehicleDay.release(reservation._id, oldStay);
+      throw dateChangeError(409, 'Vehicle is already reserved for the selected dates');
+    }
+  }
+
+  for (const { propertyId, roomId } of rooms) {
+    const claimed = await RoomNight.claim({
+      reservationId: reservation._id,
+      propertyId,
+      roomId,
+      startDate: quote.startDate,
+      endDate: quote.endDate
+    });
+
+    if (!claimed) {
+      await RoomNight.release(reservation._id, oldStay);
+      throw dateChangeError(409, 'Room is already reserved for the selected dates');
+    }
+  }
+
+  const set = {
+    startDate: quote.startDate,
+    endDate: quote.endDate,
+    totalAmount: quote.totalAmount,
+    priceBreakdown: quote.priceBreakdown
+  };
+  if (quote.roomLines) set.roomLines = quote.roomLines;
+
+  let updated;
+  try {
+    updated = await Reservation.findOneAndUpdate(
+      {
+        _id: reservation._id,
+        status: reservation.status,
+        startDate: reservation.startDate,
+        endDate: reservation.endDate,
+        totalAmount: reservation.totalAmount
+      },
+      {
+        $set: set,
+        $push: {
+          dateChanges: {
+            previousStartDate: reservation.startDate,
+            previousEndDate: reservation.endDate,
+            previousTotal: reservation.totalAmount,
+            startDate: quote.startDate,
+            endDate: quote.endDate,
+            newTotal: quote.totalAmount,
+            difference: quote.difference,
+            settlement: quote.settlement,
+            actor,
+            at: new Date()
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    await releaseClaims(oldStay);
+    throw error;
+  }
+
+  if (!updated) {
+    await releaseClaims(oldStay);
+    return null;
+  }
+
+  await settleDateChangePayment(updated, quote.difference, { actor, reason: 'Dates changed' });
+
+  // Free the nights (or days) of the old stay the reservation no longer uses,
+  // and offer the nights to the waitlist
+  await releaseClaims(newStay);
+  if (rooms.length > 0) {
+    await offerFreedRoom(reservation, { closeOffer: false });
+  }
+
+  return updated;
+};
+
+module.exports = {
+  quoteDateChange,
+  applyDateChange
+};
@@ -0,0 +1,451 @@
+// services/invoices.js - Facturas y notas de crédito de reservas (HTML y PDF)
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const { roundAmount } = require('./pricing');
+const { toDateKey } = require('../utils/dates');
+const { PDF_LINE_WIDTH, textToPdf } = require('../utils/pdf');
+
+// Reservations get an invoice once money was taken for them
+const INVOICED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Attempts at a number (or a revision) taken by another request at the same time
+const MAX_ISSUE_ATTEMPTS = 5;
+
+const TOTAL_FIELDS = {
+  charge: 'subtotal',
+  fee: 'feesTotal',
+  tax: 'taxesTotal',
+  discount: 'discountsTotal',
+  adjustment: 'adjustmentsTotal'
+};
+
+const invoiceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isDuplicateOf = (error, field) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern[field]);
+
+const sumAmounts = (items) => roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+const nightLines = (roomId, nightlyRates) => nightlyRates.map(night => ({
+  kind: 'charge',
+  description: `Room ${roomId}, night of ${night.date}${night.rule && night.rule !== 'base' ? ` (${night.rule})` : ''}`,
+  quantity: 1,
+  unitPrice: night.rate,
+  amount: night.rate
+}));
+
+// Line of a fee or tax of the breakdown: per-night charges show the nights
+// they were counted for, percentages their rate
+const chargeLine = (kind, charge) => {
+  if (charge.calculation === 'per_night' && charge.rate > 0) {
+    return {
+      kind,
+      description: charge.name,
+      quantity: Math.round(charge.amount / charge.rate),
+      unitPrice: charge.rate,
+      amount: charge.amount
+    };
+  }
+
+  return {
+    kind,
+    description: charge.calculation === 'percentage' ? `${charge.name} (${charge.rate}%)` : charge.name,
+    quantity: 1,
+    unitPrice: charge.amount,
+    amount: charge.amount
+  };
+};
+
+// Lines of what the guest owes for the reservation as it is now
+const chargeLines = (reservation, { property, vehicle }) => {
+  const breakdown = reservation.priceBreakdown || {};
+  const cancellation = reservation.status === 'cancelled' && reservation.cancellation;
+  const lines = [];
+  let expectedTotal = reservation.totalAmount;
+
+  if (reservation.reservationType === 'group') {
+    reservation.roomLines.forEach(line => {
+      if (line.status === 'active') {
+        lines.push(...nightLines(line.roomId, line.nightlyRates || []));
+        return;
+      }
+
+      // The room left the total; what its refund did not give back is still owed
+      const fee = roundAmount(line.total - ((line.cancellation && line.cancellation.refundAmount) || 0));
+      if (fee > 0) {
+        lines.push({
+          kind: 'charge',
+          description: `Room ${line.roomId} cancellation fee (${line.cancellation.policy} policy)`,
+          quantity: 1,
+          unitPrice: fee,
+          amount: fee
+        });
+        expectedTotal = roundAmount(expectedTotal + fee);
+      }
+    });
+  } else if (reservation.reservationType === 'vehicle' && breakdown.rentalDays) {
+    lines.push({
+      kind: 'charge',
+      description: `${vehicle ? vehicle.displayName : 'Vehicle'} rental, ${breakdown.rentalDays} day(s)`,
+      quantity: breakdown.rentalDays,
+      unitPrice: breakdown.dailyRate,
+      amount: roundAmount(breakdown.rentalDays * breakdown.dailyRate)
+    });
+  } else if (breakdown.nightlyRates && breakdown.nightlyRates.length > 0) {
+    lines.push(...nightLines(reservation.roomId, breakdown.nightlyRates));
+  }
+
+  // Reservations priced before itemized quotes existed
+  if (lines.length === 0) {
+    const amount = breakdown.subtotal !== undefined ? breakdown.subtotal : reservation.totalAmount;
+    lines.push({
+      kind: 'charge',
+      description: reservation.reservationType === 'vehicle'
+        ? `${vehicle ? vehicle.displayName : 'Vehicle'} rental`
+        : `Stay at ${property ? property.name : 'property'}`,
+      quantity: 1,
+      unitPrice: amount,
+      amount
+    });
+  }
+
+  // Discounts are taken before fees and taxes, which are charged on the discounted price
+  (breakdown.discounts || []).forEach(discount => {
+    lines.push({ kind: 'discount', description: discount.name, quantity: 1, unitPrice: -discount.amount, amount: -discount.amount });
+  });
+
+  (breakdown.fees || []).forEach(fee => lines.push(chargeLine('fee', fee)));
+  (breakdown.taxes || []).forEach(tax => lines.push(chargeLine('tax', tax)));
+
+  if (cancellation && cancellation.refundAmount > 0) {
+    lines.push({
+      kind: 'adjustment',
+      description: `Cancellation refund (${cancellation.refundPercent}% under ${cancellation.policy} policy)`,
+      quantity: 1,
+      unitPrice: -cancellation.refundAmount,
+      amount: -cancellation.refundAmount
+    });
+    expectedTotal = roundAmount(expectedTotal - cancellation.refundAmount);
+  }
+
+  // Totals changed by hand (or by rules older than the breakdown) still add up
+  const difference = roundAmount(expectedTotal - sumAmounts(lines));
+  if (difference !== 0) {
+    lines.push({ kind: 'adjustment', description: 'Price adjustment', quantity: 1, unitPrice: difference, amount: difference });
+  }
+
+  return lines;
+};
+
+const totalsOf = (lines) => {
+  const totals = { subtotal: 0, feesTotal: 0, taxesTotal: 0, discountsTotal: 0, adjustmentsTotal: 0 };
+  lines.forEach(line => {
+    totals[TOTAL_FIELDS[line.kind]] = roundAmount(totals[TOTAL_FIELDS[line.kind]] + line.amount);
+  });
+  return { ...totals, total: sumAmounts(lines) };
+};
+
+// Captures and refunds of the reservation's payments, oldest first
+const paymentLines = async (reservationId) => {
+  const payments = await Payment.find({ reservationId, amountCaptured: { $gt: 0 } }).sort({ createdAt: 1 });
+  const lines = [];
+
+  payments.forEach(payment => {
+    const captured = payment.events.find(event => event.type === 'payment.captured');
+    lines.push({
+      description: `Payment ${payment.providerPaymentId} (${payment.provider})`,
+      amount: payment.amountCaptured,
+      at: captured ? captured.at : payment.updatedAt
+    });
+    payment.refunds.forEach(refund => {
+      lines.push({
+        description: refund.reason ? `Refund: ${refund.reason}` : 'Refund',
+        amount: -refund.amount,
+        at: refund.at
+      });
+    });
+  });
+
+  return lines.sort((a, b) => a.at - b.at);
+};
+
+// Invoice of the reservation as it is now, not saved
+const draftInvoice = async (reservation) => {
+  const [user, property, vehicle, payments] = await Promise.all([
+    User.findById(reservation.userId).select('name email'),
+    reservation.propertyId ? Property.findById(reservation.propertyId).select('name address') : null,
+    reservation.vehicleId ? Vehicle.findById(reservation.vehicleId).select('make model year location') : null,
+    paymentLines(reservation._id)
+  ]);
+
+  const lines = chargeLines(reservation, { property, vehicle });
+  const totals = totalsOf(lines);
+  const amountPaid = sumAmounts(payments);
+
+  return {
+    type: 'invoice',
+    reservationId: reservation._id,
+    userId: reservation.userId,
+    currency: reservation.currency,
+    billTo: user ? { name: user.name, email: user.email } : {},
+    item: {
+      reservationType: reservation.reservationType,
+      name: vehicle ? vehicle.displayName : property && property.name,
+      location: vehicle
+        ? [vehicle.location.city, vehicle.location.airportCode].filter(Boolean).join(', ')
+        : property && [property.address.city, property.address.state, property.address.country].filter(Boolean).join(', '),
+      startDate: reservation.startDate,
+      endDate: reservation.endDate
+    },
+    lines,
+    ...totals,
+    payments,
+    amountPaid,
+    balanceDue: roundAmount(totals.total - amountPaid)
+  };
+};
+
+const sameCharges = (invoice, draft) => invoice.total === draft.total &&
+  JSON.stringify(invoice.lines.map(({ kind, description, quantity, unitPrice, amount }) =>
+    ({ kind, description, quantity, unitPrice, amount }))) === JSON.stringify(draft.lines);
+
+// Save a document under the next number of its sequence. Numbers are only
+// taken by documents that were saved, so the sequence has no gaps.
+const issueDocument = async (fields) => {
+  for (let attempt = 0; attempt < MAX_ISSUE_ATTEMPTS; attempt++) {
+    const sequence = await Invoice.nextSequence(fields.type);
+
+    try {
+      return await Invoice.create({ ...fields, sequence, issuedAt: new Date() });
+    } catch (error) {
+      if (!isDuplicateOf(error, 'sequence')) throw error;
+    }
+  }
+
+  throw invoiceError(409, 'Could not number the invoice, please retry');
+};
+
+// Credit note reversing every line of an invoice
+const creditInvoice = (invoice, reason) => issueDocument({
+  type: 'credit_note',
+  reservationId: invoice.reservationId,
+  userId: invoice.userId,
+  revision: invoice.revision,
+  creditedInvoice: { invoiceId: invoice._id, number: invoice.number },
+  reason,
+  currency: invoice.currency,
+  billTo: invoice.billTo,
+  item: invoice.item,
+  lines: invoice.lines.map(line => ({
+    kind: line.kind,
+    description: line.description,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice === undefined ? undefined : -line.unitPrice,
+    amount: -line.amount
+  })),
+  subtotal: -invoice.subtotal,
+  feesTotal: -invoice.feesTotal,
+  taxesTotal: -invoice.taxesTotal,
+  discountsTotal: -invoice.discountsTotal,
+  adjustmentsTotal: -invoice.adjustmentsTotal,
+  total: -invoice.total
+});
+
+// Invoices and credit notes of a reservation, in the order they were issued
+const getReservationInvoices = (reservationId) => Invoice.find({ reservationId }).sort({ issuedAt: 1, _id: 1 });
+
+const issueInvoices = async (reservation) => {
+  const documents = await getReservationInvoices(reservation._id);
+  const invoices = documents.filter(doc => doc.type === 'invoice');
+  const credited = new Set(documents.filter(doc => doc.type === 'credit_note').map(doc => doc.revision));
+  const current = invoices.find(invoice => !credited.has(invoice.revision));
+  const draft = await draftInvoice(reservation);
+
+  if (current && sameCharges(current, draft)) return current;
+
+  if (current) {
+    const creditNote = await creditInvoice(current, reservation.status === 'cancelled'
+      ? 'Reservation cancelled'
+      : 'Reservation changed after the invoice was issued');
+
+    // Nothing is owed any more (a cancellation refunded in full)
+    if (draft.total <= 0) return creditNote;
+  } else if (invoices.length > 0 && draft.total <= 0) {
+    return documents[documents.length - 1];
+  }
+
+  return issueDocument({ ...draft, revision: invoices.length });
+};
+
+// Bring the invoices of a paid reservation up to date and return its latest
+// document: the first invoice is issued when it is first needed, and a
+// reservation changed since its invoice gets a credit note for that invoice
+// and a new one. Returns null for reservations that were never paid.
+const syncInvoices = async (reservation) => {
+  const issued = await Invoice.exists({ reservationId: reservation._id });
+  if (!issued && !INVOICED_PAYMENT_STATUSES.includes(reservation.paymentStatus)) return null;
+
+  for (let attempt = 0; attempt < MAX_ISSUE_ATTEMPTS; attempt++) {
+    try {
+      return await issueInvoices(reservation);
+    } catch (error) {
+      // Another request issued this revision first; start over from what it issued
+      if (!isDuplicateOf(error, 'revision')) throw error;
+    }
+  }
+
+  throw invoiceError(409, 'Invoice was being issued by another request, please retry');
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const documentTitle = (doc) => (doc.type === 'credit_note' ? 'CREDIT NOTE' : 'INVOICE');
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Totals shown under the lines, skipping the empty ones
+const summaryRows = (doc) => [
+  ['Subtotal', doc.subtotal],
+  ['Discounts', doc.discountsTotal],
+  ['Fees', doc.feesTotal],
+  ['Taxes', doc.taxesTotal],
+  ['Adjustments', doc.adjustmentsTotal]
+].filter(([label, amount]) => label === 'Subtotal' || amount);
+
+const renderInvoiceHtml = (doc) => {
+  const money = (amount) => escapeHtml(formatMoney(amount, doc.currency));
+  const rows = doc.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${escapeHtml(line.quantity)}</td>
+          <td class="num">${line.unitPrice === undefined ? '' : money(line.unitPrice)}</td>
+          <td class="num">${money(line.amount)}</td>
+        </tr>`).join('');
+  const totals = summaryRows(doc).map(([label, amount]) => `
+        <tr><td colspan="3">${label}</td><td class="num">${money(amount)}</td></tr>`).join('');
+  const payments = doc.type === 'invoice' && doc.payments.length > 0 ? `
+    <h2>Payments</h2>
+    <table>
+      <tbody>${doc.payments.map(payment => `
+        <tr>
+          <td>${escapeHtml(toDateKey(payment.at))}</td>
+          <td>${escapeHtml(payment.description)}</td>
+          <td class="num">${money(payment.amount)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>` : '';
+  const balance = doc.type === 'invoice' ? `
+    <p class="balance">Amount paid: ${money(doc.amountPaid)}<br>Balance due: ${money(doc.balanceDue)}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${documentTitle(doc)} ${escapeHtml(doc.number)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1em; }
+    th, td { padding: 4px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>${documentTitle(doc)} ${escapeHtml(doc.number)}</h1>
+  <p>Issued ${escapeHtml(toDateKey(doc.issuedAt))}</p>${doc.creditedInvoice && doc.creditedInvoice.number ? `
+  <p>Credits invoice ${escapeHtml(doc.creditedInvoice.number)}. Reason: ${escapeHtml(doc.reason)}</p>` : ''}
+  <p>
+    Bill to: ${escapeHtml(doc.billTo.name)} &lt;${escapeHtml(doc.billTo.email)}&gt;<br>
+    Reservation ${escapeHtml(doc.reservationId)}: ${escapeHtml(doc.item.name)}${doc.item.location ? `, ${escapeHtml(doc.item.location)}` : ''}<br>
+    ${escapeHtml(toDateKey(doc.item.startDate))} to ${escapeHtml(toDateKey(doc.item.endDate))}
+  </p>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>${totals}
+      <tr><td colspan="3">Total</td><td class="num">${money(doc.total)}</td></tr>
+    </tfoot>
+  </table>${payments}${balance}
+</body>
+</html>
+`;
+};
+
+// Description column of the PDF; longer descriptions wrap
+const DESCRIPTION_WIDTH = PDF_LINE_WIDTH - 36;
+
+const wrap = (text, width) => {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += width) chunks.push(text.slice(i, i + width));
+  return chunks.length > 0 ? chunks : [''];
+};
+
+const amountRow = (label, value) => `${label.padEnd(PDF_LINE_WIDTH - 18)}${value.padStart(18)}`;
+
+const renderInvoicePdf = (doc) => {
+  const money = (amount) => formatMoney(amount, doc.currency);
+  const text = [
+    { text: amountRow(documentTitle(doc), doc.number), bold: true },
+    `Issued ${toDateKey(doc.issuedAt)}`
+  ];
+
+  if (doc.creditedInvoice && doc.creditedInvoice.number) {
+    text.push(`Credits invoice ${doc.creditedInvoice.number}. Reason: ${doc.reason}`);
+  }
+
+  text.push(
+    '',
+    `Bill to: ${doc.billTo.name || ''} <${doc.billTo.email || ''}>`,
+    `Reservation ${doc.reservationId}: ${doc.item.name || ''}${doc.item.location ? `, ${doc.item.location}` : ''}`,
+    `${toDateKey(doc.item.startDate)} to ${toDateKey(doc.item.endDate)}`,
+    '',
+    { text: `${'Description'.padEnd(DESCRIPTION_WIDTH)}${'Qty'.padStart(6)}${'Unit price'.padStart(15)}${'Amount'.padStart(15)}`, bold: true },
+    '-'.repeat(PDF_LINE_WIDTH)
+  );
+
+  doc.lines.forEach(line => {
+    const [first, ...rest] = wrap(line.description, DESCRIPTION_WIDTH);
+    text.push(`${first.padEnd(DESCRIPTION_WIDTH)}${String(line.quantity).padStart(6)}` +
+      `${(line.unitPrice === undefined ? '' : money(line.unitPrice)).padStart(15)}${money(line.amount).padStart(15)}`);
+    text.push(...rest);
+  });
+
+  text.push('-'.repeat(PDF_LINE_WIDTH));
+  summaryRows(doc).forEach(([label, amount]) => text.push(amountRow(label, money(amount))));
+  text.push({ text: amountRow('Total', money(doc.total)), bold: true });
+
+  if (doc.type === 'invoice') {
+    if (doc.payments.length > 0) {
+      text.push('', { text: 'Payments', bold: true });
+      doc.payments.forEach(payment => {
+        text.push(amountRow(`${toDateKey(payment.at)}  ${payment.description}`.slice(0, PDF_LINE_WIDTH - 18), money(payment.amount)));
+      });
+    }
+    text.push('', amountRow('Amount paid', money(doc.amountPaid)), { text: amountRow('Balance due', money(doc.balanceDue)), bold: true });
+  }
+
+  return textToPdf(text, { title: `${documentTitle(doc)} ${doc.number}` });
+};
+
+module.exports = {
+  INVOICED_PAYMENT_STATUSES,
+  chargeLines,
+  syncInvoices,
+  getReservationInvoices,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
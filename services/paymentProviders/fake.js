@@ -0,0 +1,119 @@
+// services/paymentProviders/fake.js - Pasarela de pago falsa para desarrollo y tests
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Payment methods the fake gateway knows: null authorizes, a message declines.
+// Any other payment method is declined too.
+const FAKE_PAYMENT_METHODS = {
+  pm_fake_visa: null,
+  pm_fake_mastercard: null,
+  pm_fake_declined: 'Card declined',
+  pm_fake_insufficient_funds: 'Insufficient funds'
+};
+
+// Development and tests run on the defaults; anywhere else they are warned about
+const DEFAULTS_ENVIRONMENTS = ['development', 'test'];
+
+const usesDefaults = () => DEFAULTS_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+const getWebhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret';
+
+// Settings that fell back to a default where they should be set, for the startup log
+const configWarnings = () => (
+  !process.env.FAKE_PAYMENT_WEBHOOK_SECRET && !usesDefaults()
+    ? ['FAKE_PAYMENT_WEBHOOK_SECRET is not set: webhooks are checked with the default secret']
+    : []
+);
+
+const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+
+const fakeError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const event = (type, providerPaymentId, fields = {}) => ({
+  eventId: fakeId('evt'),
+  type,
+  providerPaymentId,
+  ...fields
+});
+
+// Hold `amount` on the payment method
+const authorize = async ({ amount, paymentMethod }) => {
+  const providerPaymentId = fakeId('pay');
+  const declined = Object.prototype.hasOwnProperty.call(FAKE_PAYMENT_METHODS, paymentMethod)
+    ? FAKE_PAYMENT_METHODS[paymentMethod]
+    : 'Unknown payment method';
+
+  return declined
+    ? event('payment.failed', providerPaymentId, { amount, failureReason: declined })
+    : event('payment.authorized', providerPaymentId, { amount });
+};
+
+// Take (part of) the authorized amount
+const capture = async (providerPaymentId, amount) => event('payment.captured', providerPaymentId, { amount });
+
+// Give back (part of) the captured amount
+const refund = async (providerPaymentId, amount) => event('payment.refunded', providerPaymentId, {
+  amount,
+  providerRefundId: fakeId('re')
+});
+
+// Release an authorization that was never captured
+const voidAuthorization = async (providerPaymentId) => event('payment.voided', providerPaymentId);
+
+const sign = (rawBody) => crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+
+// Read a webhook the fake gateway sent: { id, type, data: { paymentId, amount, refundId, failureReason } },
+// signed with an HMAC-SHA256 of the raw body in the x-fake-signature header
+const parseWebhook = (headers, rawBody) => {
+  const signature = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+  const expected = Buffer.from(sign(rawBody || ''));
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw fakeError(400, 'Invalid webhook signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString());
+  } catch (error) {
+    throw fakeError(400, 'Webhook body is not valid JSON');
+  }
+
+  const data = payload.data || {};
+  if (!payload.id || !payload.type || !data.paymentId) {
+    throw fakeError(400, 'Webhook event is incomplete');
+  }
+
+  return {
+    eventId: payload.id,
+    type: payload.type,
+    providerPaymentId: data.paymentId,
+    amount: data.amount,
+    providerRefundId: data.refundId,
+    failureReason: data.failureReason
+  };
+};
+
+// Build a signed webhook as the fake gateway would send it (development tools and tests)
+const buildWebhook = (type, data) => {
+  const body = JSON.stringify({ id: fakeId('evt'), type, data });
+  return { body, headers: { [SIGNATURE_HEADER]: sign(body), 'content-type': 'application/json' } };
+};
+
+module.exports = {
+  name: 'fake',
+  FAKE_PAYMENT_METHODS,
+  usesDefaults,
+  configWarnings,
+  authorize,
+  capture,
+  refund,
+  void: voidAuthorization,
+  parseWebhook,
+  buildWebhook
+};
@@ -0,0 +1,306 @@
+// services/payments.js - Pagos de reservas a través de proveedores intercambiables
+const Payment = require('../models/Payment');
+const Reservation = require('../models/Reservation');
+const { roundAmount } = require('./pricing');
+const { formatMoney } = require('./currency');
+const { INVOICED_PAYMENT_STATUSES, syncInvoices } = require('./invoices');
+const fakeProvider = require('./paymentProviders/fake');
+
+// Payment providers by name. A provider implements:
+//   authorize({ amount, currency, paymentMethod, reference }) -> event
+//   capture(providerPaymentId, amount)                       -> event
+//   refund(providerPaymentId, amount)                        -> event
+//   void(providerPaymentId)                                  -> event
+//   parseWebhook(headers, rawBody)                           -> event (throws a 400 if it is not genuine)
+//   configWarnings()                                         -> settings left to their defaults
+// where an event is { eventId, type, providerPaymentId, amount, providerRefundId, failureReason }
+// and type is one of payment.authorized, payment.failed, payment.captured,
+// payment.voided or payment.refunded.
+const PAYMENT_PROVIDERS = {
+  fake: fakeProvider
+};
+
+// Reservation paymentStatus for each payment status
+const RESERVATION_PAYMENT_STATUS = {
+  authorized: 'authorized',
+  failed: 'failed',
+  captured: 'paid',
+  voided: 'voided',
+  partially_refunded: 'partially_refunded',
+  refunded: 'refunded'
+};
+
+const getPaymentConfig = () => ({
+  provider: process.env.PAYMENT_PROVIDER || 'fake'
+});
+
+const paymentError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getPaymentProvider = (name = getPaymentConfig().provider) => {
+  const provider = PAYMENT_PROVIDERS[name];
+  if (!provider) throw paymentError(404, `Unknown payment provider ${name}`);
+  return provider;
+};
+
+// Run at startup. Throws for a provider that does not exist; returns warnings
+// for the fake gateway (and its defaults) running outside development and tests
+const checkPaymentConfig = () => {
+  const { provider } = getPaymentConfig();
+  if (!PAYMENT_PROVIDERS[provider]) throw new Error(`Unknown payment provider ${provider}`);
+
+  return [
+    ...(!process.env.PAYMENT_PROVIDER && !fakeProvider.usesDefaults()
+      ? ['PAYMENT_PROVIDER is not set: using the fake gateway, no real payments are taken']
+      : []),
+    ...PAYMENT_PROVIDERS[provider].configWarnings()
+  ];
+};
+
+// History reason for the reservation's paymentStatus change an event caused
+const describeEvent = (event, payment) => {
+  switch (event.type) {
+    case 'payment.authorized': return `Payment of ${formatMoney(payment.amount, payment.currency)} authorized`;
+    case 'payment.failed': return `Payment failed: ${payment.failureReason}`;
+    case 'payment.captured': return `Payment of ${formatMoney(payment.amountCaptured, payment.currency)} captured`;
+    case 'payment.voided': return 'Payment authorization released';
+    default: return `Refund of ${formatMoney(event.amount, payment.currency)}`;
+  }
+};
+
+// Payment fields an event changes; null for event types payments ignore
+const paymentChanges = (payment, event) => {
+  switch (event.type) {
+    case 'payment.authorized':
+      return { status: 'authorized' };
+    case 'payment.failed':
+      return { status: 'failed', failureReason: event.failureReason || 'Payment failed' };
+    case 'payment.captured': {
+      const amountCaptured = roundAmount(event.amount === undefined ? payment.amount : event.amount);
+      if (amountCaptured > payment.amount) {
+        throw paymentError(400, 'Cannot capture more than the authorized amount');
+      }
+      return { status: 'captured', amountCaptured };
+    }
+    case 'payment.voided':
+      return { status: 'voided' };
+    case 'payment.refunded': {
+      const amountRefunded = roundAmount(payment.amountRefunded + Number(event.amount || 0));
+      if (amountRefunded > payment.amountCaptured) {
+        throw paymentError(400, 'Cannot refund more than the captured amount');
+      }
+      return {
+        status: amountRefunded >= payment.amountCaptured ? 'refunded' : 'partially_refunded',
+        amountRefunded
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Move the reservation's paymentStatus to match its payment
+const syncReservationPaymentStatus = async (payment, event, { actor, reason } = {}) => {
+  const to = RESERVATION_PAYMENT_STATUS[payment.status];
+  const reservation = await Reservation.findById(payment.reservationId).select('paymentStatus');
+
+  if (!to || !reservation || reservation.paymentStatus === to ||
+      !Reservation.canTransition('paymentStatus', reservation.paymentStatus, to)) {
+    return;
+  }
+
+  const updated = await Reservation.transition(reservation._id, 'paymentStatus', reservation.paymentStatus, to, {
+    actor,
+    reason: reason || describeEvent(event, payment)
+  });
+
+  // Issue the invoice once the money is taken (and a credit note when it is refunded)
+  if (updated && INVOICED_PAYMENT_STATUSES.includes(to)) {
+    try {
+      await syncInvoices(updated);
+    } catch (error) {
+      console.error('❌ Error al emitir la factura de la reserva:', error);
+    }
+  }
+};
+
+// Apply an event of the provider to a payment and to its reservation. This is
+// the only way a reservation's paymentStatus changes. Events already applied
+// are ignored, so providers can deliver the same webhook more than once.
+const applyPaymentEvent = async (payment, event, { actor, reason, source = 'api' } = {}) => {
+  if (payment.events.some(e => e.eventId === event.eventId)) return payment;
+
+  const changes = paymentChanges(payment, event);
+  if (changes && !Payment.canTransition(payment.status, changes.status)) {
+    throw paymentError(409, `Cannot apply ${event.type} to a ${payment.status} payment`);
+  }
+
+  const update = {
+    $set: changes || {},
+    $push: { events: { eventId: event.eventId, type: event.type, amount: event.amount, source } }
+  };
+  if (event.type === 'payment.refunded') {
+    update.$push.refunds = { providerRefundId: event.providerRefundId, amount: event.amount, reason };
+  }
+
+  // Conditional on the status and refunded amount, so two events applied at
+  // once cannot both build on the same payment
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: payment.status,
+      amountRefunded: payment.amountRefunded,
+      'events.eventId': { $ne: event.eventId }
+    },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw paymentError(409, 'Payment was changed by another request, please retry');
+  }
+
+  if (changes) {
+    await syncReservationPaymentStatus(updated, event, { actor, reason });
+  }
+
+  return updated;
+};
+
+// Latest payment of a reservation that holds or took money
+const findActivePayment = (reservationId) => Payment.findOne({
+  reservationId,
+  status: { $in: ['authorized', 'captured', 'partially_refunded'] }
+}).sort({ createdAt: -1 });
+
+// Authorize the total of a pending reservation on the guest's payment method.
+// Declined payments are recorded too (status failed).
+const authorizeReservationPayment = async (reservation, { paymentMethod, actor } = {}) => {
+  if (reservation.status !== 'pending') {
+    throw paymentError(409, `Cannot pay a ${reservation.status} reservation`);
+  }
+
+  if (!['pending', 'failed'].includes(reservation.paymentStatus)) {
+    throw paymentError(409, `Reservation payment is already ${reservation.paymentStatus}`);
+  }
+
+  // Charged in the currency the reservation was priced in
+  const currency = reservation.currency || 'USD';
+  const provider = getPaymentProvider();
+  const event = await provider.authorize({
+    amount: reservation.totalAmount,
+    currency,
+    paymentMethod,
+    reference: reservation._id.toString()
+  });
+
+  const payment = await Payment.create({
+    reservationId: reservation._id,
+    userId: reservation.userId,
+    provider: provider.name,
+    providerPaymentId: event.providerPaymentId,
+    amount: reservation.totalAmount,
+    currency
+  });
+
+  return applyPaymentEvent(payment, event, { actor });
+};
+
+// Take the money of an authorized payment; by default the reservation's
+// current total, which is less than authorized after a room was cancelled
+// or the stay moved to cheaper dates
+const capturePayment = async (payment, { amount, actor } = {}) => {
+  if (payment.status !== 'authorized') {
+    throw paymentError(409, `Cannot capture a ${payment.status} payment`);
+  }
+
+  if (amount === undefined) {
+    const reservation = await Reservation.findById(payment.reservationId).select('totalAmount');
+    amount = Math.min(payment.amount, reservation ? reservation.totalAmount : payment.amount);
+  }
+
+  const event = await getPaymentProvider(payment.provider).capture(payment.providerPaymentId, roundAmount(amount));
+  return applyPaymentEvent(payment, event, { actor });
+};
+
+// Give back part or all of the captured money
+const refundPayment = async (payment, amount, { actor, reason } = {}) => {
+  if (!['captured', 'partially_refunded'].includes(payment.status)) {
+    throw paymentError(409, `Cannot refund a ${payment.status} payment`);
+  }
+
+  const refundable = roundAmount(payment.amountCaptured - payment.amountRefunded);
+  if (amount > refundable) {
+    throw paymentError(400, `Cannot refund more than ${formatMoney(refundable, payment.currency)}`);
+  }
+
+  const event = await getPaymentProvider(payment.provider).refund(payment.providerPaymentId, roundAmount(amount));
+  return applyPaymentEvent(payment, event, { actor, reason });
+};
+
+// Release an authorization without taking the money
+const voidPayment = async (payment, { actor, reason } = {}) => {
+  if (payment.status !== 'authorized') {
+    throw paymentError(409, `Cannot void a ${payment.status} payment`);
+  }
+
+  const event = await getPaymentProvider(payment.provider).void(payment.providerPaymentId);
+  return applyPaymentEvent(payment, event, { actor, reason });
+};
+
+// Settle the payment of a cancelled reservation (or room): the refund decided
+// by the cancellation policy goes back to the guest and, when the whole
+// reservation is cancelled, an authorization not yet captured is released
+const settleCancellationPayment = async (reservation, { refundAmount, releaseAuthorization = true, actor, reason } = {}) => {
+  const payment = await findActivePayment(reservation._id);
+  if (!payment) return null;
+
+  if (payment.status === 'authorized') {
+    return releaseAuthorization ? voidPayment(payment, { actor, reason }) : payment;
+  }
+
+  const amount = Math.min(refundAmount || 0, roundAmount(payment.amountCaptured - payment.amountRefunded));
+  return amount > 0 ? refundPayment(payment, amount, { actor, reason }) : payment;
+};
+
+// Settle the price difference of a date change: a cheaper stay gets the
+// difference back from the money taken. An authorization not yet captured is
+// kept, capturing it takes the new total; a dearer stay is not covered by the
+// payment and is rejected before the dates change (see services/dateChanges.js).
+const settleDateChangePayment = async (reservation, difference, { actor, reason } = {}) => {
+  const payment = await findActivePayment(reservation._id);
+  if (!payment || payment.status === 'authorized' || difference >= 0) return payment;
+
+  const amount = Math.min(-difference, roundAmount(payment.amountCaptured - payment.amountRefunded));
+  return amount > 0 ? refundPayment(payment, amount, { actor, reason }) : payment;
+};
+
+// Webhook of a provider: events for payments made elsewhere are rejected
+const handleWebhook = async (providerName, headers, rawBody) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.parseWebhook(headers, rawBody);
+
+  const payment = await Payment.findOne({ provider: provider.name, providerPaymentId: event.providerPaymentId });
+  if (!payment) throw paymentError(404, 'Payment not found');
+
+  return applyPaymentEvent(payment, event, { source: 'webhook' });
+};
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  getPaymentConfig,
+  checkPaymentConfig,
+  getPaymentProvider,
+  applyPaymentEvent,
+  findActivePayment,
+  authorizeReservationPayment,
+  capturePayment,
+  refundPayment,
+  voidPayment,
+  settleCancellationPayment,
+  settleDateChangePayment,
+  handleWebhook
+};
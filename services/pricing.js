@@ -0,0 +1,225 @@
+// services/pricing.js - Cálculo de precios de reservas en el servidor
+const { eachNight, toDateKey, fromDateKey, DAY_MS } = require('../utils/dates');
+
+// Round to 2 decimal places
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Quotes are in the currency of the property or vehicle unless an exchange
+// rate ({ from, to, rate } from services/currency.js) is given; unit prices are
+// converted first so every total adds up in the quoted currency
+const ownCurrency = (item) => {
+  const currency = (item && item.currency) || 'USD';
+  return { from: currency, to: currency, rate: 1 };
+};
+
+const convertPrice = (amount, exchangeRate) => roundAmount(amount * exchangeRate.rate);
+
+// Rate of a room for one night (YYYY-MM-DD). A dated override wins over a
+// weekday rate, which wins over the base pricePerNight. When several overrides
+// cover the night, the shortest (most specific) one applies.
+const rateForNight = (room, night) => {
+  const override = (room.rateOverrides || [])
+    .filter(rate => toDateKey(rate.startDate) <= night && toDateKey(rate.endDate) >= night)
+    .sort((a, b) => (a.endDate - a.startDate) - (b.endDate - b.startDate))[0];
+
+  if (override) {
+    return { date: night, rate: override.pricePerNight, rule: override.name || 'override' };
+  }
+
+  const dayOfWeek = fromDateKey(night).getUTCDay();
+  const weekdayRate = (room.weekdayRates || []).find(rate => rate.dayOfWeek === dayOfWeek);
+
+  if (weekdayRate) {
+    return { date: night, rate: weekdayRate.pricePerNight, rule: 'weekday' };
+  }
+
+  return { date: night, rate: room.pricePerNight, rule: 'base' };
+};
+
+// Rate of every night of a stay
+const nightlyRatesForStay = (room, startDate, endDate, exchangeRate) =>
+  eachNight(startDate, endDate).map(night => {
+    const nightRate = rateForNight(room, night);
+    return exchangeRate ? { ...nightRate, rate: convertPrice(nightRate.rate, exchangeRate) } : nightRate;
+  });
+
+// Average nightly rate of a room over a stay
+const averageNightlyRate = (room, startDate, endDate) => {
+  const rates = nightlyRatesForStay(room, startDate, endDate);
+  if (rates.length === 0) return room.pricePerNight;
+  return roundAmount(rates.reduce((sum, night) => sum + night.rate, 0) / rates.length);
+};
+
+const sumAmounts = (items) => roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+// Fees and taxes of one room over a stay (charges from services/charges.js).
+// Percentage fees are taken on the nights and percentage taxes on the nights
+// plus the fees; per-night amounts count every night and flat ones once.
+// Charges that come to nothing are left out.
+const priceCharges = (charges, { subtotal, nights, exchangeRate }) => {
+  const priced = (kind, base) => charges
+    .filter(charge => charge.kind === kind)
+    .map(charge => {
+      const rate = charge.calculation === 'percentage' ? charge.amount : convertPrice(charge.amount, exchangeRate);
+      const amount = charge.calculation === 'percentage'
+        ? roundAmount(base * rate / 100)
+        : charge.calculation === 'per_night' ? roundAmount(rate * nights) : rate;
+      return { name: charge.name, calculation: charge.calculation, rate, amount };
+    })
+    .filter(item => item.amount > 0);
+
+  const fees = priced('fee', subtotal);
+  const feesTotal = sumAmounts(fees);
+  const taxes = priced('tax', roundAmount(subtotal + feesTotal));
+
+  return { fees, feesTotal, taxes, taxesTotal: sumAmounts(taxes) };
+};
+
+// Quote with one more discount ({ name, amount }) off its nights or rental
+// days. Discounts come before fees and taxes: percentage charges are taken
+// again on the discounted amount, the others stay as they are.
+const withDiscount = (quote, discount) => {
+  const discounts = [...(quote.discounts || []), discount];
+  const discountsTotal = sumAmounts(discounts);
+  const discounted = roundAmount(quote.subtotal - discountsTotal);
+  const repriced = (items, base) => (items || [])
+    .map(item => (item.calculation === 'percentage' ? { ...item, amount: roundAmount(base * item.rate / 100) } : item))
+    .filter(item => item.amount > 0);
+
+  const fees = repriced(quote.fees, discounted);
+  const feesTotal = sumAmounts(fees);
+  const taxes = repriced(quote.taxes, roundAmount(discounted + feesTotal));
+  const taxesTotal = sumAmounts(taxes);
+
+  return {
+    ...quote,
+    fees,
+    feesTotal,
+    taxes,
+    taxesTotal,
+    discounts,
+    discountsTotal,
+    total: roundAmount(discounted + feesTotal + taxesTotal)
+  };
+};
+
+// Charges of several rooms added up by name, as one item each
+const mergeCharges = (items) => {
+  const byName = new Map();
+  items.forEach(item => {
+    const merged = byName.get(item.name);
+    byName.set(item.name, merged ? { ...merged, amount: roundAmount(merged.amount + item.amount) } : { ...item });
+  });
+  return [...byName.values()];
+};
+
+// Itemized quote for a room stay, with the property's fees and taxes
+const quoteRoomStay = ({ property, room, startDate, endDate, numGuests, charges = [], exchangeRate = ownCurrency(property) }) => {
+  const nightlyRates = nightlyRatesForStay(room, startDate, endDate, exchangeRate);
+  const nights = nightlyRates.length;
+  const subtotal = roundAmount(nightlyRates.reduce((sum, night) => sum + night.rate, 0));
+  const nightlyRate = nights > 0 ? roundAmount(subtotal / nights) : convertPrice(room.pricePerNight, exchangeRate);
+  const { fees, feesTotal, taxes, taxesTotal } = priceCharges(charges, { subtotal, nights, exchangeRate });
+
+  return {
+    propertyId: property._id,
+    roomId: room.roomId,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    numGuests,
+    nights,
+    nightlyRate,
+    nightlyRates,
+    subtotal,
+    fees,
+    feesTotal,
+    taxes,
+    taxesTotal,
+    total: roundAmount(subtotal + feesTotal + taxesTotal),
+    currency: exchangeRate.to,
+    exchangeRate
+  };
+};
+
+// Itemized quote for several rooms of a property over the same stay, priced as
+// one total. Every room carries its own fees and taxes, so a room cancelled
+// later takes them out of the total with it.
+const quoteGroupStay = ({ property, rooms, startDate, endDate, charges = [], exchangeRate = ownCurrency(property) }) => {
+  const lines = rooms.map(({ room, numGuests }) => {
+    const quote = quoteRoomStay({ property, room, startDate, endDate, numGuests, charges, exchangeRate });
+
+    return {
+      roomId: room.roomId,
+      numGuests,
+      nightlyRate: quote.nightlyRate,
+      nightlyRates: quote.nightlyRates,
+      subtotal: quote.subtotal,
+      fees: quote.fees,
+      feesTotal: quote.feesTotal,
+      taxes: quote.taxes,
+      taxesTotal: quote.taxesTotal,
+      total: quote.total
+    };
+  });
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const fees = mergeCharges(lines.flatMap(line => line.fees));
+  const feesTotal = sumAmounts(fees);
+  const taxes = mergeCharges(lines.flatMap(line => line.taxes));
+  const taxesTotal = sumAmounts(taxes);
+
+  return {
+    propertyId: property._id,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    numGuests: lines.reduce((sum, line) => sum + line.numGuests, 0),
+    nights: eachNight(startDate, endDate).length,
+    lines,
+    subtotal,
+    fees,
+    feesTotal,
+    taxes,
+    taxesTotal,
+    total: roundAmount(subtotal + feesTotal + taxesTotal),
+    currency: exchangeRate.to,
+    exchangeRate
+  };
+};
+
+// Itemized quote for a vehicle rental: every started 24h period is a full day
+const quoteVehicleRental = ({ vehicle, startDate, endDate, exchangeRate = ownCurrency(vehicle) }) => {
+  const rentalDays = Math.ceil((new Date(endDate) - new Date(startDate)) / DAY_MS);
+  const dailyRate = convertPrice(vehicle.pricePerDay, exchangeRate);
+  const subtotal = roundAmount(dailyRate * rentalDays);
+
+  return {
+    vehicleId: vehicle._id,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    rentalDays,
+    dailyRate,
+    subtotal,
+    fees: [],
+    feesTotal: 0,
+    taxes: [],
+    taxesTotal: 0,
+    total: subtotal,
+    currency: exchangeRate.to,
+    exchangeRate
+  };
+};
+
+// Whether a client supplied amount matches a quote (allows small rounding differences)
+const matchesQuote = (quote, amount) => Math.abs(quote.total - amount) <= 0.01;
+
+module.exports = {
+  roundAmount,
+  convertPrice,
+  mergeCharges,
+  withDiscount,
+  rateForNight,
+  averageNightlyRate,
+  quoteRoomStay,
+  quoteGroupStay,
+  quoteVehicleRental,
+  matchesQuote
+};
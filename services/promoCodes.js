@@ -0,0 +1,157 @@
+// services/promoCodes.js - Códigos promocionales: validación, descuento y canjes
+const PromoCode = require('../models/PromoCode');
+const PromoCodeUsage = require('../models/PromoCodeUsage');
+const { roundAmount, withDiscount } = require('./pricing');
+const { getExchangeRate, convertAmount } = require('./currency');
+
+const promoError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Reasons a code cannot be used on a booking of `property` or `vehicle` now
+const checkPromoCode = (promoCode, { property, vehicle, nights, now }) => {
+  if (!promoCode.isActive) {
+    throw promoError(400, `Promo code ${promoCode.code} is not active`);
+  }
+
+  if (promoCode.validFrom && now < promoCode.validFrom) {
+    throw promoError(400, `Promo code ${promoCode.code} is not valid yet`);
+  }
+
+  if (promoCode.validUntil && now > promoCode.validUntil) {
+    throw promoError(400, `Promo code ${promoCode.code} has expired`);
+  }
+
+  if (promoCode.minNights && nights < promoCode.minNights) {
+    throw promoError(400, vehicle
+      ? `Promo code ${promoCode.code} requires a rental of at least ${promoCode.minNights} days`
+      : `Promo code ${promoCode.code} requires a stay of at least ${promoCode.minNights} nights`);
+  }
+
+  // Properties and vehicle types together say what the code is for
+  const scoped = promoCode.propertyIds.length > 0 || promoCode.vehicleTypes.length > 0;
+  const applies = vehicle
+    ? !scoped || promoCode.vehicleTypes.includes(vehicle.type)
+    : !scoped || promoCode.propertyIds.some(id => id.equals(property._id));
+  const city = vehicle ? vehicle.location && vehicle.location.city : property.address && property.address.city;
+
+  if (!applies || (promoCode.cities.length > 0 && !promoCode.cities.some(name => sameName(name, city)))) {
+    throw promoError(400, `Promo code ${promoCode.code} does not apply to this ${vehicle ? 'vehicle' : 'property'}`);
+  }
+
+  if (promoCode.maxRedemptions && promoCode.redemptionCount >= promoCode.maxRedemptions) {
+    throw promoError(409, `Promo code ${promoCode.code} has reached its redemption limit`);
+  }
+};
+
+// Quote with the discount of a promotion ({ code, discountType, value }, the
+// value being the percentage or the amount off in the quote's currency). The
+// discount is taken on the nights or rental days, never below zero, before
+// percentage fees and taxes.
+const withPromotion = (quote, promotion) => withDiscount(quote, {
+  name: `Promo code ${promotion.code}`,
+  amount: promotion.discountType === 'percentage'
+    ? roundAmount(quote.subtotal * promotion.value / 100)
+    : Math.min(promotion.value, roundAmount(quote.subtotal - (quote.discountsTotal || 0)))
+});
+
+// Price a quote with the promo code the guest entered. Returns the quote as is
+// when there is no code, else the discounted quote and the promotion to store
+// on the reservation. Throws an error with a statusCode when the code cannot
+// be used on this booking.
+const applyPromoCode = async (code, quote, { property, vehicle, now = new Date() } = {}) => {
+  if (!code) return { quote, promotion: null };
+
+  const promoCode = await PromoCode.findOne({ code: code.trim().toUpperCase() });
+
+  if (!promoCode) {
+    throw promoError(404, 'Promo code not found');
+  }
+
+  checkPromoCode(promoCode, { property, vehicle, nights: vehicle ? quote.rentalDays : quote.nights, now });
+
+  const value = promoCode.discountType === 'percentage'
+    ? promoCode.amount
+    : convertAmount(promoCode.amount, await getExchangeRate(promoCode.currency, quote.currency));
+  const promotion = {
+    promoCodeId: promoCode._id,
+    code: promoCode.code,
+    discountType: promoCode.discountType,
+    value
+  };
+  const discounted = withPromotion(quote, promotion);
+
+  return {
+    quote: discounted,
+    promotion: { ...promotion, amount: discounted.discounts[discounted.discounts.length - 1].amount }
+  };
+};
+
+// Count a reservation's use of its promo code against both caps. Each count
+// is a single conditional update, so two bookings at once cannot both take the
+// last redemption; the user's count is undone when the code is out.
+const redeemPromoCode = async (promotion, userId) => {
+  const promoCode = await PromoCode.findById(promotion.promoCodeId);
+
+  if (!promoCode) {
+    throw promoError(404, 'Promo code not found');
+  }
+
+  const usageFilter = { promoCodeId: promoCode._id, userId };
+
+  try {
+    await PromoCodeUsage.findOneAndUpdate(
+      promoCode.maxRedemptionsPerUser
+        ? { ...usageFilter, count: { $lt: promoCode.maxRedemptionsPerUser } }
+        : usageFilter,
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw promoError(409, `You have already used promo code ${promoCode.code} the maximum number of times`);
+    }
+    throw error;
+  }
+
+  const counted = await PromoCode.findOneAndUpdate(
+    promoCode.maxRedemptions
+      ? { _id: promoCode._id, redemptionCount: { $lt: promoCode.maxRedemptions } }
+      : { _id: promoCode._id },
+    { $inc: { redemptionCount: 1 } }
+  );
+
+  if (!counted) {
+    await PromoCodeUsage.updateOne({ ...usageFilter, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    throw promoError(409, `Promo code ${promoCode.code} has reached its redemption limit`);
+  }
+};
+
+// Give back the redemption of a reservation that will not happen (cancelled,
+// expired or never saved)
+const releasePromoCode = async (reservation) => {
+  const { promotion } = reservation;
+  if (!promotion || !promotion.promoCodeId) return;
+
+  await Promise.all([
+    PromoCode.updateOne(
+      { _id: promotion.promoCodeId, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    ),
+    PromoCodeUsage.updateOne(
+      { promoCodeId: promotion.promoCodeId, userId: reservation.userId._id || reservation.userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    )
+  ]);
+};
+
+module.exports = {
+  withPromotion,
+  applyPromoCode,
+  redeemPromoCode,
+  releasePromoCode
+};
@@ -0,0 +1,141 @@
+// services/reservationLifecycle.js - Tareas automáticas del ciclo de vida de las reservas
+const Reservation = require('../models/Reservation');
+const Trip = require('../models/Trip');
+const RoomNight = require('../models/RoomNight');
+const VehicleDay = require('../models/VehicleDay');
+const { offerFreedRoom } = require('./waitlist');
+const { settleCancellationPayment } = require('./payments');
+const { releasePromoCode } = require('./promoCodes');
+const { cancelReservation } = require('./cancellation');
+
+const MINUTE_MS = 60 * 1000;
+
+// Reservations moved per job run; the rest are picked up by the next run
+const BATCH_SIZE = 500;
+
+// Settings read from the environment on every run so they can be changed in tests
+const getLifecycleConfig = () => ({
+  // Minutes a pending reservation holds the room before it expires
+  pendingHoldMinutes: Number(process.env.PENDING_HOLD_MINUTES) || 24 * 60
+});
+
+// Expiry time of the hold of a reservation created at `from`
+const holdExpiresAt = (from = new Date()) =>
+  new Date(from.getTime() + getLifecycleConfig().pendingHoldMinutes * MINUTE_MS);
+
+// Move every matching reservation from one status to another. Each change is
+// conditional on the current status, so a reservation changed meanwhile (by a
+// user or by another API instance) is skipped instead of overwritten.
+const moveReservations = async (filter, from, to, reason, { freeRoom = false, releasePayment = false, endTrip = false } = {}) => {
+  const candidates = await Reservation.find({ ...filter, status: from })
+    .select('_id')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let moved = 0;
+
+  for (const { _id } of candidates) {
+    const updated = await Reservation.transition(_id, 'status', from, to, { reason });
+
+    if (updated) {
+      moved++;
+      if (freeRoom) {
+        await RoomNight.release(_id);
+        await VehicleDay.release(_id);
+        await offerFreedRoom(updated);
+      }
+      if (releasePayment) {
+        await settleCancellationPayment(updated, { refundAmount: 0, reason });
+        // The booking never happened, so its promo code can be used again
+        await releasePromoCode(updated);
+      }
+      if (endTrip && updated.tripId) {
+        await endTripOf(updated, reason);
+      }
+    }
+  }
+
+  return moved;
+};
+
+// A trip is booked (and discounted) as one, so it ends with the first part
+// that leaves: the trip is cancelled and its other part expires too if it is
+// still pending, or is cancelled under its own policy if it was confirmed
+const endTripOf = async (reservation, reason) => {
+  const trip = await Trip.findOneAndUpdate(
+    { _id: reservation.tripId, status: 'active' },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { new: true }
+  );
+  if (!trip) return;
+
+  const otherId = trip.stayReservationId.equals(reservation._id)
+    ? trip.rentalReservationId
+    : trip.stayReservationId;
+
+  await moveReservations({ _id: otherId }, 'pending', 'expired', reason, { freeRoom: true, releasePayment: true });
+
+  const other = await Reservation.findOne({ _id: otherId, status: 'confirmed' });
+  if (other) {
+    await cancelReservation(other, { reason: `Trip cancelled: ${reason}` });
+  }
+};
+
+// Pending reservations never confirmed stop blocking the room
+const expirePendingHolds = (now = new Date()) => {
+  const { pendingHoldMinutes } = getLifecycleConfig();
+
+  return moveReservations(
+    {
+      $or: [
+        { holdExpiresAt: { $lte: now } },
+        // Reservations created before holds were recorded
+        { holdExpiresAt: null, createdAt: { $lte: new Date(now.getTime() - pendingHoldMinutes * MINUTE_MS) } }
+      ]
+    },
+    'pending',
+    'expired',
+    'Pending hold expired without confirmation',
+    { freeRoom: true, releasePayment: true, endTrip: true }
+  );
+};
+
+// Confirmed stays that ended without a check-in. Nothing is freed: a guest
+// may still be staying until the end, and the host or an admin can mark a
+// no-show earlier (freeing the rest of the stay). Reservations made before
+// check-ins were recorded are completed instead.
+const markNoShows = (now = new Date()) => moveReservations(
+  {
+    expectsCheckIn: true,
+    checkedInAt: null,
+    endDate: { $lte: now }
+  },
+  'confirmed',
+  'no_show',
+  'Guest did not check in'
+);
+
+// Confirmed stays whose end date has passed
+const completeFinishedStays = (now = new Date()) => moveReservations(
+  { endDate: { $lte: now } },
+  'confirmed',
+  'completed',
+  'Stay finished'
+);
+
+// Jobs in the order they run; no-shows go before completion so a stay nobody
+// checked in to is not completed
+const LIFECYCLE_JOBS = [
+  { name: 'expire-pending-holds', run: expirePendingHolds },
+  { name: 'mark-no-shows', run: markNoShows },
+  { name: 'complete-finished-stays', run: completeFinishedStays }
+];
+
+module.exports = {
+  LIFECYCLE_JOBS,
+  getLifecycleConfig,
+  holdExpiresAt,
+  expirePendingHolds,
+  markNoShows,
+  completeFinishedStays
+};
@@ -0,0 +1,72 @@
+// services/reviews.js - Valoraciones: media y número de reseñas de propiedades, vehículos y proveedores
+const Review = require('../models/Review');
+const Property = require('../models/Property');
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+
+const roundScore = value => Math.round(value * 100) / 100;
+
+// Average rating and category scores of the reviews matching `match`. By
+// default the reviewed stay or car; with `provider` the provider scores of
+// rental reviews.
+const summarizeReviews = async (match, { kind = 'stay', provider = false } = {}) => {
+  const categories = provider ? Review.PROVIDER_CATEGORIES : Review.CATEGORIES[kind];
+  const scoresField = provider ? 'providerScores' : 'scores';
+
+  const [summary] = await Review.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        rating: { $avg: provider ? '$providerRating' : '$rating' },
+        reviewCount: { $sum: 1 },
+        ...Object.fromEntries(categories.map(category => [category, { $avg: `$${scoresField}.${category}` }]))
+      }
+    }
+  ]);
+
+  if (!summary) {
+    return { rating: 0, reviewCount: 0, scores: {} };
+  }
+
+  return {
+    rating: roundScore(summary.rating),
+    reviewCount: summary.reviewCount,
+    scores: Object.fromEntries(categories.map(category => [category, roundScore(summary[category])]))
+  };
+};
+
+// The ratings below are recounted from every review rather than adjusted, so
+// reviews saved at the same time cannot leave them off
+
+// Store the property's rating and reviewCount as its reviews say
+const refreshPropertyRating = async (propertyId) => {
+  const { rating, reviewCount } = await summarizeReviews({ propertyId });
+  await Property.updateOne({ _id: propertyId }, { rating, reviewCount });
+  return { rating, reviewCount };
+};
+
+// Store the rating and reviewCount of the car, and of its provider over all
+// their cars
+const refreshRentalRatings = async ({ vehicleId, providerId }) => {
+  const [vehicle, provider] = await Promise.all([
+    summarizeReviews({ kind: 'rental', vehicleId }, { kind: 'rental' }),
+    summarizeReviews({ kind: 'rental', providerId }, { provider: true })
+  ]);
+
+  await Promise.all([
+    Vehicle.updateOne({ _id: vehicleId }, { rating: vehicle.rating, reviewCount: vehicle.reviewCount }),
+    User.updateOne({ _id: providerId }, { providerRating: provider.rating, providerReviewCount: provider.reviewCount })
+  ]);
+
+  return {
+    vehicle: { rating: vehicle.rating, reviewCount: vehicle.reviewCount },
+    provider: { rating: provider.rating, reviewCount: provider.reviewCount }
+  };
+};
+
+module.exports = {
+  summarizeReviews,
+  refreshPropertyRating,
+  refreshRentalRatings
+};
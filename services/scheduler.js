@@ -0,0 +1,82 @@
+// services/scheduler.js - Ejecución periódica de tareas programadas
+const os = require('os');
+const JobLock = require('../models/JobLock');
+const { LIFECYCLE_JOBS } = require('./reservationLifecycle');
+const { syncDueCalendarSources } = require('./calendarImport');
+
+// Identifies this API instance in the job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// A crashed instance keeps a job locked for at most this long
+const LOCK_LEASE_MS = 10 * 60 * 1000;
+
+// Every job the scheduler runs, in order
+const SCHEDULED_JOBS = [
+  ...LIFECYCLE_JOBS,
+  { name: 'sync-calendar-sources', run: syncDueCalendarSources }
+];
+
+let timer = null;
+let running = false;
+
+// Run every job once. A job already running on another instance is skipped
+// (its result is null). Returns the number of records each job changed.
+const runJobs = async (now = new Date(), jobs = SCHEDULED_JOBS) => {
+  const results = {};
+
+  for (const job of jobs) {
+    const acquired = await JobLock.acquire(job.name, INSTANCE_ID, LOCK_LEASE_MS);
+
+    if (!acquired) {
+      results[job.name] = null;
+      continue;
+    }
+
+    try {
+      results[job.name] = await job.run(now);
+    } finally {
+      await JobLock.release(job.name, INSTANCE_ID);
+    }
+  }
+
+  return results;
+};
+
+// Run the jobs every `intervalMs` milliseconds until stopScheduler is called
+const startScheduler = ({ intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || 5 * 60 * 1000 } = {}) => {
+  if (timer) return;
+
+  timer = setInterval(async () => {
+    // Skip a tick while the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+      const results = await runJobs();
+      const changed = Object.entries(results).filter(([, count]) => count > 0);
+
+      if (changed.length > 0) {
+        console.log('⏰ Tareas programadas:', Object.fromEntries(changed));
+      }
+    } catch (error) {
+      console.error('❌ Error en tareas programadas:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  SCHEDULED_JOBS,
+  runJobs,
+  startScheduler,
+  stopScheduler
+};
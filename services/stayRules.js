@@ -0,0 +1,89 @@
+// services/stayRules.js - Restricciones de estancia de una propiedad (noches, llegadas, antelación)
+const { DAY_MS, countNights } = require('../utils/dates');
+const { checkInAt } = require('./stayTimes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Stay rules of a property, with the defaults of properties that set none
+const getStayRules = (property) => {
+  const policies = (property && property.policies) || {};
+
+  return {
+    minNights: policies.minNights || 1,
+    maxNights: policies.maxNights || null,
+    closedToArrival: [...(policies.closedToArrival || [])].sort((a, b) => a - b),
+    minLeadHours: policies.minLeadHours || 0,
+    maxAdvanceDays: policies.maxAdvanceDays || null
+  };
+};
+
+// Whether a guest booking at `now` can check in on the stay date `date`. Lead
+// time and horizon count up to the property's local check-in time.
+const canArriveOn = (property, rules, date, now = new Date()) => {
+  const arrival = new Date(date);
+  const hoursAhead = (checkInAt(property, arrival).getTime() - now.getTime()) / HOUR_MS;
+
+  if (rules.closedToArrival.includes(arrival.getUTCDay())) return false;
+  if (hoursAhead <= 0 || hoursAhead < rules.minLeadHours) return false;
+  if (rules.maxAdvanceDays && hoursAhead * HOUR_MS > rules.maxAdvanceDays * DAY_MS) return false;
+
+  return true;
+};
+
+// Messages for every rule a stay breaks (empty when the stay is allowed).
+// Dates are stay dates (see stayTimes.toStayDate).
+const stayRuleViolations = (property, { startDate, endDate, now = new Date() }) => {
+  const rules = getStayRules(property);
+  const arrival = new Date(startDate);
+  const msAhead = checkInAt(property, arrival).getTime() - now.getTime();
+  const nights = countNights(startDate, endDate);
+  const violations = [];
+
+  // A stay starts at check-in time: after that it can no longer be booked
+  if (msAhead <= 0) {
+    violations.push('Start date cannot be in the past');
+  }
+
+  if (nights < rules.minNights) {
+    violations.push(`Stay must be at least ${rules.minNights} nights (requested ${nights})`);
+  }
+
+  if (rules.maxNights && nights > rules.maxNights) {
+    violations.push(`Stay cannot be longer than ${rules.maxNights} nights (requested ${nights})`);
+  }
+
+  if (rules.closedToArrival.includes(arrival.getUTCDay())) {
+    violations.push(`Check-in is not allowed on ${WEEKDAYS[arrival.getUTCDay()]}`);
+  }
+
+  if (msAhead > 0 && msAhead < rules.minLeadHours * HOUR_MS) {
+    violations.push(`Reservations must be made at least ${rules.minLeadHours} hours before check-in`);
+  }
+
+  if (rules.maxAdvanceDays && msAhead > rules.maxAdvanceDays * DAY_MS) {
+    violations.push(`Reservations cannot be made more than ${rules.maxAdvanceDays} days in advance`);
+  }
+
+  return violations;
+};
+
+// Throw a 400 error listing the broken rules, for services
+const checkStayRules = (property, stay) => {
+  const violations = stayRuleViolations(property, stay);
+
+  if (violations.length > 0) {
+    const error = new Error(violations.join('; '));
+    error.statusCode = 400;
+    error.violations = violations;
+    throw error;
+  }
+};
+
+module.exports = {
+  getStayRules,
+  canArriveOn,
+  stayRuleViolations,
+  checkStayRules
+};
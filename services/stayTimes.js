@@ -0,0 +1,65 @@
+// services/stayTimes.js - Fechas y horas de las estancias en la zona horaria de la propiedad
+const Property = require('../models/Property');
+const { toDateKey, fromDateKey, localDateKey, parseTimeOfDay, zonedTime, isValidTimeZone } = require('../utils/dates');
+
+const DEFAULT_CHECK_IN = '15:00';
+const DEFAULT_CHECK_OUT = '11:00';
+
+// Time zone and check-in/check-out times of a property. Properties saved
+// before they had a time zone use UTC; legacy '3:00 PM' times still parse.
+const getPropertyClock = (property) => {
+  const policies = (property && property.policies) || {};
+  const timeZone = property && isValidTimeZone(property.timezone) ? property.timezone : 'UTC';
+
+  return {
+    timeZone,
+    checkIn: parseTimeOfDay(policies.checkIn) || DEFAULT_CHECK_IN,
+    checkOut: parseTimeOfDay(policies.checkOut) || DEFAULT_CHECK_OUT
+  };
+};
+
+// Stay dates are calendar dates of the property, kept as the start of that UTC
+// day. A plain YYYY-MM-DD is taken as is; a date with a time is moved to the
+// day it falls on in the property's time zone.
+const toStayDate = (property, value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return fromDateKey(value);
+  }
+
+  return fromDateKey(localDateKey(value, getPropertyClock(property).timeZone));
+};
+
+// Today's calendar date (YYYY-MM-DD) at the property
+const localToday = (property, now = new Date()) => localDateKey(now, getPropertyClock(property).timeZone);
+
+// Instant a stay starting on `startDate` checks in, at the property's local time
+const checkInAt = (property, startDate) => {
+  const { timeZone, checkIn } = getPropertyClock(property);
+  return zonedTime(toDateKey(startDate), checkIn, timeZone);
+};
+
+// Instant a stay ending on `endDate` checks out, at the property's local time
+const checkOutAt = (property, endDate) => {
+  const { timeZone, checkOut } = getPropertyClock(property);
+  return zonedTime(toDateKey(endDate), checkOut, timeZone);
+};
+
+// Whether a reservation has started: stays at the property's check-in time,
+// vehicle rentals at their pickup time
+const hasReservationStarted = async (reservation, now = new Date()) => {
+  if (reservation.reservationType === 'vehicle') return reservation.startDate <= now;
+
+  const propertyId = reservation.propertyId && (reservation.propertyId._id || reservation.propertyId);
+  const property = await Property.findById(propertyId).select('timezone policies.checkIn policies.checkOut');
+
+  return checkInAt(property, reservation.startDate) <= now;
+};
+
+module.exports = {
+  getPropertyClock,
+  toStayDate,
+  localToday,
+  checkInAt,
+  checkOutAt,
+  hasReservationStarted
+};
@@ -0,0 +1,293 @@
+// services/trips.js - Paquetes de viaje (estancia + alquiler de vehículo)
+const Trip = require('../models/Trip');
+const Reservation = require('../models/Reservation');
+const Property = require('../models/Property');
+const Vehicle = require('../models/Vehicle');
+const RoomNight = require('../models/RoomNight');
+const VehicleDay = require('../models/VehicleDay');
+const { quoteRoomStay, quoteVehicleRental, roundAmount, withDiscount } = require('./pricing');
+const { previewCancellation, cancelReservation } = require('./cancellation');
+const { holdExpiresAt } = require('./reservationLifecycle');
+const { checkStayRules } = require('./stayRules');
+const { toStayDate, hasReservationStarted } = require('./stayTimes');
+const { currencyOf, exchangeRateFor } = require('./currency');
+const { chargesFor } = require('./charges');
+
+const BUNDLE_DISCOUNT_NAME = 'Trip bundle discount';
+
+// Percentage taken off both parts of a trip (0 disables the discount)
+const getBundleDiscountPercent = () => Number(process.env.TRIP_BUNDLE_DISCOUNT_PERCENT) || 0;
+
+const tripError = (statusCode, message, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Apply the bundle discount to the quote of one part of the trip: a share of
+// its nights or rental days, before percentage fees and taxes
+const withBundleDiscount = (quote, percent) => {
+  const discount = roundAmount(quote.subtotal * percent / 100);
+  return discount > 0
+    ? withDiscount(quote, { name: BUNDLE_DISCOUNT_NAME, amount: discount })
+    : { ...quote, discounts: [], discountsTotal: 0 };
+};
+
+// Check both parts of a trip can be booked and price it, in `currency` or
+// else the property's. Throws an error with a statusCode when the room or the
+// vehicle cannot be booked.
+const quoteTrip = async ({ propertyId, roomId, vehicleId, startDate, endDate, numGuests, currency }) => {
+  if (new Date(startDate) >= new Date(endDate)) {
+    throw tripError(400, 'End date must be after start date');
+  }
+
+  const property = await Property.findOne({ _id: propertyId, isActive: true });
+  if (!property) {
+    throw tripError(404, 'Property not found or not active');
+  }
+
+  const room = property.rooms.find(r => r.roomId === roomId);
+  if (!room) {
+    throw tripError(400, 'Room not found in this property');
+  }
+  if (!room.isAvailable) {
+    throw tripError(400, 'Room is not available for booking');
+  }
+  if (numGuests > room.capacity) {
+    throw tripError(400, `Number of guests exceeds room capacity (max: ${room.capacity})`);
+  }
+
+  // Both parts follow the stay dates in the property's time zone
+  startDate = toStayDate(property, startDate);
+  endDate = toStayDate(property, endDate);
+  checkStayRules(property, { startDate, endDate });
+
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle) {
+    throw tripError(404, 'Vehicle not found');
+  }
+  if (!vehicle.isAvailable) {
+    throw tripError(400, 'Vehicle is not available for booking');
+  }
+  if (numGuests > vehicle.seats) {
+    throw tripError(400, `Number of passengers exceeds vehicle seats (max: ${vehicle.seats})`);
+  }
+
+  // Both parts are priced in one currency so they can be added up
+  const tripCurrency = currency || currencyOf(property);
+  const [stayRate, rentalRate, charges] = await Promise.all([
+    exchangeRateFor(property, tripCurrency),
+    exchangeRateFor(vehicle, tripCurrency),
+    chargesFor(property)
+  ]);
+
+  const discountPercent = getBundleDiscountPercent();
+  const fullStay = quoteRoomStay({ property, room, startDate, endDate, numGuests, charges, exchangeRate: stayRate });
+  const fullRental = quoteVehicleRental({ vehicle, startDate, endDate, exchangeRate: rentalRate });
+  const stay = withBundleDiscount(fullStay, discountPercent);
+  const rental = withBundleDiscount(fullRental, discountPercent);
+
+  // The saving counts the taxes no longer charged on the discount too
+  const subtotal = roundAmount(fullStay.total + fullRental.total);
+  const total = roundAmount(stay.total + rental.total);
+
+  return {
+    property,
+    room,
+    vehicle,
+    startDate,
+    endDate,
+    numGuests,
+    stay,
+    rental,
+    pricing: {
+      currency: tripCurrency,
+      stayTotal: stay.total,
+      rentalTotal: rental.total,
+      subtotal,
+      discountPercent,
+      discountAmount: roundAmount(subtotal - total),
+      total
+    }
+  };
+};
+
+// Book a trip all-or-nothing: the room nights are claimed and both
+// reservations saved, or every step already taken is undone
+const createTrip = async ({ userId, specialRequests, ...request }) => {
+  const quote = await quoteTrip(request);
+  const { property, room, vehicle, startDate, endDate, numGuests, stay, rental } = quote;
+
+  const [roomConflict, vehicleConflict] = await Promise.all([
+    Reservation.findConflict({ propertyId: property._id, roomId: room.roomId, startDate, endDate }),
+    Reservation.findConflict({ vehicleId: vehicle._id, startDate, endDate })
+  ]);
+
+  if (roomConflict || vehicleConflict) {
+    throw tripError(409, 'Trip cannot be booked for the selected dates', {
+      conflicts: {
+        room: Boolean(roomConflict),
+        vehicle: Boolean(vehicleConflict)
+      }
+    });
+  }
+
+  const trip = new Trip({ userId, startDate, endDate, pricing: quote.pricing });
+  const shared = {
+    userId,
+    tripId: trip._id,
+    startDate,
+    endDate,
+    numGuests,
+    specialRequests,
+    status: 'pending',
+    holdExpiresAt: holdExpiresAt()
+  };
+
+  const stayReservation = new Reservation({
+    ...shared,
+    reservationType: 'property',
+    propertyId: property._id,
+    roomId: room.roomId,
+    totalAmount: stay.total,
+    currency: stay.currency,
+    exchangeRate: stay.exchangeRate,
+    priceBreakdown: {
+      nights: stay.nights,
+      nightlyRate: stay.nightlyRate,
+      nightlyRates: stay.nightlyRates,
+      subtotal: stay.subtotal,
+      fees: stay.fees,
+      feesTotal: stay.feesTotal,
+      taxes: stay.taxes,
+      taxesTotal: stay.taxesTotal,
+      discounts: stay.discounts,
+      discountsTotal: stay.discountsTotal,
+      total: stay.total
+    }
+  });
+  const rentalReservation = new Reservation({
+    ...shared,
+    reservationType: 'vehicle',
+    vehicleId: vehicle._id,
+    totalAmount: rental.total,
+    currency: rental.currency,
+    exchangeRate: rental.exchangeRate,
+    priceBreakdown: {
+      rentalDays: rental.rentalDays,
+      dailyRate: rental.dailyRate,
+      subtotal: rental.subtotal,
+      fees: rental.fees,
+      feesTotal: rental.feesTotal,
+      taxes: rental.taxes,
+      taxesTotal: rental.taxesTotal,
+      discounts: rental.discounts,
+      discountsTotal: rental.discountsTotal,
+      total: rental.total
+    }
+  });
+
+  trip.stayReservationId = stayReservation._id;
+  trip.rentalReservationId = rentalReservation._id;
+
+  const claimed = await RoomNight.claim({
+    reservationId: stayReservation._id,
+    propertyId: property._id,
+    roomId: room.roomId,
+    startDate,
+    endDate
+  });
+
+  if (!claimed) {
+    throw tripError(409, 'Trip cannot be booked for the selected dates', {
+      conflicts: { room: true, vehicle: false }
+    });
+  }
+
+  const vehicleClaimed = await VehicleDay.claim({
+    reservationId: rentalReservation._id,
+    vehicleId: vehicle._id,
+    startDate,
+    endDate
+  });
+
+  if (!vehicleClaimed) {
+    await RoomNight.release(stayReservation._id);
+    throw tripError(409, 'Trip cannot be booked for the selected dates', {
+      conflicts: { room: false, vehicle: true }
+    });
+  }
+
+  try {
+    await stayReservation.save();
+    await rentalReservation.save();
+    await trip.save();
+  } catch (error) {
+    // Undo every part already saved so no half-booked trip remains
+    await Reservation.deleteMany({ _id: { $in: [stayReservation._id, rentalReservation._id] } });
+    await RoomNight.release(stayReservation._id);
+    await VehicleDay.release(rentalReservation._id);
+    throw error;
+  }
+
+  return { trip, stayReservation, rentalReservation, pricing: quote.pricing };
+};
+
+// A trip has started once its first part has: the stay at the property's
+// check-in time, the rental at pick-up
+const hasTripStarted = async (trip, now = new Date()) => {
+  const parts = await Reservation.find({ _id: { $in: [trip.stayReservationId, trip.rentalReservationId] } });
+  const started = await Promise.all(parts.map(part => hasReservationStarted(part, now)));
+  return started.some(Boolean);
+};
+
+// Refund for cancelling every part of a trip now
+const previewTripCancellation = async (trip, now = new Date()) => {
+  const parts = await Reservation.find({ _id: { $in: [trip.stayReservationId, trip.rentalReservationId] } });
+  const previews = await Promise.all(parts.map(part => previewCancellation(part, now)));
+
+  return {
+    tripId: trip._id,
+    cancellable: trip.status === 'active' && previews.some(preview => preview.cancellable),
+    parts: previews,
+    refundAmount: roundAmount(previews
+      .filter(preview => preview.cancellable)
+      .reduce((sum, preview) => sum + preview.refundAmount, 0))
+  };
+};
+
+// Cancel both parts of a trip, each under its own cancellation policy. Parts
+// already cancelled or finished are left as they are.
+const cancelTrip = async (trip, { actor, reason, now = new Date() } = {}) => {
+  const cancelledTrip = await Trip.findOneAndUpdate(
+    { _id: trip._id, status: 'active' },
+    { status: 'cancelled', cancelledAt: now },
+    { new: true }
+  );
+
+  if (!cancelledTrip) return null;
+
+  const parts = await Reservation.find({ _id: { $in: [trip.stayReservationId, trip.rentalReservationId] } });
+  const cancelledParts = [];
+
+  for (const part of parts) {
+    if (Reservation.canTransition('status', part.status, 'cancelled')) {
+      cancelledParts.push(await cancelReservation(part, { actor, reason, now }) || part);
+    } else {
+      cancelledParts.push(part);
+    }
+  }
+
+  return { trip: cancelledTrip, parts: cancelledParts };
+};
+
+module.exports = {
+  BUNDLE_DISCOUNT_NAME,
+  getBundleDiscountPercent,
+  quoteTrip,
+  createTrip,
+  hasTripStarted,
+  previewTripCancellation,
+  cancelTrip
+};
@@ -0,0 +1,157 @@
+// services/waitlist.js - Ofertas de habitaciones liberadas a la lista de espera
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Reservation = require('../models/Reservation');
+const Property = require('../models/Property');
+const RoomNight = require('../models/RoomNight');
+const { quoteRoomStay } = require('./pricing');
+const { chargesFor } = require('./charges');
+const { checkInAt } = require('./stayTimes');
+
+const MINUTE_MS = 60 * 1000;
+
+// Minutes a guest from the waitlist has to confirm the hold offered to them
+const getWaitlistHoldMinutes = () => Number(process.env.WAITLIST_HOLD_MINUTES) || 120;
+
+// Put the entry back in the queue when its hold could not be created
+const requeue = (entry) => WaitlistEntry.updateOne(
+  { _id: entry._id, status: 'offered' },
+  { $set: { status: 'waiting' }, $unset: { offeredAt: 1, reservationId: 1 } }
+);
+
+// Create a pending reservation holding the room for a waitlist entry.
+// Returns null when the room is not free for the entry's dates.
+const offerHold = async (entry, property, room) => {
+  const { startDate, endDate } = entry;
+
+  const conflictingReservation = await Reservation.findConflict({
+    propertyId: property._id,
+    roomId: room.roomId,
+    startDate,
+    endDate
+  });
+
+  if (conflictingReservation) return null;
+
+  const charges = await chargesFor(property);
+
+  // Take the entry first so two releases at the same time cannot both offer it
+  const now = new Date();
+  const taken = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { status: 'offered', offeredAt: now },
+    { new: true }
+  );
+
+  if (!taken) return null;
+
+  const quote = quoteRoomStay({ property, room, startDate, endDate, numGuests: entry.numGuests, charges });
+  const reservation = new Reservation({
+    userId: entry.userId,
+    propertyId: property._id,
+    roomId: room.roomId,
+    startDate,
+    endDate,
+    numGuests: entry.numGuests,
+    totalAmount: quote.total,
+    currency: quote.currency,
+    exchangeRate: quote.exchangeRate,
+    priceBreakdown: {
+      nights: quote.nights,
+      nightlyRate: quote.nightlyRate,
+      nightlyRates: quote.nightlyRates,
+      subtotal: quote.subtotal,
+      fees: quote.fees,
+      feesTotal: quote.feesTotal,
+      taxes: quote.taxes,
+      taxesTotal: quote.taxesTotal,
+      total: quote.total
+    },
+    status: 'pending',
+    holdExpiresAt: new Date(now.getTime() + getWaitlistHoldMinutes() * MINUTE_MS)
+  });
+
+  const claimed = await RoomNight.claim({
+    reservationId: reservation._id,
+    propertyId: property._id,
+    roomId: room.roomId,
+    startDate,
+    endDate
+  });
+
+  if (!claimed) {
+    await requeue(entry);
+    return null;
+  }
+
+  try {
+    await reservation.save();
+    await WaitlistEntry.updateOne({ _id: entry._id }, { reservationId: reservation._id });
+  } catch (error) {
+    await RoomNight.release(reservation._id);
+    await requeue(entry);
+    throw error;
+  }
+
+  return reservation;
+};
+
+// Offer the rooms of a reservation that was cancelled, deleted or expired to
+// the waitlist, in order of arrival. Entries whose dates overlap the freed stay
+// are tried one by one; the first whose dates are now free gets a hold, and
+// later ones only if their dates do not clash with it. Errors are logged, never
+// thrown, so they cannot undo the cancellation that freed the room.
+// `roomIds` limits the offer to some rooms; `closeOffer` is false when the
+// reservation lives on (only some of its rooms or nights were freed).
+const offerFreedRoom = async (reservation, { roomIds = reservation.bookedRoomIds(), closeOffer = true } = {}) => {
+  if (reservation.reservationType === 'vehicle') return [];
+
+  try {
+    // A hold that lapsed or was cancelled ends its waitlist entry
+    if (closeOffer) {
+      await WaitlistEntry.updateMany(
+        { reservationId: reservation._id, status: 'offered' },
+        { status: 'expired' }
+      );
+    }
+
+    const propertyId = reservation.propertyId._id || reservation.propertyId;
+    const entries = await WaitlistEntry.find({
+      propertyId,
+      roomId: { $in: roomIds },
+      status: 'waiting',
+      startDate: { $lt: reservation.endDate },
+      endDate: { $gt: reservation.startDate }
+    }).sort({ createdAt: 1 });
+
+    if (entries.length === 0) return [];
+
+    const property = await Property.findById(propertyId);
+    if (!property || !property.isActive) return [];
+
+    const holds = [];
+
+    for (const entry of entries) {
+      const room = property.rooms.find(r => r.roomId === entry.roomId);
+      if (!room || !room.isAvailable) continue;
+
+      // Too late to offer a stay that has already started
+      if (checkInAt(property, entry.startDate) <= new Date()) {
+        await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'expired' });
+        continue;
+      }
+
+      const hold = await offerHold(entry, property, room);
+      if (hold) holds.push(hold);
+    }
+
+    return holds;
+  } catch (error) {
+    console.error('❌ Error al ofrecer la habitación a la lista de espera:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  getWaitlistHoldMinutes,
+  offerFreedRoom
+};
@@ -0,0 +1,233 @@
+// tests/blackouts.test.js - Tests para bloqueos de fechas de habitaciones y vehículos
+const request = require('supertest');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Blackout Blocks - rooms and vehicles', () => {
+  let provider;
+  let guest;
+  let testProperty;
+  let testVehicle;
+  let providerHeaders;
+  let guestHeaders;
+  let roomBlocksPath;
+
+  beforeEach(async () => {
+    await AvailabilityBlock.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+
+    provider = await User.create({
+      name: 'Provider User',
+      email: 'provider@test.com',
+      role: 'provider'
+    });
+
+    guest = await User.create({
+      name: 'Guest User',
+      email: 'guest@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: provider._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    testVehicle = await Vehicle.create({
+      providerId: provider._id,
+      make: 'Toyota',
+      model: 'Camry',
+      year: 2022,
+      type: 'sedan',
+      seats: 5,
+      pricePerDay: 50,
+      location: { city: 'Test City' },
+      licensePlate: 'BLOCK01',
+      isAvailable: true
+    });
+
+    providerHeaders = testHelpers.getAuthHeaders({ _id: provider._id.toString(), role: 'provider' });
+    guestHeaders = testHelpers.getAuthHeaders({ _id: guest._id.toString(), role: 'user' });
+    roomBlocksPath = `/api/properties/${testProperty._id}/rooms/TEST001/blocks`;
+  });
+
+  afterAll(async () => {
+    await AvailabilityBlock.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should reject room bookings over a blackout', async () => {
+    const block = await request(app)
+      .post(roomBlocksPath)
+      .set(providerHeaders)
+      .send({ startDate: '2030-09-01', endDate: '2030-09-08', reason: 'renovation', note: 'New bathroom' })
+      .expect(201);
+
+    expect(block.body.data).toMatchObject({ source: 'blackout', reason: 'renovation', roomId: 'TEST001' });
+
+    const response = await request(app)
+      .post('/api/reservations')
+      .set(guestHeaders)
+      .send({
+        propertyId: testProperty._id.toString(),
+        roomId: 'TEST001',
+        startDate: '2030-09-06',
+        endDate: '2030-09-10',
+        numGuests: 2
+      })
+      .expect(409);
+
+    expect(response.body.message).toBe('Room is not available for the selected dates');
+
+    // The check-out day of the block is bookable
+    await request(app)
+      .post('/api/reservations')
+      .set(guestHeaders)
+      .send({
+        propertyId: testProperty._id.toString(),
+        roomId: 'TEST001',
+        startDate: '2030-09-08',
+        endDate: '2030-09-10',
+        numGuests: 2
+      })
+      .expect(201);
+  });
+
+  it('should reject vehicle rentals over a blackout', async () => {
+    await request(app)
+      .post(`/api/vehicles/${testVehicle._id}/blocks`)
+      .set(providerHeaders)
+      .send({ startDate: '2030-09-01', endDate: '2030-09-04', reason: 'maintenance' })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/reservations/vehicles')
+      .set(guestHeaders)
+      .send({
+        vehicleId: testVehicle._id.toString(),
+        startDate: '2030-09-03',
+        endDate: '2030-09-05'
+      })
+      .expect(409);
+
+    expect(response.body.message).toBe('Vehicle is not available for the selected dates');
+  });
+
+  it('should not block dates already reserved', async () => {
+    await Reservation.create({
+      userId: guest._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date('2030-09-05'),
+      endDate: new Date('2030-09-07'),
+      numGuests: 2,
+      totalAmount: 200,
+      status: 'confirmed'
+    });
+
+    await request(app)
+      .post(roomBlocksPath)
+      .set(providerHeaders)
+      .send({ startDate: '2030-09-01', endDate: '2030-09-08', reason: 'owner_use' })
+      .expect(409);
+
+    expect(await AvailabilityBlock.countDocuments()).toBe(0);
+  });
+
+  it('should stop listing and applying blocks once their dates pass', async () => {
+    await AvailabilityBlock.create({
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000),
+      endDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      source: 'blackout',
+      reason: 'maintenance'
+    });
+
+    const current = await request(app)
+      .get(roomBlocksPath)
+      .set(providerHeaders)
+      .expect(200);
+
+    expect(current.body.count).toBe(0);
+
+    const all = await request(app)
+      .get(roomBlocksPath)
+      .query({ includePast: 'true' })
+      .set(providerHeaders)
+      .expect(200);
+
+    expect(all.body.count).toBe(1);
+  });
+
+  it('should remove blackouts but not imported blocks', async () => {
+    const block = await request(app)
+      .post(roomBlocksPath)
+      .set(providerHeaders)
+      .send({ startDate: '2030-09-01', endDate: '2030-09-08', reason: 'other' })
+      .expect(201);
+
+    const imported = await AvailabilityBlock.create({
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date('2030-10-01'),
+      endDate: new Date('2030-10-03'),
+      source: 'ical'
+    });
+
+    await request(app)
+      .delete(`${roomBlocksPath}/${imported._id}`)
+      .set(providerHeaders)
+      .expect(409);
+
+    await request(app)
+      .delete(`${roomBlocksPath}/${block.body.data._id}`)
+      .set(providerHeaders)
+      .expect(200);
+
+    expect(await AvailabilityBlock.countDocuments({ source: 'blackout' })).toBe(0);
+  });
+
+  it('should only let the provider manage blocks', async () => {
+    await request(app)
+      .post(roomBlocksPath)
+      .set(guestHeaders)
+      .send({ startDate: '2030-09-01', endDate: '2030-09-08', reason: 'maintenance' })
+      .expect(403);
+
+    await request(app)
+      .get(`/api/vehicles/${testVehicle._id}/blocks`)
+      .set(guestHeaders)
+      .expect(403);
+  });
+});
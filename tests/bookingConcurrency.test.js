@@ -0,0 +1,128 @@
+// tests/bookingConcurrency.test.js - Reservas simultáneas de la misma habitación
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Room Booking Concurrency', () => {
+  let testUser;
+  let testProperty;
+  let authHeaders;
+
+  beforeAll(async () => {
+    // The unique night index must exist before concurrent inserts race
+    await RoomNight.init();
+  });
+
+  beforeEach(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const book = (startDate, endDate) => request(app)
+    .post('/api/reservations')
+    .set(authHeaders)
+    .send({
+      propertyId: testProperty._id.toString(),
+      roomId: 'TEST001',
+      startDate,
+      endDate,
+      numGuests: 2
+    });
+
+  it('should accept only one of several simultaneous overlapping bookings', async () => {
+    const responses = await Promise.all([
+      book('2030-05-01', '2030-05-04'),
+      book('2030-05-02', '2030-05-05'),
+      book('2030-05-02', '2030-05-04'),
+      book('2030-05-03', '2030-05-06'),
+      book('2030-05-01', '2030-05-04')
+    ]);
+
+    const created = responses.filter(response => response.status === 201);
+    const conflicts = responses.filter(response => response.status === 409);
+
+    expect(created).toHaveLength(1);
+    expect(conflicts).toHaveLength(responses.length - 1);
+    expect(await Reservation.countDocuments({ status: 'pending' })).toBe(1);
+  });
+
+  it('should free the nights of a deleted reservation', async () => {
+    const first = await book('2030-05-01', '2030-05-04').expect(201);
+
+    await request(app)
+      .delete(`/api/reservations/${first.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(200);
+
+    expect(await RoomNight.countDocuments()).toBe(0);
+    await book('2030-05-01', '2030-05-04').expect(201);
+  });
+
+  it('should reject admin date changes onto nights held by another stay', async () => {
+    const first = await book('2030-05-01', '2030-05-03').expect(201);
+    await book('2030-05-05', '2030-05-07').expect(201);
+
+    const response = await request(app)
+      .put(`/api/reservations/${first.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ startDate: '2030-05-02', endDate: '2030-05-06' })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+
+    const moved = await request(app)
+      .put(`/api/reservations/${first.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ startDate: '2030-05-02', endDate: '2030-05-04' })
+      .expect(200);
+
+    expect(moved.body.success).toBe(true);
+    const nights = await RoomNight.find({ reservationId: first.body.data._id }).distinct('night');
+    expect(nights.sort()).toEqual(['2030-05-02', '2030-05-03']);
+  });
+});
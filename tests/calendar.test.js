@@ -0,0 +1,160 @@
+// tests/calendar.test.js - Tests para los feeds iCalendar de huéspedes y propietarios
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Calendar Feeds - /api/calendar', () => {
+  let guest;
+  let owner;
+  let testProperty;
+  let guestHeaders;
+  let ownerHeaders;
+
+  // Path of a feed URL, to request it from the test app
+  const feedPath = (url) => new URL(url).pathname;
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    guest = await User.create({
+      name: 'Guest User',
+      email: 'guest@test.com',
+      role: 'user'
+    });
+
+    owner = await User.create({
+      name: 'Owner User',
+      email: 'owner@test.com',
+      role: 'provider'
+    });
+
+    testProperty = await Property.create({
+      ownerId: owner._id,
+      name: 'Beach House',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    await Reservation.create([
+      {
+        userId: guest._id,
+        propertyId: testProperty._id,
+        roomId: 'TEST001',
+        startDate: new Date('2030-09-01'),
+        endDate: new Date('2030-09-04'),
+        numGuests: 2,
+        totalAmount: 300,
+        status: 'confirmed'
+      },
+      {
+        userId: guest._id,
+        propertyId: testProperty._id,
+        roomId: 'TEST001',
+        startDate: new Date('2030-10-01'),
+        endDate: new Date('2030-10-03'),
+        numGuests: 1,
+        totalAmount: 200,
+        status: 'cancelled'
+      }
+    ]);
+
+    guestHeaders = testHelpers.getAuthHeaders({ _id: guest._id.toString(), role: 'user' });
+    ownerHeaders = testHelpers.getAuthHeaders({ _id: owner._id.toString(), role: 'provider' });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should serve the guest feed without a session', async () => {
+    const feed = await request(app)
+      .get('/api/users/me/calendar')
+      .set(guestHeaders)
+      .expect(200);
+
+    expect(feed.body.data.webcalUrl).toMatch(/^webcal:/);
+
+    const response = await request(app)
+      .get(feedPath(feed.body.data.url))
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/calendar/);
+    expect(response.text).toContain('BEGIN:VCALENDAR');
+    expect(response.text).toContain('SUMMARY:Stay at Beach House');
+    expect(response.text).toContain('DTSTART;VALUE=DATE:20300901');
+    expect(response.text).toContain('DTEND;VALUE=DATE:20300904');
+    // Cancelled reservations are left out
+    expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+
+  it('should keep the same URL until it is reset', async () => {
+    const first = await request(app).get('/api/users/me/calendar').set(guestHeaders).expect(200);
+    const again = await request(app).get('/api/users/me/calendar').set(guestHeaders).expect(200);
+    expect(again.body.data.url).toBe(first.body.data.url);
+
+    const reset = await request(app).post('/api/users/me/calendar/reset').set(guestHeaders).expect(200);
+    expect(reset.body.data.url).not.toBe(first.body.data.url);
+
+    await request(app).get(feedPath(first.body.data.url)).expect(404);
+    await request(app).get(feedPath(reset.body.data.url)).expect(200);
+  });
+
+  it('should serve the property feed to the owner only', async () => {
+    await request(app)
+      .get(`/api/properties/${testProperty._id}/calendar`)
+      .set(guestHeaders)
+      .expect(403);
+
+    const feed = await request(app)
+      .get(`/api/properties/${testProperty._id}/calendar`)
+      .set(ownerHeaders)
+      .expect(200);
+
+    const response = await request(app)
+      .get(feedPath(feed.body.data.url))
+      .expect(200);
+
+    expect(response.text).toContain('SUMMARY:Room TEST001 - Guest User');
+    expect(response.text).toContain('LOCATION:Beach House\\, Test City\\, Test Country');
+  });
+
+  it('should not expose the feed tokens in the public property listing', async () => {
+    await request(app).get('/api/users/me/calendar').set(ownerHeaders).expect(200);
+    await request(app).get(`/api/properties/${testProperty._id}/calendar`).set(ownerHeaders).expect(200);
+
+    const response = await request(app)
+      .get('/api/properties')
+      .expect(200);
+
+    const [property] = response.body.data;
+    expect(property.calendarToken).toBeUndefined();
+    expect(property.ownerDetails).toEqual({ name: 'Owner User', email: 'owner@test.com' });
+  });
+
+  it('should not serve feeds for unknown tokens', async () => {
+    await request(app)
+      .get(`/api/calendar/users/${'0'.repeat(48)}.ics`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,368 @@
+// tests/calendarImport.test.js - Tests para la importación de calendarios iCal externos
+const dns = require('dns');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const request = require('supertest');
+const AvailabilityBlock = require('../models/AvailabilityBlock');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+const { syncDueCalendarSources } = require('../services/calendarImport');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('Calendar Import - /api/properties/:id/rooms/:roomId/calendar-sources', () => {
+  let owner;
+  let guest;
+  let testProperty;
+  let ownerHeaders;
+  let guestHeaders;
+  let sourcesPath;
+
+  const addFileSource = async () => {
+    const response = await request(app)
+      .post(sourcesPath)
+      .set(ownerHeaders)
+      .send({ name: 'Other platform' })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const uploadFile = (sourceId, name) => request(app)
+    .put(`${sourcesPath}/${sourceId}/file`)
+    .set(ownerHeaders)
+    .set('Content-Type', 'text/calendar')
+    .send(fixture(name));
+
+  beforeEach(async () => {
+    await AvailabilityBlock.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    owner = await User.create({
+      name: 'Owner User',
+      email: 'owner@test.com',
+      role: 'provider'
+    });
+
+    guest = await User.create({
+      name: 'Guest User',
+      email: 'guest@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: owner._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    ownerHeaders = testHelpers.getAuthHeaders({ _id: owner._id.toString(), role: 'provider' });
+    guestHeaders = testHelpers.getAuthHeaders({ _id: guest._id.toString(), role: 'user' });
+    sourcesPath = `/api/properties/${testProperty._id}/rooms/TEST001/calendar-sources`;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await AvailabilityBlock.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should import the events of an uploaded file as blocked dates', async () => {
+    const source = await addFileSource();
+    expect(source.kind).toBe('file');
+
+    const response = await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    expect(response.body.data).toMatchObject({
+      status: 'ok',
+      events: 2,
+      imported: 2,
+      removed: 0,
+      skipped: 1
+    });
+
+    const sources = await request(app)
+      .get(sourcesPath)
+      .set(ownerHeaders)
+      .expect(200);
+
+    expect(sources.body.data[0].lastSync.imported).toBe(2);
+    expect(sources.body.data[0].blocks.map(block => block.summary)).toEqual(['Reserved', 'Not available, owner stay']);
+  });
+
+  it('should reject bookings and show blocked nights for imported dates', async () => {
+    const source = await addFileSource();
+    await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    await request(app)
+      .post('/api/reservations')
+      .set(guestHeaders)
+      .send({
+        propertyId: testProperty._id.toString(),
+        roomId: 'TEST001',
+        startDate: '2030-09-06',
+        endDate: '2030-09-10',
+        numGuests: 2
+      })
+      .expect(409);
+
+    const availability = await request(app)
+      .get(`/api/properties/${testProperty._id}/availability`)
+      .query({ from: '2030-09-04', to: '2030-09-09' })
+      .expect(200);
+
+    expect(availability.body.data.rooms[0].nights.map(night => night.status))
+      .toEqual(['free', 'blocked', 'blocked', 'blocked', 'free']);
+  });
+
+  it('should update and remove blocks when the calendar changes', async () => {
+    const source = await addFileSource();
+    await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    const response = await uploadFile(source._id, 'external-calendar-updated.ics').expect(200);
+
+    expect(response.body.data).toMatchObject({ imported: 0, updated: 1, removed: 1 });
+
+    const blocks = await AvailabilityBlock.find({ calendarSourceId: source._id });
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].startDate).toEqual(new Date('2030-09-06'));
+  });
+
+  it('should report reservations overlapping imported events', async () => {
+    const reservation = await Reservation.create({
+      userId: guest._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date('2030-09-07'),
+      endDate: new Date('2030-09-09'),
+      numGuests: 2,
+      totalAmount: 200,
+      status: 'confirmed'
+    });
+
+    const source = await addFileSource();
+    const response = await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    expect(response.body.data.conflicts).toHaveLength(1);
+    expect(response.body.data.conflicts[0].reservationId).toBe(reservation._id.toString());
+  });
+
+  it('should keep current blocks when a file cannot be read', async () => {
+    const source = await addFileSource();
+    await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    await request(app)
+      .put(`${sourcesPath}/${source._id}/file`)
+      .set(ownerHeaders)
+      .set('Content-Type', 'text/calendar')
+      .send('not a calendar')
+      .expect(400);
+
+    expect(await AvailabilityBlock.countDocuments()).toBe(2);
+  });
+
+  it('should free the dates when the source is removed', async () => {
+    const source = await addFileSource();
+    await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    const response = await request(app)
+      .delete(`${sourcesPath}/${source._id}`)
+      .set(ownerHeaders)
+      .expect(200);
+
+    expect(response.body.data.blocksRemoved).toBe(2);
+    expect(await AvailabilityBlock.countDocuments()).toBe(0);
+  });
+
+  // calendar.example.com as a public host
+  const resolvePublicHost = () => jest.spyOn(dns.promises, 'lookup')
+    .mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+  // Answer calendar requests without the network: every request gets the
+  // response, a body being a string or a stream
+  const serveCalendar = ({ status = 200, headers = {}, body = '' }) => jest.spyOn(https, 'get')
+    .mockImplementation((url, options, callback) => {
+      const response = typeof body === 'string' ? Readable.from([Buffer.from(body)]) : body;
+      process.nextTick(callback, Object.assign(response, { statusCode: status, headers }));
+      return new EventEmitter();
+    });
+
+  it('should fetch URL sources again once they are due', async () => {
+    resolvePublicHost();
+    const getSpy = serveCalendar({ body: fixture('external-calendar.ics') });
+
+    const added = await request(app)
+      .post(sourcesPath)
+      .set(ownerHeaders)
+      .send({ name: 'Other platform', url: 'webcal://calendar.example.com/listing.ics' })
+      .expect(201);
+
+    expect(added.body.data.url).toBe('https://calendar.example.com/listing.ics');
+    expect(added.body.data.lastSync.imported).toBe(2);
+
+    // Synced just now, so not due yet
+    expect(await syncDueCalendarSources()).toBe(0);
+    expect(await syncDueCalendarSources(new Date(Date.now() + 2 * 60 * 60 * 1000))).toBe(1);
+    expect(getSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should connect to the address it checked, not to a later DNS answer', async () => {
+    jest.spyOn(dns.promises, 'lookup')
+      .mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }])
+      .mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }])
+      .mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+    const getSpy = serveCalendar({ body: fixture('external-calendar.ics') });
+
+    const added = await request(app)
+      .post(sourcesPath)
+      .set(ownerHeaders)
+      .send({ name: 'Other platform', url: 'https://calendar.example.com/listing.ics' })
+      .expect(201);
+
+    expect(added.body.data.lastSync.imported).toBe(2);
+
+    const { lookup } = getSpy.mock.calls[0][1];
+    const address = await new Promise(resolve => lookup('calendar.example.com', {}, (error, pinned) => resolve(pinned)));
+    expect(address).toBe('93.184.216.34');
+  });
+
+  it('should keep the calendar sources of rooms an update keeps, and free the dates of rooms it drops', async () => {
+    const source = await addFileSource();
+    await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    const updateRooms = (rooms) => request(app)
+      .put(`/api/properties/${testProperty._id}`)
+      .set(ownerHeaders)
+      .send({
+        ownerId: owner._id.toString(),
+        name: 'Test Property',
+        address: { city: 'Test City', country: 'Test Country' },
+        rooms
+      })
+      .expect(200);
+
+    await updateRooms([
+      { roomId: 'test001', type: 'double', capacity: 2, pricePerNight: 120 },
+      { roomId: 'TEST002', type: 'single', capacity: 1, pricePerNight: 80 }
+    ]);
+
+    const property = await Property.findById(testProperty._id);
+    expect(property.rooms[0].pricePerNight).toBe(120);
+    expect(property.rooms[0].calendarSources.map(s => s._id.toString())).toEqual([source._id]);
+    expect(await AvailabilityBlock.countDocuments()).toBe(2);
+
+    await updateRooms([{ roomId: 'TEST002', type: 'single', capacity: 1, pricePerNight: 80 }]);
+
+    expect(await AvailabilityBlock.countDocuments()).toBe(0);
+  });
+
+  it('should keep calendar sources out of the public property responses', async () => {
+    const source = await addFileSource();
+    await uploadFile(source._id, 'external-calendar.ics').expect(200);
+
+    const list = await request(app)
+      .get('/api/properties')
+      .expect(200);
+
+    expect(list.body.data[0].rooms[0].roomId).toBe('TEST001');
+    expect(list.body.data[0].rooms[0].calendarSources).toBeUndefined();
+
+    const priced = await request(app)
+      .get('/api/properties')
+      .query({ minPrice: 50 })
+      .expect(200);
+
+    expect(priced.body.data[0].rooms[0].calendarSources).toBeUndefined();
+
+    const detail = await request(app)
+      .get(`/api/properties/${testProperty._id}`)
+      .expect(200);
+
+    expect(detail.body.data.rooms[0].roomId).toBe('TEST001');
+    expect(detail.body.data.rooms[0].calendarSources).toBeUndefined();
+  });
+
+  it('should not fetch calendars from hosts that are not public', async () => {
+    const getSpy = serveCalendar({ status: 302, headers: { location: 'http://10.0.0.5/admin' } });
+
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://127.0.0.1:27017/', 'http://[::1]/cal.ics']) {
+      await request(app)
+        .post(sourcesPath)
+        .set(ownerHeaders)
+        .send({ name: 'Internal', url })
+        .expect(400);
+    }
+
+    expect(getSpy).not.toHaveBeenCalled();
+
+    // Nor follow a public URL that redirects to one
+    resolvePublicHost();
+
+    const added = await request(app)
+      .post(sourcesPath)
+      .set(ownerHeaders)
+      .send({ name: 'Other platform', url: 'https://calendar.example.com/listing.ics' })
+      .expect(201);
+
+    expect(added.body.data.lastSync).toMatchObject({ status: 'error', error: 'Calendar URL must point to a public host' });
+    expect(getSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop reading calendars over the size limit', async () => {
+    resolvePublicHost();
+    serveCalendar({
+      body: new Readable({
+        read() {
+          this.push(Buffer.alloc(512 * 1024));
+        }
+      })
+    });
+
+    const added = await request(app)
+      .post(sourcesPath)
+      .set(ownerHeaders)
+      .send({ name: 'Other platform', url: 'https://calendar.example.com/listing.ics' })
+      .expect(201);
+
+    expect(added.body.data.lastSync).toMatchObject({ status: 'error', error: 'Calendar is too large' });
+  });
+
+  it('should not let other users manage the calendars of a room', async () => {
+    await request(app)
+      .post(sourcesPath)
+      .set(guestHeaders)
+      .send({ name: 'Other platform' })
+      .expect(403);
+  });
+});
@@ -0,0 +1,171 @@
+// tests/cancellation.test.js - Tests para políticas de cancelación y reembolsos
+const request = require('supertest');
+const Payment = require('../models/Payment');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Reservation Cancellation Policies', () => {
+  let testUser;
+  let testProperty;
+  let userHeaders;
+
+  const createReservation = (daysAhead, fields = {}) => Reservation.create({
+    userId: testUser._id,
+    propertyId: testProperty._id,
+    roomId: 'TEST001',
+    startDate: new Date(Date.now() + daysAhead * DAY_MS),
+    endDate: new Date(Date.now() + (daysAhead + 3) * DAY_MS),
+    numGuests: 2,
+    totalAmount: 300,
+    status: 'confirmed',
+    paymentStatus: 'paid',
+    ...fields
+  });
+
+  // Captured payment at the fake gateway for a paid reservation
+  const createCapturedPayment = (reservation) => Payment.create({
+    reservationId: reservation._id,
+    userId: reservation.userId,
+    provider: 'fake',
+    providerPaymentId: `pay_fake_${reservation._id}`,
+    amount: reservation.totalAmount,
+    amountCaptured: reservation.totalAmount,
+    status: 'captured'
+  });
+
+  beforeEach(async () => {
+    await Payment.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      policies: {
+        cancellation: 'moderate'
+      },
+      isActive: true
+    });
+
+    userHeaders = testHelpers.getAuthHeaders({ _id: testUser._id.toString() });
+  });
+
+  afterAll(async () => {
+    await Payment.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should preview a partial refund inside the moderate deadline', async () => {
+    const reservation = await createReservation(3);
+
+    const response = await request(app)
+      .get(`/api/reservations/${reservation._id}/cancellation`)
+      .set(userHeaders)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      cancellable: true,
+      policy: 'moderate',
+      refundPercent: 50,
+      amountPaid: 300,
+      refundAmount: 150
+    });
+    expect(response.body.data.tiers).toHaveLength(2);
+
+    const unchanged = await Reservation.findById(reservation._id);
+    expect(unchanged.status).toBe('confirmed');
+  });
+
+  it('should record the refund and mark the payment refunded on cancellation', async () => {
+    const reservation = await createReservation(10);
+    const payment = await createCapturedPayment(reservation);
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}/status`)
+      .set(userHeaders)
+      .send({ status: 'cancelled', reason: 'Change of plans' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('cancelled');
+    expect(response.body.data.paymentStatus).toBe('refunded');
+    expect(response.body.data.cancellation).toMatchObject({
+      policy: 'moderate',
+      refundPercent: 100,
+      refundAmount: 300,
+      reason: 'Change of plans'
+    });
+    expect(response.body.data.history.map(entry => entry.field)).toEqual(['status', 'paymentStatus']);
+
+    const refunded = await Payment.findById(payment._id);
+    expect(refunded.status).toBe('refunded');
+    expect(refunded.refunds[0]).toMatchObject({ amount: 300, reason: 'Refund of 100% under moderate cancellation policy' });
+  });
+
+  it('should not refund unpaid or late cancellations', async () => {
+    await Property.updateOne({ _id: testProperty._id }, { 'policies.cancellation': 'strict' });
+    const late = await createReservation(3);
+    const unpaid = await createReservation(30, {
+      status: 'pending',
+      paymentStatus: 'pending',
+      startDate: new Date(Date.now() + 30 * DAY_MS),
+      endDate: new Date(Date.now() + 32 * DAY_MS)
+    });
+
+    const lateResponse = await request(app)
+      .put(`/api/reservations/${late._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect(lateResponse.body.data.paymentStatus).toBe('paid');
+    expect(lateResponse.body.data.cancellation.refundAmount).toBe(0);
+
+    const unpaidResponse = await request(app)
+      .patch(`/api/reservations/${unpaid._id}/status`)
+      .set(userHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect(unpaidResponse.body.data.paymentStatus).toBe('pending');
+    expect(unpaidResponse.body.data.cancellation.refundPercent).toBe(100);
+    expect(unpaidResponse.body.data.cancellation.refundAmount).toBe(0);
+  });
+
+  it('should not show the preview to other users', async () => {
+    const reservation = await createReservation(10);
+
+    await request(app)
+      .get(`/api/reservations/${reservation._id}/cancellation`)
+      .set(testHelpers.getAuthHeaders())
+      .expect(403);
+  });
+});
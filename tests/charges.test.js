@@ -0,0 +1,238 @@
+// tests/charges.test.js - Tests para impuestos y cargos de las estancias
+const request = require('supertest');
+const ChargeRule = require('../models/ChargeRule');
+const Property = require('../models/Property');
+const PromoCode = require('../models/PromoCode');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Taxes and fees', () => {
+  let testUser;
+  let testProperty;
+  let authHeaders;
+
+  const stay = (fields = {}) => ({
+    propertyId: testProperty._id.toString(),
+    roomId: 'ROOM001',
+    startDate: '2030-06-01',
+    endDate: '2030-06-04',
+    numGuests: 2,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await ChargeRule.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    await ChargeRule.create([
+      { name: 'VAT', kind: 'tax', calculation: 'percentage', amount: 10, country: 'Spain' },
+      { name: 'Tourist tax', kind: 'tax', calculation: 'per_night', amount: 5, country: 'Spain', city: 'Barcelona' },
+      { name: 'Tourist tax', kind: 'tax', calculation: 'per_night', amount: 3, country: 'Spain', city: 'Madrid' }
+    ]);
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'barcelona',
+        country: 'SPAIN'
+      },
+      rooms: [
+        { roomId: 'ROOM001', type: 'double', capacity: 2, pricePerNight: 100, isAvailable: true },
+        { roomId: 'ROOM002', type: 'double', capacity: 2, pricePerNight: 100, isAvailable: true }
+      ],
+      charges: [
+        { name: 'Cleaning fee', kind: 'fee', calculation: 'flat', amount: 40 },
+        { name: 'Service fee', kind: 'fee', calculation: 'percentage', amount: 10 }
+      ],
+      isActive: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await ChargeRule.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should add the taxes of the country and city and the fees of the property', async () => {
+    const response = await request(app)
+      .post('/api/reservations/quote')
+      .send(stay())
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      subtotal: 300,
+      fees: [
+        { name: 'Cleaning fee', calculation: 'flat', rate: 40, amount: 40 },
+        { name: 'Service fee', calculation: 'percentage', rate: 10, amount: 30 }
+      ],
+      feesTotal: 70,
+      // VAT is taken on the nights plus the fees
+      taxes: [
+        { name: 'VAT', calculation: 'percentage', rate: 10, amount: 37 },
+        { name: 'Tourist tax', calculation: 'per_night', rate: 5, amount: 15 }
+      ],
+      taxesTotal: 52,
+      total: 422
+    });
+  });
+
+  it('should take promo code discounts before the percentage fees and taxes', async () => {
+    await PromoCode.deleteMany({});
+    await PromoCode.create({ code: 'SUMMER10', discountType: 'percentage', amount: 10 });
+
+    const response = await request(app)
+      .post('/api/reservations/quote')
+      .send(stay({ promoCode: 'SUMMER10' }))
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      subtotal: 300,
+      discounts: [{ name: 'Promo code SUMMER10', amount: 30 }],
+      // The service fee and VAT are taken on the discounted nights
+      fees: [
+        { name: 'Cleaning fee', amount: 40 },
+        { name: 'Service fee', amount: 27 }
+      ],
+      taxes: [
+        { name: 'VAT', amount: 33.7 },
+        { name: 'Tourist tax', amount: 15 }
+      ],
+      total: 385.7
+    });
+
+    await PromoCode.deleteMany({});
+  });
+
+  it('should let a property waive a charge of its location', async () => {
+    await Property.updateOne(
+      { _id: testProperty._id },
+      { $push: { charges: { name: 'Tourist tax', kind: 'tax', calculation: 'per_night', amount: 0 } } }
+    );
+
+    const response = await request(app)
+      .post('/api/reservations/quote')
+      .send(stay())
+      .expect(200);
+
+    expect(response.body.data.taxes.map(tax => tax.name)).toEqual(['VAT']);
+    expect(response.body.data.total).toBe(407);
+  });
+
+  it('should store the charges as priced and check the client total against them', async () => {
+    const mismatch = await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ totalAmount: 300 }))
+      .expect(400);
+
+    expect(mismatch.body.message).toContain('does not match expected price');
+
+    const created = await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ totalAmount: 422 }))
+      .expect(201);
+
+    // A later rate only applies to new bookings
+    await ChargeRule.updateOne({ name: 'VAT' }, { amount: 21 });
+
+    const reservation = await Reservation.findById(created.body.data._id);
+    expect(reservation.totalAmount).toBe(422);
+    expect(reservation.priceBreakdown.taxes[0]).toMatchObject({ name: 'VAT', rate: 10, amount: 37 });
+    expect(reservation.priceBreakdown.taxesTotal).toBe(52);
+  });
+
+  it('should take the charges of a cancelled room out of a group reservation', async () => {
+    const group = await request(app)
+      .post('/api/reservations/group')
+      .set(authHeaders)
+      .send({
+        propertyId: testProperty._id.toString(),
+        startDate: '2030-06-01',
+        endDate: '2030-06-04',
+        rooms: [
+          { roomId: 'ROOM001', numGuests: 2 },
+          { roomId: 'ROOM002', numGuests: 2 }
+        ]
+      })
+      .expect(201);
+
+    expect(group.body.data.totalAmount).toBe(844);
+    expect(group.body.data.priceBreakdown.fees[0]).toMatchObject({ name: 'Cleaning fee', amount: 80 });
+
+    const partial = await request(app)
+      .patch(`/api/reservations/${group.body.data._id}/rooms/ROOM001/cancel`)
+      .set(authHeaders)
+      .expect(200);
+
+    expect(partial.body.data.totalAmount).toBe(422);
+    expect(partial.body.data.priceBreakdown).toMatchObject({
+      subtotal: 300,
+      feesTotal: 70,
+      taxesTotal: 52,
+      total: 422
+    });
+  });
+
+  describe('Charge rules', () => {
+    it('should let admins manage the rules of a location', async () => {
+      const created = await request(app)
+        .post('/api/charge-rules')
+        .set(testHelpers.getAdminHeaders())
+        .send({ name: 'City levy', kind: 'tax', calculation: 'flat', amount: 2.5, country: 'Spain', city: 'Barcelona' })
+        .expect(201);
+
+      const list = await request(app)
+        .get('/api/charge-rules')
+        .query({ country: 'spain' })
+        .set(testHelpers.getAdminHeaders())
+        .expect(200);
+
+      expect(list.body.count).toBe(4);
+
+      await request(app)
+        .delete(`/api/charge-rules/${created.body.data._id}`)
+        .set(testHelpers.getAdminHeaders())
+        .expect(200);
+    });
+
+    it('should reject percentages above 100', async () => {
+      await request(app)
+        .post('/api/charge-rules')
+        .set(testHelpers.getAdminHeaders())
+        .send({ name: 'VAT', kind: 'tax', calculation: 'percentage', amount: 120, country: 'Spain' })
+        .expect(400);
+    });
+
+    it('should only let admins manage the rules', async () => {
+      await request(app)
+        .post('/api/charge-rules')
+        .set(authHeaders)
+        .send({ name: 'VAT', kind: 'tax', calculation: 'percentage', amount: 10, country: 'Spain' })
+        .expect(403);
+    });
+  });
+});
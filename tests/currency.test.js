@@ -0,0 +1,251 @@
+// tests/currency.test.js - Tests para monedas y tabla de tipos de cambio
+const request = require('supertest');
+const ExchangeRate = require('../models/ExchangeRate');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Currencies', () => {
+  let testUser;
+  let testProperty;
+  let authHeaders;
+
+  const stay = () => ({
+    propertyId: testProperty._id.toString(),
+    roomId: 'TEST001',
+    startDate: '2030-06-01',
+    endDate: '2030-06-04',
+    numGuests: 2
+  });
+
+  beforeEach(async () => {
+    await ExchangeRate.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    await ExchangeRate.create([
+      { currency: 'EUR', rate: 0.9 },
+      { currency: 'MXN', rate: 18 }
+    ]);
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await ExchangeRate.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should show property prices in the requested currency', async () => {
+    const response = await request(app)
+      .get(`/api/properties/${testProperty._id}`)
+      .query({ currency: 'eur' })
+      .expect(200);
+
+    expect(response.body.data.currency).toBe('USD');
+    expect(response.body.data.display).toMatchObject({ currency: 'EUR', rate: 0.9 });
+    expect(response.body.data.rooms[0].pricePerNight).toBe(100);
+    expect(response.body.data.rooms[0].displayPricePerNight).toBe(90);
+  });
+
+  it('should quote in the requested currency through the base currency', async () => {
+    await Property.updateOne({ _id: testProperty._id }, { currency: 'MXN', 'rooms.0.pricePerNight': 1800 });
+
+    const response = await request(app)
+      .post('/api/reservations/quote')
+      .query({ currency: 'EUR' })
+      .send(stay())
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      currency: 'EUR',
+      nightlyRate: 90,
+      total: 270,
+      exchangeRate: { from: 'MXN', to: 'EUR', rate: 0.05 }
+    });
+  });
+
+  it('should apply price filters to the prices in the requested currency', async () => {
+    const room = (pricePerNight) => [{ roomId: 'TEST001', type: 'double', capacity: 2, pricePerNight, isAvailable: true }];
+    const address = { city: 'Test City', country: 'Test Country' };
+
+    await Property.create([
+      { ownerId: testUser._id, name: 'Peso Property', address, currency: 'MXN', rooms: room(1800), isActive: true },
+      { ownerId: testUser._id, name: 'Pricey Property', address, rooms: room(200), isActive: true }
+    ]);
+
+    const inEuros = await request(app)
+      .get('/api/properties')
+      .query({ currency: 'EUR', minPrice: 90, maxPrice: 100 })
+      .expect(200);
+
+    expect(inEuros.body.data.map(p => p.name).sort()).toEqual(['Peso Property', 'Test Property']);
+    inEuros.body.data.forEach(p => expect(p.rooms[0].displayPricePerNight).toBe(90));
+
+    // Without a currency each property is filtered in its own
+    const ownPrices = await request(app)
+      .get('/api/properties')
+      .query({ maxPrice: 100 })
+      .expect(200);
+
+    expect(ownPrices.body.data.map(p => p.name)).toEqual(['Test Property']);
+  });
+
+  it('should apply the vehicle price limit to the prices in the requested currency', async () => {
+    await Vehicle.deleteMany({});
+
+    const vehicle = (licensePlate, pricePerDay, currency) => ({
+      providerId: testUser._id,
+      make: 'Toyota',
+      model: 'Camry',
+      year: 2022,
+      type: 'sedan',
+      seats: 5,
+      pricePerDay,
+      currency,
+      location: { city: 'Test City' },
+      licensePlate,
+      isAvailable: true
+    });
+
+    await Vehicle.create([
+      vehicle('DOLLAR1', 50, 'USD'),
+      vehicle('PESO001', 900, 'MXN'),
+      vehicle('EURO001', 60, 'EUR')
+    ]);
+
+    const cheap = await request(app)
+      .get('/api/vehicles')
+      .query({ currency: 'EUR', maxPrice: 45 })
+      .expect(200);
+
+    expect(cheap.body.data.map(v => v.licensePlate).sort()).toEqual(['DOLLAR1', 'PESO001']);
+    cheap.body.data.forEach(v => expect(v.displayPricePerDay).toBe(45));
+
+    const all = await request(app)
+      .get('/api/vehicles')
+      .query({ currency: 'EUR', maxPrice: 60 })
+      .expect(200);
+
+    expect(all.body.data).toHaveLength(3);
+
+    await Vehicle.deleteMany({});
+  });
+
+  it('should reject a currency missing from the rate table', async () => {
+    const response = await request(app)
+      .post('/api/reservations/quote')
+      .query({ currency: 'JPY' })
+      .send(stay())
+      .expect(400);
+
+    expect(response.body.message).toBe('No exchange rate for JPY');
+  });
+
+  it('should charge the reservation in the requested currency and keep its rate', async () => {
+    const created = await request(app)
+      .post('/api/reservations')
+      .query({ currency: 'EUR' })
+      .set(authHeaders)
+      .send({ ...stay(), totalAmount: 270 })
+      .expect(201);
+
+    expect(created.body.data).toMatchObject({
+      totalAmount: 270,
+      currency: 'EUR',
+      exchangeRate: { from: 'USD', to: 'EUR', rate: 0.9 }
+    });
+
+    // A later rate does not change what the guest was quoted
+    await ExchangeRate.updateOne({ currency: 'EUR' }, { rate: 1 });
+
+    const dateChange = await request(app)
+      .post(`/api/reservations/${created.body.data._id}/date-change/quote`)
+      .set(authHeaders)
+      .send({ startDate: '2030-06-01', endDate: '2030-06-05' })
+      .expect(200);
+
+    expect(dateChange.body.data).toMatchObject({ totalAmount: 360, difference: 90 });
+  });
+
+  describe('Exchange rate table', () => {
+    it('should let admins add and update rates', async () => {
+      const created = await request(app)
+        .put('/api/exchange-rates/gbp')
+        .set(testHelpers.getAdminHeaders())
+        .send({ rate: 0.8 })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({ currency: 'GBP', rate: 0.8 });
+
+      await request(app)
+        .put('/api/exchange-rates/GBP')
+        .set(testHelpers.getAdminHeaders())
+        .send({ rate: 0.78 })
+        .expect(200);
+
+      const list = await request(app).get('/api/exchange-rates').expect(200);
+      expect(list.body.base).toBe('USD');
+      expect(list.body.data.map(rate => [rate.currency, rate.rate])).toEqual([
+        ['EUR', 0.9],
+        ['GBP', 0.78],
+        ['MXN', 18]
+      ]);
+    });
+
+    it('should not give the base currency a rate', async () => {
+      await request(app)
+        .put('/api/exchange-rates/USD')
+        .set(testHelpers.getAdminHeaders())
+        .send({ rate: 2 })
+        .expect(400);
+    });
+
+    it('should only let admins change the table', async () => {
+      await request(app)
+        .put('/api/exchange-rates/EUR')
+        .set(authHeaders)
+        .send({ rate: 1 })
+        .expect(403);
+    });
+  });
+});
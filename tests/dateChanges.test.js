@@ -0,0 +1,184 @@
+// tests/dateChanges.test.js - Tests para cambios de fechas de reservas por el huésped
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Reservation Date Changes - /api/reservations/:id/dates', () => {
+  let testUser;
+  let testProperty;
+  let testReservation;
+  let authHeaders;
+
+  beforeEach(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    testReservation = await Reservation.create({
+      userId: testUser._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date('2030-09-01'),
+      endDate: new Date('2030-09-04'),
+      numGuests: 2,
+      totalAmount: 300,
+      status: 'confirmed',
+      paymentStatus: 'paid'
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should quote a longer stay with the extra charge', async () => {
+    const response = await request(app)
+      .post(`/api/reservations/${testReservation._id}/date-change/quote`)
+      .set(authHeaders)
+      .send({ startDate: '2030-09-01', endDate: '2030-09-06' })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      available: true,
+      totalAmount: 500,
+      difference: 200,
+      settlement: 'charge'
+    });
+
+    const unchanged = await Reservation.findById(testReservation._id);
+    expect(unchanged.totalAmount).toBe(300);
+  });
+
+  it('should move the stay and record the refund of a shorter one', async () => {
+    const response = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/dates`)
+      .set(authHeaders)
+      .send({ startDate: '2030-09-10', endDate: '2030-09-12', totalAmount: 200 })
+      .expect(200);
+
+    expect(response.body.message).toBe('Dates changed, refund of $100.00');
+    expect(response.body.data.totalAmount).toBe(200);
+    expect(response.body.data.dateChanges[0]).toMatchObject({
+      previousTotal: 300,
+      newTotal: 200,
+      difference: -100,
+      settlement: 'refund'
+    });
+
+    const nights = await RoomNight.find({ reservationId: testReservation._id });
+    expect(nights).toHaveLength(2);
+  });
+
+  it('should reject dates already reserved by another guest', async () => {
+    await Reservation.create({
+      userId: testUser._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date('2030-09-05'),
+      endDate: new Date('2030-09-08'),
+      numGuests: 1,
+      totalAmount: 300,
+      status: 'confirmed'
+    });
+
+    await request(app)
+      .patch(`/api/reservations/${testReservation._id}/dates`)
+      .set(authHeaders)
+      .send({ startDate: '2030-09-03', endDate: '2030-09-06' })
+      .expect(409);
+
+    const unchanged = await Reservation.findById(testReservation._id);
+    expect(unchanged.endDate).toEqual(new Date('2030-09-04'));
+    expect(await RoomNight.countDocuments()).toBe(0);
+  });
+
+  it('should not change dates after check-in', async () => {
+    await Reservation.updateOne({ _id: testReservation._id }, { checkedInAt: new Date() });
+
+    await request(app)
+      .patch(`/api/reservations/${testReservation._id}/dates`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ startDate: '2030-09-02', endDate: '2030-09-05' })
+      .expect(409);
+  });
+
+  it('should reprice and record admin date changes made through PUT', async () => {
+    const response = await request(app)
+      .put(`/api/reservations/${testReservation._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ endDate: '2030-09-06' })
+      .expect(200);
+
+    expect(response.body.data.totalAmount).toBe(500);
+    expect(response.body.data.dateChanges[0]).toMatchObject({
+      previousTotal: 300,
+      newTotal: 500,
+      difference: 200,
+      settlement: 'charge'
+    });
+
+    const nights = await RoomNight.find({ reservationId: testReservation._id }).distinct('night');
+    expect(nights.sort()).toEqual(['2030-09-01', '2030-09-02', '2030-09-03', '2030-09-04', '2030-09-05']);
+
+    const total = await request(app)
+      .put(`/api/reservations/${testReservation._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ totalAmount: 100 })
+      .expect(400);
+
+    expect(total.body.errors[0]).toContain('follows the price of the reservation dates');
+  });
+
+  it('should not let other users move the reservation', async () => {
+    const otherHeaders = testHelpers.getAuthHeaders({
+      _id: '650a1b2c3d4e5f0012345678',
+      role: 'user'
+    });
+
+    await request(app)
+      .patch(`/api/reservations/${testReservation._id}/dates`)
+      .set(otherHeaders)
+      .send({ startDate: '2030-09-02', endDate: '2030-09-05' })
+      .expect(403);
+  });
+});
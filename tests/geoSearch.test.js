@@ -0,0 +1,191 @@
+// tests/geoSearch.test.js - Tests para búsquedas por distancia y por zona del mapa
+const request = require('supertest');
+const Property = require('../models/Property');
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+const { backfillGeoPoints } = require('../config/backfillGeoPoints');
+
+// Importar la app de testing
+const app = require('../server.test');
+
+describe('Geospatial search', () => {
+  let owner;
+
+  const DOWNTOWN_MIAMI = '25.7617,-80.1918';
+  const MIAMI_BOX = '-80.35,25.65,-80.05,25.90';
+
+  const property = (name, coords, pricePerNight = 100) => Property.create({
+    ownerId: owner._id,
+    name,
+    address: { city: 'Miami', country: 'USA', ...(coords && { coords }) },
+    rooms: [{ roomId: 'ROOM001', type: 'double', capacity: 2, pricePerNight, isAvailable: true }],
+    isActive: true
+  });
+
+  const vehicle = (licensePlate, coords, fields = {}) => Vehicle.create({
+    providerId: owner._id,
+    make: 'Toyota',
+    model: 'Camry',
+    year: 2022,
+    type: 'sedan',
+    seats: 5,
+    pricePerDay: 50,
+    location: { city: 'Miami', coords },
+    licensePlate,
+    isAvailable: true,
+    ...fields
+  });
+
+  beforeAll(async () => {
+    // $geoNear needs the 2dsphere indexes
+    await Property.init();
+    await Vehicle.init();
+  });
+
+  beforeEach(async () => {
+    await Property.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+
+    owner = await User.create({
+      name: 'Owner User',
+      email: 'owner@test.com',
+      role: 'provider'
+    });
+
+    await property('Downtown Loft', { lat: 25.7617, lng: -80.1918 });
+    await property('Beach House', { lat: 25.7907, lng: -80.1300 }, 250);
+    await property('Mountain Cabin', { lat: 39.7392, lng: -104.9903 });
+    await property('Somewhere', null);
+  });
+
+  afterAll(async () => {
+    await Property.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should return the properties within the radius, nearest first, with their distance', async () => {
+    const response = await request(app)
+      .get('/api/properties')
+      .query({ near: DOWNTOWN_MIAMI, radiusKm: 20 })
+      .expect(200);
+
+    expect(response.body.pagination.total).toBe(2);
+    expect(response.body.data.map(p => p.name)).toEqual(['Downtown Loft', 'Beach House']);
+    expect(response.body.data[0].distanceKm).toBe(0);
+    expect(response.body.data[1].distanceKm).toBeGreaterThan(6);
+    expect(response.body.data[1].distanceKm).toBeLessThan(8);
+  });
+
+  it('should return the properties inside a map view', async () => {
+    const response = await request(app)
+      .get('/api/properties')
+      .query({ bbox: MIAMI_BOX })
+      .expect(200);
+
+    expect(response.body.data.map(p => p.name).sort()).toEqual(['Beach House', 'Downtown Loft']);
+    response.body.data.forEach(p => expect(typeof p.distanceKm).toBe('number'));
+  });
+
+  it('should combine the distance with the price filters', async () => {
+    const response = await request(app)
+      .get('/api/properties')
+      .query({ near: DOWNTOWN_MIAMI, radiusKm: 20, minPrice: 200 })
+      .expect(200);
+
+    expect(response.body.data.map(p => p.name)).toEqual(['Beach House']);
+    expect(response.body.data[0].distanceKm).toBeGreaterThan(6);
+  });
+
+  it('should keep the coordinates searchable after an update', async () => {
+    const cabin = await Property.findOne({ name: 'Mountain Cabin' });
+
+    await Property.findByIdAndUpdate(cabin._id, {
+      address: { city: 'Miami', country: 'USA', coords: { lat: 25.7743, lng: -80.1937 } }
+    });
+
+    const response = await request(app)
+      .get('/api/properties')
+      .query({ near: DOWNTOWN_MIAMI, radiusKm: 5 })
+      .expect(200);
+
+    expect(response.body.data.map(p => p.name)).toEqual(['Downtown Loft', 'Mountain Cabin']);
+  });
+
+  it('should backfill the points of properties and vehicles saved without them', async () => {
+    const cabin = await Property.findOne({ name: 'Mountain Cabin' });
+    const vehicleId = (await vehicle('OLD0001', { lat: 25.7700, lng: -80.1900 }))._id;
+
+    // As saved before the points existed, and moved without the model hooks
+    await Property.collection.updateMany({}, { $unset: { 'address.point': '' } });
+    await Vehicle.collection.updateOne({ _id: vehicleId }, { $unset: { 'location.point': '' } });
+    await Property.collection.updateOne(
+      { _id: cabin._id },
+      { $set: { 'address.coords': { lat: 25.7743, lng: -80.1937 } } }
+    );
+
+    expect(await backfillGeoPoints()).toEqual({ properties: 3, vehicles: 1 });
+    expect(await backfillGeoPoints()).toEqual({ properties: 0, vehicles: 0 });
+
+    const properties = await request(app)
+      .get('/api/properties')
+      .query({ near: DOWNTOWN_MIAMI, radiusKm: 20 })
+      .expect(200);
+
+    expect(properties.body.data.map(p => p.name)).toEqual(['Downtown Loft', 'Mountain Cabin', 'Beach House']);
+
+    const vehicles = await request(app)
+      .get('/api/vehicles')
+      .query({ near: DOWNTOWN_MIAMI, radiusKm: 5 })
+      .expect(200);
+
+    expect(vehicles.body.data.map(v => v.licensePlate)).toEqual(['OLD0001']);
+  });
+
+  it('should reject malformed coordinates and boxes, and both at once', async () => {
+    await request(app)
+      .get('/api/properties')
+      .query({ near: '95,10' })
+      .expect(400);
+
+    await request(app)
+      .get('/api/properties')
+      .query({ bbox: '-80.05,25.65,-80.35,25.90' })
+      .expect(400);
+
+    await request(app)
+      .get('/api/properties')
+      .query({ radiusKm: 10 })
+      .expect(400);
+
+    const both = await request(app)
+      .get('/api/properties')
+      .query({ near: DOWNTOWN_MIAMI, radiusKm: 5, bbox: MIAMI_BOX })
+      .expect(400);
+
+    expect(both.body.errors).toEqual(['Use either near or bbox, not both']);
+  });
+
+  it('should search vehicles by pickup location', async () => {
+    await vehicle('NEAR001', { lat: 25.7959, lng: -80.2870 }, { rating: 3 });
+    await vehicle('NEAR002', { lat: 25.7700, lng: -80.1900 }, { rating: 5 });
+    await vehicle('FAR0001', { lat: 39.8561, lng: -104.6737 });
+
+    const nearest = await request(app)
+      .get('/api/vehicles')
+      .query({ near: DOWNTOWN_MIAMI, radiusKm: 30 })
+      .expect(200);
+
+    expect(nearest.body.pagination.total).toBe(2);
+    expect(nearest.body.data.map(v => v.licensePlate)).toEqual(['NEAR002', 'NEAR001']);
+    expect(nearest.body.data[0].distanceKm).toBeLessThan(2);
+
+    const inView = await request(app)
+      .get('/api/vehicles')
+      .query({ bbox: MIAMI_BOX, sort: 'price' })
+      .expect(200);
+
+    expect(inView.body.data).toHaveLength(2);
+  });
+});
@@ -0,0 +1,156 @@
+// tests/groupReservations.test.js - Tests para reservas de grupo con varias habitaciones
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Group Reservations', () => {
+  let testUser;
+  let testProperty;
+  let authHeaders;
+
+  const bookGroup = (rooms, body = {}) => request(app)
+    .post('/api/reservations/group')
+    .set(authHeaders)
+    .send({
+      propertyId: testProperty._id.toString(),
+      startDate: '2030-08-01',
+      endDate: '2030-08-04',
+      rooms,
+      ...body
+    });
+
+  beforeEach(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        { roomId: 'ROOM001', type: 'double', capacity: 2, pricePerNight: 100, isAvailable: true },
+        { roomId: 'ROOM002', type: 'double', capacity: 2, pricePerNight: 100, isAvailable: true },
+        { roomId: 'ROOM003', type: 'suite', capacity: 4, pricePerNight: 250, isAvailable: true }
+      ],
+      isActive: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should book several rooms under one reservation priced as one total', async () => {
+    const response = await bookGroup([
+      { roomId: 'ROOM001', numGuests: 2 },
+      { roomId: 'ROOM003', numGuests: 3 }
+    ]).expect(201);
+
+    expect(response.body.data.reservationType).toBe('group');
+    expect(response.body.data.numGuests).toBe(5);
+    expect(response.body.data.totalAmount).toBe(1050);
+    expect(response.body.data.roomLines.map(line => line.total)).toEqual([300, 750]);
+    expect(await RoomNight.countDocuments()).toBe(6);
+
+    // The booked rooms are no longer available to single reservations
+    await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send({
+        propertyId: testProperty._id.toString(),
+        roomId: 'ROOM003',
+        startDate: '2030-08-02',
+        endDate: '2030-08-03',
+        numGuests: 2
+      })
+      .expect(409);
+  });
+
+  it('should book nothing when any room is taken', async () => {
+    await bookGroup([{ roomId: 'ROOM002', numGuests: 2 }]).expect(201);
+
+    const response = await bookGroup([
+      { roomId: 'ROOM001', numGuests: 2 },
+      { roomId: 'ROOM002', numGuests: 2 }
+    ]).expect(409);
+
+    expect(response.body.conflictingRooms).toEqual(['ROOM002']);
+    expect(await Reservation.countDocuments()).toBe(1);
+    expect(await RoomNight.countDocuments({ roomId: 'ROOM001' })).toBe(0);
+
+    await bookGroup([{ roomId: 'ROOM003', numGuests: 5 }]).expect(400);
+  });
+
+  it('should cancel one room at a time and the whole group with the last one', async () => {
+    const group = await bookGroup([
+      { roomId: 'ROOM001', numGuests: 2 },
+      { roomId: 'ROOM002', numGuests: 1 }
+    ]).expect(201);
+
+    const partial = await request(app)
+      .patch(`/api/reservations/${group.body.data._id}/rooms/ROOM001/cancel`)
+      .set(authHeaders)
+      .send({ reason: 'Smaller group' })
+      .expect(200);
+
+    expect(partial.body.data.status).toBe('pending');
+    expect(partial.body.data.totalAmount).toBe(300);
+    expect(partial.body.data.numGuests).toBe(1);
+    expect(partial.body.data.roomLines[0]).toMatchObject({ status: 'cancelled' });
+    expect(await RoomNight.countDocuments({ roomId: 'ROOM001' })).toBe(0);
+
+    await request(app)
+      .patch(`/api/reservations/${group.body.data._id}/rooms/ROOM001/cancel`)
+      .set(authHeaders)
+      .expect(409);
+
+    const last = await request(app)
+      .patch(`/api/reservations/${group.body.data._id}/rooms/ROOM002/cancel`)
+      .set(authHeaders)
+      .expect(200);
+
+    expect(last.body.data.status).toBe('cancelled');
+    expect(await RoomNight.countDocuments()).toBe(0);
+  });
+
+  it('should cancel the whole group at once', async () => {
+    const group = await bookGroup([
+      { roomId: 'ROOM001', numGuests: 2 },
+      { roomId: 'ROOM002', numGuests: 2 }
+    ]).expect(201);
+
+    await request(app)
+      .patch(`/api/reservations/${group.body.data._id}/status`)
+      .set(authHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect(await RoomNight.countDocuments()).toBe(0);
+    await bookGroup([{ roomId: 'ROOM001', numGuests: 2 }]).expect(201);
+  });
+});
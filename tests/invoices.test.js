@@ -0,0 +1,240 @@
+// tests/invoices.test.js - Tests para facturas y notas de crédito
+const request = require('supertest');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Invoices', () => {
+  let testUser;
+  let testProperty;
+  let userHeaders;
+
+  const createReservation = (fields = {}) => Reservation.create({
+    userId: testUser._id,
+    propertyId: testProperty._id,
+    roomId: 'TEST001',
+    startDate: new Date('2030-04-01'),
+    endDate: new Date('2030-04-04'),
+    numGuests: 2,
+    totalAmount: 330,
+    priceBreakdown: {
+      nights: 3,
+      nightlyRate: 100,
+      nightlyRates: [
+        { date: '2030-04-01', rate: 100, rule: 'base' },
+        { date: '2030-04-02', rate: 100, rule: 'base' },
+        { date: '2030-04-03', rate: 100, rule: 'base' }
+      ],
+      subtotal: 300,
+      fees: [{ name: 'Cleaning fee', amount: 40 }],
+      feesTotal: 40,
+      discounts: [{ name: 'Trip bundle discount', amount: 10 }],
+      discountsTotal: 10,
+      total: 330
+    },
+    status: 'confirmed',
+    paymentStatus: 'paid',
+    ...fields
+  });
+
+  const getInvoice = (reservation, format = 'json') => request(app)
+    .get(`/api/reservations/${reservation._id}/invoice`)
+    .query({ format })
+    .set(userHeaders);
+
+  beforeEach(async () => {
+    await Invoice.deleteMany({});
+    await Payment.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      policies: {
+        cancellation: 'flexible'
+      },
+      isActive: true
+    });
+
+    userHeaders = testHelpers.getAuthHeaders({ _id: testUser._id.toString() });
+  });
+
+  afterAll(async () => {
+    await Invoice.deleteMany({});
+    await Payment.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should itemize nights, fees and discounts of a paid reservation', async () => {
+    const reservation = await createReservation();
+
+    const response = await getInvoice(reservation).expect(200);
+
+    expect(response.body.data).toMatchObject({
+      type: 'invoice',
+      number: 'INV-000001',
+      subtotal: 300,
+      feesTotal: 40,
+      discountsTotal: -10,
+      total: 330,
+      billTo: { name: 'Test User', email: 'user@test.com' }
+    });
+    expect(response.body.data.lines.map(line => line.description)).toEqual([
+      'Room TEST001, night of 2030-04-01',
+      'Room TEST001, night of 2030-04-02',
+      'Room TEST001, night of 2030-04-03',
+      'Trip bundle discount',
+      'Cleaning fee'
+    ]);
+
+    // Asking again returns the same invoice
+    const again = await getInvoice(reservation).expect(200);
+    expect(again.body.data._id).toBe(response.body.data._id);
+  });
+
+  it('should download the invoice as HTML and PDF', async () => {
+    const reservation = await createReservation();
+
+    const html = await getInvoice(reservation, 'html').expect(200);
+    expect(html.headers['content-type']).toContain('text/html');
+    expect(html.text).toContain('INVOICE INV-000001');
+    expect(html.text).toContain('Cleaning fee');
+
+    const pdf = await getInvoice(reservation, 'pdf').buffer(true).parse(binaryParser).expect(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.headers['content-disposition']).toContain('INV-000001.pdf');
+    expect(pdf.body.slice(0, 8).toString()).toBe('%PDF-1.4');
+  });
+
+  it('should issue the invoice with its payments when the payment is captured', async () => {
+    const reservation = await createReservation({ status: 'pending', paymentStatus: 'pending' });
+
+    const authorized = await request(app)
+      .post(`/api/reservations/${reservation._id}/payments`)
+      .set(userHeaders)
+      .send({ paymentMethod: 'pm_fake_visa' })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/payments/${authorized.body.data._id}/capture`)
+      .set(testHelpers.getAdminHeaders())
+      .send({})
+      .expect(200);
+
+    const invoices = await Invoice.find({ reservationId: reservation._id });
+    expect(invoices).toHaveLength(1);
+    expect(invoices[0].amountPaid).toBe(330);
+    expect(invoices[0].balanceDue).toBe(0);
+  });
+
+  it('should not invoice reservations that were never paid', async () => {
+    const reservation = await createReservation({ status: 'pending', paymentStatus: 'pending' });
+
+    const response = await getInvoice(reservation).expect(409);
+    expect(response.body.message).toBe('Invoices are issued once the reservation is paid');
+  });
+
+  it('should number invoices of different reservations one after another', async () => {
+    const first = await createReservation();
+    const second = await createReservation({ startDate: new Date('2030-05-01'), endDate: new Date('2030-05-04') });
+
+    const numbers = await Promise.all([getInvoice(first), getInvoice(second)]);
+
+    expect(numbers.map(r => r.body.data.number).sort()).toEqual(['INV-000001', 'INV-000002']);
+  });
+
+  it('should keep issued invoices and correct them with a credit note', async () => {
+    const reservation = await createReservation();
+    const original = await getInvoice(reservation).expect(200);
+
+    await expect(Invoice.updateOne({ _id: original.body.data._id }, { total: 0 }))
+      .rejects.toThrow('Issued invoices cannot be changed');
+
+    // The price of the reservation is corrected
+    await Reservation.updateOne({ _id: reservation._id }, { totalAmount: 300 });
+
+    const corrected = await getInvoice(reservation).expect(200);
+    expect(corrected.body.data.number).toBe('INV-000002');
+    expect(corrected.body.data.total).toBe(300);
+    expect(corrected.body.data.lines[corrected.body.data.lines.length - 1]).toMatchObject({
+      description: 'Price adjustment',
+      amount: -30
+    });
+
+    const list = await request(app)
+      .get(`/api/reservations/${reservation._id}/invoices`)
+      .set(userHeaders)
+      .expect(200);
+
+    expect(list.body.data.map(doc => doc.number)).toEqual(['INV-000001', 'CN-000001', 'INV-000002']);
+    expect(list.body.data[0].total).toBe(330);
+    expect(list.body.data[1]).toMatchObject({
+      type: 'credit_note',
+      total: -330,
+      creditedInvoice: { number: 'INV-000001' }
+    });
+  });
+
+  it('should end with a credit note when a cancellation refunds everything', async () => {
+    const reservation = await createReservation();
+    await getInvoice(reservation).expect(200);
+
+    await request(app)
+      .patch(`/api/reservations/${reservation._id}/status`)
+      .set(userHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    const response = await getInvoice(reservation).expect(200);
+    expect(response.body.data).toMatchObject({
+      type: 'credit_note',
+      number: 'CN-000001',
+      reason: 'Reservation cancelled',
+      total: -330
+    });
+  });
+
+  it('should not show invoices to other users', async () => {
+    const reservation = await createReservation();
+
+    await request(app)
+      .get(`/api/reservations/${reservation._id}/invoice`)
+      .set(testHelpers.getAuthHeaders({ _id: '507f1f77bcf86cd799439011' }))
+      .expect(403);
+  });
+});
@@ -0,0 +1,332 @@
+// tests/payments.test.js - Tests para pagos con la pasarela falsa
+const request = require('supertest');
+const Payment = require('../models/Payment');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const fakeProvider = require('../services/paymentProviders/fake');
+const { checkPaymentConfig } = require('../services/payments');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Payments - fake gateway', () => {
+  let testUser;
+  let testProperty;
+  let testReservation;
+  let userHeaders;
+
+  const pay = (paymentMethod = 'pm_fake_visa') => request(app)
+    .post(`/api/reservations/${testReservation._id}/payments`)
+    .set(userHeaders)
+    .send({ paymentMethod });
+
+  const sendWebhook = ({ body, headers }) => request(app)
+    .post('/api/payments/webhooks/fake')
+    .set(headers)
+    .send(body);
+
+  beforeEach(async () => {
+    await Payment.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      policies: {
+        cancellation: 'flexible'
+      },
+      isActive: true
+    });
+
+    testReservation = await Reservation.create({
+      userId: testUser._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date('2030-04-01'),
+      endDate: new Date('2030-04-04'),
+      numGuests: 2,
+      totalAmount: 300,
+      status: 'pending'
+    });
+
+    userHeaders = testHelpers.getAuthHeaders({ _id: testUser._id.toString() });
+  });
+
+  afterAll(async () => {
+    await Payment.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should authorize the reservation total and then allow confirming it', async () => {
+    const response = await pay().expect(201);
+
+    expect(response.body.data).toMatchObject({
+      provider: 'fake',
+      amount: 300,
+      status: 'authorized'
+    });
+
+    const confirmed = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/status`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'confirmed' })
+      .expect(200);
+
+    expect(confirmed.body.data.paymentStatus).toBe('authorized');
+  });
+
+  it('should record a declined payment and let the guest try again', async () => {
+    const declined = await pay('pm_fake_declined').expect(402);
+
+    expect(declined.body.message).toBe('Payment declined: Card declined');
+    expect(declined.body.data.status).toBe('failed');
+
+    const failed = await Reservation.findById(testReservation._id);
+    expect(failed.paymentStatus).toBe('failed');
+
+    await pay('pm_fake_mastercard').expect(201);
+
+    const list = await request(app)
+      .get(`/api/reservations/${testReservation._id}/payments`)
+      .set(userHeaders)
+      .expect(200);
+
+    expect(list.body.data.paymentStatus).toBe('authorized');
+    expect(list.body.data.payments.map(p => p.status)).toEqual(['authorized', 'failed']);
+  });
+
+  it('should capture, then refund the captured amount on cancellation', async () => {
+    const authorized = await pay().expect(201);
+    const paymentId = authorized.body.data._id;
+
+    await request(app)
+      .post(`/api/payments/${paymentId}/capture`)
+      .set(testHelpers.getAdminHeaders())
+      .send({})
+      .expect(200);
+
+    const paid = await Reservation.findById(testReservation._id);
+    expect(paid.paymentStatus).toBe('paid');
+
+    await Reservation.updateOne({ _id: testReservation._id }, { status: 'confirmed' });
+
+    const cancelled = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/status`)
+      .set(userHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect(cancelled.body.data.paymentStatus).toBe('refunded');
+
+    const payment = await Payment.findById(paymentId);
+    expect(payment.status).toBe('refunded');
+    expect(payment.amountRefunded).toBe(300);
+    expect(payment.refunds).toHaveLength(1);
+  });
+
+  it('should refund cheaper dates and reject dearer ones once paid', async () => {
+    const authorized = await pay().expect(201);
+    const paymentId = authorized.body.data._id;
+
+    await request(app)
+      .post(`/api/payments/${paymentId}/capture`)
+      .set(testHelpers.getAdminHeaders())
+      .send({})
+      .expect(200);
+
+    const dearer = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/dates`)
+      .set(userHeaders)
+      .send({ startDate: '2030-04-01', endDate: '2030-04-05' })
+      .expect(409);
+
+    expect(dearer.body.message).toBe('The new dates cost $100.00 more than the payment of the reservation');
+
+    await request(app)
+      .patch(`/api/reservations/${testReservation._id}/dates`)
+      .set(userHeaders)
+      .send({ startDate: '2030-04-01', endDate: '2030-04-03' })
+      .expect(200);
+
+    const payment = await Payment.findById(paymentId);
+    expect(payment.status).toBe('partially_refunded');
+    expect(payment.amountRefunded).toBe(100);
+  });
+
+  it('should release the authorization when a pending reservation is cancelled', async () => {
+    const authorized = await pay().expect(201);
+
+    const cancelled = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/status`)
+      .set(userHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect(cancelled.body.data.paymentStatus).toBe('voided');
+
+    const payment = await Payment.findById(authorized.body.data._id);
+    expect(payment.status).toBe('voided');
+  });
+
+  it('should refund the captured payment of a deleted reservation', async () => {
+    const authorized = await pay().expect(201);
+
+    await request(app)
+      .post(`/api/payments/${authorized.body.data._id}/capture`)
+      .set(testHelpers.getAdminHeaders())
+      .send({})
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/reservations/${testReservation._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(200);
+
+    const payment = await Payment.findById(authorized.body.data._id);
+    expect(payment.status).toBe('refunded');
+    expect(payment.amountRefunded).toBe(300);
+  });
+
+  it('should only let admins capture, refund or void', async () => {
+    const authorized = await pay().expect(201);
+
+    await request(app)
+      .post(`/api/payments/${authorized.body.data._id}/capture`)
+      .set(userHeaders)
+      .send({})
+      .expect(403);
+
+    const over = await request(app)
+      .post(`/api/payments/${authorized.body.data._id}/capture`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ amount: 500 })
+      .expect(400);
+
+    expect(over.body.message).toBe('Cannot capture more than the authorized amount');
+  });
+
+  it('should apply a signed webhook once even if it is delivered twice', async () => {
+    const authorized = await pay().expect(201);
+    const webhook = fakeProvider.buildWebhook('payment.captured', {
+      paymentId: authorized.body.data.providerPaymentId,
+      amount: 300
+    });
+
+    const first = await sendWebhook(webhook).expect(200);
+    expect(first.body.received).toBe(true);
+    expect(first.body.data.status).toBe('captured');
+
+    await sendWebhook(webhook).expect(200);
+
+    const payment = await Payment.findById(authorized.body.data._id);
+    expect(payment.events.filter(e => e.source === 'webhook')).toHaveLength(1);
+
+    const reservation = await Reservation.findById(testReservation._id);
+    expect(reservation.paymentStatus).toBe('paid');
+    expect(reservation.history.filter(entry => entry.to === 'paid')).toHaveLength(1);
+  });
+
+  it('should reject webhooks with a bad signature or for unknown payments', async () => {
+    const authorized = await pay().expect(201);
+    const webhook = fakeProvider.buildWebhook('payment.captured', {
+      paymentId: authorized.body.data.providerPaymentId,
+      amount: 300
+    });
+
+    const forged = await sendWebhook({
+      body: webhook.body,
+      headers: { ...webhook.headers, 'x-fake-signature': 'not-the-signature' }
+    }).expect(400);
+    expect(forged.body.message).toBe('Invalid webhook signature');
+
+    await sendWebhook(fakeProvider.buildWebhook('payment.captured', { paymentId: 'pay_fake_unknown' })).expect(404);
+
+    const payment = await Payment.findById(authorized.body.data._id);
+    expect(payment.status).toBe('authorized');
+  });
+
+  it('should describe the amounts in the currency of the reservation', async () => {
+    await Reservation.updateOne({ _id: testReservation._id }, { currency: 'EUR' });
+
+    const authorized = await pay().expect(201);
+
+    const captured = await request(app)
+      .post(`/api/payments/${authorized.body.data._id}/capture`)
+      .set(testHelpers.getAdminHeaders())
+      .send({})
+      .expect(200);
+
+    expect(captured.body.message).toBe('Captured 300.00 EUR');
+
+    const reservation = await Reservation.findById(testReservation._id);
+    expect(reservation.history.map(entry => entry.reason)).toEqual(expect.arrayContaining([
+      'Payment of 300.00 EUR authorized',
+      'Payment of 300.00 EUR captured'
+    ]));
+  });
+
+  it('should warn about the fake gateway and its default secret outside development and tests', () => {
+    const env = { ...process.env };
+
+    try {
+      delete process.env.PAYMENT_PROVIDER;
+      delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+      expect(checkPaymentConfig()).toEqual([]);
+
+      process.env.NODE_ENV = 'production';
+      expect(checkPaymentConfig()).toEqual([
+        'PAYMENT_PROVIDER is not set: using the fake gateway, no real payments are taken',
+        'FAKE_PAYMENT_WEBHOOK_SECRET is not set: webhooks are checked with the default secret'
+      ]);
+
+      process.env.PAYMENT_PROVIDER = 'fake';
+      process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'production-secret';
+      expect(checkPaymentConfig()).toEqual([]);
+
+      process.env.PAYMENT_PROVIDER = 'unknown';
+      expect(() => checkPaymentConfig()).toThrow('Unknown payment provider unknown');
+    } finally {
+      process.env = env;
+    }
+  });
+
+  it('should not let other users pay or see the payments of a reservation', async () => {
+    const otherHeaders = testHelpers.getAuthHeaders({ _id: '507f1f77bcf86cd799439011' });
+
+    await request(app)
+      .post(`/api/reservations/${testReservation._id}/payments`)
+      .set(otherHeaders)
+      .send({ paymentMethod: 'pm_fake_visa' })
+      .expect(403);
+
+    await request(app)
+      .get(`/api/reservations/${testReservation._id}/payments`)
+      .set(otherHeaders)
+      .expect(403);
+  });
+});
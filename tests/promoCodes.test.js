@@ -0,0 +1,308 @@
+// tests/promoCodes.test.js - Tests para códigos promocionales
+const request = require('supertest');
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const PromoCodeUsage = require('../models/PromoCodeUsage');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Promo codes', () => {
+  let testUser;
+  let otherUser;
+  let testProperty;
+  let authHeaders;
+
+  const stay = (fields = {}) => ({
+    propertyId: testProperty._id.toString(),
+    roomId: 'ROOM001',
+    startDate: '2030-06-01',
+    endDate: '2030-06-04',
+    numGuests: 2,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await PromoCodeUsage.deleteMany({});
+    await PromoCode.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    otherUser = await User.create({
+      name: 'Other User',
+      email: 'other@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Miami',
+        country: 'USA'
+      },
+      rooms: [
+        { roomId: 'ROOM001', type: 'double', capacity: 2, pricePerNight: 100, isAvailable: true },
+        { roomId: 'ROOM002', type: 'double', capacity: 2, pricePerNight: 100, isAvailable: true }
+      ],
+      isActive: true
+    });
+
+    await PromoCode.create([
+      { code: 'SUMMER10', discountType: 'percentage', amount: 10 },
+      { code: 'ONCE50', discountType: 'fixed', amount: 50, maxRedemptions: 1 },
+      { code: 'PERGUEST', discountType: 'fixed', amount: 20, maxRedemptionsPerUser: 1 },
+      { code: 'OLD', discountType: 'percentage', amount: 15, validUntil: new Date('2020-01-01') },
+      { code: 'ELSEWHERE', discountType: 'percentage', amount: 15, propertyIds: [new mongoose.Types.ObjectId()] },
+      { code: 'LONGSTAY', discountType: 'percentage', amount: 15, minNights: 7 }
+    ]);
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await PromoCodeUsage.deleteMany({});
+    await PromoCode.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should quote the discount as its own line', async () => {
+    const response = await request(app)
+      .post('/api/reservations/quote')
+      .send(stay({ promoCode: 'summer10' }))
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      subtotal: 300,
+      discounts: [{ name: 'Promo code SUMMER10', amount: 30 }],
+      discountsTotal: 30,
+      total: 270
+    });
+  });
+
+  it('should store the discount on the reservation and count the redemption', async () => {
+    const created = await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ promoCode: 'SUMMER10', totalAmount: 270 }))
+      .expect(201);
+
+    expect(created.body.data.totalAmount).toBe(270);
+    expect(created.body.data.priceBreakdown.discounts).toEqual([
+      expect.objectContaining({ name: 'Promo code SUMMER10', amount: 30 })
+    ]);
+    expect(created.body.data.promotion).toMatchObject({ code: 'SUMMER10', discountType: 'percentage', amount: 30 });
+
+    const promoCode = await PromoCode.findOne({ code: 'SUMMER10' });
+    expect(promoCode.redemptionCount).toBe(1);
+  });
+
+  it('should reject codes past their redemption limit', async () => {
+    await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ promoCode: 'ONCE50' }))
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/reservations')
+      .set(testHelpers.getAuthHeaders({ _id: otherUser._id.toString(), role: 'user' }))
+      .send(stay({ roomId: 'ROOM002', promoCode: 'ONCE50' }))
+      .expect(409);
+
+    expect(response.body.message).toContain('redemption limit');
+    expect(await RoomNight.countDocuments({ roomId: 'ROOM002' })).toBe(0);
+  });
+
+  it('should limit how many times each guest uses a code', async () => {
+    await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ promoCode: 'PERGUEST' }))
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ roomId: 'ROOM002', promoCode: 'PERGUEST' }))
+      .expect(409);
+
+    expect(response.body.message).toContain('maximum number of times');
+
+    await request(app)
+      .post('/api/reservations')
+      .set(testHelpers.getAuthHeaders({ _id: otherUser._id.toString(), role: 'user' }))
+      .send(stay({ roomId: 'ROOM002', promoCode: 'PERGUEST' }))
+      .expect(201);
+
+    const promoCode = await PromoCode.findOne({ code: 'PERGUEST' });
+    expect(promoCode.redemptionCount).toBe(2);
+  });
+
+  it('should reject expired codes, codes of other properties and stays too short', async () => {
+    const expired = await request(app)
+      .post('/api/reservations/quote')
+      .send(stay({ promoCode: 'OLD' }))
+      .expect(400);
+
+    expect(expired.body.message).toContain('has expired');
+
+    const elsewhere = await request(app)
+      .post('/api/reservations/quote')
+      .send(stay({ promoCode: 'ELSEWHERE' }))
+      .expect(400);
+
+    expect(elsewhere.body.message).toContain('does not apply to this property');
+
+    const short = await request(app)
+      .post('/api/reservations/quote')
+      .send(stay({ promoCode: 'LONGSTAY' }))
+      .expect(400);
+
+    expect(short.body.message).toContain('at least 7 nights');
+
+    await request(app)
+      .post('/api/reservations/quote')
+      .send(stay({ promoCode: 'NOPE' }))
+      .expect(404);
+  });
+
+  it('should give the redemption back when the reservation is cancelled', async () => {
+    const created = await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ promoCode: 'PERGUEST' }))
+      .expect(201);
+
+    await request(app)
+      .patch(`/api/reservations/${created.body.data._id}/status`)
+      .set(authHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    const promoCode = await PromoCode.findOne({ code: 'PERGUEST' });
+    expect(promoCode.redemptionCount).toBe(0);
+
+    await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ roomId: 'ROOM002', promoCode: 'PERGUEST' }))
+      .expect(201);
+  });
+
+  it('should give the redemption back when a pending reservation is deleted', async () => {
+    const created = await request(app)
+      .post('/api/reservations')
+      .set(authHeaders)
+      .send(stay({ promoCode: 'PERGUEST' }))
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/reservations/${created.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(200);
+
+    const promoCode = await PromoCode.findOne({ code: 'PERGUEST' });
+    expect(promoCode.redemptionCount).toBe(0);
+    expect((await PromoCodeUsage.findOne({ promoCodeId: promoCode._id })).count).toBe(0);
+  });
+
+  it('should take the discount on the rooms left when one room of a group is cancelled', async () => {
+    await PromoCode.create({ code: 'GROUP150', discountType: 'fixed', amount: 150 });
+
+    const group = await request(app)
+      .post('/api/reservations/group')
+      .set(authHeaders)
+      .send({
+        propertyId: testProperty._id.toString(),
+        startDate: '2030-06-01',
+        endDate: '2030-06-02',
+        rooms: [{ roomId: 'ROOM001', numGuests: 2 }, { roomId: 'ROOM002', numGuests: 2 }],
+        promoCode: 'GROUP150'
+      })
+      .expect(201);
+
+    expect(group.body.data.totalAmount).toBe(50);
+    await Reservation.updateOne({ _id: group.body.data._id }, { paymentStatus: 'paid' });
+
+    const response = await request(app)
+      .patch(`/api/reservations/${group.body.data._id}/rooms/ROOM001/cancel`)
+      .set(authHeaders)
+      .expect(200);
+
+    // The room left takes 100 of the discount, so the guest gets back what they paid
+    expect(response.body.data.totalAmount).toBe(0);
+    expect(response.body.data.priceBreakdown).toMatchObject({
+      subtotal: 100,
+      discounts: [{ name: 'Promo code GROUP150', amount: 100 }],
+      discountsTotal: 100,
+      total: 0
+    });
+    expect(response.body.data.roomLines[0].cancellation.refundAmount).toBe(50);
+  });
+
+  describe('Management', () => {
+    it('should let admins create, update and delete codes', async () => {
+      const created = await request(app)
+        .post('/api/promo-codes')
+        .set(testHelpers.getAdminHeaders())
+        .send({ code: 'winter20', discountType: 'percentage', amount: 20, cities: ['Denver'] })
+        .expect(201);
+
+      expect(created.body.data.code).toBe('WINTER20');
+
+      await request(app)
+        .post('/api/promo-codes')
+        .set(testHelpers.getAdminHeaders())
+        .send({ code: 'WINTER20', discountType: 'fixed', amount: 20 })
+        .expect(409);
+
+      const updated = await request(app)
+        .put(`/api/promo-codes/${created.body.data._id}`)
+        .set(testHelpers.getAdminHeaders())
+        .send({ code: 'WINTER20', discountType: 'percentage', amount: 25 })
+        .expect(200);
+
+      expect(updated.body.data.cities).toEqual([]);
+
+      await request(app)
+        .delete(`/api/promo-codes/${created.body.data._id}`)
+        .set(testHelpers.getAdminHeaders())
+        .expect(200);
+    });
+
+    it('should reject percentages above 100', async () => {
+      await request(app)
+        .post('/api/promo-codes')
+        .set(testHelpers.getAdminHeaders())
+        .send({ code: 'FREE', discountType: 'percentage', amount: 120 })
+        .expect(400);
+    });
+
+    it('should only let admins manage codes', async () => {
+      await request(app)
+        .get('/api/promo-codes')
+        .set(authHeaders)
+        .expect(403);
+    });
+  });
+});
@@ -2,6 +2,7 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
 const User = require('../models/User');
 
 // Importar la app de testing
@@ -193,4 +194,60 @@ describe('Properties Collection - GET Endpoints', () => {
       expect(response.body.message).toContain('Property is not active');
     });
   });
-});
\ No newline at end of file
+
+  describe('GET /api/properties/:id/availability', () => {
+    it('should mark booked nights from pending and confirmed reservations', async () => {
+      await Reservation.create({
+        userId: testUser._id,
+        propertyId: testProperty._id,
+        roomId: 'TEST001',
+        startDate: new Date('2030-03-02'),
+        endDate: new Date('2030-03-04'),
+        numGuests: 2,
+        totalAmount: 200,
+        status: 'confirmed'
+      });
+
+      await Reservation.create({
+        userId: testUser._id,
+        propertyId: testProperty._id,
+        roomId: 'TEST001',
+        startDate: new Date('2030-03-04'),
+        endDate: new Date('2030-03-05'),
+        numGuests: 2,
+        totalAmount: 100,
+        status: 'cancelled'
+      });
+
+      const response = await request(app)
+        .get(`/api/properties/${testProperty._id}/availability?from=2030-03-01&to=2030-03-05`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      const [room] = response.body.data.rooms;
+      expect(room.roomId).toBe('TEST001');
+      expect(room.nights.map(n => n.status)).toEqual(['free', 'booked', 'booked', 'free']);
+    });
+
+    it('should mark every night blocked for unavailable rooms', async () => {
+      await Property.updateOne(
+        { _id: testProperty._id },
+        { $set: { 'rooms.0.isAvailable': false } }
+      );
+
+      const response = await request(app)
+        .get(`/api/properties/${testProperty._id}/availability?from=2030-03-01&to=2030-03-03`)
+        .expect(200);
+
+      expect(response.body.data.rooms[0].nights.every(n => n.status === 'blocked')).toBe(true);
+    });
+
+    it('should return 400 when to is before from', async () => {
+      const response = await request(app)
+        .get(`/api/properties/${testProperty._id}/availability?from=2030-03-05&to=2030-03-01`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// tests/rentalConcurrency.test.js - Alquileres simultáneos del mismo vehículo
+const request = require('supertest');
+const Vehicle = require('../models/Vehicle');
+const Reservation = require('../models/Reservation');
+const VehicleDay = require('../models/VehicleDay');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Vehicle Rental Concurrency', () => {
+  let testUser;
+  let testVehicle;
+  let authHeaders;
+
+  beforeAll(async () => {
+    // The unique day index must exist before concurrent inserts race
+    await VehicleDay.init();
+  });
+
+  beforeEach(async () => {
+    await VehicleDay.deleteMany({});
+    await Reservation.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testVehicle = await Vehicle.create({
+      providerId: testUser._id,
+      make: 'Toyota',
+      model: 'Camry',
+      year: 2022,
+      type: 'sedan',
+      seats: 5,
+      pricePerDay: 50,
+      location: { city: 'Test City' },
+      licensePlate: 'RACE001',
+      isAvailable: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await VehicleDay.deleteMany({});
+    await Reservation.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const rent = (startDate, endDate) => request(app)
+    .post('/api/reservations/vehicles')
+    .set(authHeaders)
+    .send({
+      vehicleId: testVehicle._id.toString(),
+      startDate,
+      endDate
+    });
+
+  it('should accept only one of several simultaneous overlapping rentals', async () => {
+    const responses = await Promise.all([
+      rent('2030-05-01T10:00:00.000Z', '2030-05-04T10:00:00.000Z'),
+      rent('2030-05-02T10:00:00.000Z', '2030-05-05T10:00:00.000Z'),
+      rent('2030-05-02T09:00:00.000Z', '2030-05-03T18:00:00.000Z'),
+      rent('2030-05-03T10:00:00.000Z', '2030-05-06T10:00:00.000Z'),
+      rent('2030-05-01T10:00:00.000Z', '2030-05-04T10:00:00.000Z')
+    ]);
+
+    const created = responses.filter(response => response.status === 201);
+    const conflicts = responses.filter(response => response.status === 409);
+
+    expect(created).toHaveLength(1);
+    expect(conflicts).toHaveLength(responses.length - 1);
+    expect(await Reservation.countDocuments({ status: 'pending' })).toBe(1);
+  });
+
+  it('should free the days of a deleted rental', async () => {
+    const first = await rent('2030-05-01T10:00:00.000Z', '2030-05-04T10:00:00.000Z').expect(201);
+
+    expect(await VehicleDay.find({ reservationId: first.body.data._id }).distinct('day'))
+      .toEqual(['2030-05-01', '2030-05-02', '2030-05-03', '2030-05-04']);
+
+    await request(app)
+      .delete(`/api/reservations/${first.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(200);
+
+    expect(await VehicleDay.countDocuments()).toBe(0);
+    await rent('2030-05-01T10:00:00.000Z', '2030-05-04T10:00:00.000Z').expect(201);
+  });
+
+  it('should free the days of a cancelled rental', async () => {
+    const first = await rent('2030-05-01T10:00:00.000Z', '2030-05-03T10:00:00.000Z').expect(201);
+
+    await request(app)
+      .patch(`/api/reservations/${first.body.data._id}/status`)
+      .set(authHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect(await VehicleDay.countDocuments()).toBe(0);
+    await rent('2030-05-02T10:00:00.000Z', '2030-05-04T10:00:00.000Z').expect(201);
+  });
+
+  it('should reject admin date changes onto days held by another rental', async () => {
+    const first = await rent('2030-05-01T10:00:00.000Z', '2030-05-02T10:00:00.000Z').expect(201);
+    await rent('2030-05-05T10:00:00.000Z', '2030-05-07T10:00:00.000Z').expect(201);
+
+    const response = await request(app)
+      .put(`/api/reservations/${first.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ startDate: '2030-05-02T10:00:00.000Z', endDate: '2030-05-05T08:00:00.000Z' })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+
+    await request(app)
+      .put(`/api/reservations/${first.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ startDate: '2030-05-02T10:00:00.000Z', endDate: '2030-05-03T10:00:00.000Z' })
+      .expect(200);
+
+    const days = await VehicleDay.find({ reservationId: first.body.data._id }).distinct('day');
+    expect(days.sort()).toEqual(['2030-05-02', '2030-05-03']);
+  });
+});
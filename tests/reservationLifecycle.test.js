@@ -0,0 +1,263 @@
+// tests/reservationLifecycle.test.js - Tests para las tareas programadas de reservas
+const request = require('supertest');
+const JobLock = require('../models/JobLock');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+const { runJobs } = require('../services/scheduler');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('Reservation Lifecycle Jobs', () => {
+  let testUser;
+  let testProperty;
+
+  const createReservation = (fields) => Reservation.create({
+    userId: testUser._id,
+    propertyId: testProperty._id,
+    roomId: 'TEST001',
+    numGuests: 2,
+    totalAmount: 200,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await JobLock.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+  });
+
+  afterAll(async () => {
+    await JobLock.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should expire stale pending holds and free the room', async () => {
+    const response = await request(app)
+      .post('/api/reservations')
+      .set(testHelpers.getAuthHeaders({ _id: testUser._id.toString() }))
+      .send({
+        propertyId: testProperty._id.toString(),
+        roomId: 'TEST001',
+        startDate: '2030-06-01',
+        endDate: '2030-06-03',
+        numGuests: 2
+      })
+      .expect(201);
+
+    expect(response.body.data.holdExpiresAt).toBeDefined();
+
+    // Nothing has expired yet
+    let results = await runJobs();
+    expect(results['expire-pending-holds']).toBe(0);
+
+    results = await runJobs(new Date(Date.now() + 2 * DAY_MS));
+    expect(results['expire-pending-holds']).toBe(1);
+
+    const expired = await Reservation.findById(response.body.data._id);
+    expect(expired.status).toBe('expired');
+    expect(expired.history[0]).toMatchObject({ field: 'status', from: 'pending', to: 'expired' });
+    expect(await RoomNight.countDocuments()).toBe(0);
+  });
+
+  it('should complete finished stays and mark no-shows', async () => {
+    const finished = await createReservation({
+      startDate: new Date(Date.now() - 5 * DAY_MS),
+      endDate: new Date(Date.now() - DAY_MS),
+      status: 'confirmed',
+      checkedInAt: new Date(Date.now() - 5 * DAY_MS)
+    });
+    const noShow = await createReservation({
+      startDate: new Date(Date.now() - 5 * DAY_MS),
+      endDate: new Date(Date.now() - DAY_MS),
+      status: 'confirmed'
+    });
+    const running = await createReservation({
+      startDate: new Date(Date.now() - 2 * DAY_MS),
+      endDate: new Date(Date.now() + 2 * DAY_MS),
+      status: 'confirmed'
+    });
+    const upcoming = await createReservation({
+      startDate: new Date(Date.now() + 5 * DAY_MS),
+      endDate: new Date(Date.now() + 7 * DAY_MS),
+      status: 'confirmed'
+    });
+
+    const results = await runJobs();
+
+    expect(results['complete-finished-stays']).toBe(1);
+    expect(results['mark-no-shows']).toBe(1);
+    expect((await Reservation.findById(finished._id)).status).toBe('completed');
+    expect((await Reservation.findById(noShow._id)).status).toBe('no_show');
+    expect((await Reservation.findById(running._id)).status).toBe('confirmed');
+    expect((await Reservation.findById(upcoming._id)).status).toBe('confirmed');
+  });
+
+  it('should complete stays made before check-ins were recorded', async () => {
+    const legacy = await createReservation({
+      startDate: new Date(Date.now() - 5 * DAY_MS),
+      endDate: new Date(Date.now() - DAY_MS),
+      status: 'confirmed'
+    });
+    await Reservation.collection.updateOne({ _id: legacy._id }, { $unset: { expectsCheckIn: '' } });
+
+    const results = await runJobs();
+
+    expect(results['mark-no-shows']).toBe(0);
+    expect((await Reservation.findById(legacy._id)).status).toBe('completed');
+  });
+
+  it('should skip jobs locked by another instance', async () => {
+    await createReservation({
+      startDate: new Date(Date.now() - 5 * DAY_MS),
+      endDate: new Date(Date.now() - DAY_MS),
+      status: 'confirmed',
+      checkedInAt: new Date(Date.now() - 5 * DAY_MS)
+    });
+    await JobLock.create({
+      _id: 'complete-finished-stays',
+      owner: 'other-instance',
+      lockedUntil: new Date(Date.now() + HOUR_MS)
+    });
+
+    const results = await runJobs();
+
+    expect(results['complete-finished-stays']).toBeNull();
+    expect(await Reservation.countDocuments({ status: 'completed' })).toBe(0);
+  });
+
+  it('should let the host check in a started stay, and nobody else but admins', async () => {
+    const host = await User.create({ name: 'Host User', email: 'host@test.com', role: 'provider' });
+    await Property.updateOne({ _id: testProperty._id }, { ownerId: host._id });
+
+    const reservation = await createReservation({
+      startDate: new Date(Date.now() - HOUR_MS),
+      endDate: new Date(Date.now() + 2 * DAY_MS),
+      status: 'confirmed'
+    });
+
+    await request(app)
+      .patch(`/api/reservations/${reservation._id}/check-in`)
+      .set(testHelpers.getAuthHeaders({ _id: testUser._id.toString() }))
+      .expect(403);
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}/check-in`)
+      .set(testHelpers.getAuthHeaders({ _id: host._id.toString(), role: 'provider' }))
+      .expect(200);
+
+    expect(response.body.data.checkedInAt).toBeDefined();
+  });
+
+  it('should free the rest of the stay when the host marks a no-show', async () => {
+    const host = await User.create({ name: 'Host User', email: 'host@test.com', role: 'provider' });
+    await Property.updateOne({ _id: testProperty._id }, { ownerId: host._id });
+
+    const reservation = await createReservation({
+      startDate: new Date(Date.now() - DAY_MS),
+      endDate: new Date(Date.now() + 2 * DAY_MS),
+      status: 'confirmed'
+    });
+    await RoomNight.claim({
+      reservationId: reservation._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: reservation.startDate,
+      endDate: reservation.endDate
+    });
+
+    // The scheduler leaves a stay that is still running alone
+    await runJobs();
+    expect((await Reservation.findById(reservation._id)).status).toBe('confirmed');
+
+    await request(app)
+      .patch(`/api/reservations/${reservation._id}/status`)
+      .set(testHelpers.getAuthHeaders({ _id: host._id.toString(), role: 'provider' }))
+      .send({ status: 'no_show', reason: 'Guest never arrived' })
+      .expect(200);
+
+    expect((await Reservation.findById(reservation._id)).status).toBe('no_show');
+    expect(await RoomNight.countDocuments({ reservationId: reservation._id })).toBe(0);
+  });
+
+  it('should free the rest of the stay when an admin marks a no-show through PUT', async () => {
+    const reservation = await createReservation({
+      startDate: new Date(Date.now() - DAY_MS),
+      endDate: new Date(Date.now() + 2 * DAY_MS),
+      status: 'confirmed'
+    });
+    await RoomNight.claim({
+      reservationId: reservation._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: reservation.startDate,
+      endDate: reservation.endDate
+    });
+
+    const response = await request(app)
+      .put(`/api/reservations/${reservation._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'no_show', reason: 'Guest never arrived' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('no_show');
+    expect(response.body.data.history.slice(-1)[0]).toMatchObject({ from: 'confirmed', to: 'no_show', reason: 'Guest never arrived' });
+    expect(await RoomNight.countDocuments({ reservationId: reservation._id })).toBe(0);
+  });
+
+  it('should let admins check in a started stay', async () => {
+    const reservation = await createReservation({
+      startDate: new Date(Date.now() - HOUR_MS),
+      endDate: new Date(Date.now() + 2 * DAY_MS),
+      status: 'confirmed'
+    });
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}/check-in`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(200);
+
+    expect(response.body.data.checkedInAt).toBeDefined();
+
+    await request(app)
+      .patch(`/api/reservations/${reservation._id}/check-in`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(409);
+  });
+});
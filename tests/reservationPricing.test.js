@@ -0,0 +1,228 @@
+// tests/reservationPricing.test.js - Tests para cotizaciones y precios calculados en el servidor
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Reservation Pricing', () => {
+  let testUser;
+  let testProperty;
+  let authHeaders;
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('POST /api/reservations/quote', () => {
+    it('should return an itemized quote', async () => {
+      const response = await request(app)
+        .post('/api/reservations/quote')
+        .send({
+          propertyId: testProperty._id.toString(),
+          roomId: 'TEST001',
+          startDate: '2030-06-01',
+          endDate: '2030-06-04',
+          numGuests: 2
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.nights).toBe(3);
+      expect(response.body.data.nightlyRate).toBe(100);
+      expect(response.body.data.subtotal).toBe(300);
+      expect(response.body.data.fees).toEqual([]);
+      expect(response.body.data.total).toBe(300);
+    });
+
+    it('should reject guests over room capacity', async () => {
+      const response = await request(app)
+        .post('/api/reservations/quote')
+        .send({
+          propertyId: testProperty._id.toString(),
+          roomId: 'TEST001',
+          startDate: '2030-06-01',
+          endDate: '2030-06-04',
+          numGuests: 3
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('exceeds room capacity');
+    });
+  });
+
+  describe('POST /api/reservations', () => {
+    it('should price the reservation on the server when no total is sent', async () => {
+      const response = await request(app)
+        .post('/api/reservations')
+        .set(authHeaders)
+        .send({
+          propertyId: testProperty._id.toString(),
+          roomId: 'TEST001',
+          startDate: '2030-06-01',
+          endDate: '2030-06-03',
+          numGuests: 2
+        })
+        .expect(201);
+
+      expect(response.body.data.totalAmount).toBe(200);
+      expect(response.body.data.priceBreakdown.subtotal).toBe(200);
+    });
+
+    it('should reject a client total that does not match the quote', async () => {
+      const response = await request(app)
+        .post('/api/reservations')
+        .set(authHeaders)
+        .send({
+          propertyId: testProperty._id.toString(),
+          roomId: 'TEST001',
+          startDate: '2030-06-01',
+          endDate: '2030-06-03',
+          numGuests: 2,
+          totalAmount: 150
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('does not match expected price');
+    });
+  });
+
+  describe('Seasonal and weekday rates', () => {
+    beforeEach(async () => {
+      await Property.updateOne(
+        { _id: testProperty._id },
+        {
+          $set: {
+            // 2030-06-07 is a Friday
+            'rooms.0.weekdayRates': [{ dayOfWeek: 5, pricePerNight: 150 }],
+            'rooms.0.rateOverrides': [
+              { name: 'High season', startDate: new Date('2030-07-01'), endDate: new Date('2030-08-31'), pricePerNight: 200 },
+              { name: 'Holiday', startDate: new Date('2030-07-04'), endDate: new Date('2030-07-04'), pricePerNight: 300 }
+            ]
+          }
+        }
+      );
+    });
+
+    it('should price each night from the room rate rules', async () => {
+      const weekend = await request(app)
+        .post('/api/reservations/quote')
+        .send({
+          propertyId: testProperty._id.toString(),
+          roomId: 'TEST001',
+          startDate: '2030-06-06',
+          endDate: '2030-06-09',
+          numGuests: 1
+        })
+        .expect(200);
+
+      expect(weekend.body.data.nightlyRates.map(n => n.rate)).toEqual([100, 150, 100]);
+      expect(weekend.body.data.total).toBe(350);
+
+      const holiday = await request(app)
+        .post('/api/reservations/quote')
+        .send({
+          propertyId: testProperty._id.toString(),
+          roomId: 'TEST001',
+          startDate: '2030-07-03',
+          endDate: '2030-07-05',
+          numGuests: 1
+        })
+        .expect(200);
+
+      expect(holiday.body.data.nightlyRates.map(n => n.rate)).toEqual([200, 300]);
+      expect(holiday.body.data.total).toBe(500);
+    });
+
+    it('should filter listings by the rate of the requested stay', async () => {
+      const lowSeason = await request(app)
+        .get('/api/properties?maxPrice=120&checkIn=2030-06-03&checkOut=2030-06-05')
+        .expect(200);
+
+      expect(lowSeason.body.data).toHaveLength(1);
+
+      const highSeason = await request(app)
+        .get('/api/properties?maxPrice=120&checkIn=2030-07-10&checkOut=2030-07-12')
+        .expect(200);
+
+      expect(highSeason.body.data).toHaveLength(0);
+      expect(highSeason.body.pagination.total).toBe(0);
+    });
+
+    it('should only list rooms whose seasonal rates can reach the minimum price', async () => {
+      const holiday = await request(app)
+        .get('/api/properties?minPrice=250&checkIn=2030-07-03&checkOut=2030-07-05')
+        .expect(200);
+
+      expect(holiday.body.data).toHaveLength(1);
+      expect(holiday.body.data[0].rooms[0].averageNightlyRate).toBe(250);
+
+      const lowSeason = await request(app)
+        .get('/api/properties?minPrice=250&checkIn=2030-06-03&checkOut=2030-06-10')
+        .expect(200);
+
+      expect(lowSeason.body.pagination.total).toBe(0);
+    });
+
+    it('should reject stay dates that cannot be priced', async () => {
+      const invalid = await request(app)
+        .get('/api/properties?maxPrice=120&checkIn=garbage')
+        .expect(400);
+
+      expect(invalid.body.errors).toEqual(['"checkIn" must be in ISO 8601 date format']);
+
+      const reversed = await request(app)
+        .get('/api/properties?maxPrice=120&checkIn=2030-06-05&checkOut=2030-06-03')
+        .expect(400);
+
+      expect(reversed.body.errors).toEqual(['"checkOut" must be after "checkIn"']);
+
+      const tooLong = await request(app)
+        .get('/api/properties?maxPrice=120&checkIn=2030-06-01&checkOut=2430-06-01')
+        .expect(400);
+
+      expect(tooLong.body.errors).toEqual(['Stay cannot be longer than 365 nights']);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// tests/reservationStatus.test.js - Tests para transiciones de estado e historial
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Reservation Status Transitions', () => {
+  let testUser;
+  let testProperty;
+  let testReservation;
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    testReservation = await Reservation.create({
+      userId: testUser._id,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: new Date('2030-04-01'),
+      endDate: new Date('2030-04-03'),
+      numGuests: 2,
+      totalAmount: 200,
+      status: 'pending'
+    });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should apply an allowed transition and record it in the history', async () => {
+    await Reservation.updateOne({ _id: testReservation._id }, { paymentStatus: 'authorized' });
+
+    const response = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/status`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'confirmed', reason: 'Payment verified' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('confirmed');
+
+    const history = await request(app)
+      .get(`/api/reservations/${testReservation._id}/history`)
+      .set(testHelpers.getAuthHeaders({ _id: testUser._id.toString() }))
+      .expect(200);
+
+    expect(history.body.data.history).toHaveLength(1);
+    expect(history.body.data.history[0]).toMatchObject({
+      field: 'status',
+      from: 'pending',
+      to: 'confirmed',
+      reason: 'Payment verified'
+    });
+  });
+
+  it('should reject transitions out of a final status', async () => {
+    await Reservation.updateOne({ _id: testReservation._id }, { status: 'cancelled' });
+
+    const response = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/status`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'confirmed' })
+      .expect(409);
+
+    expect(response.body.message).toContain('from cancelled to confirmed');
+  });
+
+  it('should apply the same rules to status changes through PUT', async () => {
+    await Reservation.updateOne({ _id: testReservation._id }, { status: 'completed' });
+
+    const response = await request(app)
+      .put(`/api/reservations/${testReservation._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'pending' })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+
+    const payment = await request(app)
+      .put(`/api/reservations/${testReservation._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ paymentStatus: 'paid', reason: 'Paid at the front desk' })
+      .expect(400);
+
+    expect(payment.body.errors[0]).toContain('follows the payments of the reservation');
+  });
+
+  it('should not confirm a reservation without an authorized payment', async () => {
+    const response = await request(app)
+      .patch(`/api/reservations/${testReservation._id}/status`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'confirmed' })
+      .expect(402);
+
+    expect(response.body.message).toBe('Reservation needs an authorized payment before it can be confirmed');
+  });
+
+  it('should not let other users read the history', async () => {
+    await request(app)
+      .get(`/api/reservations/${testReservation._id}/history`)
+      .set(testHelpers.getAuthHeaders())
+      .expect(403);
+  });
+});
@@ -287,8 +287,7 @@ describe('Reservations Collection - GET, POST, PUT', () => {
       const adminHeaders = testHelpers.getAdminHeaders();
 
       const updateData = {
-        status: 'completed',
-        paymentStatus: 'paid'
+        status: 'completed'
       };
 
       const response = await request(app)
@@ -0,0 +1,380 @@
+// tests/reviews.test.js - Tests para reseñas de huéspedes
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Property reviews', () => {
+  let guest;
+  let host;
+  let testProperty;
+  let completedStay;
+  let guestHeaders;
+
+  const scores = (value = 5) => ({
+    cleanliness: value,
+    accuracy: value,
+    checkIn: value,
+    communication: value,
+    location: value,
+    value
+  });
+
+  const stay = (fields = {}) => Reservation.create({
+    userId: guest._id,
+    propertyId: testProperty._id,
+    roomId: 'ROOM001',
+    startDate: new Date('2024-04-01'),
+    endDate: new Date('2024-04-03'),
+    numGuests: 2,
+    totalAmount: 200,
+    status: 'completed',
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await Review.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    guest = await User.create({
+      name: 'Guest User',
+      email: 'guest@test.com',
+      role: 'user'
+    });
+
+    host = await User.create({
+      name: 'Host User',
+      email: 'host@test.com',
+      role: 'provider'
+    });
+
+    testProperty = await Property.create({
+      ownerId: host._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        { roomId: 'ROOM001', type: 'double', capacity: 2, pricePerNight: 100, isAvailable: true }
+      ],
+      isActive: true
+    });
+
+    completedStay = await stay();
+
+    guestHeaders = testHelpers.getAuthHeaders({
+      _id: guest._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await Review.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should let the guest review a completed stay and update the property rating', async () => {
+    const response = await request(app)
+      .post(`/api/properties/${testProperty._id}/reviews`)
+      .set(guestHeaders)
+      .send({
+        reservationId: completedStay._id.toString(),
+        scores: { ...scores(4), cleanliness: 5, value: 3 },
+        comment: 'Lovely place'
+      })
+      .expect(201);
+
+    expect(response.body.data.rating).toBe(4);
+    expect(response.body.property).toEqual({ rating: 4, reviewCount: 1 });
+
+    await request(app)
+      .post(`/api/properties/${testProperty._id}/reviews`)
+      .set(guestHeaders)
+      .send({ reservationId: (await stay())._id.toString(), scores: scores(5), comment: 'Even better' })
+      .expect(201);
+
+    const property = await Property.findById(testProperty._id);
+    expect(property.rating).toBe(4.5);
+    expect(property.reviewCount).toBe(2);
+
+    const list = await request(app)
+      .get(`/api/properties/${testProperty._id}/reviews`)
+      .expect(200);
+
+    expect(list.body.count).toBe(2);
+    expect(list.body.summary).toMatchObject({ rating: 4.5, reviewCount: 2 });
+    expect(list.body.summary.scores.cleanliness).toBe(5);
+    expect(list.body.data[0].comment).toBe('Even better');
+  });
+
+  it('should let a stay be reviewed only once', async () => {
+    const review = { reservationId: completedStay._id.toString(), scores: scores(), comment: 'Great' };
+
+    await request(app)
+      .post(`/api/properties/${testProperty._id}/reviews`)
+      .set(guestHeaders)
+      .send(review)
+      .expect(201);
+
+    await request(app)
+      .post(`/api/properties/${testProperty._id}/reviews`)
+      .set(guestHeaders)
+      .send(review)
+      .expect(409);
+  });
+
+  it('should reject stays that are not completed or belong to another guest', async () => {
+    const upcoming = await stay({ startDate: new Date('2030-04-01'), endDate: new Date('2030-04-03'), status: 'confirmed' });
+
+    const notCompleted = await request(app)
+      .post(`/api/properties/${testProperty._id}/reviews`)
+      .set(guestHeaders)
+      .send({ reservationId: upcoming._id.toString(), scores: scores(), comment: 'Too soon' })
+      .expect(400);
+
+    expect(notCompleted.body.message).toContain('Only completed stays');
+
+    await request(app)
+      .post(`/api/properties/${testProperty._id}/reviews`)
+      .set(testHelpers.getAuthHeaders({ _id: host._id.toString(), role: 'provider' }))
+      .send({ reservationId: completedStay._id.toString(), scores: scores(1), comment: 'Not mine' })
+      .expect(403);
+  });
+
+  it('should reject scores out of range', async () => {
+    await request(app)
+      .post(`/api/properties/${testProperty._id}/reviews`)
+      .set(guestHeaders)
+      .send({ reservationId: completedStay._id.toString(), scores: scores(6), comment: 'Off the charts' })
+      .expect(400);
+  });
+
+  it('should let only the host reply', async () => {
+    const review = await Review.create({
+      reservationId: completedStay._id,
+      propertyId: testProperty._id,
+      userId: guest._id,
+      scores: scores(4),
+      comment: 'Good stay'
+    });
+
+    await request(app)
+      .put(`/api/properties/${testProperty._id}/reviews/${review._id}/reply`)
+      .set(guestHeaders)
+      .send({ text: 'Replying to myself' })
+      .expect(403);
+
+    const response = await request(app)
+      .put(`/api/properties/${testProperty._id}/reviews/${review._id}/reply`)
+      .set(testHelpers.getAuthHeaders({ _id: host._id.toString(), role: 'provider' }))
+      .send({ text: 'Thanks for staying with us' })
+      .expect(200);
+
+    expect(response.body.data.reply.text).toBe('Thanks for staying with us');
+  });
+
+  it('should not let owners set the rating through the property', async () => {
+    await request(app)
+      .put(`/api/properties/${testProperty._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({
+        ownerId: host._id.toString(),
+        name: 'Test Property',
+        address: { city: 'Test City', country: 'Test Country' },
+        rating: 5,
+        reviewCount: 100
+      })
+      .expect(400);
+  });
+});
+
+describe('Vehicle reviews', () => {
+  let renter;
+  let provider;
+  let sedan;
+  let suv;
+  let renterHeaders;
+
+  const carScores = (value = 5) => ({ condition: value, cleanliness: value, comfort: value, value });
+  const providerScores = (value = 5) => ({ communication: value, pickupAndReturn: value });
+
+  const rental = (vehicle, fields = {}) => Reservation.create({
+    userId: renter._id,
+    reservationType: 'vehicle',
+    vehicleId: vehicle._id,
+    startDate: new Date('2024-04-01'),
+    endDate: new Date('2024-04-03'),
+    numGuests: 1,
+    totalAmount: 100,
+    status: 'completed',
+    ...fields
+  });
+
+  const vehicle = fields => Vehicle.create({
+    providerId: provider._id,
+    make: 'Toyota',
+    model: 'Camry',
+    year: 2022,
+    type: 'sedan',
+    seats: 5,
+    pricePerDay: 50,
+    location: { city: 'Test City' },
+    isAvailable: true,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await Review.deleteMany({});
+    await Reservation.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+
+    renter = await User.create({
+      name: 'Renter User',
+      email: 'renter@test.com',
+      role: 'user'
+    });
+
+    provider = await User.create({
+      name: 'Provider User',
+      email: 'provider@test.com',
+      role: 'provider'
+    });
+
+    sedan = await vehicle({ licensePlate: 'REVIEW1' });
+    suv = await vehicle({ licensePlate: 'REVIEW2', type: 'suv', model: 'RAV4', pricePerDay: 80 });
+
+    renterHeaders = testHelpers.getAuthHeaders({
+      _id: renter._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await Review.deleteMany({});
+    await Reservation.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should rate the car and, apart, its provider over all their cars', async () => {
+    const response = await request(app)
+      .post(`/api/vehicles/${sedan._id}/reviews`)
+      .set(renterHeaders)
+      .send({
+        reservationId: (await rental(sedan))._id.toString(),
+        scores: carScores(4),
+        providerScores: providerScores(5),
+        comment: 'Smooth ride'
+      })
+      .expect(201);
+
+    expect(response.body.vehicle).toEqual({ rating: 4, reviewCount: 1 });
+    expect(response.body.provider).toEqual({ rating: 5, reviewCount: 1 });
+
+    await request(app)
+      .post(`/api/vehicles/${suv._id}/reviews`)
+      .set(renterHeaders)
+      .send({
+        reservationId: (await rental(suv))._id.toString(),
+        scores: carScores(5),
+        providerScores: providerScores(4),
+        comment: 'Roomy'
+      })
+      .expect(201);
+
+    const detail = await request(app)
+      .get(`/api/vehicles/${sedan._id}`)
+      .expect(200);
+
+    expect(detail.body.data).toMatchObject({ rating: 4, reviewCount: 1 });
+    expect(detail.body.data.providerId).toMatchObject({ providerRating: 4.5, providerReviewCount: 2 });
+
+    const list = await request(app)
+      .get(`/api/vehicles/${sedan._id}/reviews`)
+      .expect(200);
+
+    expect(list.body.summary).toMatchObject({ rating: 4, reviewCount: 1 });
+    expect(list.body.summary.scores.condition).toBe(4);
+  });
+
+  it('should filter by minimum rating and sort by rating', async () => {
+    await Vehicle.updateOne({ _id: sedan._id }, { rating: 3.5, reviewCount: 4 });
+    await Vehicle.updateOne({ _id: suv._id }, { rating: 4.8, reviewCount: 2 });
+
+    const byRating = await request(app)
+      .get('/api/vehicles')
+      .query({ sort: 'rating' })
+      .expect(200);
+
+    expect(byRating.body.data.map(v => v.licensePlate)).toEqual(['REVIEW2', 'REVIEW1']);
+
+    const rated = await request(app)
+      .get('/api/vehicles')
+      .query({ minRating: 4 })
+      .expect(200);
+
+    expect(rated.body.data.map(v => v.licensePlate)).toEqual(['REVIEW2']);
+  });
+
+  it('should only accept one review of a completed rental by its renter', async () => {
+    const completed = await rental(sedan);
+    const review = {
+      reservationId: completed._id.toString(),
+      scores: carScores(),
+      providerScores: providerScores(),
+      comment: 'Great'
+    };
+
+    await request(app)
+      .post(`/api/vehicles/${sedan._id}/reviews`)
+      .set(testHelpers.getAuthHeaders({ _id: provider._id.toString(), role: 'provider' }))
+      .send(review)
+      .expect(403);
+
+    await request(app)
+      .post(`/api/vehicles/${suv._id}/reviews`)
+      .set(renterHeaders)
+      .send(review)
+      .expect(404);
+
+    await request(app)
+      .post(`/api/vehicles/${sedan._id}/reviews`)
+      .set(renterHeaders)
+      .send(review)
+      .expect(201);
+
+    await request(app)
+      .post(`/api/vehicles/${sedan._id}/reviews`)
+      .set(renterHeaders)
+      .send(review)
+      .expect(409);
+
+    const upcoming = await rental(sedan, { startDate: new Date('2030-04-01'), endDate: new Date('2030-04-03'), status: 'confirmed' });
+
+    await request(app)
+      .post(`/api/vehicles/${sedan._id}/reviews`)
+      .set(renterHeaders)
+      .send({ ...review, reservationId: upcoming._id.toString() })
+      .expect(400);
+  });
+
+  it('should require the provider scores', async () => {
+    await request(app)
+      .post(`/api/vehicles/${sedan._id}/reviews`)
+      .set(renterHeaders)
+      .send({ reservationId: (await rental(sedan))._id.toString(), scores: carScores(), comment: 'Nice' })
+      .expect(400);
+  });
+});
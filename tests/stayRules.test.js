@@ -0,0 +1,126 @@
+// tests/stayRules.test.js - Tests para las restricciones de estancia de una propiedad
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Stay Rules - minimum/maximum stay and booking window', () => {
+  let testUser;
+  let testProperty;
+  let authHeaders;
+
+  const book = (body) => request(app)
+    .post('/api/reservations')
+    .set(authHeaders)
+    .send({
+      propertyId: testProperty._id.toString(),
+      roomId: 'TEST001',
+      numGuests: 2,
+      ...body
+    });
+
+  beforeEach(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      policies: {
+        minNights: 3,
+        maxNights: 7,
+        closedToArrival: [0],
+        minLeadHours: 48
+      },
+      isActive: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should accept a stay that follows every rule', async () => {
+    await book({ startDate: '2030-09-02', endDate: '2030-09-05' }).expect(201);
+  });
+
+  it('should reject stays shorter or longer than allowed', async () => {
+    const short = await book({ startDate: '2030-09-02', endDate: '2030-09-04' }).expect(400);
+    expect(short.body.errors).toContain('Stay must be at least 3 nights (requested 2)');
+
+    const long = await book({ startDate: '2030-09-02', endDate: '2030-09-12' }).expect(400);
+    expect(long.body.errors).toContain('Stay cannot be longer than 7 nights (requested 10)');
+  });
+
+  it('should reject check-in on a day closed to arrival', async () => {
+    const response = await book({ startDate: '2030-09-01', endDate: '2030-09-04' }).expect(400);
+
+    expect(response.body.errors).toEqual(['Check-in is not allowed on Sunday']);
+  });
+
+  it('should reject bookings inside the lead time or beyond the horizon', async () => {
+    const tomorrow = new Date(Date.now() + DAY_MS);
+    const soon = await book({
+      startDate: tomorrow.toISOString(),
+      endDate: new Date(tomorrow.getTime() + 3 * DAY_MS).toISOString()
+    }).expect(400);
+
+    expect(soon.body.errors).toContain('Reservations must be made at least 48 hours before check-in');
+
+    await Property.updateOne({ _id: testProperty._id }, { 'policies.maxAdvanceDays': 30 });
+
+    const far = await book({ startDate: '2030-09-02', endDate: '2030-09-05' }).expect(400);
+    expect(far.body.errors).toEqual(['Reservations cannot be made more than 30 days in advance']);
+  });
+
+  it('should expose the rules and closed arrival nights in the availability calendar', async () => {
+    const response = await request(app)
+      .get(`/api/properties/${testProperty._id}/availability`)
+      .query({ from: '2030-08-31', to: '2030-09-03' })
+      .expect(200);
+
+    expect(response.body.data.stayRules).toMatchObject({
+      minNights: 3,
+      maxNights: 7,
+      closedToArrival: [0],
+      minLeadHours: 48
+    });
+    expect(response.body.data.closedToArrival).toEqual(['2030-09-01']);
+  });
+});
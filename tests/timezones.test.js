@@ -0,0 +1,211 @@
+// tests/timezones.test.js - Tests para estancias en la zona horaria de la propiedad
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+const { localDateKey } = require('../utils/dates');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Zones far enough apart that one of them is always before 20:00
+const ZONES = ['Pacific/Kiritimati', 'Asia/Tokyo', 'Europe/Madrid', 'America/New_York', 'Pacific/Honolulu'];
+
+const localHour = (timeZone) => Number(new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  hourCycle: 'h23',
+  hour: '2-digit'
+}).format(new Date()));
+
+describe('Timezones - stays in the property local time', () => {
+  let testUser;
+  let testProperty;
+  let authHeaders;
+
+  const setClock = (timezone, checkIn = '15:00') => Property.updateOne(
+    { _id: testProperty._id },
+    { timezone, 'policies.checkIn': checkIn }
+  );
+
+  const book = (body) => request(app)
+    .post('/api/reservations')
+    .set(authHeaders)
+    .send({
+      propertyId: testProperty._id.toString(),
+      roomId: 'TEST001',
+      numGuests: 2,
+      ...body
+    });
+
+  const createReservation = (startKey, fields = {}) => Reservation.create({
+    userId: testUser._id,
+    propertyId: testProperty._id,
+    roomId: 'TEST001',
+    startDate: new Date(startKey),
+    endDate: new Date(new Date(startKey).getTime() + 2 * DAY_MS),
+    numGuests: 2,
+    totalAmount: 200,
+    status: 'pending',
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      timezone: 'America/New_York',
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      policies: {
+        checkIn: '3:00 PM',
+        checkOut: '11:00 AM'
+      },
+      isActive: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should store check-in and check-out as HH:mm and reject unknown time zones', async () => {
+    expect(testProperty.policies.checkIn).toBe('15:00');
+    expect(testProperty.policies.checkOut).toBe('11:00');
+
+    await expect(Property.create({
+      ownerId: testUser._id,
+      name: 'Nowhere',
+      address: { city: 'Test City', country: 'Test Country' },
+      timezone: 'Mars/Olympus_Mons'
+    })).rejects.toThrow('Timezone must be an IANA time zone');
+  });
+
+  it('should count nights on the calendar dates of the property', async () => {
+    // 22:00 in New York, already the next day in UTC
+    const response = await book({
+      startDate: '2030-09-03T02:00:00Z',
+      endDate: '2030-09-05T02:00:00Z'
+    }).expect(201);
+
+    expect(response.body.data.startDate).toBe('2030-09-02T00:00:00.000Z');
+    expect(response.body.data.endDate).toBe('2030-09-04T00:00:00.000Z');
+    expect(response.body.data.priceBreakdown.nights).toBe(2);
+
+    const nights = await RoomNight.find({ propertyId: testProperty._id }).sort({ night: 1 });
+    expect(nights.map(n => n.night)).toEqual(['2030-09-02', '2030-09-03']);
+  });
+
+  it('should accept a stay today until the local check-in time', async () => {
+    const zone = ZONES.find(z => localHour(z) < 20);
+    const today = localDateKey(new Date(), zone);
+    const tomorrow = localDateKey(new Date(Date.now() + DAY_MS), zone);
+
+    await setClock(zone, '23:00');
+    await book({ startDate: today, endDate: tomorrow }).expect(201);
+  });
+
+  it('should reject a stay whose local check-in time has passed', async () => {
+    await setClock('Pacific/Kiritimati', '00:00');
+    const today = localDateKey(new Date(), 'Pacific/Kiritimati');
+
+    const response = await book({
+      startDate: today,
+      endDate: localDateKey(new Date(Date.now() + 2 * DAY_MS), 'Pacific/Kiritimati')
+    }).expect(400);
+
+    expect(response.body.errors).toContain('Start date cannot be in the past');
+  });
+
+  it('should not let guests cancel or delete a stay after the local check-in time', async () => {
+    await setClock('Asia/Tokyo', '00:00');
+    const reservation = await createReservation(localDateKey(new Date(), 'Asia/Tokyo'));
+
+    const cancel = await request(app)
+      .patch(`/api/reservations/${reservation._id}/status`)
+      .set(authHeaders)
+      .send({ status: 'cancelled' })
+      .expect(400);
+    expect(cancel.body.message).toBe('Cannot cancel reservation that has already started');
+
+    const remove = await request(app)
+      .delete(`/api/reservations/${reservation._id}`)
+      .set(authHeaders)
+      .expect(403);
+    expect(remove.body.message).toBe('Cannot delete reservation that has already started');
+  });
+
+  it('should let guests cancel a stay that starts tomorrow in the property time zone', async () => {
+    await setClock('Pacific/Honolulu', '00:00');
+    const reservation = await createReservation(localDateKey(new Date(Date.now() + DAY_MS), 'Pacific/Honolulu'));
+
+    const response = await request(app)
+      .patch(`/api/reservations/${reservation._id}/status`)
+      .set(authHeaders)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('cancelled');
+  });
+
+  it('should count cancellation deadlines back from the local check-in time', async () => {
+    const reservation = await createReservation('2030-09-10', { status: 'confirmed' });
+
+    const response = await request(app)
+      .get(`/api/reservations/${reservation._id}/cancellation`)
+      .set(authHeaders)
+      .expect(200);
+
+    // 15:00 in New York (UTC-4 in September)
+    expect(response.body.data.tiers.map(tier => tier.deadline)).toEqual([
+      '2030-09-05T19:00:00.000Z',
+      '2030-09-09T19:00:00.000Z'
+    ]);
+  });
+
+  it('should expose the property clock in the availability calendar', async () => {
+    const response = await request(app)
+      .get(`/api/properties/${testProperty._id}/availability`)
+      .query({ from: '2030-09-01', to: '2030-09-03' })
+      .expect(200);
+
+    expect(response.body.data.clock).toEqual({
+      timeZone: 'America/New_York',
+      checkIn: '15:00',
+      checkOut: '11:00'
+    });
+  });
+});
@@ -0,0 +1,265 @@
+// tests/trips.test.js - Tests para paquetes de viaje (estancia + vehículo)
+const request = require('supertest');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const { runJobs } = require('../services/scheduler');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+describe('Trip Packages - /api/trips', () => {
+  let testUser;
+  let testProperty;
+  let testVehicle;
+  let authHeaders;
+
+  const tripRequest = (body = {}) => ({
+    propertyId: testProperty._id.toString(),
+    roomId: 'TEST001',
+    vehicleId: testVehicle._id.toString(),
+    startDate: '2030-09-01',
+    endDate: '2030-09-04',
+    numGuests: 2,
+    ...body
+  });
+
+  beforeEach(async () => {
+    await Trip.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+
+    process.env.TRIP_BUNDLE_DISCOUNT_PERCENT = '10';
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'user@test.com',
+      role: 'user'
+    });
+
+    testProperty = await Property.create({
+      ownerId: testUser._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    testVehicle = await Vehicle.create({
+      providerId: testUser._id,
+      make: 'Toyota',
+      model: 'Camry',
+      year: 2022,
+      type: 'sedan',
+      seats: 5,
+      pricePerDay: 50,
+      location: { city: 'Test City' },
+      licensePlate: 'TRIP001',
+      isAvailable: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: testUser._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.TRIP_BUNDLE_DISCOUNT_PERCENT;
+    await Trip.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should book the stay and the rental as one discounted total', async () => {
+    const response = await request(app)
+      .post('/api/trips')
+      .set(authHeaders)
+      .send(tripRequest())
+      .expect(201);
+
+    expect(response.body.data.pricing).toMatchObject({
+      stayTotal: 270,
+      rentalTotal: 135,
+      subtotal: 450,
+      discountPercent: 10,
+      discountAmount: 45,
+      total: 405
+    });
+    expect(response.body.data.stayReservationId.roomId).toBe('TEST001');
+    expect(response.body.data.rentalReservationId.priceBreakdown.discounts[0].amount).toBe(15);
+
+    const parts = await Reservation.find({ tripId: response.body.data._id });
+    expect(parts.map(part => part.reservationType).sort()).toEqual(['property', 'vehicle']);
+  });
+
+  it('should book nothing when the vehicle is taken', async () => {
+    await Reservation.create({
+      reservationType: 'vehicle',
+      userId: testUser._id,
+      vehicleId: testVehicle._id,
+      startDate: new Date('2030-09-03'),
+      endDate: new Date('2030-09-06'),
+      numGuests: 1,
+      totalAmount: 150,
+      status: 'confirmed'
+    });
+
+    const response = await request(app)
+      .post('/api/trips')
+      .set(authHeaders)
+      .send(tripRequest())
+      .expect(409);
+
+    expect(response.body.conflicts).toEqual({ room: false, vehicle: true });
+    expect(await Trip.countDocuments()).toBe(0);
+    expect(await Reservation.countDocuments({ reservationType: 'property' })).toBe(0);
+    expect(await RoomNight.countDocuments()).toBe(0);
+  });
+
+  it('should cancel both parts under their own policies', async () => {
+    const trip = await request(app)
+      .post('/api/trips')
+      .set(authHeaders)
+      .send(tripRequest())
+      .expect(201);
+
+    const preview = await request(app)
+      .get(`/api/trips/${trip.body.data._id}/cancellation`)
+      .set(authHeaders)
+      .expect(200);
+
+    expect(preview.body.data.parts.map(part => part.policy).sort()).toEqual(['flexible', 'moderate']);
+
+    const response = await request(app)
+      .patch(`/api/trips/${trip.body.data._id}/cancel`)
+      .set(authHeaders)
+      .send({ reason: 'Plans changed' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('cancelled');
+    expect(response.body.data.parts.map(part => part.status)).toEqual(['cancelled', 'cancelled']);
+    expect(await RoomNight.countDocuments()).toBe(0);
+
+    await request(app)
+      .patch(`/api/trips/${trip.body.data._id}/cancel`)
+      .set(authHeaders)
+      .expect(409);
+  });
+
+  it('should not cancel or delete one part of a trip on its own', async () => {
+    const trip = await request(app)
+      .post('/api/trips')
+      .set(authHeaders)
+      .send(tripRequest())
+      .expect(201);
+
+    const response = await request(app)
+      .patch(`/api/reservations/${trip.body.data.stayReservationId._id}/status`)
+      .set(authHeaders)
+      .send({ status: 'cancelled' })
+      .expect(409);
+
+    expect(response.body.message).toBe('A trip reservation cannot be cancelled on its own, cancel the trip instead');
+
+    await request(app)
+      .put(`/api/reservations/${trip.body.data.rentalReservationId._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .send({ status: 'cancelled' })
+      .expect(409);
+
+    await request(app)
+      .delete(`/api/reservations/${trip.body.data.rentalReservationId._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(409);
+  });
+
+  it('should cancel the trip when the hold of one part expires', async () => {
+    const trip = await request(app)
+      .post('/api/trips')
+      .set(authHeaders)
+      .send(tripRequest())
+      .expect(201);
+
+    await Reservation.updateOne({ _id: trip.body.data.stayReservationId._id }, { status: 'confirmed' });
+    await runJobs(new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+
+    const [cancelledTrip, stay, rental] = await Promise.all([
+      Trip.findById(trip.body.data._id),
+      Reservation.findById(trip.body.data.stayReservationId._id),
+      Reservation.findById(trip.body.data.rentalReservationId._id)
+    ]);
+
+    expect(cancelledTrip.status).toBe('cancelled');
+    expect(rental.status).toBe('expired');
+    expect(stay.status).toBe('cancelled');
+    expect(await RoomNight.countDocuments()).toBe(0);
+  });
+
+  it('should let guests cancel a trip until check-in at the property', async () => {
+    await Property.updateOne({ _id: testProperty._id }, { timezone: 'Pacific/Honolulu' });
+
+    // Today's stay checks in at 15:00 in Honolulu, after midnight UTC
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+    const shared = { userId: testUser._id, numGuests: 2, totalAmount: 100, status: 'confirmed' };
+
+    const stay = await Reservation.create({
+      ...shared,
+      propertyId: testProperty._id,
+      roomId: 'TEST001',
+      startDate: today,
+      endDate: tomorrow
+    });
+    const rental = await Reservation.create({
+      ...shared,
+      reservationType: 'vehicle',
+      vehicleId: testVehicle._id,
+      startDate: new Date(tomorrow.getTime() + 10 * 60 * 60 * 1000),
+      endDate: new Date(tomorrow.getTime() + 34 * 60 * 60 * 1000)
+    });
+    const trip = await Trip.create({
+      userId: testUser._id,
+      stayReservationId: stay._id,
+      rentalReservationId: rental._id,
+      startDate: today,
+      endDate: tomorrow
+    });
+
+    await request(app)
+      .patch(`/api/trips/${trip._id}/cancel`)
+      .set(authHeaders)
+      .expect(200);
+  });
+
+  it('should quote a trip without booking it', async () => {
+    const response = await request(app)
+      .post('/api/trips/quote')
+      .send(tripRequest())
+      .expect(200);
+
+    expect(response.body.data.pricing.total).toBe(405);
+    expect(await Reservation.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,150 @@
+// tests/vehicleRentals.test.js - Tests para reservas de vehículos
+const request = require('supertest');
+const Vehicle = require('../models/Vehicle');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Vehicle Rentals - POST /api/reservations/vehicles', () => {
+  let provider;
+  let renter;
+  let testVehicle;
+  let authHeaders;
+
+  beforeEach(async () => {
+    await Reservation.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+
+    provider = await User.create({
+      name: 'Vehicle Provider',
+      email: 'provider@test.com',
+      role: 'provider'
+    });
+
+    renter = await User.create({
+      name: 'Renter',
+      email: 'renter@test.com',
+      role: 'user'
+    });
+
+    testVehicle = await Vehicle.create({
+      providerId: provider._id,
+      make: 'Toyota',
+      model: 'Camry',
+      year: 2022,
+      type: 'sedan',
+      seats: 5,
+      pricePerDay: 50,
+      location: { city: 'Test City' },
+      licensePlate: 'RENT001',
+      isAvailable: true
+    });
+
+    authHeaders = testHelpers.getAuthHeaders({
+      _id: renter._id.toString(),
+      role: 'user'
+    });
+  });
+
+  afterAll(async () => {
+    await Reservation.deleteMany({});
+    await Vehicle.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should book a vehicle and price it from pricePerDay', async () => {
+    const pickup = new Date(Date.now() + 7 * DAY);
+    const dropoff = new Date(pickup.getTime() + 3 * DAY);
+
+    const response = await request(app)
+      .post('/api/reservations/vehicles')
+      .set(authHeaders)
+      .send({
+        vehicleId: testVehicle._id.toString(),
+        startDate: pickup.toISOString(),
+        endDate: dropoff.toISOString(),
+        numGuests: 2
+      })
+      .expect(201);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.reservationType).toBe('vehicle');
+    expect(response.body.data.rentalDays).toBe(3);
+    expect(response.body.data.totalAmount).toBe(150);
+    expect(response.body.data.status).toBe('pending');
+  });
+
+  it('should reject overlapping rentals of the same vehicle', async () => {
+    const pickup = new Date(Date.now() + 7 * DAY);
+
+    await Reservation.create({
+      reservationType: 'vehicle',
+      userId: renter._id,
+      vehicleId: testVehicle._id,
+      startDate: pickup,
+      endDate: new Date(pickup.getTime() + 3 * DAY),
+      numGuests: 1,
+      totalAmount: 150,
+      status: 'confirmed'
+    });
+
+    const response = await request(app)
+      .post('/api/reservations/vehicles')
+      .set(authHeaders)
+      .send({
+        vehicleId: testVehicle._id.toString(),
+        startDate: new Date(pickup.getTime() + DAY).toISOString(),
+        endDate: new Date(pickup.getTime() + 5 * DAY).toISOString()
+      })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toContain('already reserved');
+  });
+
+  it('should reject more passengers than vehicle seats', async () => {
+    const pickup = new Date(Date.now() + 7 * DAY);
+
+    const response = await request(app)
+      .post('/api/reservations/vehicles')
+      .set(authHeaders)
+      .send({
+        vehicleId: testVehicle._id.toString(),
+        startDate: pickup.toISOString(),
+        endDate: new Date(pickup.getTime() + DAY).toISOString(),
+        numGuests: 6
+      })
+      .expect(400);
+
+    expect(response.body.message).toContain('exceeds vehicle seats');
+  });
+
+  it('should list vehicle rentals in GET /api/reservations', async () => {
+    const pickup = new Date(Date.now() + 7 * DAY);
+
+    await Reservation.create({
+      reservationType: 'vehicle',
+      userId: renter._id,
+      vehicleId: testVehicle._id,
+      startDate: pickup,
+      endDate: new Date(pickup.getTime() + 2 * DAY),
+      numGuests: 1,
+      totalAmount: 100
+    });
+
+    const response = await request(app)
+      .get('/api/reservations?type=vehicle')
+      .set(authHeaders)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].vehicleId.make).toBe('Toyota');
+  });
+});
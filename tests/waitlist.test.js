@@ -0,0 +1,155 @@
+// tests/waitlist.test.js - Tests para la lista de espera de habitaciones
+const request = require('supertest');
+const JobLock = require('../models/JobLock');
+const Property = require('../models/Property');
+const Reservation = require('../models/Reservation');
+const RoomNight = require('../models/RoomNight');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { runJobs } = require('../services/scheduler');
+
+// Importar la app de testing
+const app = require('../server.test');
+const testHelpers = require('./config/test-helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Room Waitlist', () => {
+  let owner;
+  let guests;
+  let testProperty;
+  let booking;
+
+  const headersFor = (user) => testHelpers.getAuthHeaders({ _id: user._id.toString(), role: 'user' });
+
+  const joinWaitlist = (user, body = {}) => request(app)
+    .post(`/api/properties/${testProperty._id}/rooms/TEST001/waitlist`)
+    .set(headersFor(user))
+    .send({
+      startDate: '2030-07-01',
+      endDate: '2030-07-04',
+      numGuests: 2,
+      ...body
+    });
+
+  beforeEach(async () => {
+    await JobLock.deleteMany({});
+    await WaitlistEntry.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+
+    owner = await User.create({ name: 'Owner', email: 'owner@test.com', role: 'user' });
+    guests = await User.create([
+      { name: 'Guest One', email: 'guest1@test.com', role: 'user' },
+      { name: 'Guest Two', email: 'guest2@test.com', role: 'user' }
+    ]);
+
+    testProperty = await Property.create({
+      ownerId: owner._id,
+      name: 'Test Property',
+      address: {
+        city: 'Test City',
+        country: 'Test Country'
+      },
+      rooms: [
+        {
+          roomId: 'TEST001',
+          type: 'double',
+          capacity: 2,
+          pricePerNight: 100,
+          isAvailable: true
+        }
+      ],
+      isActive: true
+    });
+
+    booking = await request(app)
+      .post('/api/reservations')
+      .set(headersFor(owner))
+      .send({
+        propertyId: testProperty._id.toString(),
+        roomId: 'TEST001',
+        startDate: '2030-07-01',
+        endDate: '2030-07-05',
+        numGuests: 2
+      })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await JobLock.deleteMany({});
+    await WaitlistEntry.deleteMany({});
+    await RoomNight.deleteMany({});
+    await Reservation.deleteMany({});
+    await Property.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should queue guests only for booked dates', async () => {
+    const first = await joinWaitlist(guests[0]).expect(201);
+    const second = await joinWaitlist(guests[1]).expect(201);
+
+    expect(first.body.data.position).toBe(1);
+    expect(second.body.data.position).toBe(2);
+
+    await joinWaitlist(guests[0]).expect(409);
+    await joinWaitlist(guests[0], { startDate: '2030-08-01', endDate: '2030-08-03' }).expect(409);
+  });
+
+  it('should offer a hold to the first guest when the booking is cancelled', async () => {
+    await joinWaitlist(guests[0]).expect(201);
+    await joinWaitlist(guests[1]).expect(201);
+
+    await request(app)
+      .patch(`/api/reservations/${booking.body.data._id}/status`)
+      .set(headersFor(owner))
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/users/me/waitlist')
+      .set(headersFor(guests[0]))
+      .expect(200);
+
+    expect(response.body.count).toBe(1);
+    expect(response.body.data[0].status).toBe('offered');
+    expect(response.body.data[0].reservationId.status).toBe('pending');
+    expect(response.body.data[0].reservationId.holdExpiresAt).toBeDefined();
+
+    const waiting = await WaitlistEntry.findOne({ userId: guests[1]._id });
+    expect(waiting.status).toBe('waiting');
+    expect(await RoomNight.countDocuments({ reservationId: response.body.data[0].reservationId._id })).toBe(3);
+  });
+
+  it('should pass the room on when an offered hold expires', async () => {
+    await joinWaitlist(guests[0]).expect(201);
+    await joinWaitlist(guests[1]).expect(201);
+
+    await request(app)
+      .delete(`/api/reservations/${booking.body.data._id}`)
+      .set(testHelpers.getAdminHeaders())
+      .expect(200);
+
+    await runJobs(new Date(Date.now() + 3 * HOUR_MS));
+
+    const first = await WaitlistEntry.findOne({ userId: guests[0]._id });
+    const second = await WaitlistEntry.findOne({ userId: guests[1]._id }).populate('reservationId');
+
+    expect(first.status).toBe('expired');
+    expect(second.status).toBe('offered');
+    expect(second.reservationId.status).toBe('pending');
+  });
+
+  it('should let guests leave the waitlist', async () => {
+    const entry = await joinWaitlist(guests[0]).expect(201);
+
+    await request(app)
+      .delete(`/api/users/me/waitlist/${entry.body.data._id}`)
+      .set(headersFor(guests[0]))
+      .expect(200);
+
+    expect((await WaitlistEntry.findById(entry.body.data._id)).status).toBe('cancelled');
+  });
+});
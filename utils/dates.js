@@ -0,0 +1,123 @@
+// utils/dates.js - Helpers para trabajar con noches de reserva
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar date (YYYY-MM-DD, UTC) of a Date
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Start of the UTC day for a YYYY-MM-DD key
+const fromDateKey = (key) => new Date(`${key}T00:00:00.000Z`);
+
+// Date keys of every night between check-in and check-out (check-out day excluded)
+const eachNight = (startDate, endDate) => {
+  const nights = [];
+  const last = fromDateKey(toDateKey(endDate));
+
+  for (let day = fromDateKey(toDateKey(startDate)); day < last; day = new Date(day.getTime() + DAY_MS)) {
+    nights.push(toDateKey(day));
+  }
+
+  return nights;
+};
+
+// Date keys of every day a rental covers part of, pickup and return day included
+// (a return at midnight does not take the day it starts)
+const eachRentalDay = (startDate, endDate) => {
+  const days = [];
+  const end = new Date(endDate);
+
+  for (let day = fromDateKey(toDateKey(startDate)); day < end; day = new Date(day.getTime() + DAY_MS)) {
+    days.push(toDateKey(day));
+  }
+
+  return days;
+};
+
+// Number of nights between check-in and check-out
+const countNights = (startDate, endDate) => eachNight(startDate, endDate).length;
+
+// Whether a string is an IANA time zone (Europe/Madrid, America/Bogota, UTC...)
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a time zone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(date));
+
+  return Object.fromEntries(parts.filter(p => p.type !== 'literal').map(p => [p.type, Number(p.value)]));
+};
+
+// Calendar date (YYYY-MM-DD) of a Date in a time zone
+const localDateKey = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Time of day as HH:mm, from '15:00' or the 12-hour '3:00 PM'; null if it is neither
+const parseTimeOfDay = (value) => {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*([AaPp][Mm])?\s*$/.exec(String(value || ''));
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3] && match[3].toUpperCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = hours % 12 + (meridiem === 'PM' ? 12 : 0);
+  } else if (match[2] === undefined) {
+    // A bare number is not a time
+    return null;
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Instant at which the clocks of a time zone show `time` (HH:mm) on a
+// YYYY-MM-DD date. A time a DST change skips lands an hour away.
+const zonedTime = (key, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = fromDateKey(key).getTime() + (hours * 60 + minutes) * 60 * 1000;
+
+  // Offset of the zone at an instant, in ms ahead of UTC
+  const offsetAt = (instant) => {
+    const p = zonedParts(instant, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+  };
+
+  // The offset at the guess can differ from the one at the result around DST changes
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+module.exports = {
+  DAY_MS,
+  toDateKey,
+  fromDateKey,
+  eachNight,
+  eachRentalDay,
+  countNights,
+  isValidTimeZone,
+  localDateKey,
+  parseTimeOfDay,
+  zonedTime
+};
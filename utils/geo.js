@@ -0,0 +1,63 @@
+// utils/geo.js - Helpers para búsquedas por distancia y por zona del mapa
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// GeoJSON point of { lat, lng } coordinates (GeoJSON puts the longitude first)
+const toPoint = (coords) => {
+  if (!coords || typeof coords.lat !== 'number' || typeof coords.lng !== 'number') return undefined;
+  return { type: 'Point', coordinates: [coords.lng, coords.lat] };
+};
+
+// Rectangle of a map view as a GeoJSON polygon, corners in counterclockwise order
+const boxPolygon = ({ minLng, minLat, maxLng, maxLat }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat]
+  ]]
+});
+
+// Point distances are measured from: the one searched near, else the centre of the box
+const originOf = ({ near, bbox }) => (
+  near
+    ? toPoint(near)
+    : toPoint({ lat: (bbox.minLat + bbox.maxLat) / 2, lng: (bbox.minLng + bbox.maxLng) / 2 })
+);
+
+// Condition on `field` (a GeoJSON point) for a search `near` a point within
+// `radiusKm`, or inside a `bbox`
+const geoFilter = (field, { near, radiusKm, bbox }) => ({
+  [field]: {
+    $geoWithin: bbox
+      ? { $geometry: boxPolygon(bbox) }
+      : { $centerSphere: [[near.lng, near.lat], radiusKm / EARTH_RADIUS_KM] }
+  }
+});
+
+// $geoNear stage returning the documents matching `query` within the search,
+// nearest first, with their distance in km (two decimals) as distanceKm
+const geoNearStages = (field, geo, query) => [
+  {
+    $geoNear: {
+      near: originOf(geo),
+      key: field,
+      distanceField: 'distanceKm',
+      distanceMultiplier: 0.001,
+      spherical: true,
+      query: { ...query, ...geoFilter(field, geo) }
+    }
+  },
+  { $set: { distanceKm: { $round: ['$distanceKm', 2] } } }
+];
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toPoint,
+  boxPolygon,
+  originOf,
+  geoFilter,
+  geoNearStages
+};
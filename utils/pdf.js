@@ -0,0 +1,82 @@
+// utils/pdf.js - PDF mínimo de texto monoespaciado (sin dependencias)
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 10;
+const LEADING = 14;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING);
+
+// Characters per line that fit in the page with Courier at FONT_SIZE
+const PDF_LINE_WIDTH = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+// Literal string of WinAnsi text; characters it cannot encode become '?'
+const pdfString = (text) => {
+  const escaped = String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+  return `(${escaped})`;
+};
+
+const pageContent = (lines) => {
+  const ops = ['BT', `${LEADING} TL`, `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`];
+
+  lines.forEach(line => {
+    const { text, bold } = typeof line === 'string' ? { text: line } : line;
+    ops.push(`/${bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf`, `${pdfString(text)} Tj`, 'T*');
+  });
+
+  ops.push('ET');
+  return ops.join('\n');
+};
+
+// PDF document with the given lines of text, PDF_LINE_WIDTH characters wide at
+// most, flowing over as many A4 pages as needed. A line is a string or
+// { text, bold }.
+const textToPdf = (lines, { title } = {}) => {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+  const pageIds = pages.map((page, index) => 6 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title ${pdfString(title || '')} /Producer (Reservations API) >>`
+  ];
+
+  pages.forEach((page, index) => {
+    const content = pageContent(page);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  PDF_LINE_WIDTH,
+  textToPdf
+};